@@ -1,14 +1,32 @@
 /**
  * Default configuration for the trading bot.
- * Override via environment variables or by passing options at runtime.
+ * Override via environment variables, or point CONFIG_FILE at a JSON file
+ * (e.g. the optimizer's best-config.json) whose values are merged on top.
+ * Values are checked against `schema.js` when a runner starts.
  */
-module.exports = {
+const fs = require('fs');
+const deepMerge = require('../src/utils/deep-merge');
+const { randomSeed } = require('../src/utils/random');
+
+// Boolean env vars accept only "true" or "false". Anything else is passed
+// through unchanged so validation rejects the typo instead of reading it as false.
+function envBool(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  return raw;
+}
+
+const config = {
   // ── Exchange / Data settings ──────────────────────────────────────
   exchange: {
     name: process.env.EXCHANGE || 'binance',
     apiKey: process.env.API_KEY || '',
     apiSecret: process.env.API_SECRET || '',
-    testnet: process.env.TESTNET === 'true',
+    testnet: envBool('TESTNET', false),
+    baseUrl: process.env.BINANCE_API_URL || '', // empty = Binance (or its testnet); e.g. a local mock server
+    streamUrl: process.env.BINANCE_STREAM_URL || '', // WebSocket host for market streams; empty = Binance (or its testnet)
   },
 
   // ── Trading pair ──────────────────────────────────────────────────
@@ -16,8 +34,11 @@ module.exports = {
   timeframe: process.env.TIMEFRAME || '1h', // candle interval
 
   // ── Strategy selection ────────────────────────────────────────────
-  // Available: ema_crossover, rsi, macd, bollinger, combined
+  // Built-in: ema_crossover, rsi, macd, bollinger, combined
   strategy: process.env.STRATEGY || 'combined',
+  // Extra strategy modules to register: directories, file paths or npm
+  // package names (comma-separated in STRATEGY_PLUGINS)
+  strategyPlugins: (process.env.STRATEGY_PLUGINS || '').split(',').filter(Boolean),
 
   // ── Strategy parameters ───────────────────────────────────────────
   strategies: {
@@ -25,23 +46,27 @@ module.exports = {
       fastPeriod: 9,
       slowPeriod: 21,
       trendPeriod: 50,            // long EMA for trend confirmation filter
+      trendTimeframe: '',         // e.g. '4h' to take the trend EMA from higher-timeframe candles
     },
     rsi: {
       period: 14,
       overbought: 75,             // stricter – only extreme overbought
       oversold: 25,               // stricter – only extreme oversold
       trendPeriod: 50,
+      trendTimeframe: '',
     },
     macd: {
       fastPeriod: 12,
       slowPeriod: 26,
       signalPeriod: 9,
       trendPeriod: 50,
+      trendTimeframe: '',
     },
     bollinger: {
       period: 20,
       stdDev: 2,
       trendPeriod: 50,
+      trendTimeframe: '',
     },
     combined: {
       minConfirmations: 2,        // 2/4 strategies must agree
@@ -60,13 +85,79 @@ module.exports = {
     maxDrawdownPct: 20,           // max total drawdown before halting
     riskRewardRatio: 0.4,         // allow asymmetric R:R (high win rate compensates)
     minConfidence: 5,             // minimum strategy confidence to enter trade
+    tradingDayTimezone: process.env.TRADING_DAY_TZ || 'UTC', // IANA zone where the daily loss limit resets
+  },
+
+  // ── Multi-symbol portfolio (run-portfolio.js) ───────────────────
+  // Symbols share one balance; risk.maxOpenPositions applies across them.
+  portfolio: {
+    symbols: (process.env.SYMBOLS || 'BTCUSDT,ETHUSDT,SOLUSDT').split(',').map((s) => s.trim()).filter(Boolean),
+    maxPositionsPerSymbol: 1,
+    // Cap on the value held on one side in markets whose returns correlate
+    // at or above correlationThreshold (the traded symbol included)
+    maxCorrelatedExposurePct: 40, // % of equity
+    correlationThreshold: 0.7,
+    correlationLookback: 100,     // bars of close-to-close returns
+  },
+
+  // ── Execution costs (backtests & paper trading) ─────────────────
+  execution: {
+    makerFeePct: 0.1,             // Binance spot VIP0
+    takerFeePct: 0.1,
+    bnbDiscount: envBool('BNB_DISCOUNT', false), // pay fees in BNB
+    bnbDiscountPct: 25,
+    slippage: 'fixed',            // fixed | volatility
+    slippagePct: 0.05,            // used when slippage = fixed
+    slippageAtrMultiplier: 0.1,   // used when slippage = volatility (fraction of ATR)
+    spreadPct: 0.02,              // full bid/ask spread – half is paid per taker fill
+  },
+
+  // ── Backtesting ───────────────────────────────────────────────────
+  backtest: {
+    // Which level fills first when one candle touches both stop and target:
+    // pessimistic (stop) | optimistic (target) | open_distance (nearest to open)
+    intrabarPolicy: process.env.INTRABAR_POLICY || 'pessimistic',
+    // Annual risk-free rate (%) subtracted in Sharpe and Sortino
+    riskFreeRate: parseFloat(process.env.RISK_FREE_RATE || '0'),
+  },
+
+  // ── Synthetic data ────────────────────────────────────────────────
+  // Seed for generated candles, paper-trading prices and random search /
+  // Monte Carlo draws. Runners print it; rerun with SEED=<n> (or --seed)
+  // to repeat a result exactly. Unset = a new seed every run.
+  seed: process.env.SEED ? Number(process.env.SEED) : randomSeed(),
+
+  // ── Historical data ───────────────────────────────────────────────
+  // Candle store filled by run-sync.js and read by the backtest runners
+  // (see src/engines/candle-store.js).
+  data: {
+    dir: process.env.DATA_DIR || 'data',
+  },
+
+  // ── Exports ───────────────────────────────────────────────────────
+  // Trades, per-bar equity and signal logs (see src/reports/exporters.js).
+  // Runners also take --export <dir> and --export-format csv,jsonl,json.
+  export: {
+    dir: process.env.EXPORT_DIR || '',  // empty = no export
+    formats: (process.env.EXPORT_FORMATS || 'csv').split(',').map((f) => f.trim()).filter(Boolean),
   },
 
   // ── Execution ─────────────────────────────────────────────────────
-  paperTrading: process.env.PAPER_TRADING === 'true',
+  paperTrading: envBool('PAPER_TRADING', false),
+  // spot   – long only; a SELL signal exits open longs and never opens a short
+  // margin – a SELL signal opens a short against reserved collateral
+  tradingMode: process.env.TRADING_MODE || 'spot',
+  marginRequirementPct: parseFloat(process.env.MARGIN_REQUIREMENT_PCT || '100'), // collateral as % of short notional
   initialBalance: parseFloat(process.env.INITIAL_BALANCE || '10000'),
+  // stream – Binance WebSocket: exits on every price change, strategy on candle close
+  // poll   – REST klines every pollIntervalMs
+  marketData: process.env.MARKET_DATA || 'stream',
   pollIntervalMs: parseInt(process.env.POLL_INTERVAL || '60000', 10),
 
   // ── Logging ───────────────────────────────────────────────────────
   logLevel: process.env.LOG_LEVEL || 'info', // debug | info | warn | error
 };
+
+module.exports = process.env.CONFIG_FILE
+  ? deepMerge(config, JSON.parse(fs.readFileSync(process.env.CONFIG_FILE, 'utf8')))
+  : config;
@@ -0,0 +1,145 @@
+/**
+ * Declarative schema for the configuration in `default.js`, checked at
+ * startup by `src/utils/config-validator.js`.
+ *
+ * Field specs: { type, min, max, exclusiveMin, exclusiveMax, enum, nonEmpty,
+ * env, check }. `type` is integer | number | boolean | string; `env` names
+ * the variable a value usually comes from so errors can point at it;
+ * `check(value)` returns an error message or null. Block-level `checks`
+ * receive the whole block and return an error message or null.
+ * Strategy parameters use the same field specs, registered alongside each
+ * strategy (see `src/strategies/registry.js`).
+ */
+
+const { TIMEFRAMES } = require('../src/utils/timeframes');
+const { MAX_SEED } = require('../src/utils/random');
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-CA', { timeZone: value });
+    return null;
+  } catch {
+    return `is not a valid IANA time zone (got "${value}")`;
+  }
+}
+
+/**
+ * Check for an optional URL with one of `protocols` (e.g. 'http', 'https').
+ */
+function urlCheck(protocols, env) {
+  return (value) => {
+    if (value === '') return null;
+    let protocol = null;
+    try {
+      protocol = new URL(value).protocol;
+    } catch {
+      // not a URL at all
+    }
+    return protocols.map((p) => `${p}:`).includes(protocol)
+      ? null
+      : `must be a ${protocols[0]}(s) URL or empty (got "${value}" from ${env})`;
+  };
+}
+
+const pct = { type: 'number', exclusiveMin: 0, max: 100 };
+
+const EXPORT_FORMATS = ['csv', 'jsonl', 'json'];
+
+function isExportFormatList(value) {
+  if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty list of formats';
+  const unknown = value.find((f) => !EXPORT_FORMATS.includes(f));
+  return unknown === undefined ? null : `must only contain ${EXPORT_FORMATS.join(', ')} (got "${unknown}" from EXPORT_FORMATS)`;
+}
+
+function isSymbolList(value) {
+  if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty list of symbols';
+  const duplicate = value.find((s, i) => value.indexOf(s) !== i);
+  return duplicate === undefined ? null : `lists "${duplicate}" twice (from SYMBOLS)`;
+}
+
+module.exports = {
+  root: {
+    fields: {
+      symbol: { type: 'string', nonEmpty: true, env: 'SYMBOL' },
+      timeframe: { type: 'string', enum: TIMEFRAMES, env: 'TIMEFRAME' },
+      strategy: { type: 'string', nonEmpty: true, env: 'STRATEGY' },
+      paperTrading: { type: 'boolean', env: 'PAPER_TRADING' },
+      tradingMode: { type: 'string', enum: ['spot', 'margin'], env: 'TRADING_MODE' },
+      marginRequirementPct: { ...pct, env: 'MARGIN_REQUIREMENT_PCT' },
+      initialBalance: { type: 'number', exclusiveMin: 0, env: 'INITIAL_BALANCE' },
+      marketData: { type: 'string', enum: ['stream', 'poll'], env: 'MARKET_DATA' },
+      pollIntervalMs: { type: 'integer', min: 1000, env: 'POLL_INTERVAL' },
+      logLevel: { type: 'string', enum: ['debug', 'info', 'warn', 'error'], env: 'LOG_LEVEL' },
+      seed: { type: 'integer', min: 0, max: MAX_SEED, env: 'SEED' },
+    },
+  },
+
+  exchange: {
+    fields: {
+      name: { type: 'string', enum: ['binance'], env: 'EXCHANGE' },
+      apiKey: { type: 'string', env: 'API_KEY' },
+      apiSecret: { type: 'string', env: 'API_SECRET' },
+      testnet: { type: 'boolean', env: 'TESTNET' },
+      baseUrl: { type: 'string', env: 'BINANCE_API_URL', check: urlCheck(['http', 'https'], 'BINANCE_API_URL') },
+      streamUrl: { type: 'string', env: 'BINANCE_STREAM_URL', check: urlCheck(['ws', 'wss'], 'BINANCE_STREAM_URL') },
+    },
+  },
+
+  risk: {
+    fields: {
+      maxPositionSizePct: pct,
+      stopLossPct: { type: 'number', exclusiveMin: 0, exclusiveMax: 100 },
+      takeProfitPct: { type: 'number', exclusiveMin: 0 },
+      trailingStopPct: { type: 'number', exclusiveMin: 0, exclusiveMax: 100 },
+      maxOpenPositions: { type: 'integer', min: 1 },
+      maxDailyLossPct: pct,
+      maxDrawdownPct: pct,
+      riskRewardRatio: { type: 'number', min: 0 },
+      minConfidence: { type: 'number', min: 0, max: 100 },
+      tradingDayTimezone: { type: 'string', env: 'TRADING_DAY_TZ', check: isTimeZone },
+    },
+  },
+
+  portfolio: {
+    fields: {
+      symbols: { check: isSymbolList },
+      maxPositionsPerSymbol: { type: 'integer', min: 1 },
+      maxCorrelatedExposurePct: pct,
+      correlationThreshold: { type: 'number', min: -1, max: 1 },
+      correlationLookback: { type: 'integer', min: 10 },
+    },
+  },
+
+  execution: {
+    fields: {
+      makerFeePct: { type: 'number', min: 0, max: 100 },
+      takerFeePct: { type: 'number', min: 0, max: 100 },
+      bnbDiscount: { type: 'boolean', env: 'BNB_DISCOUNT' },
+      bnbDiscountPct: { type: 'number', min: 0, max: 100 },
+      slippage: { type: 'string', enum: ['fixed', 'volatility'] },
+      slippagePct: { type: 'number', min: 0, max: 100 },
+      slippageAtrMultiplier: { type: 'number', min: 0 },
+      spreadPct: { type: 'number', min: 0, max: 100 },
+    },
+  },
+
+  data: {
+    fields: {
+      dir: { type: 'string', nonEmpty: true, env: 'DATA_DIR' },
+    },
+  },
+
+  export: {
+    fields: {
+      dir: { type: 'string', env: 'EXPORT_DIR' },
+      formats: { check: isExportFormatList },
+    },
+  },
+
+  backtest: {
+    fields: {
+      intrabarPolicy: { type: 'string', enum: ['pessimistic', 'optimistic', 'open_distance'], env: 'INTRABAR_POLICY' },
+      riskFreeRate: { type: 'number', min: 0, max: 100, env: 'RISK_FREE_RATE' },
+    },
+  },
+};
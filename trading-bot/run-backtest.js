@@ -9,44 +9,76 @@
  * ║  Usage:                                                     ║
  * ║    node run-backtest.js                   # all strategies  ║
  * ║    STRATEGY=rsi node run-backtest.js      # specific one    ║
+ * ║    node run-backtest.js --report out.html # HTML report     ║
+ * ║    node run-backtest.js --export exports  # CSV/JSONL files ║
+ * ║    node run-backtest.js --symbol BTCUSDT  # stored candles  ║
+ * ║    node run-backtest.js --seed 42         # same data again ║
+ * ║    node run-backtest.js --scenario luna-2022 # stress data  ║
  * ╚══════════════════════════════════════════════════════════════╝
  */
 
+const { parseArgs } = require('util');
 const config = require('./config/default');
 const Logger = require('./src/utils/logger');
 const Backtester = require('./src/engines/backtester');
 const DataFeed = require('./src/engines/data-feed');
+const CandleStore = require('./src/engines/candle-store');
+const { loadScenario, generateScenario } = require('./src/engines/scenario-generator');
+const { formatSummary, formatMetrics } = require('./src/utils/format');
+const { writeReport } = require('./src/reports/html-report');
+const { createExportWriter, EXPORT_ARGS } = require('./src/reports/exporters');
 
-const EmaCrossoverStrategy = require('./src/strategies/ema-crossover');
-const RsiStrategy = require('./src/strategies/rsi-strategy');
-const MacdStrategy = require('./src/strategies/macd-strategy');
-const BollingerStrategy = require('./src/strategies/bollinger-strategy');
-const CombinedStrategy = require('./src/strategies/combined-strategy');
+const { createStrategy, listStrategies, loadStrategyPlugins } = require('./src/strategies');
+const { assertValidConfig } = require('./src/utils/config-validator');
+const { createRandom } = require('./src/utils/random');
 
 const logger = new Logger('info');
 
-const allStrategies = {
-  ema_crossover: () => new EmaCrossoverStrategy(config.strategies.ema_crossover),
-  rsi: () => new RsiStrategy(config.strategies.rsi),
-  macd: () => new MacdStrategy(config.strategies.macd),
-  bollinger: () => new BollingerStrategy(config.strategies.bollinger),
-  combined: () => new CombinedStrategy(config.strategies.combined, config.strategies),
-};
+loadStrategyPlugins(config.strategyPlugins);
+
+const { values: args } = parseArgs({
+  options: {
+    report: { type: 'string' },
+    symbol: { type: 'string' },
+    scenario: { type: 'string' },
+    candles: { type: 'string', default: '1000' },
+    seed: { type: 'string' },
+    ...EXPORT_ARGS,
+  },
+});
+
+const allStrategies = Object.fromEntries(listStrategies().map(({ key }) => [
+  key,
+  () => createStrategy(key, config.strategies),
+]));
 
 function main() {
+  if (args.seed !== undefined) config.seed = Number(args.seed);
+  assertValidConfig(config);
+
   console.log('');
   console.log('  ╔══════════════════════════════════════════╗');
   console.log('  ║           STRATEGY BACKTESTING           ║');
   console.log('  ╚══════════════════════════════════════════╝');
   console.log('');
 
-  // Generate test data
-  const candles = DataFeed.generateTrendingMarket({
-    startPrice: 40000,
-    numCandles: 1000,
-  });
+  // Stored exchange candles (run-sync.js), a named scenario, or generated test data
+  let candles;
+  let dataLabel;
+  if (args.symbol) {
+    candles = new CandleStore(config.data.dir).load(args.symbol, config.timeframe, parseInt(args.candles, 10));
+    dataLabel = `${args.symbol} candles from the store`;
+  } else if (args.scenario) {
+    const scenario = loadScenario(args.scenario);
+    candles = generateScenario(scenario, { seed: config.seed });
+    dataLabel = `candles of scenario "${scenario.name}" (${scenario.timeframe})`;
+  } else {
+    candles = DataFeed.generateTrendingMarket({ startPrice: 40000, numCandles: parseInt(args.candles, 10), random: createRandom(config.seed) });
+    dataLabel = 'synthetic candles';
+  }
 
-  console.log(`  Test data: ${candles.length} candles`);
+  console.log(`  Test data: ${candles.length} ${dataLabel}`);
+  console.log(`  Seed: ${config.seed} (SEED or --seed to repeat)`);
   console.log(`  Price range: $${Math.min(...candles.map(c => c.low)).toFixed(0)} – $${Math.max(...candles.map(c => c.high)).toFixed(0)}`);
   console.log('');
 
@@ -55,20 +87,27 @@ function main() {
     : allStrategies;
 
   const results = [];
+  const exporter = createExportWriter(config, args);
 
-  for (const [name, createStrategy] of Object.entries(strategiesToTest)) {
-    const strategy = createStrategy();
+  for (const [name, buildStrategy] of Object.entries(strategiesToTest)) {
+    const strategy = buildStrategy();
     const backtester = new Backtester(config, strategy, logger);
     const result = backtester.run(candles, 60);
 
-    results.push({ name, ...result });
+    results.push({ name, ...result, overlays: strategy.overlays(candles) });
+    if (exporter) exporter.child({ prefix: `${name}-` }).writeRun(result);
 
+    const s = formatSummary(result.summary);
+    const m = formatMetrics(result.metrics);
     console.log(`  Strategy: ${name.toUpperCase()}`);
-    console.log(`    Return:       ${result.totalReturn}`);
-    console.log(`    Win Rate:     ${result.winRate}`);
-    console.log(`    Trades:       ${result.totalTrades}`);
-    console.log(`    Profit Factor: ${result.profitFactor}`);
-    console.log(`    Max Drawdown: ${result.maxDrawdown}`);
+    console.log(`    Return:        ${s.totalReturn} (Buy & Hold: ${m.buyAndHoldReturn})`);
+    console.log(`    CAGR:          ${m.cagr}`);
+    console.log(`    Win Rate:      ${s.winRate}`);
+    console.log(`    Trades:        ${s.totalTrades}`);
+    console.log(`    Profit Factor: ${s.profitFactor}`);
+    console.log(`    Sharpe:        ${m.sharpe} | Sortino: ${m.sortino} | Calmar: ${m.calmar}`);
+    console.log(`    Max Drawdown:  ${m.maxDrawdown} (longest: ${m.maxDrawdownDuration})`);
+    console.log(`    Time in Market: ${m.timeInMarket}`);
     console.log('');
   }
 
@@ -76,15 +115,40 @@ function main() {
   if (results.length > 1) {
     console.log('  ── RANKING (by return) ──');
     results
-      .sort((a, b) => parseFloat(b.totalReturn) - parseFloat(a.totalReturn))
+      .sort((a, b) => b.summary.totalReturn - a.summary.totalReturn)
       .forEach((r, i) => {
-        console.log(`    ${i + 1}. ${r.name.padEnd(15)} → ${r.totalReturn} return, ${r.winRate} win rate`);
+        const s = formatSummary(r.summary);
+        console.log(`    ${i + 1}. ${r.name.padEnd(15)} → ${s.totalReturn} return, ${s.winRate} win rate`);
       });
     console.log('');
     console.log(`  Best strategy: ${results[0].name}`);
     console.log(`  Use it: STRATEGY=${results[0].name} node run-paper.js`);
     console.log('');
   }
+
+  if (exporter) {
+    console.log(`  Exports: ${exporter.dir}/<strategy>-{trades,equity,signals}.{${exporter.formats.join(',')}}`);
+    console.log('');
+  }
+
+  if (args.report) {
+    writeReport(args.report, {
+      title: 'Strategy Backtest',
+      sections: [{
+        title: config.symbol,
+        subtitle: `${config.timeframe} · ${candles.length} ${dataLabel} · $${config.initialBalance} initial balance`,
+        candles,
+        runs: results.map(({ name, overlays, ...result }) => ({ name, result, overlays })),
+      }],
+    });
+    console.log(`  Report: ${args.report}`);
+    console.log('');
+  }
 }
 
-main();
+try {
+  main();
+} catch (err) {
+  logger.error(`Fatal error: ${err.message}`);
+  process.exit(1);
+}
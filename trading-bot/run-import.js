@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║        DATA IMPORT  –  Bring Your Own Candle History         ║
+ * ║                                                             ║
+ * ║  Reads CSV, Binance Vision zip and TradingView exports,     ║
+ * ║  checks every row and adds the candles to the local store   ║
+ * ║  so any runner can use them with --symbol.                  ║
+ * ║                                                             ║
+ * ║  Usage:                                                     ║
+ * ║    node run-import.js BTCUSDT-1m-2024-*.zip                 ║
+ * ║      --symbol BTCUSDT  --timeframe 1h   (resample to 1h)    ║
+ * ║      --format auto|csv|binance|tradingview|json             ║
+ * ║      --columns time=Date,volume=Vol  --time-unit s|ms|us    ║
+ * ║      --delimiter ';'  --skip-invalid                        ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ */
+
+const { parseArgs } = require('util');
+const config = require('./config/default');
+const Logger = require('./src/utils/logger');
+const CandleStore = require('./src/engines/candle-store');
+const { importCandles, FORMATS, TIME_UNITS } = require('./src/engines/candle-importers');
+const { resample } = require('./src/utils/resampler');
+const { TIMEFRAMES, inferTimeframe } = require('./src/utils/timeframes');
+
+const logger = new Logger('info');
+
+const { values: args, positionals: files } = parseArgs({
+  allowPositionals: true,
+  options: {
+    symbol: { type: 'string' },
+    timeframe: { type: 'string' },
+    format: { type: 'string', default: 'auto' },
+    columns: { type: 'string' },
+    'time-unit': { type: 'string', default: 'auto' },
+    delimiter: { type: 'string', default: ',' },
+    'skip-invalid': { type: 'boolean', default: false },
+  },
+});
+
+/**
+ * `time=Date,volume=4` → { time: 'Date', volume: 4 }
+ */
+function parseColumns(spec) {
+  const columns = {};
+  for (const pair of spec.split(',').filter(Boolean)) {
+    const [field, column] = pair.split('=').map((s) => s.trim());
+    if (!field || column === undefined || column === '') throw new Error(`--columns expects field=column pairs (got "${pair}")`);
+    columns[field] = /^\d+$/.test(column) ? parseInt(column, 10) : column;
+  }
+  return columns;
+}
+
+function main() {
+  if (files.length === 0) throw new Error('Give one or more files to import, e.g. node run-import.js BTCUSDT-1h-2024-01.zip --symbol BTCUSDT');
+  if (!args.symbol) throw new Error('--symbol is required (the store keeps candles per symbol)');
+  if (!FORMATS.includes(args.format)) throw new Error(`Unknown format "${args.format}". Use one of ${FORMATS.join(', ')}`);
+  if (!TIME_UNITS.includes(args['time-unit'])) throw new Error(`Unknown time unit "${args['time-unit']}". Use one of ${TIME_UNITS.join(', ')}`);
+  if (args.timeframe && !TIMEFRAMES.includes(args.timeframe)) {
+    throw new Error(`Unknown timeframe "${args.timeframe}". Use one of ${TIMEFRAMES.join(', ')}`);
+  }
+
+  const options = {
+    format: args.format,
+    columns: args.columns ? parseColumns(args.columns) : {},
+    timeUnit: args['time-unit'],
+    delimiter: args.delimiter,
+    invalid: args['skip-invalid'] ? 'skip' : 'error',
+  };
+
+  console.log('');
+  console.log('  ╔══════════════════════════════════════════╗');
+  console.log('  ║            CANDLE DATA IMPORT            ║');
+  console.log('  ╚══════════════════════════════════════════╝');
+  console.log('');
+
+  const imported = [];
+  for (const file of files) {
+    const { candles, rejected, format } = importCandles(file, options);
+    console.log(`  ${file}: ${candles.length} candles (${format})${rejected.length > 0 ? `, ${rejected.length} rows skipped` : ''}`);
+    rejected.slice(0, 5).forEach((r) => console.log(`      ${r.file}:${r.line}: ${r.reason}`));
+    if (rejected.length > 5) console.log(`      ... ${rejected.length - 5} more`);
+    imported.push(...candles);
+  }
+  imported.sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+  const candles = imported.filter((c, i) => i === 0 || c.time !== imported[i - 1].time);
+  if (candles.length === 0) throw new Error('No candles to import');
+
+  const source = inferTimeframe(candles);
+  if (!source) throw new Error('Cannot infer the timeframe of the imported candles – are they evenly spaced?');
+  const timeframe = args.timeframe || source;
+  const series = timeframe === source ? candles : resample(candles, timeframe, { from: source });
+
+  const store = new CandleStore(config.data.dir);
+  const added = store.merge(args.symbol, timeframe, series);
+  const report = store.check(args.symbol, timeframe);
+
+  console.log('');
+  console.log(`  ${args.symbol} ${timeframe}${timeframe === source ? '' : ` (resampled from ${source})`}: +${added} → ${report.count} candles in ${store.file(args.symbol, timeframe)}`);
+  if (report.count > 0) console.log(`  Range: ${report.first.slice(0, 16)} → ${report.last.slice(0, 16)}   gaps: ${report.gaps.length}`);
+  console.log(`  Use it with: node run-backtest.js --symbol ${args.symbol}  (TIMEFRAME=${timeframe})`);
+  console.log('');
+}
+
+try {
+  main();
+} catch (err) {
+  logger.error(`Fatal error: ${err.message}`);
+  process.exit(1);
+}
@@ -10,6 +10,7 @@
  * ║    1. cp .env.example .env                                  ║
  * ║    2. Edit .env with your API keys                          ║
  * ║    3. node run-live.js                                      ║
+ * ║       (--export <dir> writes trades/equity/signal logs)     ║
  * ║                                                             ║
  * ║  Press Ctrl+C to stop and see final results.                ║
  * ╚══════════════════════════════════════════════════════════════╝
@@ -18,34 +19,20 @@
 // Force paper trading OFF
 process.env.PAPER_TRADING = 'false';
 
+const { parseArgs } = require('util');
 const config = require('./config/default');
 const Logger = require('./src/utils/logger');
 const LiveTradingEngine = require('./src/engines/live-trading-engine');
 
-// Strategy imports
-const EmaCrossoverStrategy = require('./src/strategies/ema-crossover');
-const RsiStrategy = require('./src/strategies/rsi-strategy');
-const MacdStrategy = require('./src/strategies/macd-strategy');
-const BollingerStrategy = require('./src/strategies/bollinger-strategy');
-const CombinedStrategy = require('./src/strategies/combined-strategy');
+const { createStrategy, loadStrategyPlugins } = require('./src/strategies');
+const { assertValidConfig } = require('./src/utils/config-validator');
+const { createExportWriter, EXPORT_ARGS } = require('./src/reports/exporters');
 
 const logger = new Logger(config.logLevel);
 
-function getStrategy(name) {
-  switch (name) {
-    case 'ema_crossover':
-      return new EmaCrossoverStrategy(config.strategies.ema_crossover);
-    case 'rsi':
-      return new RsiStrategy(config.strategies.rsi);
-    case 'macd':
-      return new MacdStrategy(config.strategies.macd);
-    case 'bollinger':
-      return new BollingerStrategy(config.strategies.bollinger);
-    case 'combined':
-    default:
-      return new CombinedStrategy(config.strategies.combined, config.strategies);
-  }
-}
+loadStrategyPlugins(config.strategyPlugins);
+
+const { values: args } = parseArgs({ options: { ...EXPORT_ARGS } });
 
 async function main() {
   // ── Safety checks ─────────────────────────────────────────────
@@ -65,7 +52,10 @@ async function main() {
     process.exit(1);
   }
 
-  // 2. Confirmation prompt
+  // 2. Config sanity – never place real orders with an invalid config
+  assertValidConfig(config, { live: true });
+
+  // 3. Confirmation prompt
   console.log('');
   console.log('  ╔══════════════════════════════════════════════════╗');
   console.log('  ║   ⚠  LIVE TRADING MODE – REAL MONEY AT RISK ⚠   ║');
@@ -76,12 +66,15 @@ async function main() {
   console.log(`  Timeframe: ${config.timeframe}`);
   console.log(`  Balance:   $${config.initialBalance} (position sizing reference)`);
   console.log(`  Testnet:   ${config.exchange.testnet ? 'YES (safe)' : 'NO (real exchange)'}`);
+  console.log(`  Data:      ${config.marketData === 'stream' ? 'WebSocket stream' : `poll every ${config.pollIntervalMs / 1000}s`}`);
   console.log(`  Max Risk:  ${config.risk.maxPositionSizePct}% per trade`);
   console.log(`  Stop Loss: ${config.risk.stopLossPct}%`);
   console.log(`  Max DD:    ${config.risk.maxDrawdownPct}% (auto-halt)`);
+  const exporter = createExportWriter(config, args);
+  if (exporter) console.log(`  Export:    ${exporter.dir} (${exporter.formats.join(', ')})`);
   console.log('');
 
-  // 3. Wait for user confirmation
+  // 4. Wait for user confirmation
   const confirmed = await askConfirmation(
     '  Type "YES" to start live trading (or anything else to cancel): '
   );
@@ -101,8 +94,8 @@ async function main() {
 
   config.paperTrading = false;
 
-  const strategy = getStrategy(config.strategy);
-  const engine = new LiveTradingEngine(config, strategy, logger);
+  const strategy = createStrategy(config.strategy, config.strategies);
+  const engine = new LiveTradingEngine(config, strategy, logger, { exporter });
 
   // Graceful shutdown
   const shutdown = () => {
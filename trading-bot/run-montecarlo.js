@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║          MONTE CARLO  –  How Lucky Was the Backtest?         ║
+ * ║                                                             ║
+ * ║  Backtests the configured strategy, then replays its trades ║
+ * ║  in thousands of random orders to estimate the odds of ruin.║
+ * ║                                                             ║
+ * ║  Usage:                                                     ║
+ * ║    node run-montecarlo.js                                   ║
+ * ║      --runs 5000  --method shuffle|bootstrap                ║
+ * ║      --slippage-jitter 0.05  --candles 1000  --data c.json  ║
+ * ║      --symbol BTCUSDT  (stored candles, see run-sync.js)     ║
+ * ║      --seed 42  (synthetic data & random draws, see SEED)    ║
+ * ║      --json montecarlo.json  --export exports               ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const config = require('./config/default');
+const Logger = require('./src/utils/logger');
+const Backtester = require('./src/engines/backtester');
+const DataFeed = require('./src/engines/data-feed');
+const CandleStore = require('./src/engines/candle-store');
+const { readCandleFile } = require('./src/engines/candle-importers');
+const { MonteCarlo } = require('./src/engines/monte-carlo');
+const { pct } = require('./src/utils/format');
+const { createExportWriter, EXPORT_ARGS } = require('./src/reports/exporters');
+
+const { createStrategy, loadStrategyPlugins } = require('./src/strategies');
+const { assertValidConfig } = require('./src/utils/config-validator');
+const { createRandom } = require('./src/utils/random');
+
+const logger = new Logger('info');
+
+loadStrategyPlugins(config.strategyPlugins);
+
+const { values: args } = parseArgs({
+  options: {
+    runs: { type: 'string', default: '5000' },
+    method: { type: 'string', default: 'shuffle' },
+    'slippage-jitter': { type: 'string', default: '0' },
+    candles: { type: 'string', default: '1000' },
+    data: { type: 'string' },
+    symbol: { type: 'string' },
+    seed: { type: 'string' },
+    json: { type: 'string' },
+    ...EXPORT_ARGS,
+  },
+});
+
+function main() {
+  if (args.seed !== undefined) config.seed = Number(args.seed);
+  assertValidConfig(config);
+
+  let candles;
+  if (args.data) candles = readCandleFile(args.data);
+  else if (args.symbol) candles = new CandleStore(config.data.dir).load(args.symbol, config.timeframe, parseInt(args.candles, 10));
+  else candles = DataFeed.generateTrendingMarket({ startPrice: 40000, numCandles: parseInt(args.candles, 10), random: createRandom(config.seed) });
+
+  const strategy = createStrategy(config.strategy, config.strategies);
+  const result = new Backtester(config, strategy, new Logger('error')).run(candles);
+  const { summary, trades } = result;
+  const exporter = createExportWriter(config, args);
+  if (exporter) exporter.writeRun(result);
+
+  console.log('');
+  console.log('  ╔══════════════════════════════════════════╗');
+  console.log('  ║          MONTE CARLO ANALYSIS            ║');
+  console.log('  ╚══════════════════════════════════════════╝');
+  console.log('');
+  console.log(`  Strategy:  ${config.strategy}`);
+  console.log(`  Seed:      ${config.seed}`);
+  console.log(`  Backtest:  ${pct(summary.totalReturn)} return, ${pct(summary.maxDrawdown)} max DD, ${trades.length} trades`);
+
+  if (trades.length === 0) {
+    console.log('\n  No trades to resample.\n');
+    return;
+  }
+
+  const report = new MonteCarlo(config, {
+    runs: parseInt(args.runs, 10),
+    method: args.method,
+    slippageJitterPct: parseFloat(args['slippage-jitter']),
+    random: createRandom(config.seed),
+  }).run(trades);
+
+  const row = (label, b, fmt) => console.log(
+    `    ${label.padEnd(14)} ${Object.keys(b).filter((k) => k.startsWith('p')).map((k) => `${k}: ${fmt(b[k])}`).join('  ')}`
+  );
+  console.log(`  Runs:      ${report.runs} (${report.method})`);
+  console.log('');
+  console.log('  ── PERCENTILES ──');
+  row('Final equity', report.finalEquity, (v) => `$${v.toFixed(0)}`);
+  row('Max drawdown', report.maxDrawdown, (v) => `${v.toFixed(2)}%`);
+  console.log('');
+  console.log('  ── PROBABILITIES ──');
+  [
+    ['Losing money', report.probLoss],
+    [`Max drawdown ≥ ${config.risk.maxDrawdownPct}% (halt)`, report.probMaxDrawdownHit],
+    [`Daily loss > ${config.risk.maxDailyLossPct}% (halt)`, report.probDailyLossHalt],
+  ].forEach(([label, p]) => console.log(`    ${`${label}:`.padEnd(30)} ${(p * 100).toFixed(1)}%`));
+  console.log('');
+
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify(report, null, 2) + '\n');
+    console.log(`  Report: ${args.json}\n`);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  logger.error(`Fatal error: ${err.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║              OPTIMIZER  –  Tune Strategy Parameters          ║
+ * ║                                                             ║
+ * ║  Backtests every combination of the parameter ranges in a   ║
+ * ║  JSON file across worker threads and ranks the results.     ║
+ * ║                                                             ║
+ * ║  Usage:                                                     ║
+ * ║    node run-optimize.js --ranges config/optimize.example.json║
+ * ║      --method grid|random   --samples 100                   ║
+ * ║      --objective sharpe|profit_factor|return_drawdown       ║
+ * ║      --workers 4  --min-trades 5  --candles 1000            ║
+ * ║      --data candles.json  --out optimizer-results           ║
+ * ║      --symbol BTCUSDT  (stored candles, see run-sync.js)     ║
+ * ║      --seed 42  (synthetic data & random draws, see SEED)    ║
+ * ║      --export <dir>  (trades/equity/signals of the best run)║
+ * ║                                                             ║
+ * ║  Then: CONFIG_FILE=optimizer-results/best-config.json       ║
+ * ║        node run-backtest.js                                 ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const config = require('./config/default');
+const Logger = require('./src/utils/logger');
+const DataFeed = require('./src/engines/data-feed');
+const CandleStore = require('./src/engines/candle-store');
+const { readCandleFile } = require('./src/engines/candle-importers');
+const Backtester = require('./src/engines/backtester');
+const { Optimizer } = require('./src/engines/optimizer');
+const deepMerge = require('./src/utils/deep-merge');
+
+const { createStrategy, loadStrategyPlugins } = require('./src/strategies');
+const { assertValidConfig } = require('./src/utils/config-validator');
+const { createRandom } = require('./src/utils/random');
+const { createExportWriter, EXPORT_ARGS } = require('./src/reports/exporters');
+
+const logger = new Logger('info');
+
+loadStrategyPlugins(config.strategyPlugins);
+
+const { values: args } = parseArgs({
+  options: {
+    ranges: { type: 'string' },
+    method: { type: 'string', default: 'grid' },
+    samples: { type: 'string', default: '50' },
+    objective: { type: 'string', default: 'sharpe' },
+    workers: { type: 'string' },
+    'min-trades': { type: 'string', default: '1' },
+    candles: { type: 'string', default: '1000' },
+    data: { type: 'string' },
+    symbol: { type: 'string' },
+    seed: { type: 'string' },
+    out: { type: 'string', default: 'optimizer-results' },
+    top: { type: 'string', default: '10' },
+    ...EXPORT_ARGS,
+  },
+});
+
+// Where the candles came from, for the header
+function dataSource() {
+  if (args.data) return ` from ${args.data}`;
+  return args.symbol ? ` of ${args.symbol} ${config.timeframe} from the candle store` : ' (synthetic)';
+}
+
+async function main() {
+  if (!args.ranges) {
+    throw new Error('Missing --ranges <file>. See config/optimize.example.json for the format.');
+  }
+  if (args.seed !== undefined) config.seed = Number(args.seed);
+  assertValidConfig(config);
+
+  const spec = JSON.parse(fs.readFileSync(args.ranges, 'utf8'));
+  const strategy = spec.strategy || config.strategy;
+
+  let candles;
+  if (args.data) candles = readCandleFile(args.data);
+  else if (args.symbol) candles = new CandleStore(config.data.dir).load(args.symbol, config.timeframe, parseInt(args.candles, 10));
+  else candles = DataFeed.generateTrendingMarket({ startPrice: 40000, numCandles: parseInt(args.candles, 10), random: createRandom(config.seed) });
+
+  console.log('');
+  console.log('  ╔══════════════════════════════════════════╗');
+  console.log('  ║          PARAMETER OPTIMIZATION          ║');
+  console.log('  ╚══════════════════════════════════════════╝');
+  console.log('');
+  console.log(`  Strategy:  ${strategy}`);
+  console.log(`  Data:      ${candles.length} candles${dataSource()}`);
+  console.log(`  Seed:      ${config.seed}`);
+  console.log('');
+
+  const optimizer = new Optimizer(config, {
+    strategy,
+    ranges: spec.ranges,
+    method: args.method,
+    samples: parseInt(args.samples, 10),
+    objective: args.objective,
+    workers: args.workers ? parseInt(args.workers, 10) : undefined,
+    minTrades: parseInt(args['min-trades'], 10),
+    random: createRandom(config.seed),
+  }, logger);
+
+  const report = await optimizer.run(candles);
+
+  fs.mkdirSync(args.out, { recursive: true });
+  fs.writeFileSync(path.join(args.out, 'leaderboard.csv'), Optimizer.toCsv(report));
+  fs.writeFileSync(path.join(args.out, 'leaderboard.json'), Optimizer.toJson(report));
+
+  console.log('');
+  console.log(`  ── TOP ${args.top} (by ${report.objective}) ──`);
+  report.results.slice(0, parseInt(args.top, 10)).forEach((r) => {
+    const params = Object.entries(r.params).map(([k, v]) => `${k.split('.').pop()}=${v}`).join(' ');
+    const score = r.score === null ? 'n/a' : r.score === Infinity ? 'Inf' : r.score.toFixed(3);
+    console.log(`    ${String(r.rank).padStart(3)}. ${score.padStart(8)} | Return: ${r.metrics.totalReturn.toFixed(2)}% | DD: ${r.metrics.maxDrawdown.toFixed(2)}% | Trades: ${r.metrics.totalTrades} | ${params}`);
+  });
+  console.log('');
+
+  if (report.best) {
+    const bestFile = path.join(args.out, 'best-config.json');
+    fs.writeFileSync(bestFile, JSON.stringify(report.best.overrides, null, 2) + '\n');
+    console.log(`  Best config written to ${bestFile}`);
+    console.log(`  Use it: CONFIG_FILE=${bestFile} node run-paper.js`);
+
+    const exporter = createExportWriter(config, args);
+    if (exporter) {
+      const bestConfig = deepMerge(config, report.best.overrides);
+      const bestStrategy = createStrategy(bestConfig.strategy, bestConfig.strategies);
+      exporter.writeRun(new Backtester(bestConfig, bestStrategy, new Logger('error')).run(candles, optimizer.lookback));
+      console.log(`  Best run's trades, equity and signals: ${exporter.dir}`);
+    }
+  } else {
+    console.log(`  No candidate made at least ${optimizer.minTrades} trade(s) – no best config written.`);
+  }
+  console.log(`  Leaderboard: ${path.join(args.out, 'leaderboard.csv')} / leaderboard.json`);
+  console.log('');
+}
+
+main().catch((err) => {
+  logger.error(`Fatal error: ${err.message}`);
+  process.exit(1);
+});
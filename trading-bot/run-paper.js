@@ -11,6 +11,7 @@
  * ║    SYMBOL=ETHUSDT node run-paper.js       # change pair     ║
  * ║    STRATEGY=rsi node run-paper.js         # change strategy ║
  * ║    TIMEFRAME=15m node run-paper.js        # change candles  ║
+ * ║    node run-paper.js --export exports     # CSV/JSONL logs  ║
  * ║                                                             ║
  * ║  Press Ctrl+C to stop and see final results.                ║
  * ╚══════════════════════════════════════════════════════════════╝
@@ -19,36 +20,24 @@
 // Force paper trading ON regardless of .env
 process.env.PAPER_TRADING = 'true';
 
+const { parseArgs } = require('util');
 const config = require('./config/default');
 const Logger = require('./src/utils/logger');
 const LiveTradingEngine = require('./src/engines/live-trading-engine');
 
-// Strategy imports
-const EmaCrossoverStrategy = require('./src/strategies/ema-crossover');
-const RsiStrategy = require('./src/strategies/rsi-strategy');
-const MacdStrategy = require('./src/strategies/macd-strategy');
-const BollingerStrategy = require('./src/strategies/bollinger-strategy');
-const CombinedStrategy = require('./src/strategies/combined-strategy');
+const { createStrategy, loadStrategyPlugins } = require('./src/strategies');
+const { assertValidConfig } = require('./src/utils/config-validator');
+const { createExportWriter, EXPORT_ARGS } = require('./src/reports/exporters');
 
 const logger = new Logger(config.logLevel);
 
-function getStrategy(name) {
-  switch (name) {
-    case 'ema_crossover':
-      return new EmaCrossoverStrategy(config.strategies.ema_crossover);
-    case 'rsi':
-      return new RsiStrategy(config.strategies.rsi);
-    case 'macd':
-      return new MacdStrategy(config.strategies.macd);
-    case 'bollinger':
-      return new BollingerStrategy(config.strategies.bollinger);
-    case 'combined':
-    default:
-      return new CombinedStrategy(config.strategies.combined, config.strategies);
-  }
-}
+loadStrategyPlugins(config.strategyPlugins);
+
+const { values: args } = parseArgs({ options: { ...EXPORT_ARGS } });
 
 async function main() {
+  assertValidConfig(config);
+
   console.log('');
   console.log('  ╔══════════════════════════════════════════╗');
   console.log('  ║     PAPER TRADING MODE (no real money)   ║');
@@ -58,14 +47,16 @@ async function main() {
   console.log(`  Strategy:  ${config.strategy}`);
   console.log(`  Timeframe: ${config.timeframe}`);
   console.log(`  Balance:   $${config.initialBalance} (simulated)`);
-  console.log(`  Poll:      every ${config.pollIntervalMs / 1000}s`);
+  console.log(`  Data:      ${config.marketData === 'stream' ? 'WebSocket stream' : `poll every ${config.pollIntervalMs / 1000}s`}`);
+  const exporter = createExportWriter(config, args);
+  if (exporter) console.log(`  Export:    ${exporter.dir} (${exporter.formats.join(', ')})`);
   console.log('');
 
   // Re-read config to pick up PAPER_TRADING=true
   config.paperTrading = true;
 
-  const strategy = getStrategy(config.strategy);
-  const engine = new LiveTradingEngine(config, strategy, logger);
+  const strategy = createStrategy(config.strategy, config.strategies);
+  const engine = new LiveTradingEngine(config, strategy, logger, { exporter });
 
   // Graceful shutdown
   const shutdown = () => {
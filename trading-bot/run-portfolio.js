@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║        PORTFOLIO BACKTEST  –  Many Symbols, One Account      ║
+ * ║                                                             ║
+ * ║  Trades every symbol in time order out of one shared        ║
+ * ║  balance, with account-wide position and exposure limits.   ║
+ * ║  Candles come from the local store (node run-sync.js), or   ║
+ * ║  synthetic data for symbols that have none.                 ║
+ * ║                                                             ║
+ * ║  Usage:                                                     ║
+ * ║    node run-portfolio.js                                    ║
+ * ║      --symbols BTCUSDT,ETHUSDT,SOLUSDT  --timeframe 1h      ║
+ * ║      --candles 750  --strategy combined                     ║
+ * ║      --export exports  --seed 42  (synthetic data, see SEED) ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ */
+
+const { parseArgs } = require('util');
+const config = require('./config/default');
+const Logger = require('./src/utils/logger');
+const CandleStore = require('./src/engines/candle-store');
+const { generateRealisticCandles, CRYPTO_PROFILES } = require('./src/engines/realistic-crypto-data');
+const PortfolioBacktester = require('./src/engines/portfolio-backtester');
+const { formatSummary, formatMetrics, pct } = require('./src/utils/format');
+const { createExportWriter, EXPORT_ARGS } = require('./src/reports/exporters');
+
+const { createStrategy, loadStrategyPlugins } = require('./src/strategies');
+const { assertValidConfig } = require('./src/utils/config-validator');
+
+const logger = new Logger('info');
+
+loadStrategyPlugins(config.strategyPlugins);
+
+const { values: args } = parseArgs({
+  options: {
+    symbols: { type: 'string' },
+    timeframe: { type: 'string', default: config.timeframe },
+    candles: { type: 'string', default: '750' },
+    strategy: { type: 'string', default: config.strategy },
+    seed: { type: 'string' },
+    ...EXPORT_ARGS,
+  },
+});
+
+function loadCandles(store, symbol, timeframe, count, seed) {
+  const stored = store.read(symbol, timeframe, { limit: count });
+  if (stored.length > 0) return { candles: stored, source: `store, ${stored[0].time.slice(0, 10)} – ${stored[stored.length - 1].time.slice(0, 10)}` };
+  if (!CRYPTO_PROFILES[symbol]) throw new Error(`No stored ${symbol} ${timeframe} candles and no synthetic profile – run: npm run sync -- --symbols ${symbol} --timeframe ${timeframe}`);
+  return { candles: generateRealisticCandles(symbol, timeframe, count, { seed }), source: `synthetic, seed ${seed} – npm run sync for real data` };
+}
+
+async function main() {
+  const symbols = args.symbols ? args.symbols.split(',').map((s) => s.trim()).filter(Boolean) : config.portfolio.symbols;
+  const seed = args.seed === undefined ? config.seed : Number(args.seed);
+  const count = Number(args.candles);
+  if (!Number.isInteger(count) || count <= 0) throw new Error(`--candles must be a positive integer (got "${args.candles}")`);
+  const runConfig = { ...config, timeframe: args.timeframe, strategy: args.strategy, seed, portfolio: { ...config.portfolio, symbols } };
+  assertValidConfig(runConfig);
+
+  console.log('');
+  console.log('  ╔══════════════════════════════════════════╗');
+  console.log('  ║           PORTFOLIO BACKTESTING          ║');
+  console.log('  ╚══════════════════════════════════════════╝');
+  console.log('');
+  console.log(`  Strategy:  ${args.strategy} (one instance per symbol)`);
+  console.log(`  Limits:    ${config.risk.maxOpenPositions} open positions, ${config.portfolio.maxPositionsPerSymbol} per symbol, ` +
+    `${config.portfolio.maxCorrelatedExposurePct}% of equity in markets correlated ≥ ${config.portfolio.correlationThreshold}`);
+
+  const store = new CandleStore(config.data.dir);
+  const markets = {};
+  for (const symbol of symbols) {
+    const { candles, source } = loadCandles(store, symbol, args.timeframe, count, seed);
+    markets[symbol] = candles;
+    console.log(`  ${symbol.padEnd(10)} ${candles.length} × ${args.timeframe} candles (${source})`);
+  }
+  console.log('');
+
+  const strategies = Object.fromEntries(symbols.map((symbol) => [symbol, createStrategy(args.strategy, config.strategies)]));
+  const result = new PortfolioBacktester(runConfig, strategies, new Logger('error')).run(markets);
+
+  console.log('  ── PORTFOLIO ──');
+  Object.entries({ ...formatSummary(result.summary), ...formatMetrics(result.metrics) }).forEach(([key, val]) => {
+    console.log(`    ${key.padEnd(20)}: ${val}`);
+  });
+  console.log('');
+  console.log('  ── BY SYMBOL ──');
+  console.log('    Symbol      Trades  Win Rate       P&L      Fees  Buy & Hold');
+  for (const symbol of symbols) {
+    const s = result.bySymbol[symbol];
+    console.log(`    ${symbol.padEnd(10)} ${String(s.totalTrades).padStart(7)} ${pct(s.winRate, 1).padStart(9)} ` +
+      `${s.totalPnl.toFixed(2).padStart(9)} ${s.totalFees.toFixed(2).padStart(9)} ${pct(s.buyHoldReturn).padStart(11)}`);
+  }
+  console.log('');
+
+  const skipped = result.signals.filter((s) => s.action.startsWith('skipped: max') || s.action.includes('correlated'));
+  if (skipped.length > 0) {
+    const counts = {};
+    skipped.forEach((s) => { counts[s.action] = (counts[s.action] || 0) + 1; });
+    console.log('  ── PORTFOLIO LIMITS ──');
+    Object.entries(counts).forEach(([action, n]) => console.log(`    ${action.padEnd(42)} ${n}`));
+    console.log('');
+  }
+
+  const exporter = createExportWriter(config, args, { symbol: undefined });
+  if (exporter) {
+    exporter.writeRun(result);
+    console.log(`  Exports: ${exporter.dir}\n`);
+  }
+}
+
+main().catch((err) => {
+  logger.error(`Fatal error: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║        STRESS TEST  –  Strategies vs. Market Scenarios       ║
+ * ║                                                             ║
+ * ║  Generates candles for named market scenarios (crashes,     ║
+ * ║  chop, outages – see config/scenarios) and backtests each   ║
+ * ║  strategy on every one of them.                             ║
+ * ║                                                             ║
+ * ║  Usage:                                                     ║
+ * ║    node run-scenarios.js                                    ║
+ * ║      --scenarios luna-2022,low-vol-chop,my-scenario.json    ║
+ * ║      --strategies rsi,macd  (or "all"; default STRATEGY)    ║
+ * ║      --candles 2000  (repeat the regimes to this length)    ║
+ * ║      --seed 42  --report stress.html                        ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ */
+
+const { parseArgs } = require('util');
+const config = require('./config/default');
+const Logger = require('./src/utils/logger');
+const Backtester = require('./src/engines/backtester');
+const { loadScenario, listScenarios, generateScenario } = require('./src/engines/scenario-generator');
+const { drawdownStats } = require('./src/utils/performance');
+const { formatSummary, pct } = require('./src/utils/format');
+const { writeReport } = require('./src/reports/html-report');
+
+const { createStrategy, listStrategies, loadStrategyPlugins } = require('./src/strategies');
+const { assertValidConfig } = require('./src/utils/config-validator');
+
+const logger = new Logger('info');
+
+loadStrategyPlugins(config.strategyPlugins);
+
+const { values: args } = parseArgs({
+  options: {
+    scenarios: { type: 'string' },
+    strategies: { type: 'string', default: config.strategy },
+    candles: { type: 'string' },
+    seed: { type: 'string' },
+    report: { type: 'string' },
+  },
+});
+
+const list = (value) => value.split(',').map((s) => s.trim()).filter(Boolean);
+
+function main() {
+  if (args.seed !== undefined) config.seed = Number(args.seed);
+  assertValidConfig(config);
+
+  const scenarios = (args.scenarios ? list(args.scenarios) : listScenarios()).map(loadScenario);
+  const strategies = args.strategies === 'all' ? listStrategies().map(({ key }) => key) : list(args.strategies);
+  const length = args.candles === undefined ? undefined : parseInt(args.candles, 10);
+  if (length !== undefined && !(length > 0)) throw new Error(`--candles must be a positive number (got "${args.candles}")`);
+
+  console.log('');
+  console.log('  ╔══════════════════════════════════════════╗');
+  console.log('  ║          SCENARIO STRESS TEST            ║');
+  console.log('  ╚══════════════════════════════════════════╝');
+  console.log('');
+  console.log(`  Strategies: ${strategies.join(', ')}`);
+  console.log(`  Seed:       ${config.seed} (SEED or --seed to repeat)`);
+
+  const sections = [];
+  const quiet = new Logger('error');
+  for (const scenario of scenarios) {
+    const candles = generateScenario(scenario, { seed: config.seed, candles: length });
+    const expected = length ?? scenario.regimes.reduce((sum, r) => sum + r.duration, 0);
+    const market = ((candles[candles.length - 1].close - candles[0].open) / candles[0].open) * 100;
+    const marketDrawdown = drawdownStats(candles.map((c) => c.close)).maxDrawdown;
+
+    console.log('');
+    console.log(`  ── ${scenario.name.toUpperCase()} ──`);
+    if (scenario.description) console.log(`  ${scenario.description}`);
+    console.log(`  ${scenario.asset.symbol} ${scenario.timeframe}, ${candles.length} candles` +
+      `${candles.length < expected ? ` (${expected - candles.length} lost to outages)` : ''}` +
+      ` · market ${pct(market)}, max drawdown ${pct(marketDrawdown)}`);
+    console.log(`    ${'Strategy'.padEnd(15)} ${'Return'.padStart(9)} ${'Max DD'.padStart(9)} ${'Trades'.padStart(7)} ${'Win rate'.padStart(9)}`);
+
+    const runs = [];
+    for (const key of strategies) {
+      const strategy = createStrategy(key, config.strategies);
+      const runConfig = { ...config, symbol: scenario.asset.symbol, timeframe: scenario.timeframe };
+      const result = new Backtester(runConfig, strategy, quiet).run(candles);
+      const s = formatSummary(result.summary);
+      console.log(`    ${key.padEnd(15)} ${s.totalReturn.padStart(9)} ${s.maxDrawdown.padStart(9)} ${String(s.totalTrades).padStart(7)} ${s.winRate.padStart(9)}`);
+      runs.push({ name: key, result, overlays: strategy.overlays(candles) });
+    }
+    sections.push({
+      title: scenario.name,
+      subtitle: `${scenario.asset.symbol} ${scenario.timeframe} · ${candles.length} candles · seed ${config.seed}`,
+      candles,
+      runs,
+    });
+  }
+  console.log('');
+
+  if (args.report) {
+    writeReport(args.report, { title: 'Scenario Stress Test', sections });
+    console.log(`  Report: ${args.report}`);
+    console.log('');
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  logger.error(`Fatal error: ${err.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║        DATA SYNC  –  Download Candles for Offline Backtests  ║
+ * ║                                                             ║
+ * ║  Fetches only the closed candles the local store is         ║
+ * ║  missing, then reports gaps and duplicates per series.      ║
+ * ║                                                             ║
+ * ║  Usage:                                                     ║
+ * ║    node run-sync.js                                         ║
+ * ║      --symbols BTCUSDT,ETHUSDT  --timeframe 1h,4h           ║
+ * ║      --since 2024-01-01   (backfill from this date)         ║
+ * ║      --check              (report only, no download)        ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ */
+
+const { parseArgs } = require('util');
+const config = require('./config/default');
+const Logger = require('./src/utils/logger');
+const CandleStore = require('./src/engines/candle-store');
+const { assertValidConfig } = require('./src/utils/config-validator');
+const { TIMEFRAMES } = require('./src/utils/timeframes');
+
+const logger = new Logger('info');
+
+const { values: args } = parseArgs({
+  options: {
+    symbols: { type: 'string' },
+    timeframe: { type: 'string', default: config.timeframe },
+    since: { type: 'string' },
+    check: { type: 'boolean', default: false },
+  },
+});
+
+const list = (value) => value.split(',').map((s) => s.trim()).filter(Boolean);
+
+function printReport(symbol, timeframe, report) {
+  const range = report.count > 0 ? `${report.first.slice(0, 16)} → ${report.last.slice(0, 16)}` : 'empty';
+  const added = report.fetched === undefined ? '' : `+${report.fetched} `.padStart(7);
+  const missing = report.gaps.reduce((sum, g) => sum + g.missing, 0);
+  console.log(`  ${symbol.padEnd(10)} ${timeframe.padEnd(4)} ${added}${String(report.count).padStart(7)} candles  ${range}` +
+    `  gaps: ${report.gaps.length}${missing > 0 ? ` (${missing} candles)` : ''}  duplicates: ${report.duplicates.length}`);
+  report.gaps.slice(0, 5).forEach((g) => console.log(`      gap: ${g.missing} missing, ${g.start} – ${g.end}`));
+  if (report.gaps.length > 5) console.log(`      ... ${report.gaps.length - 5} more`);
+  if (report.outOfOrder > 0) console.log(`      ${report.outOfOrder} candles out of order`);
+}
+
+async function main() {
+  const symbols = args.symbols ? list(args.symbols) : config.portfolio.symbols;
+  const timeframes = list(args.timeframe);
+  const unknown = timeframes.find((tf) => !TIMEFRAMES.includes(tf));
+  if (unknown) throw new Error(`Unknown timeframe "${unknown}". Use one of ${TIMEFRAMES.join(', ')}`);
+  const since = args.since === undefined ? undefined : Date.parse(args.since);
+  if (Number.isNaN(since)) throw new Error(`--since must be a date, e.g. 2024-01-01 (got "${args.since}")`);
+  assertValidConfig({ ...config, timeframe: timeframes[0], portfolio: { ...config.portfolio, symbols } });
+
+  const store = new CandleStore(config.data.dir, { baseUrl: config.exchange.baseUrl });
+
+  console.log('');
+  console.log('  ╔══════════════════════════════════════════╗');
+  console.log('  ║             CANDLE DATA SYNC             ║');
+  console.log('  ╚══════════════════════════════════════════╝');
+  console.log('');
+  console.log(`  Store: ${store.dir}${args.check ? ' (check only)' : ''}`);
+  console.log('');
+
+  for (const symbol of symbols) {
+    for (const timeframe of timeframes) {
+      if (args.check) {
+        printReport(symbol, timeframe, store.check(symbol, timeframe));
+        continue;
+      }
+      try {
+        printReport(symbol, timeframe, await store.sync(symbol, timeframe, { since }));
+      } catch (err) {
+        logger.error(`  ${symbol} ${timeframe}: sync failed (${err.message})`);
+        process.exitCode = 1;
+      }
+    }
+  }
+  console.log('');
+}
+
+main().catch((err) => {
+  logger.error(`Fatal error: ${err.message}`);
+  process.exit(1);
+});
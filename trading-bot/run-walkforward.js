@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║           WALK-FORWARD  –  Out-of-Sample Validation          ║
+ * ║                                                             ║
+ * ║  Optimizes on each train window, trades the following test  ║
+ * ║  window with the winner and stitches the test results.      ║
+ * ║                                                             ║
+ * ║  Usage:                                                     ║
+ * ║    node run-walkforward.js --ranges config/optimize.example.json
+ * ║      --mode rolling|anchored  --train 500  --test 150       ║
+ * ║      (plus the optimizer flags: --method --samples          ║
+ * ║       --objective --workers --min-trades --candles --data   ║
+ * ║       --symbol --seed)                                      ║
+ * ║      --export <dir>  (out-of-sample trades/equity/signals)  ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const config = require('./config/default');
+const Logger = require('./src/utils/logger');
+const DataFeed = require('./src/engines/data-feed');
+const CandleStore = require('./src/engines/candle-store');
+const { readCandleFile } = require('./src/engines/candle-importers');
+const { WalkForward, MAX_OVERFITTING_RATIO } = require('./src/engines/walk-forward');
+
+const { loadStrategyPlugins } = require('./src/strategies');
+const { assertValidConfig } = require('./src/utils/config-validator');
+const { createRandom } = require('./src/utils/random');
+const { createExportWriter, EXPORT_ARGS } = require('./src/reports/exporters');
+
+const logger = new Logger('info');
+
+loadStrategyPlugins(config.strategyPlugins);
+
+const { values: args } = parseArgs({
+  options: {
+    ranges: { type: 'string' },
+    mode: { type: 'string', default: 'rolling' },
+    train: { type: 'string', default: '500' },
+    test: { type: 'string', default: '150' },
+    method: { type: 'string', default: 'grid' },
+    samples: { type: 'string', default: '50' },
+    objective: { type: 'string', default: 'sharpe' },
+    workers: { type: 'string' },
+    'min-trades': { type: 'string', default: '1' },
+    candles: { type: 'string', default: '2000' },
+    data: { type: 'string' },
+    symbol: { type: 'string' },
+    seed: { type: 'string' },
+    out: { type: 'string', default: 'walkforward-results' },
+    ...EXPORT_ARGS,
+  },
+});
+
+function fmt(value, suffix = '') {
+  if (value === null) return 'n/a';
+  if (value === Infinity) return 'Inf';
+  return `${value.toFixed(2)}${suffix}`;
+}
+
+// Where the candles came from, for the header
+function dataSource() {
+  if (args.data) return ` from ${args.data}`;
+  return args.symbol ? ` of ${args.symbol} ${config.timeframe} from the candle store` : ' (synthetic)';
+}
+
+async function main() {
+  if (!args.ranges) {
+    throw new Error('Missing --ranges <file>. See config/optimize.example.json for the format.');
+  }
+  if (args.seed !== undefined) config.seed = Number(args.seed);
+  assertValidConfig(config);
+
+  const spec = JSON.parse(fs.readFileSync(args.ranges, 'utf8'));
+  let candles;
+  if (args.data) candles = readCandleFile(args.data);
+  else if (args.symbol) candles = new CandleStore(config.data.dir).load(args.symbol, config.timeframe, parseInt(args.candles, 10));
+  else candles = DataFeed.generateTrendingMarket({ startPrice: 40000, numCandles: parseInt(args.candles, 10), random: createRandom(config.seed) });
+
+  console.log('');
+  console.log('  ╔══════════════════════════════════════════╗');
+  console.log('  ║          WALK-FORWARD ANALYSIS           ║');
+  console.log('  ╚══════════════════════════════════════════╝');
+  console.log('');
+  console.log(`  Strategy:  ${spec.strategy || config.strategy}`);
+  console.log(`  Data:      ${candles.length} candles${dataSource()}`);
+  console.log(`  Seed:      ${config.seed}`);
+  console.log('');
+
+  const walkForward = new WalkForward(config, {
+    strategy: spec.strategy || config.strategy,
+    ranges: spec.ranges,
+    mode: args.mode,
+    trainSize: parseInt(args.train, 10),
+    testSize: parseInt(args.test, 10),
+    method: args.method,
+    samples: parseInt(args.samples, 10),
+    objective: args.objective,
+    workers: args.workers ? parseInt(args.workers, 10) : undefined,
+    minTrades: parseInt(args['min-trades'], 10),
+    random: createRandom(config.seed),
+  }, logger);
+
+  const report = await walkForward.run(candles);
+  const { summary, stability } = report;
+
+  console.log('');
+  console.log('  ── OUT-OF-SAMPLE (stitched) ──');
+  console.log(`    Return:            ${fmt(summary.totalReturn, '%')}`);
+  console.log(`    Max Drawdown:      ${fmt(summary.maxDrawdown, '%')}`);
+  console.log(`    Trades:            ${summary.totalTrades}`);
+  console.log(`    Profitable windows: ${summary.profitableWindows}/${summary.windows}`);
+  console.log(`    Efficiency (OOS/IS): ${fmt(summary.efficiency)}`);
+  console.log(`    Overfitting ratio:  ${summary.overfittingRatio === MAX_OVERFITTING_RATIO ? '>= ' : ''}${fmt(summary.overfittingRatio)}`);
+  console.log('');
+  console.log('  ── PARAMETER STABILITY ──');
+  for (const [name, s] of Object.entries(stability)) {
+    console.log(`    ${name.padEnd(40)} mean ${fmt(s.mean)} | cv ${fmt(s.cv)} | ${s.distinct} distinct | ${s.values.join(', ')}`);
+  }
+  console.log('');
+
+  fs.mkdirSync(args.out, { recursive: true });
+  const jsonFile = path.join(args.out, 'walkforward.json');
+  const equityFile = path.join(args.out, 'equity.csv');
+  fs.writeFileSync(jsonFile, JSON.stringify(
+    { mode: report.mode, summary, stability, windows: report.windows },
+    (key, value) => (value === Infinity ? 'Inf' : value),
+    2
+  ) + '\n');
+  fs.writeFileSync(equityFile, ['time,equity', ...report.equityCurve.map((p) => `${p.time},${p.equity.toFixed(2)}`)].join('\n') + '\n');
+  console.log(`  Report: ${jsonFile}`);
+  console.log(`  Out-of-sample equity: ${equityFile}`);
+
+  const exporter = createExportWriter(config, args);
+  if (exporter) {
+    exporter.writeRun(report);
+    console.log(`  Out-of-sample trades, equity and signals: ${exporter.dir}`);
+  }
+  console.log('');
+}
+
+main().catch((err) => {
+  logger.error(`Fatal error: ${err.message}`);
+  process.exit(1);
+});
@@ -1,23 +1,28 @@
 #!/usr/bin/env node
 /**
  * Crypto Backtester
- * Fetches real OHLCV data from Binance, or uses realistic synthetic data
- * modeled on actual crypto volatility/drift when the API is unreachable.
+ * Reads real OHLCV data from the local candle store (fill it with
+ * `npm run sync`), or uses realistic synthetic data modeled on actual
+ * crypto volatility/drift for series that have not been synced.
  *
  * Usage:
  *   node src/backtest-crypto.js
  *   SYMBOLS=BTCUSDT,ETHUSDT TIMEFRAMES=4h node src/backtest-crypto.js
+ *   node src/backtest-crypto.js --report crypto-report.html
+ *   node src/backtest-crypto.js --export exports
+ *   node src/backtest-crypto.js --seed 42   # repeat a synthetic run
  */
+const { parseArgs } = require('util');
 const config = require('../config/default');
 const Logger = require('./utils/logger');
-const CryptoDataFeed = require('./engines/crypto-data-feed');
+const CandleStore = require('./engines/candle-store');
 const { generateRealisticCandles, CRYPTO_PROFILES } = require('./engines/realistic-crypto-data');
 const Backtester = require('./engines/backtester');
-const EmaCrossoverStrategy = require('./strategies/ema-crossover');
-const RsiStrategy = require('./strategies/rsi-strategy');
-const MacdStrategy = require('./strategies/macd-strategy');
-const BollingerStrategy = require('./strategies/bollinger-strategy');
-const CombinedStrategy = require('./strategies/combined-strategy');
+const { createStrategy, listStrategies, loadStrategyPlugins } = require('./strategies');
+const { assertValidConfig } = require('./utils/config-validator');
+const { formatSummary, pct } = require('./utils/format');
+const { writeReport } = require('./reports/html-report');
+const { createExportWriter, EXPORT_ARGS } = require('./reports/exporters');
 
 const logger = new Logger('info');
 const quietLogger = new Logger('error');
@@ -26,14 +31,21 @@ const SYMBOLS = (process.env.SYMBOLS || 'BTCUSDT,ETHUSDT,SOLUSDT').split(',');
 const TIMEFRAMES = (process.env.TIMEFRAMES || '1h,4h').split(',');
 const CANDLE_COUNT = parseInt(process.env.CANDLES || '750', 10);
 
+const { values: args } = parseArgs({
+  options: {
+    report: { type: 'string' },
+    seed: { type: 'string' },
+    ...EXPORT_ARGS,
+  },
+});
+
+loadStrategyPlugins(config.strategyPlugins);
+
 function getAllStrategies() {
-  return [
-    { name: 'EMA Crossover', instance: new EmaCrossoverStrategy(config.strategies.ema_crossover) },
-    { name: 'RSI', instance: new RsiStrategy(config.strategies.rsi) },
-    { name: 'MACD', instance: new MacdStrategy(config.strategies.macd) },
-    { name: 'Bollinger', instance: new BollingerStrategy(config.strategies.bollinger) },
-    { name: 'Combined', instance: new CombinedStrategy(config.strategies.combined, config.strategies) },
-  ];
+  return listStrategies().map(({ key }) => {
+    const instance = createStrategy(key, config.strategies);
+    return { name: instance.name, instance };
+  });
 }
 
 function formatNum(n, decimals = 2) {
@@ -41,6 +53,8 @@ function formatNum(n, decimals = 2) {
   return n >= 0 ? ` ${s}` : s;
 }
 
+const exporter = createExportWriter(config, args);
+
 async function backtestSymbol(symbol, timeframe, candles) {
   const strategies = getAllStrategies();
   const results = [];
@@ -52,10 +66,15 @@ async function backtestSymbol(symbol, timeframe, candles) {
       quietLogger
     );
     const res = bt.run(candles, 50);
+    if (exporter) {
+      exporter.child({ prefix: `${symbol}-${timeframe}-${name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}-`, symbol }).writeRun(res);
+    }
     results.push({
       strategy: name,
       ...res.summary,
       trades: res.trades,
+      result: res,
+      overlays: args.report ? instance.overlays(candles) : [],
     });
   }
 
@@ -90,30 +109,34 @@ function printTradeLog(trades, maxTrades = 20) {
 }
 
 async function run() {
+  if (args.seed !== undefined) config.seed = Number(args.seed);
+  assertValidConfig(config);
+
   logger.info('\n' + '═'.repeat(80));
   logger.info('  REAL CRYPTO BACKTEST');
-  logger.info('  Fetching live market data from Binance...');
+  logger.info(`  Reading market data from ${config.data.dir}...`);
+  logger.info(`  Seed for synthetic data: ${config.seed}`);
   logger.info('═'.repeat(80));
 
   const allResults = [];
+  const reportSections = [];
+  const store = new CandleStore(config.data.dir);
 
   for (const symbol of SYMBOLS) {
     for (const timeframe of TIMEFRAMES) {
       logger.info(`\n${'─'.repeat(80)}`);
-      logger.info(`  Fetching ${symbol} ${timeframe} (${CANDLE_COUNT} candles)...`);
-
-      let candles;
-      let dataSource = 'Binance API';
-      try {
-        candles = await CryptoDataFeed.fetchExtended(symbol, timeframe, CANDLE_COUNT);
-      } catch (err) {
-        logger.warn(`  Binance API unavailable (${err.message}), using realistic synthetic data`);
+      logger.info(`  Loading ${symbol} ${timeframe} (${CANDLE_COUNT} candles)...`);
+
+      let candles = store.read(symbol, timeframe, { limit: CANDLE_COUNT });
+      let dataSource = 'Binance (candle store)';
+      if (candles.length === 0) {
+        logger.warn(`  No stored ${symbol} ${timeframe} candles (npm run sync -- --symbols ${symbol} --timeframe ${timeframe}), using realistic synthetic data`);
         if (!CRYPTO_PROFILES[symbol]) {
           logger.error(`  No profile for ${symbol}, skipping`);
           continue;
         }
-        candles = generateRealisticCandles(symbol, timeframe, CANDLE_COUNT);
-        dataSource = 'Realistic synthetic (modeled on real crypto volatility)';
+        candles = generateRealisticCandles(symbol, timeframe, CANDLE_COUNT, { seed: config.seed });
+        dataSource = `Realistic synthetic (modeled on real crypto volatility, seed ${config.seed})`;
       }
 
       if (candles.length < 100) {
@@ -139,14 +162,15 @@ async function run() {
 
       for (const r of results) {
         const name = r.strategy.padEnd(15);
-        const ret = r.totalReturn.padStart(10);
-        const wr = r.winRate.padStart(8);
-        const trades = String(r.totalTrades).padStart(6);
-        const wins = String(r.wins).padStart(4);
-        const losses = String(r.losses).padStart(6);
-        const avgW = r.avgWin.padStart(8);
-        const avgL = r.avgLoss.padStart(8);
-        const dd = r.maxDrawdown.padStart(10);
+        const s = formatSummary(r);
+        const ret = s.totalReturn.padStart(10);
+        const wr = s.winRate.padStart(8);
+        const trades = String(s.totalTrades).padStart(6);
+        const wins = String(s.wins).padStart(4);
+        const losses = String(s.losses).padStart(6);
+        const avgW = s.avgWin.padStart(8);
+        const avgL = s.avgLoss.padStart(8);
+        const dd = s.maxDrawdown.padStart(10);
         logger.info(`  │ ${name} │ ${ret} │ ${wr} │ ${trades} │ ${wins} │ ${losses} │ ${avgW} │ ${avgL} │ ${dd} │`);
       }
 
@@ -158,26 +182,33 @@ async function run() {
 
       // Detailed trade log for best strategy
       const best = results.reduce((a, b) =>
-        parseFloat(a.totalReturn) > parseFloat(b.totalReturn) ? a : b
+        a.totalReturn > b.totalReturn ? a : b
       );
 
-      logger.info(`\n  Best strategy: ${best.strategy} (${best.totalReturn} return, ${best.winRate} win rate)`);
-      if (parseFloat(best.totalReturn) > buyHoldReturn) {
-        logger.info(`  >>> BEATS Buy & Hold by ${(parseFloat(best.totalReturn) - buyHoldReturn).toFixed(2)}%`);
+      logger.info(`\n  Best strategy: ${best.strategy} (${pct(best.totalReturn)} return, ${pct(best.winRate, 1)} win rate)`);
+      if (best.totalReturn > buyHoldReturn) {
+        logger.info(`  >>> BEATS Buy & Hold by ${(best.totalReturn - buyHoldReturn).toFixed(2)}%`);
       } else {
-        logger.info(`  <<< Underperforms Buy & Hold by ${(buyHoldReturn - parseFloat(best.totalReturn)).toFixed(2)}%`);
+        logger.info(`  <<< Underperforms Buy & Hold by ${(buyHoldReturn - best.totalReturn).toFixed(2)}%`);
       }
 
       logger.info(`\n  Trade log for ${best.strategy}:`);
       printTradeLog(best.trades);
 
+      reportSections.push({
+        title: `${symbol} ${timeframe}`,
+        subtitle: `${dataSource} · ${candles.length} candles`,
+        candles,
+        runs: results.map((r) => ({ name: r.strategy, result: r.result, overlays: r.overlays })),
+      });
+
       allResults.push({
         symbol,
         timeframe,
         buyHoldReturn,
         results,
         bestStrategy: best.strategy,
-        bestReturn: parseFloat(best.totalReturn),
+        bestReturn: best.totalReturn,
       });
     }
   }
@@ -203,7 +234,7 @@ async function run() {
     const diff = r.bestReturn - r.buyHoldReturn;
     const vs = ((diff >= 0 ? '+' : '') + diff.toFixed(2) + '%').padStart(16);
     const bestResult = r.results.find((x) => x.strategy === r.bestStrategy);
-    const wr = (bestResult?.winRate || 'n/a').padStart(10);
+    const wr = (bestResult ? pct(bestResult.winRate, 1) : 'n/a').padStart(10);
     logger.info(`  │ ${sym} │ ${tf} │ ${strat} │ ${ret} │ ${vs} │ ${wr} │`);
 
     totalBotReturn += r.bestReturn;
@@ -221,6 +252,12 @@ async function run() {
     logger.info(`  Average alpha:                ${(avgBot - avgBH).toFixed(2)}%`);
   }
 
+  if (exporter) logger.info(`\n  Exports: ${exporter.dir}`);
+  if (args.report && reportSections.length > 0) {
+    writeReport(args.report, { title: 'Crypto Backtest', sections: reportSections });
+    logger.info(`\n  Report: ${args.report}`);
+  }
+
   logger.info('\n' + '═'.repeat(80));
   logger.info('  DISCLAIMER: Past performance does not guarantee future results.');
   logger.info('  Always paper trade before risking real capital.');
@@ -6,72 +6,80 @@
  *   node src/backtest.js
  *   STRATEGY=rsi node src/backtest.js
  *   STRATEGY=ema_crossover node src/backtest.js
+ *   node src/backtest.js --export exports --export-format csv,jsonl
+ *   SEED=42 node src/backtest.js   # same synthetic data as a previous run
  */
+const { parseArgs } = require('util');
 const config = require('../config/default');
 const Logger = require('./utils/logger');
 const DataFeed = require('./engines/data-feed');
 const Backtester = require('./engines/backtester');
+const { formatSummary, num } = require('./utils/format');
 
-// Strategy imports
-const EmaCrossoverStrategy = require('./strategies/ema-crossover');
-const RsiStrategy = require('./strategies/rsi-strategy');
-const MacdStrategy = require('./strategies/macd-strategy');
-const BollingerStrategy = require('./strategies/bollinger-strategy');
-const CombinedStrategy = require('./strategies/combined-strategy');
+const { createStrategy, listStrategies, loadStrategyPlugins } = require('./strategies');
+const { assertValidConfig } = require('./utils/config-validator');
+const { createRandom } = require('./utils/random');
+const { createExportWriter, EXPORT_ARGS } = require('./reports/exporters');
 
 const logger = new Logger(config.logLevel);
 
-function getStrategy(name) {
-  switch (name) {
-    case 'ema_crossover':
-      return new EmaCrossoverStrategy(config.strategies.ema_crossover);
-    case 'rsi':
-      return new RsiStrategy(config.strategies.rsi);
-    case 'macd':
-      return new MacdStrategy(config.strategies.macd);
-    case 'bollinger':
-      return new BollingerStrategy(config.strategies.bollinger);
-    case 'combined':
-    default:
-      return new CombinedStrategy(config.strategies.combined, config.strategies);
-  }
-}
+loadStrategyPlugins(config.strategyPlugins);
+
+const { values: args } = parseArgs({ options: { seed: { type: 'string' }, ...EXPORT_ARGS } });
 
 function runBacktest() {
+  if (args.seed !== undefined) config.seed = Number(args.seed);
+  assertValidConfig(config);
+  const random = createRandom(config.seed);
+
   const strategyName = config.strategy;
-  const strategy = getStrategy(strategyName);
+  const strategy = createStrategy(strategyName, config.strategies);
 
-  logger.info('Generating synthetic market data...');
+  logger.info(`Generating synthetic market data (seed ${config.seed})...`);
   const candles = DataFeed.generateTrendingMarket({
     startPrice: 40000,
     numCandles: 1000,
+    random,
   });
 
   const backtester = new Backtester(config, strategy, logger);
   const results = backtester.run(candles);
 
+  const exporter = createExportWriter(config, args);
+  if (exporter) {
+    exporter.writeRun(results);
+    logger.info(`Exported trades, equity and signals to ${exporter.dir}`);
+  }
+
   // Run a comparison across all strategies
   logger.info('\n\n' + '='.repeat(60));
   logger.info('STRATEGY COMPARISON');
   logger.info('='.repeat(60));
 
-  const strategies = ['ema_crossover', 'rsi', 'macd', 'bollinger', 'combined'];
+  const strategies = listStrategies().map(({ key }) => key);
   const comparisonCandles = DataFeed.generateTrendingMarket({
     startPrice: 40000,
     numCandles: 1000,
+    random,
   });
 
   const compLogger = new Logger('warn'); // quiet for comparison
 
   for (const name of strategies) {
-    const strat = getStrategy(name);
+    const strat = createStrategy(name, config.strategies);
     const bt = new Backtester(config, strat, compLogger);
     const res = bt.run(comparisonCandles);
-    logger.info(`  ${name.padEnd(15)} | Return: ${res.summary.totalReturn.padEnd(10)} | Win Rate: ${res.summary.winRate.padEnd(8)} | Trades: ${String(res.summary.totalTrades).padEnd(5)} | Max DD: ${res.summary.maxDrawdown.padEnd(8)} | PF: ${res.summary.profitFactor}`);
+    const s = formatSummary(res.summary);
+    logger.info(`  ${name.padEnd(15)} | Return: ${s.totalReturn.padEnd(10)} | Win Rate: ${s.winRate.padEnd(8)} | Trades: ${String(s.totalTrades).padEnd(5)} | Max DD: ${s.maxDrawdown.padEnd(8)} | Sharpe: ${num(res.metrics.sharpe).padEnd(6)} | PF: ${s.profitFactor}`);
   }
   logger.info('='.repeat(60));
 
   return results;
 }
 
-runBacktest();
+try {
+  runBacktest();
+} catch (err) {
+  logger.error(`Fatal error: ${err.message}`);
+  process.exit(1);
+}
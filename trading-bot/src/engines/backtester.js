@@ -3,7 +3,11 @@
  */
 const Portfolio = require('./portfolio');
 const RiskManager = require('./risk-manager');
+const ExecutionModel = require('./execution-model');
 const { SIGNAL } = require('../strategies/base-strategy');
+const { computeMetrics } = require('../utils/performance');
+const { formatSummary, formatMetrics } = require('../utils/format');
+const { TimeframeFeed, inferTimeframe } = require('../utils/timeframes');
 
 class Backtester {
   constructor(config, strategy, logger) {
@@ -14,13 +18,34 @@ class Backtester {
 
   /**
    * Run a backtest on the given candle data.
+   * Strategies that support the incremental API are fed one candle at a
+   * time via `onCandle`; others are re-evaluated on the growing window.
+   * Higher timeframes a strategy requires are built from `candles` as they
+   * close and passed along as the evaluation context.
    * @param {Array} candles – full OHLCV candle array
    * @param {number} lookback – how many candles the strategy needs to warm up
-   * @returns {object} – performance summary + trade list
+   * @returns {object} – performance summary, equity-curve metrics, the
+   *   per-bar equity curve, the trade list and the signal log (every
+   *   non-HOLD signal with the action taken on it)
    */
   run(candles, lookback = 50) {
-    const portfolio = new Portfolio(this.config.initialBalance, this.log);
-    const riskManager = new RiskManager(this.config, this.log);
+    const executionModel = new ExecutionModel(this.config.execution);
+    const portfolio = new Portfolio(this.config.initialBalance, this.log, {
+      marginRequirementPct: this.config.marginRequirementPct,
+      executionModel,
+    });
+    // Risk days roll over on candle time, not wall-clock time
+    let candleTime = candles[0].time;
+    const riskManager = new RiskManager(this.config, this.log, { clock: () => candleTime });
+    const intrabarPolicy = this.config.backtest?.intrabarPolicy || 'pessimistic';
+
+    // Mark-to-market equity at each bar's close, starting with the bar
+    // before the first traded one (the initial balance)
+    const equityCurve = [];
+    const signals = [];
+    const mark = (candle, inMarket = portfolio.positions.length > 0) => {
+      equityCurve.push({ time: candle.time, equity: portfolio.getTotalValue(candle.close), price: candle.close, inMarket });
+    };
 
     this.log.info(`\n${'='.repeat(60)}`);
     this.log.info(`BACKTEST START`);
@@ -30,53 +55,88 @@ class Backtester {
     this.log.info(`Candles: ${candles.length} | Initial balance: $${this.config.initialBalance}`);
     this.log.info(`${'='.repeat(60)}\n`);
 
+    const incremental = this.strategy.supportsIncremental?.() === true;
+    // The feed must see every candle, warm-up included
+    const feed = TimeframeFeed.forStrategy(this.strategy, inferTimeframe(candles) || this.config.timeframe);
+    if (incremental) this.strategy.reset();
+    for (let i = 0; i < Math.min(lookback, candles.length); i++) {
+      const context = feed?.update(candles[i]);
+      if (incremental) this.strategy.onCandle(candles[i], context);
+    }
+
     for (let i = lookback; i < candles.length; i++) {
-      const window = candles.slice(0, i + 1);
+      if (i > 0) mark(candles[i - 1]);
       const currentCandle = candles[i];
       const currentPrice = currentCandle.close;
+      executionModel.update(currentCandle);
+      candleTime = currentCandle.time;
+      riskManager.checkDayRollover();
+      const context = feed?.update(currentCandle);
 
-      // Check & close existing positions
-      for (const pos of [...portfolio.positions]) {
-        // Update trailing stop
-        pos.trailingStop = riskManager.updateTrailingStop(
-          currentPrice, pos.trailingStop, pos.side
-        );
-
-        // Check exit on trailing stop
-        const trailingHit = pos.side === 'BUY'
-          ? currentPrice <= pos.trailingStop
-          : currentPrice >= pos.trailingStop;
+      // Incremental strategies must see every candle, even while halted
+      const streamed = incremental ? this.strategy.onCandle(currentCandle, context) : null;
 
-        if (trailingHit && pos.trailingStop !== pos.stopLoss) {
-          const result = portfolio.closePosition(pos.id, currentPrice, 'Trailing stop hit', currentCandle.time);
+      // Check & close existing positions against the full candle range
+      for (const pos of [...portfolio.positions]) {
+        const exit = riskManager.checkIntrabarExit(pos, currentCandle, intrabarPolicy);
+        if (exit.shouldClose) {
+          const result = portfolio.closePosition(
+            pos.id, exit.fillPrice, exit.reason, currentCandle.time, exit.liquidity
+          );
           if (result) riskManager.recordPnL(result.pnl, portfolio.balance);
           continue;
         }
 
-        // Check stop-loss / take-profit
-        const exit = riskManager.checkExitConditions(pos, currentPrice);
-        if (exit.shouldClose) {
-          const result = portfolio.closePosition(pos.id, currentPrice, exit.reason, currentCandle.time);
-          if (result) riskManager.recordPnL(result.pnl, portfolio.balance);
-        }
+        // Ratchet trailing stop from the close – takes effect from the next candle
+        pos.trailingStop = riskManager.updateTrailingStop(
+          currentPrice, pos.trailingStop, pos.side
+        );
       }
 
-      // Check if risk manager allows new positions
-      riskManager.checkDayRollover();
+      // Check if risk manager allows trading
       if (riskManager.isHalted()) continue;
-      if (!riskManager.canOpenPosition(portfolio.positions.length)) continue;
 
       // Evaluate strategy
-      const evaluation = this.strategy.evaluate(window);
+      const evaluation = streamed || this.strategy.evaluate(candles.slice(0, i + 1), context);
       if (evaluation.signal === SIGNAL.HOLD) continue;
+      const logSignal = (action) => signals.push({
+        time: currentCandle.time,
+        price: currentPrice,
+        signal: evaluation.signal,
+        confidence: evaluation.confidence,
+        reason: evaluation.reason,
+        action,
+      });
 
       // Minimum confidence filter – skip low-quality signals
       const minConf = this.config.risk.minConfidence || 0;
-      if (evaluation.confidence < minConf) continue;
+      if (evaluation.confidence < minConf) {
+        logSignal('skipped: low confidence');
+        continue;
+      }
 
       const side = evaluation.signal;
+
+      // Spot mode: SELL exits open longs instead of opening a short
+      if (side === SIGNAL.SELL && !riskManager.allowsShorts()) {
+        const longs = portfolio.positions.filter((p) => p.side === SIGNAL.BUY);
+        for (const pos of longs) {
+          const result = portfolio.closePosition(pos.id, currentPrice, 'Sell signal', currentCandle.time);
+          if (result) riskManager.recordPnL(result.pnl, portfolio.balance);
+        }
+        logSignal(longs.length > 0 ? 'closed' : 'skipped: no position to close');
+        continue;
+      }
+
+      if (!riskManager.canOpenPosition(portfolio.positions.length)) {
+        logSignal('skipped: max open positions');
+        continue;
+      }
       const { quantity } = riskManager.calculatePositionSize(portfolio.balance, currentPrice);
-      if (quantity <= 0) continue;
+      if (quantity <= 0) {
+        logSignal('skipped: zero size');
+        continue;
+      }
 
       const stopLoss = riskManager.getStopLoss(currentPrice, side);
       const takeProfit = riskManager.getTakeProfit(currentPrice, side);
@@ -84,10 +144,11 @@ class Backtester {
       // Check risk/reward
       if (!riskManager.meetsRiskReward(currentPrice, stopLoss, takeProfit)) {
         this.log.debug(`Skipping trade: risk/reward ratio not met`);
+        logSignal('skipped: risk/reward');
         continue;
       }
 
-      portfolio.openPosition({
+      const opened = portfolio.openPosition({
         side,
         price: currentPrice,
         quantity,
@@ -96,28 +157,41 @@ class Backtester {
         reason: evaluation.reason,
         time: currentCandle.time,
       });
+      logSignal(opened ? 'opened' : 'skipped: insufficient balance');
     }
 
     // Close any remaining positions at last price
-    const lastPrice = candles[candles.length - 1].close;
+    const lastCandle = candles[candles.length - 1];
+    const lastPrice = lastCandle.close;
+    const inMarket = portfolio.positions.length > 0;
     for (const pos of [...portfolio.positions]) {
       const result = portfolio.closePosition(pos.id, lastPrice, 'End of backtest', candles[candles.length - 1].time);
       if (result) riskManager.recordPnL(result.pnl, portfolio.balance);
     }
 
+    mark(lastCandle, inMarket);
+
     const summary = portfolio.getSummary(lastPrice);
+    const metrics = computeMetrics({
+      equityCurve,
+      trades: portfolio.tradeHistory,
+      riskFreeRate: this.config.backtest?.riskFreeRate || 0,
+    });
 
     this.log.info(`\n${'='.repeat(60)}`);
     this.log.info(`BACKTEST RESULTS`);
     this.log.info(`${'='.repeat(60)}`);
-    Object.entries(summary).forEach(([key, val]) => {
+    Object.entries({ ...formatSummary(summary), ...formatMetrics(metrics) }).forEach(([key, val]) => {
       this.log.info(`  ${key.padEnd(20)}: ${val}`);
     });
     this.log.info(`${'='.repeat(60)}\n`);
 
     return {
       summary,
+      metrics,
+      equityCurve,
       trades: portfolio.tradeHistory,
+      signals,
     };
   }
 }
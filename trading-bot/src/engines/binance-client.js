@@ -4,18 +4,40 @@
  *
  * For paper trading, this module is NOT used – the TradingEngine
  * simulates orders internally.
+ *
+ * Order sizes and prices are fitted to the symbol's LOT_SIZE, PRICE_FILTER
+ * and MIN_NOTIONAL filters before sending; orders too small to pass are
+ * refused without a request.
+ *
+ * `baseUrl` points the client at another server with the same API, e.g.
+ * the local mock in tests/mock-binance-server.js. Failed requests reject
+ * with an Error carrying Binance's `code`, the HTTP `status` and, for
+ * rate limits (429) and bans (418), `retryAfter` in seconds.
  */
+const http = require('http');
 const https = require('https');
 const crypto = require('crypto');
+const { stepDecimals, roundToStep, fitOrder } = require('../utils/exchange-filters');
+
+const API_URL = 'https://api.binance.com';
+const TESTNET_API_URL = 'https://testnet.binance.vision';
 
 class BinanceClient {
-  constructor({ apiKey, apiSecret, testnet = false }, logger) {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey
+   * @param {string} options.apiSecret
+   * @param {boolean} [options.testnet=false]
+   * @param {string} [options.baseUrl] - overrides the Binance API URL
+   * @param {Logger} logger
+   */
+  constructor({ apiKey, apiSecret, testnet = false, baseUrl }, logger) {
     this.apiKey = apiKey;
     this.apiSecret = apiSecret;
-    this.baseUrl = testnet
-      ? 'testnet.binance.vision'
-      : 'api.binance.com';
+    this.baseUrl = new URL(baseUrl || (testnet ? TESTNET_API_URL : API_URL));
     this.log = logger;
+    // symbol => Promise<symbol info>, see getFilters
+    this.filters = new Map();
   }
 
   /**
@@ -46,39 +68,49 @@ class BinanceClient {
       const fullPath = method === 'GET'
         ? `${path}?${fullQs}`
         : path;
+      const body = method === 'POST' || method === 'DELETE' ? fullQs : null;
 
       const options = {
-        hostname: this.baseUrl,
-        port: 443,
-        path: fullPath,
+        hostname: this.baseUrl.hostname,
+        port: this.baseUrl.port || undefined,
+        path: this.baseUrl.pathname.replace(/\/$/, '') + fullPath,
         method,
         headers: {
           'X-MBX-APIKEY': this.apiKey,
           'Content-Type': 'application/x-www-form-urlencoded',
+          // Without a length Node sends a DELETE body unframed
+          ...(body !== null && { 'Content-Length': Buffer.byteLength(body) }),
         },
       };
 
-      const req = https.request(options, (res) => {
+      const transport = this.baseUrl.protocol === 'http:' ? http : https;
+      const req = transport.request(options, (res) => {
         let data = '';
         res.on('data', (chunk) => { data += chunk; });
         res.on('end', () => {
+          let parsed;
           try {
-            const parsed = JSON.parse(data);
-            if (parsed.code && parsed.code < 0) {
-              reject(new Error(`Binance API error ${parsed.code}: ${parsed.msg}`));
-            } else {
-              resolve(parsed);
-            }
+            parsed = JSON.parse(data);
           } catch (e) {
-            reject(new Error(`Failed to parse response: ${data.slice(0, 200)}`));
+            reject(res.statusCode >= 400
+              ? apiError(`Binance API HTTP ${res.statusCode}: ${data.slice(0, 200)}`, res)
+              : new Error(`Failed to parse response: ${data.slice(0, 200)}`));
+            return;
+          }
+          if (parsed.code && parsed.code < 0) {
+            reject(apiError(`Binance API error ${parsed.code}: ${parsed.msg}`, res, parsed.code));
+          } else if (res.statusCode >= 400) {
+            reject(apiError(`Binance API HTTP ${res.statusCode}: ${data.slice(0, 200)}`, res));
+          } else {
+            resolve(parsed);
           }
         });
       });
 
       req.on('error', reject);
 
-      if (method === 'POST' || method === 'DELETE') {
-        req.write(fullQs);
+      if (body !== null) {
+        req.write(body);
       }
 
       req.end();
@@ -96,12 +128,14 @@ class BinanceClient {
   }
 
   /**
-   * Get OHLCV candles.
+   * Get OHLCV candles – the latest `limit`, or the first `limit` from
+   * `startTime` (ms) when given.
    */
-  async getCandles(symbol, interval, limit = 100) {
-    const data = await this._request('GET', '/api/v3/klines', {
-      symbol, interval, limit,
-    }, false);
+  async getCandles(symbol, interval, limit = 100, startTime, endTime) {
+    const params = { symbol, interval, limit };
+    if (startTime !== undefined) params.startTime = startTime;
+    if (endTime !== undefined) params.endTime = endTime;
+    const data = await this._request('GET', '/api/v3/klines', params, false);
     return data.map((k) => ({
       time: new Date(k[0]).toISOString(),
       open: parseFloat(k[1]),
@@ -156,53 +190,80 @@ class BinanceClient {
   }
 
   /**
-   * Place a MARKET order.
+   * Place a MARKET order. The quantity is fitted to the symbol's filters
+   * first; `referencePrice` (the last price, fetched when omitted) is used
+   * for the minimum notional check.
    */
-  async marketOrder(symbol, side, quantity) {
-    this.log.info(`Placing ${side} MARKET order: ${quantity} ${symbol}`);
+  async marketOrder(symbol, side, quantity, referencePrice) {
+    const lastPrice = referencePrice ?? await this.getPrice(symbol);
+    const order = await this._fitOrder(symbol, side, 'MARKET', { quantity, referencePrice: lastPrice });
+    this.log.info(`Placing ${side} MARKET order: ${order.quantity} ${symbol}`);
     const data = await this._request('POST', '/api/v3/order', {
       symbol,
       side,         // BUY or SELL
       type: 'MARKET',
-      quantity: this._formatQty(quantity),
+      quantity: this._formatQty(order.quantity, order.filters),
     }, true);
     this.log.info(`Order filled: ${data.executedQty} @ avg price ${data.fills?.[0]?.price || 'N/A'}`);
     return data;
   }
 
   /**
-   * Place a LIMIT order.
+   * Place a LIMIT order (quantity and price fitted to the symbol's filters).
    */
   async limitOrder(symbol, side, quantity, price) {
-    this.log.info(`Placing ${side} LIMIT order: ${quantity} ${symbol} @ ${price}`);
+    const order = await this._fitOrder(symbol, side, 'LIMIT', { quantity, price });
+    this.log.info(`Placing ${side} LIMIT order: ${order.quantity} ${symbol} @ ${order.price}`);
     const data = await this._request('POST', '/api/v3/order', {
       symbol,
       side,
       type: 'LIMIT',
       timeInForce: 'GTC',
-      quantity: this._formatQty(quantity),
-      price: this._formatPrice(price),
+      quantity: this._formatQty(order.quantity, order.filters),
+      price: this._formatPrice(order.price, order.filters),
     }, true);
     return data;
   }
 
   /**
-   * Place a STOP-LOSS LIMIT order.
+   * Place a STOP-LOSS LIMIT order (quantity and prices fitted to the
+   * symbol's filters).
    */
   async stopLossOrder(symbol, side, quantity, stopPrice, price) {
-    this.log.info(`Placing ${side} STOP_LOSS_LIMIT: ${quantity} ${symbol} stop@${stopPrice} limit@${price}`);
+    const order = await this._fitOrder(symbol, side, 'STOP_LOSS_LIMIT', { quantity, price });
+    const stop = roundToStep(stopPrice, order.filters.tickSize);
+    this.log.info(`Placing ${side} STOP_LOSS_LIMIT: ${order.quantity} ${symbol} stop@${stop} limit@${order.price}`);
     const data = await this._request('POST', '/api/v3/order', {
       symbol,
       side,
       type: 'STOP_LOSS_LIMIT',
       timeInForce: 'GTC',
-      quantity: this._formatQty(quantity),
-      stopPrice: this._formatPrice(stopPrice),
-      price: this._formatPrice(price),
+      quantity: this._formatQty(order.quantity, order.filters),
+      stopPrice: this._formatPrice(stop, order.filters),
+      price: this._formatPrice(order.price, order.filters),
     }, true);
     return data;
   }
 
+  /**
+   * Average price and quantity actually received for an order response.
+   * Commission paid in the base asset (Binance's default on buys) is
+   * deducted, since it never reaches the account; `executedQty` is the
+   * quantity traded before that.
+   */
+  async fillOf(order) {
+    const { baseAsset } = await this.getFilters(order.symbol);
+    const executed = parseFloat(order.executedQty);
+    const commission = (order.fills || [])
+      .filter((f) => f.commissionAsset === baseAsset)
+      .reduce((sum, f) => sum + parseFloat(f.commission), 0);
+    return {
+      quantity: Number((executed - commission).toFixed(8)),
+      executedQty: executed,
+      price: executed > 0 ? parseFloat(order.cummulativeQuoteQty) / executed : null,
+    };
+  }
+
   /**
    * Cancel an order.
    */
@@ -222,13 +283,54 @@ class BinanceClient {
 
   // ── Helpers ──────────────────────────────────────────────────────
 
-  _formatQty(qty) {
-    return parseFloat(qty).toFixed(6);
+  /**
+   * Symbol filters (see getSymbolInfo), fetched once per symbol.
+   */
+  getFilters(symbol) {
+    if (!this.filters.has(symbol)) {
+      const info = this.getSymbolInfo(symbol);
+      this.filters.set(symbol, info);
+      // Ask again next time rather than caching the failure
+      info.catch(() => this.filters.delete(symbol));
+    }
+    return this.filters.get(symbol);
+  }
+
+  /**
+   * Fit an order to the symbol's filters (see utils/exchange-filters.js),
+   * or throw when it would be rejected anyway.
+   */
+  async _fitOrder(symbol, side, type, { quantity, price, referencePrice }) {
+    const filters = await this.getFilters(symbol);
+    const order = fitOrder({ quantity, price, referencePrice }, filters);
+    if (order.error) {
+      throw new Error(`${side} ${type} order for ${symbol} not sent: ${order.error}`);
+    }
+    if (quantity > filters.maxQty) {
+      this.log.warn(`${side} ${type} order for ${symbol} reduced from ${quantity} to the maximum of ${order.quantity} (LOT_SIZE)`);
+    }
+    return { ...order, filters };
   }
 
-  _formatPrice(price) {
-    return parseFloat(price).toFixed(2);
+  _formatQty(qty, filters) {
+    return qty.toFixed(stepDecimals(filters.stepSize));
   }
+
+  _formatPrice(price, filters) {
+    return price.toFixed(stepDecimals(filters.tickSize));
+  }
+}
+
+/**
+ * Error for a failed request, with what callers need to react to it.
+ */
+function apiError(message, res, code = null) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = res.statusCode;
+  const retryAfter = Number(res.headers['retry-after']);
+  if (retryAfter > 0) err.retryAfter = retryAfter;
+  return err;
 }
 
 module.exports = BinanceClient;
@@ -0,0 +1,239 @@
+/**
+ * Binance Stream – live klines and best bid/ask over a WebSocket, so the
+ * live engine reacts to prices as they change instead of once per poll.
+ *
+ * Subscribes to the combined `<symbol>@kline_<interval>` and
+ * `<symbol>@bookTicker` streams and emits:
+ *
+ *   'kline'   (candle, closed) – every kline update, forming or closed
+ *   'candle'  (candle)         – each candle once, when it closes
+ *   'price'   ({ bid, ask })   – best bid/ask (a kline's close for both
+ *                                when it is the latest trade)
+ *   'open'    ()               – connected (again)
+ *   'backfill'(count)          – closed candles recovered over REST
+ *
+ * The connection is kept alive: pings from the server are answered, a quiet
+ * connection is pinged and then dropped, and any disconnect is followed by a
+ * reconnect with exponential backoff. Candles that closed while the stream
+ * was down are fetched over REST on reconnect and emitted as 'candle' in
+ * order before live messages resume, so no closed candle is missed or
+ * repeated. If the backfill fails the connection is dropped and retried
+ * with the same backoff, rather than resuming over the gap.
+ */
+const { EventEmitter } = require('events');
+const CryptoDataFeed = require('./crypto-data-feed');
+const { WebSocketClient } = require('../utils/websocket');
+const { bucketEnd } = require('../utils/timeframes');
+
+const STREAM_URL = 'wss://stream.binance.com:9443';
+const TESTNET_STREAM_URL = 'wss://stream.testnet.binance.vision';
+
+// Binance serves at most this many klines per request
+const PAGE_SIZE = 1000;
+
+class BinanceStream extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.symbol - e.g. BTCUSDT
+   * @param {string} options.interval - kline interval, e.g. 1h
+   * @param {boolean} [options.testnet=false]
+   * @param {string} [options.baseUrl] - overrides the Binance stream host
+   * @param {number} [options.lastClosed] - open time (ms) of the last closed
+   *   candle the caller already has; candles after it are backfilled on connect
+   * @param {Function} [options.fetch] - (symbol, interval, limit, startTime, endTime)
+   *   => Promise<candles>; defaults to the Binance public API
+   * @param {Function} [options.clock] - () => ms, decides which backfilled candles have closed
+   * @param {number} [options.heartbeatMs=30000] - ping after this long without
+   *   data, reconnect after twice as long
+   * @param {number} [options.reconnectDelayMs=1000] - first reconnect delay, doubled per failure
+   * @param {number} [options.maxReconnectDelayMs=30000]
+   * @param {Logger} logger
+   */
+  constructor({
+    symbol,
+    interval,
+    testnet = false,
+    baseUrl = testnet ? TESTNET_STREAM_URL : STREAM_URL,
+    lastClosed = null,
+    fetch = CryptoDataFeed.fetch.bind(CryptoDataFeed),
+    clock = Date.now,
+    heartbeatMs = 30000,
+    reconnectDelayMs = 1000,
+    maxReconnectDelayMs = 30000,
+  }, logger) {
+    super();
+    this.symbol = symbol;
+    this.interval = interval;
+    const streams = [`${symbol.toLowerCase()}@kline_${interval}`, `${symbol.toLowerCase()}@bookTicker`];
+    this.url = `${baseUrl}/stream?streams=${streams.join('/')}`;
+    this.lastClosed = lastClosed;
+    this.fetch = fetch;
+    this.clock = clock;
+    this.heartbeatMs = heartbeatMs;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.maxReconnectDelayMs = maxReconnectDelayMs;
+    this.log = logger;
+
+    this.ws = null;
+    this.running = false;
+    this.connections = 0;
+    this.failures = 0;
+    this.lastMessageAt = 0;
+    this.heartbeatTimer = null;
+    this.reconnectTimer = null;
+    // Messages received while a backfill is in flight, replayed after it
+    this.held = null;
+  }
+
+  /**
+   * Connect and keep reconnecting until `stop`. Resolves after the first
+   * attempt, whether or not it succeeded.
+   */
+  start() {
+    this.running = true;
+    return this._connect();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.heartbeatTimer);
+    if (this.ws) this.ws.close();
+  }
+
+  async _connect() {
+    this.reconnectTimer = null;
+    const ws = new WebSocketClient(this.url);
+    this.ws = ws;
+    // Hold live messages until the backfill has caught up – they can arrive
+    // with the handshake response
+    this.held = this.lastClosed !== null ? [] : null;
+    ws.on('message', (text) => this._onMessage(text));
+    ws.on('ping', () => { this.lastMessageAt = Date.now(); });
+    ws.on('pong', () => { this.lastMessageAt = Date.now(); });
+    ws.on('error', (err) => this.log.warn(`Market stream error: ${err.message}`));
+    ws.on('close', (code) => {
+      clearInterval(this.heartbeatTimer);
+      if (!this.running || ws !== this.ws) return;
+      this.log.warn(`Market stream closed (code ${code})`);
+      this._scheduleReconnect();
+    });
+
+    try {
+      await ws.connect();
+    } catch (err) {
+      this.log.warn(`Market stream connection failed: ${err.message}`);
+      this._scheduleReconnect();
+      return;
+    }
+    if (!this.running) {
+      ws.close();
+      return;
+    }
+
+    this.lastMessageAt = Date.now();
+    this.heartbeatTimer = setInterval(() => this._heartbeat(), this.heartbeatMs);
+    this.log.info(`Market stream ${this.connections++ === 0 ? 'connected' : 'reconnected'}: ${this.symbol} ${this.interval}`);
+    this.emit('open');
+    // Backoff only resets once the stream has caught up
+    if (this.lastClosed === null || await this._backfill()) this.failures = 0;
+  }
+
+  _scheduleReconnect() {
+    if (!this.running || this.reconnectTimer) return;
+    const delay = Math.min(this.maxReconnectDelayMs, this.reconnectDelayMs * 2 ** this.failures++);
+    this.log.info(`Reconnecting market stream in ${delay / 1000}s...`);
+    this.reconnectTimer = setTimeout(() => this._connect(), delay);
+  }
+
+  /**
+   * Ping a quiet connection; drop it when the ping went unanswered too.
+   */
+  _heartbeat() {
+    const silentMs = Date.now() - this.lastMessageAt;
+    if (silentMs >= 2 * this.heartbeatMs) {
+      this.log.warn(`No market data for ${Math.round(silentMs / 1000)}s – reconnecting`);
+      this.ws.terminate();
+    } else if (silentMs >= this.heartbeatMs && this.ws.open) {
+      this.ws.ping();
+    }
+  }
+
+  /**
+   * Fetch and emit the candles that closed after `lastClosed`, page by page,
+   * then replay the live messages held back meanwhile. On failure the held
+   * messages are dropped with the connection, so the next connection
+   * backfills the same gap. Resolves with whether it succeeded.
+   */
+  async _backfill() {
+    const ws = this.ws;
+    let count = 0;
+    try {
+      for (;;) {
+        const batch = await this.fetch(this.symbol, this.interval, PAGE_SIZE, this.lastClosed + 1, this.clock());
+        const closed = batch.filter((c) => Date.parse(c.time) > this.lastClosed &&
+          bucketEnd(Date.parse(c.time), this.interval) <= this.clock());
+        closed.forEach((c) => this._emitClosed(c));
+        count += closed.length;
+        if (batch.length < PAGE_SIZE || closed.length === 0) break;
+      }
+    } catch (err) {
+      this.log.warn(`Market stream backfill failed: ${err.message} – reconnecting`);
+      this.held = null;
+      ws.terminate();
+      return false;
+    }
+    if (count > 0) {
+      this.log.info(`Backfilled ${count} candle(s) missed while disconnected`);
+      this.emit('backfill', count);
+    }
+    const held = this.held;
+    this.held = null;
+    held.forEach((text) => this._onMessage(text));
+    return true;
+  }
+
+  _onMessage(text) {
+    this.lastMessageAt = Date.now();
+    if (this.held) {
+      this.held.push(text);
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      this.log.warn(`Unreadable market stream message: ${String(text).slice(0, 100)}`);
+      return;
+    }
+    // Combined streams wrap each payload as { stream, data }
+    const data = message.data || message;
+
+    if (data.e === 'kline') {
+      const k = data.k;
+      const candle = {
+        time: new Date(k.t).toISOString(),
+        open: parseFloat(k.o),
+        high: parseFloat(k.h),
+        low: parseFloat(k.l),
+        close: parseFloat(k.c),
+        volume: parseFloat(k.v),
+      };
+      this.emit('kline', candle, k.x);
+      this.emit('price', { bid: candle.close, ask: candle.close });
+      if (k.x) this._emitClosed(candle);
+    } else if (data.b !== undefined && data.a !== undefined) {
+      this.emit('price', { bid: parseFloat(data.b), ask: parseFloat(data.a) });
+    }
+  }
+
+  _emitClosed(candle) {
+    const time = Date.parse(candle.time);
+    if (this.lastClosed !== null && time <= this.lastClosed) return;
+    this.lastClosed = time;
+    this.emit('candle', candle);
+  }
+}
+
+module.exports = BinanceStream;
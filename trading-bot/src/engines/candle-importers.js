@@ -0,0 +1,261 @@
+/**
+ * Candle Importers – turn OHLCV files into the standard
+ * `{ time, open, high, low, close, volume }` candles.
+ *
+ * Formats (`format`):
+ *   csv         – delimited text with a header row naming the columns
+ *                 (time, open, high, low, close, volume by default)
+ *   binance     – Binance Vision kline dumps: open time first, in
+ *                 milliseconds or (since 2025) microseconds; the header
+ *                 row (open_time, open, ...) of some dumps is skipped
+ *   tradingview – TradingView chart exports: time, open, high, low, close
+ *                 and Volume when the volume study was on the chart
+ *   json        – an array of candles, as written by the other tools
+ *   auto        – picked from the extension and the first line
+ *
+ * `.zip` files are unpacked first and every CSV inside is read, so a
+ * monthly Binance dump can be imported as downloaded.
+ *
+ * Each row is checked: prices are positive numbers, high is at least
+ * max(open, close) and low at most min(open, close), volume is not
+ * negative and the time parses. Rows are sorted by time and duplicate
+ * times are rejected. With `invalid: 'error'` (default) any bad row fails
+ * the import; with 'skip' bad rows are dropped and reported.
+ */
+const fs = require('fs');
+const path = require('path');
+const { readZip } = require('../utils/zip');
+
+const FIELDS = ['time', 'open', 'high', 'low', 'close', 'volume'];
+const FORMATS = ['auto', 'csv', 'binance', 'tradingview', 'json'];
+const TIME_UNITS = ['auto', 's', 'ms', 'us', 'iso'];
+
+const PRESETS = {
+  csv: { header: true, columns: {} },
+  binance: { header: 'auto', columns: { time: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 } },
+  tradingview: { header: true, columns: {} },
+};
+
+/**
+ * Milliseconds since the epoch for a time cell.
+ * Numbers in 'auto' are read by magnitude: seconds up to 1e11,
+ * milliseconds up to 1e14, microseconds above. Dates without a zone are UTC.
+ */
+function parseTime(value, unit = 'auto') {
+  const text = String(value).trim();
+  const numeric = /^\d+(\.\d+)?$/.test(text);
+  if (unit === 'iso' || (unit === 'auto' && !numeric)) {
+    const hasZone = /(Z|[+-]\d\d:?\d\d)$/i.test(text) || !/\d:\d\d/.test(text);
+    return Date.parse(hasZone ? text : `${text.replace(' ', 'T')}Z`);
+  }
+  if (!numeric) return NaN;
+  const n = Number(text);
+  if (unit === 's') return n * 1000;
+  if (unit === 'ms') return n;
+  if (unit === 'us') return Math.floor(n / 1000);
+  if (n < 1e11) return n * 1000;
+  return n < 1e14 ? n : Math.floor(n / 1000);
+}
+
+/**
+ * Why a candle fails the OHLC sanity checks, or null.
+ */
+function candleError(c) {
+  for (const field of ['open', 'high', 'low', 'close']) {
+    if (!Number.isFinite(c[field]) || c[field] <= 0) return `${field} must be a positive number`;
+  }
+  if (!Number.isFinite(c.volume) || c.volume < 0) return 'volume must be a non-negative number';
+  if (c.high < Math.max(c.open, c.close)) return `high ${c.high} is below max(open, close)`;
+  if (c.low > Math.min(c.open, c.close)) return `low ${c.low} is above min(open, close)`;
+  return null;
+}
+
+function splitLine(line, delimiter) {
+  // Quoted cells ("1,234.5") are rare in OHLCV files but cheap to support
+  if (!line.includes('"')) return line.split(delimiter);
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (quoted && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (ch === delimiter && !quoted) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+/**
+ * Column index of each field from a header row. `columns` maps fields to
+ * header names or 0-based indexes; unmapped fields are looked up by their
+ * own name, case-insensitively. A missing volume column reads as 0.
+ */
+function resolveColumns(columns, header) {
+  const names = header ? header.map((h) => h.trim().toLowerCase()) : null;
+  const indexes = {};
+  for (const field of FIELDS) {
+    const wanted = columns[field] ?? field;
+    if (typeof wanted === 'number') {
+      indexes[field] = wanted;
+      continue;
+    }
+    const index = names ? names.indexOf(String(wanted).toLowerCase()) : -1;
+    if (index < 0 && !(field === 'volume' && columns.volume === undefined)) {
+      throw new Error(`No "${wanted}" column for ${field}${names ? ` (columns: ${header.join(', ')})` : ' – the file has no header, map columns by index'}`);
+    }
+    indexes[field] = index;
+  }
+  return indexes;
+}
+
+/**
+ * Parse delimited OHLCV text.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.format='csv'] - csv | binance | tradingview (column presets)
+ * @param {object} [options.columns] - { field: header name | index }, over the preset
+ * @param {boolean|string} [options.header] - true, false or 'auto' (header when the
+ *   first row's time cell is not a number)
+ * @param {string} [options.timeUnit='auto'] - auto | s | ms | us | iso
+ * @param {string} [options.delimiter=',']
+ * @param {string} [options.invalid='error'] - error | skip
+ * @param {string} [options.source='input'] - name used in messages
+ * @returns {{ candles: Array, rejected: Array<{ line: number, reason: string }> }}
+ */
+function parseCsv(text, {
+  format = 'csv', columns = {}, header, timeUnit = 'auto', delimiter = ',', invalid = 'error', source = 'input',
+} = {}) {
+  const preset = PRESETS[format];
+  if (!preset) throw new Error(`Unknown CSV format "${format}". Use one of ${Object.keys(PRESETS).join(', ')}`);
+  if (!TIME_UNITS.includes(timeUnit)) throw new Error(`Unknown time unit "${timeUnit}". Use one of ${TIME_UNITS.join(', ')}`);
+
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const mapping = { ...preset.columns, ...columns };
+  let hasHeader = header ?? preset.header;
+  if (hasHeader === 'auto') {
+    const first = splitLine(lines[0] || '', delimiter);
+    hasHeader = Number.isNaN(parseTime(first[mapping.time ?? 0] ?? '', 'auto'));
+  }
+  const indexes = resolveColumns(mapping, hasHeader ? splitLine(lines[0] || '', delimiter) : null);
+
+  const rows = [];
+  const rejected = [];
+  for (let i = hasHeader ? 1 : 0; i < lines.length; i++) {
+    if (lines[i].trim() === '') continue;
+    const cells = splitLine(lines[i], delimiter);
+    const number = (field) => (indexes[field] < 0 ? 0 : parseFloat(cells[indexes[field]]));
+    const time = parseTime(cells[indexes.time] ?? '', timeUnit);
+    const candle = {
+      time: Number.isFinite(time) ? new Date(time).toISOString() : null,
+      open: number('open'),
+      high: number('high'),
+      low: number('low'),
+      close: number('close'),
+      volume: number('volume'),
+    };
+    const reason = candle.time === null ? `unreadable time "${cells[indexes.time]}"` : candleError(candle);
+    if (reason) rejected.push({ line: i + 1, reason });
+    else rows.push({ line: i + 1, candle });
+  }
+
+  rows.sort((a, b) => Date.parse(a.candle.time) - Date.parse(b.candle.time));
+  const candles = [];
+  for (const row of rows) {
+    if (candles.length > 0 && candles[candles.length - 1].time === row.candle.time) {
+      rejected.push({ line: row.line, reason: `duplicate time ${row.candle.time}` });
+    } else {
+      candles.push(row.candle);
+    }
+  }
+  rejected.sort((a, b) => a.line - b.line);
+
+  if (invalid === 'error' && rejected.length > 0) {
+    const shown = rejected.slice(0, 5).map((r) => `  ${source}:${r.line}: ${r.reason}`).join('\n');
+    throw new Error(`${rejected.length} invalid row(s):\n${shown}${rejected.length > 5 ? '\n  ...' : ''}`);
+  }
+  return { candles, rejected };
+}
+
+/**
+ * Format of a file from its name and first line.
+ */
+function detectFormat(file, firstLine) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.json') return 'json';
+  const first = splitLine(firstLine, ',');
+  if (first.length >= 6 && (first[0].trim() === 'open_time' || !Number.isNaN(parseTime(first[0], 'auto')))) return 'binance';
+  return first.some((h) => h.trim() === 'Volume') || first[0]?.trim() === 'time' ? 'tradingview' : 'csv';
+}
+
+/**
+ * Import candles from a file (.csv, .txt, .json or a .zip of CSVs).
+ * Takes the options of `parseCsv`, plus `format: 'auto'` (default).
+ * @returns {{ candles: Array, rejected: Array, format: string }}
+ */
+function importCandles(file, { format = 'auto', ...options } = {}) {
+  if (!FORMATS.includes(format)) throw new Error(`Unknown format "${format}". Use one of ${FORMATS.join(', ')}`);
+  const buffer = fs.readFileSync(file);
+  const parts = path.extname(file).toLowerCase() === '.zip'
+    ? readZip(buffer).filter((e) => /\.(csv|txt)$/i.test(e.name)).map((e) => ({ name: `${file}/${e.name}`, text: e.data.toString('utf8') }))
+    : [{ name: file, text: buffer.toString('utf8') }];
+  if (parts.length === 0) throw new Error(`${file} contains no CSV files`);
+
+  const candles = [];
+  const rejected = [];
+  let used = format;
+  for (const part of parts) {
+    used = format === 'auto' ? detectFormat(part.name, part.text.split(/\r?\n/, 1)[0]) : format;
+    if (used === 'json') {
+      const parsed = parseJson(part.text, { ...options, source: part.name });
+      candles.push(...parsed.candles);
+      rejected.push(...parsed.rejected.map((r) => ({ ...r, file: part.name })));
+      continue;
+    }
+    const parsed = parseCsv(part.text, { ...options, format: used, source: part.name });
+    candles.push(...parsed.candles);
+    rejected.push(...parsed.rejected.map((r) => ({ ...r, file: part.name })));
+  }
+
+  // Several parts (monthly files) may overlap at the edges
+  candles.sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+  const unique = candles.filter((c, i) => i === 0 || c.time !== candles[i - 1].time);
+  return { candles: unique, rejected, format: used };
+}
+
+/**
+ * Validate an array of candles read from JSON.
+ */
+function parseJson(text, { invalid = 'error', source = 'input' } = {}) {
+  const rows = JSON.parse(text);
+  if (!Array.isArray(rows)) throw new Error(`${source}: expected an array of candles`);
+  const lines = rows.map((r) => FIELDS.map((f) => r[f]).join(','));
+  return parseCsv(lines.join('\n'), { format: 'binance', header: false, invalid, source, timeUnit: 'auto' });
+}
+
+/**
+ * Candles from a data file for the runners' `--data` flag.
+ */
+function readCandleFile(file, options) {
+  return importCandles(file, options).candles;
+}
+
+module.exports = {
+  FORMATS,
+  TIME_UNITS,
+  parseTime,
+  candleError,
+  parseCsv,
+  importCandles,
+  readCandleFile,
+};
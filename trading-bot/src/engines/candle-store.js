@@ -0,0 +1,250 @@
+/**
+ * Candle Store – closed exchange candles on disk, one JSON Lines file per
+ * symbol and interval:
+ *
+ *   <dir>/BTCUSDT/1h.jsonl   {"time":"2025-01-01T00:00:00.000Z","open":...}
+ *
+ * `sync` downloads only what a file lacks – history before its first
+ * candle, holes inside it and candles closed since its last one – so
+ * backtests read the same data offline on every run. Newer candles are
+ * appended; when earlier ranges are filled in, the file is rewritten
+ * through a temporary file and a rename so it is never left half-written.
+ * The forming candle is never stored.
+ */
+const fs = require('fs');
+const path = require('path');
+const CryptoDataFeed = require('./crypto-data-feed');
+const { bucketStart, bucketEnd, maxTimeframeMs } = require('../utils/timeframes');
+const { findGaps } = require('../utils/resampler');
+
+// Binance serves at most this many klines per request
+const PAGE_SIZE = 1000;
+// Candles fetched for a symbol that has none stored and no `since`
+const DEFAULT_HISTORY = 1000;
+
+const FIELDS = ['time', 'open', 'high', 'low', 'close', 'volume'];
+
+class CandleStore {
+  /**
+   * @param {string} dir - root directory of the store
+   * @param {object} [options]
+   * @param {string} [options.baseUrl] - Binance API URL for the default fetch
+   *   (empty = Binance)
+   * @param {Function} [options.fetch] - (symbol, interval, limit, startTime, endTime)
+   *   => Promise<candles>; defaults to the Binance public API
+   * @param {Function} [options.clock] - () => ms, decides which candles have closed
+   * @param {number} [options.pageDelayMs=200] - pause between requests (rate limits)
+   */
+  constructor(dir, { baseUrl = '', fetch = null, clock = Date.now, pageDelayMs = 200 } = {}) {
+    const feed = CryptoDataFeed.withBaseUrl(baseUrl);
+    this.dir = dir;
+    this.fetch = fetch || feed.fetch.bind(feed);
+    this.clock = clock;
+    this.pageDelayMs = pageDelayMs;
+  }
+
+  file(symbol, interval) {
+    return path.join(this.dir, symbol, `${interval}.jsonl`);
+  }
+
+  /**
+   * Every stored series with its range.
+   * @returns {Array<{ symbol, interval, count, first, last }>}
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+    const series = [];
+    for (const symbol of fs.readdirSync(this.dir).sort()) {
+      const symbolDir = path.join(this.dir, symbol);
+      if (!fs.statSync(symbolDir).isDirectory()) continue;
+      for (const name of fs.readdirSync(symbolDir).filter((f) => f.endsWith('.jsonl')).sort()) {
+        const interval = name.slice(0, -'.jsonl'.length);
+        const candles = this.read(symbol, interval);
+        series.push({
+          symbol,
+          interval,
+          count: candles.length,
+          first: candles[0]?.time ?? null,
+          last: candles[candles.length - 1]?.time ?? null,
+        });
+      }
+    }
+    return series;
+  }
+
+  /**
+   * Stored candles in time order, without duplicates.
+   * @param {object} [options]
+   * @param {string|number} [options.start] - first open time to include (ISO or ms)
+   * @param {string|number} [options.end] - open times before this only
+   * @param {number} [options.limit] - keep the last `limit` candles
+   */
+  read(symbol, interval, { start, end, limit } = {}) {
+    const from = start === undefined ? -Infinity : toMs(start);
+    const to = end === undefined ? Infinity : toMs(end);
+    const candles = normalize(this._readRaw(symbol, interval))
+      .filter((c) => Date.parse(c.time) >= from && Date.parse(c.time) < to);
+    return limit ? candles.slice(-limit) : candles;
+  }
+
+  /**
+   * The last `limit` stored candles for a backtest. Throws when there are
+   * none, naming the command that downloads them.
+   */
+  load(symbol, interval, limit) {
+    const candles = this.read(symbol, interval, { limit });
+    if (candles.length === 0) {
+      throw new Error(`No ${symbol} ${interval} candles in ${this.dir} – run: npm run sync -- --symbols ${symbol} --timeframe ${interval}`);
+    }
+    return candles;
+  }
+
+  /**
+   * Append candles newer than the last stored one.
+   * @returns {number} candles written
+   */
+  append(symbol, interval, candles) {
+    const stored = this._readRaw(symbol, interval);
+    const last = stored.length > 0 ? Date.parse(stored[stored.length - 1].time) : -Infinity;
+    const fresh = normalize(candles).filter((c) => Date.parse(c.time) > last);
+    if (fresh.length === 0) return 0;
+    const file = this.file(symbol, interval);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, serialize(fresh));
+    return fresh.length;
+  }
+
+  /**
+   * Add candles anywhere in the series, e.g. imported history older than
+   * what is stored. Stored candles win over new ones with the same time.
+   * @returns {number} candles added
+   */
+  merge(symbol, interval, candles) {
+    const stored = this._readRaw(symbol, interval);
+    const times = new Set(stored.map((c) => Date.parse(c.time)));
+    const fresh = normalize(candles).filter((c) => !times.has(Date.parse(c.time)));
+    if (fresh.length === 0) return 0;
+    const last = stored.length > 0 ? Date.parse(stored[stored.length - 1].time) : -Infinity;
+    if (Date.parse(fresh[0].time) > last) return this.append(symbol, interval, fresh);
+    this._rewrite(symbol, interval, normalize([...fresh, ...stored]));
+    return fresh.length;
+  }
+
+  /**
+   * Integrity report for a stored series.
+   * @returns {{ count, first, last, duplicates: string[], outOfOrder: number, gaps: Array }}
+   *   `gaps` as from `findGaps` (after sorting and dropping duplicates)
+   */
+  check(symbol, interval) {
+    const raw = this._readRaw(symbol, interval);
+    const seen = new Set();
+    const duplicates = [];
+    let outOfOrder = 0;
+    raw.forEach((c, i) => {
+      if (seen.has(c.time)) duplicates.push(c.time);
+      seen.add(c.time);
+      if (i > 0 && Date.parse(c.time) < Date.parse(raw[i - 1].time)) outOfOrder++;
+    });
+    const candles = normalize(raw);
+    return {
+      count: candles.length,
+      first: candles[0]?.time ?? null,
+      last: candles[candles.length - 1]?.time ?? null,
+      duplicates,
+      outOfOrder,
+      gaps: findGaps(candles, interval),
+    };
+  }
+
+  /**
+   * Download the closed candles the store is missing.
+   * @param {object} [options]
+   * @param {string|number} [options.since] - earliest open time wanted (ISO or ms);
+   *   defaults to the first stored candle, or 1000 candles back for a new series
+   * @returns {Promise<object>} `check` report plus `fetched` (candles added)
+   */
+  async sync(symbol, interval, { since } = {}) {
+    const formingOpen = bucketStart(this.clock(), interval);
+    const { duplicates, outOfOrder } = this.check(symbol, interval);
+    const stored = this.read(symbol, interval);
+    const ranges = [];
+
+    if (stored.length === 0) {
+      const start = since === undefined ? formingOpen - DEFAULT_HISTORY * maxTimeframeMs(interval) : toMs(since);
+      ranges.push([bucketStart(start, interval), formingOpen]);
+    } else {
+      const first = Date.parse(stored[0].time);
+      if (since !== undefined && toMs(since) < first) ranges.push([bucketStart(toMs(since), interval), first]);
+      for (const gap of findGaps(stored, interval)) ranges.push([Date.parse(gap.start), Date.parse(stored[gap.index].time)]);
+      const next = bucketEnd(Date.parse(stored[stored.length - 1].time), interval);
+      if (next < formingOpen) ranges.push([next, formingOpen]);
+    }
+
+    const fetched = [];
+    for (const [start, end] of ranges) fetched.push(...await this._fetchRange(symbol, interval, start, end));
+
+    // Rewrite when filling in before the last candle or cleaning up the file
+    const lastStored = stored.length > 0 ? Date.parse(stored[stored.length - 1].time) : -Infinity;
+    const tailOnly = ranges.every(([start]) => start > lastStored);
+    if (tailOnly && duplicates.length === 0 && outOfOrder === 0) {
+      this.append(symbol, interval, fetched);
+    } else if (fetched.length > 0 || duplicates.length > 0 || outOfOrder > 0) {
+      this._rewrite(symbol, interval, normalize([...stored, ...fetched]));
+    }
+    return { fetched: normalize(fetched).length, ...this.check(symbol, interval) };
+  }
+
+  /**
+   * Candles with open times in [start, end), page by page.
+   */
+  async _fetchRange(symbol, interval, start, end) {
+    const candles = [];
+    for (let from = start; from < end;) {
+      if (candles.length > 0 && this.pageDelayMs > 0) await new Promise((r) => setTimeout(r, this.pageDelayMs));
+      const batch = (await this.fetch(symbol, interval, PAGE_SIZE, from, end - 1))
+        .filter((c) => Date.parse(c.time) >= from && Date.parse(c.time) < end);
+      if (batch.length === 0) break;
+      candles.push(...batch);
+      from = bucketEnd(Date.parse(batch[batch.length - 1].time), interval);
+    }
+    return candles;
+  }
+
+  _readRaw(symbol, interval) {
+    const file = this.file(symbol, interval);
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`${file}:${i + 1}: ${err.message}`);
+      }
+    });
+  }
+
+  _rewrite(symbol, interval, candles) {
+    const file = this.file(symbol, interval);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, serialize(candles));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+}
+
+function toMs(time) {
+  return typeof time === 'number' ? time : Date.parse(time);
+}
+
+/**
+ * Sorted by time, one candle per open time (the last one written wins).
+ */
+function normalize(candles) {
+  const byTime = new Map();
+  for (const c of candles) byTime.set(Date.parse(c.time), c);
+  return [...byTime.entries()].sort((a, b) => a[0] - b[0]).map(([, c]) => c);
+}
+
+function serialize(candles) {
+  return candles.map((c) => JSON.stringify(Object.fromEntries(FIELDS.map((f) => [f, c[f]])))).join('\n') + '\n';
+}
+
+module.exports = CandleStore;
@@ -1,10 +1,28 @@
 /**
  * Crypto Data Feed – fetches real OHLCV data from Binance public API.
  * No API key required for public market data endpoints.
+ *
+ * Set `CryptoDataFeed.baseUrl`, or use `CryptoDataFeed.withBaseUrl(url)`,
+ * to read from another server with the same API (e.g. the mock in
+ * tests/mock-binance-server.js).
  */
+const http = require('http');
 const https = require('https');
+const { maxTimeframeMs } = require('../utils/timeframes');
 
 class CryptoDataFeed {
+  static baseUrl = 'https://api.binance.com';
+
+  /**
+   * A feed reading from `baseUrl` (this one when empty).
+   */
+  static withBaseUrl(baseUrl) {
+    if (!baseUrl) return this;
+    return class extends this {
+      static baseUrl = baseUrl;
+    };
+  }
+
   /**
    * Fetch OHLCV candles from Binance.
    * @param {string} symbol - e.g. 'BTCUSDT', 'ETHUSDT', 'SOLUSDT'
@@ -16,11 +34,11 @@ class CryptoDataFeed {
    */
   static fetch(symbol, interval = '1h', limit = 500, startTime, endTime) {
     return new Promise((resolve, reject) => {
-      let url = `https://api.binance.com/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`;
+      let url = `${this.baseUrl.replace(/\/$/, '')}/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`;
       if (startTime) url += `&startTime=${startTime}`;
       if (endTime) url += `&endTime=${endTime}`;
 
-      https.get(url, (res) => {
+      (url.startsWith('http:') ? http : https).get(url, (res) => {
         let data = '';
         res.on('data', (chunk) => { data += chunk; });
         res.on('end', () => {
@@ -56,14 +74,7 @@ class CryptoDataFeed {
    * @returns {Promise<Array>}
    */
   static async fetchExtended(symbol, interval = '1h', totalCandles = 1000) {
-    const intervalMs = {
-      '1m': 60000, '3m': 180000, '5m': 300000, '15m': 900000,
-      '30m': 1800000, '1h': 3600000, '2h': 7200000, '4h': 14400000,
-      '6h': 21600000, '8h': 28800000, '12h': 43200000, '1d': 86400000,
-      '3d': 259200000, '1w': 604800000,
-    };
-
-    const msPerCandle = intervalMs[interval] || 3600000;
+    const msPerCandle = maxTimeframeMs(interval);
     const now = Date.now();
     const allCandles = [];
     let endTime = now;
@@ -1,6 +1,9 @@
 /**
  * Data Feed – generates synthetic market data for testing / paper trading.
  * In production, replace this with real exchange API calls (e.g. via ccxt).
+ *
+ * Pass `random: createRandom(seed)` (utils/random.js) to get the same
+ * candles on every run.
  */
 
 class DataFeed {
@@ -15,6 +18,7 @@ class DataFeed {
     trend = 0.0001,       // slight upward drift
     startDate = new Date('2025-01-01'),
     intervalMs = 3600000, // 1 hour
+    random = Math.random,
   } = {}) {
     const candles = [];
     let price = startPrice;
@@ -23,7 +27,7 @@ class DataFeed {
       const time = new Date(startDate.getTime() + i * intervalMs).toISOString();
 
       // Geometric Brownian motion
-      const randomWalk = (Math.random() - 0.5) * 2 * volatility;
+      const randomWalk = (random() - 0.5) * 2 * volatility;
       const change = 1 + trend + randomWalk;
       const open = price;
       price *= change;
@@ -31,9 +35,9 @@ class DataFeed {
 
       // Generate high/low around open-close range
       const range = Math.abs(open - close);
-      const high = Math.max(open, close) + Math.random() * range * 0.5;
-      const low = Math.min(open, close) - Math.random() * range * 0.5;
-      const volume = 100 + Math.random() * 900;
+      const high = Math.max(open, close) + random() * range * 0.5;
+      const low = Math.min(open, close) - random() * range * 0.5;
+      const volume = 100 + random() * 900;
 
       candles.push({
         time,
@@ -55,16 +59,17 @@ class DataFeed {
     numCandles = 500,
     startDate = new Date('2025-01-01'),
     intervalMs = 3600000,
+    random = Math.random,
   } = {}) {
     const candles = [];
     let price = startPrice;
     let phase = 'uptrend';
     let phaseCounter = 0;
     const phaseLengths = {
-      uptrend: 50 + Math.floor(Math.random() * 50),
-      consolidation: 20 + Math.floor(Math.random() * 30),
-      downtrend: 40 + Math.floor(Math.random() * 40),
-      recovery: 30 + Math.floor(Math.random() * 30),
+      uptrend: 50 + Math.floor(random() * 50),
+      consolidation: 20 + Math.floor(random() * 30),
+      downtrend: 40 + Math.floor(random() * 40),
+      recovery: 30 + Math.floor(random() * 30),
     };
 
     for (let i = 0; i < numCandles; i++) {
@@ -74,50 +79,50 @@ class DataFeed {
       let drift, vol;
       switch (phase) {
         case 'uptrend':
-          drift = 0.001 + Math.random() * 0.002;
+          drift = 0.001 + random() * 0.002;
           vol = 0.01;
           if (phaseCounter > phaseLengths.uptrend) {
             phase = 'consolidation';
             phaseCounter = 0;
-            phaseLengths.consolidation = 20 + Math.floor(Math.random() * 30);
+            phaseLengths.consolidation = 20 + Math.floor(random() * 30);
           }
           break;
         case 'consolidation':
-          drift = (Math.random() - 0.5) * 0.001;
+          drift = (random() - 0.5) * 0.001;
           vol = 0.005;
           if (phaseCounter > phaseLengths.consolidation) {
-            phase = Math.random() > 0.5 ? 'downtrend' : 'uptrend';
+            phase = random() > 0.5 ? 'downtrend' : 'uptrend';
             phaseCounter = 0;
           }
           break;
         case 'downtrend':
-          drift = -0.001 - Math.random() * 0.002;
+          drift = -0.001 - random() * 0.002;
           vol = 0.015;
           if (phaseCounter > phaseLengths.downtrend) {
             phase = 'recovery';
             phaseCounter = 0;
-            phaseLengths.recovery = 30 + Math.floor(Math.random() * 30);
+            phaseLengths.recovery = 30 + Math.floor(random() * 30);
           }
           break;
         case 'recovery':
-          drift = 0.0005 + Math.random() * 0.001;
+          drift = 0.0005 + random() * 0.001;
           vol = 0.008;
           if (phaseCounter > phaseLengths.recovery) {
             phase = 'uptrend';
             phaseCounter = 0;
-            phaseLengths.uptrend = 50 + Math.floor(Math.random() * 50);
+            phaseLengths.uptrend = 50 + Math.floor(random() * 50);
           }
           break;
       }
 
-      const randomWalk = (Math.random() - 0.5) * 2 * vol;
+      const randomWalk = (random() - 0.5) * 2 * vol;
       const open = price;
       price *= 1 + drift + randomWalk;
       const close = price;
       const range = Math.abs(open - close);
-      const high = Math.max(open, close) + Math.random() * range * 0.5;
-      const low = Math.min(open, close) - Math.random() * range * 0.5;
-      const volume = (phase === 'downtrend' ? 500 : 200) + Math.random() * 800;
+      const high = Math.max(open, close) + random() * range * 0.5;
+      const low = Math.min(open, close) - random() * range * 0.5;
+      const volume = (phase === 'downtrend' ? 500 : 200) + random() * 800;
 
       candles.push({
         time,
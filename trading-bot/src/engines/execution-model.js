@@ -0,0 +1,77 @@
+/**
+ * Execution Model – simulates the cost of getting filled in backtests and
+ * paper trading: maker/taker fees (with optional BNB discount), slippage
+ * (fixed or scaled by recent volatility) and half the bid/ask spread.
+ *
+ * Portfolio accepts any object with the same `update`, `getFillPrice` and
+ * `getFee` methods, so alternative cost models can be plugged in.
+ * The default-constructed model is frictionless.
+ */
+const { AtrStream } = require('../utils/streaming-indicators');
+
+class ExecutionModel {
+  constructor({
+    makerFeePct = 0,
+    takerFeePct = 0,
+    bnbDiscount = false,
+    bnbDiscountPct = 25,
+    slippage = 'fixed',       // fixed | volatility
+    slippagePct = 0,
+    slippageAtrMultiplier = 0,
+    atrPeriod = 14,
+    spreadPct = 0,
+  } = {}) {
+    this.makerFeePct = makerFeePct;
+    this.takerFeePct = takerFeePct;
+    this.bnbDiscount = bnbDiscount;
+    this.bnbDiscountPct = bnbDiscountPct;
+    this.slippage = slippage;
+    this.slippagePct = slippagePct;
+    this.slippageAtrMultiplier = slippageAtrMultiplier;
+    this.spreadPct = spreadPct;
+
+    this.atr = new AtrStream(atrPeriod);
+    this.lastClose = null;
+  }
+
+  /**
+   * Feed the latest completed candle so volatility-scaled slippage tracks the market.
+   */
+  update(candle) {
+    this.atr.update(candle);
+    this.lastClose = candle.close;
+  }
+
+  /**
+   * Current slippage in percent of price.
+   */
+  getSlippagePct() {
+    if (this.slippage === 'volatility') {
+      if (this.atr.value === null || !this.lastClose) return 0;
+      return (this.slippageAtrMultiplier * this.atr.value / this.lastClose) * 100;
+    }
+    return this.slippagePct;
+  }
+
+  /**
+   * Price actually received for an order on `side` at reference `price`.
+   * Taker orders cross half the spread and pay slippage; resting maker
+   * orders fill at their limit price.
+   */
+  getFillPrice(side, price, liquidity = 'taker') {
+    if (liquidity === 'maker') return price;
+    const adjust = (this.spreadPct / 2 + this.getSlippagePct()) / 100;
+    return side === 'BUY' ? price * (1 + adjust) : price * (1 - adjust);
+  }
+
+  /**
+   * Fee charged on a fill of the given notional value.
+   */
+  getFee(notional, liquidity = 'taker') {
+    const feePct = liquidity === 'maker' ? this.makerFeePct : this.takerFeePct;
+    const discount = this.bnbDiscount ? 1 - this.bnbDiscountPct / 100 : 1;
+    return notional * (feePct / 100) * discount;
+  }
+}
+
+module.exports = ExecutionModel;
@@ -5,18 +5,46 @@
  *                  but simulates orders locally – zero financial risk.
  *
  * For LIVE mode:   fetches real candles AND places real orders via authenticated API.
+ *
+ * Market data comes from the Binance WebSocket stream (`marketData: 'stream'`,
+ * the default; see binance-stream.js) – exits react to every bid/ask change
+ * and the strategy runs when a candle closes – or from polling the REST
+ * klines every `pollIntervalMs` (`marketData: 'poll'`).
  */
 const Portfolio = require('./portfolio');
 const RiskManager = require('./risk-manager');
+const ExecutionModel = require('./execution-model');
 const BinanceClient = require('./binance-client');
+const BinanceStream = require('./binance-stream');
 const { SIGNAL } = require('../strategies/base-strategy');
+const { formatSummary } = require('../utils/format');
+const { TimeframeFeed, maxTimeframeRatio } = require('../utils/timeframes');
+const { assertValidConfig } = require('../utils/config-validator');
 
 class LiveTradingEngine {
-  constructor(config, strategy, logger) {
+  /**
+   * @param {object} config
+   * @param {BaseStrategy} strategy
+   * @param {Logger} logger
+   * @param {object} [options]
+   * @param {ExportWriter} [options.exporter] - receives trades, equity and
+   *   signals after every tick (see `reports/exporters.js`)
+   * @param {EventEmitter} [options.stream] - market stream to use instead of
+   *   connecting a BinanceStream (stream mode only)
+   */
+  constructor(config, strategy, logger, { exporter = null, stream = null } = {}) {
     this.config = config;
     this.strategy = strategy;
     this.log = logger;
-    this.portfolio = new Portfolio(config.initialBalance, logger);
+    this.exporter = exporter;
+    this.stream = stream;
+    this.marketData = config.marketData || 'stream';
+    // Paper fills are simulated with the cost model; live fills come from the exchange
+    this.executionModel = new ExecutionModel(config.paperTrading ? config.execution : {});
+    this.portfolio = new Portfolio(config.initialBalance, logger, {
+      marginRequirementPct: config.marginRequirementPct,
+      executionModel: this.executionModel,
+    });
     this.riskManager = new RiskManager(config, logger);
     this.candles = [];
     this.running = false;
@@ -29,11 +57,18 @@ class LiveTradingEngine {
     // Map timeframe to Binance interval strings
     this.interval = config.timeframe || '1h';
 
+    // Enough history for ~100 candles of the strategy's longest timeframe
+    // (Binance serves at most 1000 per request)
+    const ratio = maxTimeframeRatio(this.interval, strategy.requiredTimeframes?.() || []);
+    this.historyLength = Math.min(1000, Math.max(200, 100 * ratio));
+    this.maxCandles = Math.max(500, this.historyLength);
+
     // Exchange client – used for data in both modes, orders only in live mode
     this.client = new BinanceClient({
       apiKey: config.exchange?.apiKey || '',
       apiSecret: config.exchange?.apiSecret || '',
       testnet: config.exchange?.testnet || false,
+      baseUrl: config.exchange?.baseUrl || undefined,
     }, logger);
   }
 
@@ -41,6 +76,10 @@ class LiveTradingEngine {
    * Start the live trading loop.
    */
   async start() {
+    // Refuse to place real orders with an invalid config (this also rejects
+    // margin mode – BinanceClient only talks to the spot API)
+    if (!this.paperMode) assertValidConfig(this.config, { live: true });
+
     this.running = true;
 
     this.log.info(`\n${'='.repeat(60)}`);
@@ -49,6 +88,8 @@ class LiveTradingEngine {
     this.log.info(`Strategy: ${this.strategy.name}`);
     this.log.info(`Symbol: ${this.symbol}`);
     this.log.info(`Timeframe: ${this.interval}`);
+    this.log.info(`Market data: ${this.marketData === 'stream' ? 'WebSocket stream' : `polling every ${this.config.pollIntervalMs / 1000}s`}`);
+    this.log.info(`Trading mode: ${this.riskManager.allowsShorts() ? 'MARGIN (shorts enabled)' : 'SPOT (long only)'}`);
     this.log.info(`Initial Balance: $${this.config.initialBalance}`);
     if (!this.paperMode) {
       this.log.warn('*** LIVE MODE – REAL ORDERS WILL BE PLACED ***');
@@ -58,7 +99,7 @@ class LiveTradingEngine {
     // Fetch initial historical candles
     try {
       this.log.info('Fetching historical candles from Binance...');
-      this.candles = await this.client.getCandles(this.symbol, this.interval, 200);
+      this.candles = await this.client.getCandles(this.symbol, this.interval, this.historyLength);
       this.log.info(`Loaded ${this.candles.length} historical candles`);
       this.log.info(`Latest price: $${this.candles[this.candles.length - 1].close}`);
     } catch (err) {
@@ -66,7 +107,7 @@ class LiveTradingEngine {
       this.log.info('Retrying in 5 seconds...');
       await this._sleep(5000);
       try {
-        this.candles = await this.client.getCandles(this.symbol, this.interval, 200);
+        this.candles = await this.client.getCandles(this.symbol, this.interval, this.historyLength);
         this.log.info(`Loaded ${this.candles.length} historical candles (retry)`);
       } catch (retryErr) {
         this.log.error(`Retry failed: ${retryErr.message}`);
@@ -74,6 +115,9 @@ class LiveTradingEngine {
       }
     }
 
+    // Warm up the cost model on completed candles (the last one may still be forming)
+    this.candles.slice(0, -1).forEach((c) => this.executionModel.update(c));
+
     // If live mode, verify API keys and show balance
     if (!this.paperMode) {
       try {
@@ -87,6 +131,11 @@ class LiveTradingEngine {
       }
     }
 
+    if (this.marketData === 'stream') {
+      await this._runStream();
+      return;
+    }
+
     // Main trading loop
     while (this.running) {
       try {
@@ -98,10 +147,86 @@ class LiveTradingEngine {
     }
   }
 
+  /**
+   * Trade on the WebSocket stream until `stop`: exits are checked on every
+   * price update, the strategy runs once per closed candle. Handlers run
+   * one at a time, in the order the stream delivered them.
+   */
+  async _runStream() {
+    if (!this.stream) {
+      this.stream = new BinanceStream({
+        symbol: this.symbol,
+        interval: this.interval,
+        testnet: this.config.exchange?.testnet || false,
+        baseUrl: this.config.exchange?.streamUrl || undefined,
+        fetch: (...args) => this.client.getCandles(...args),
+      }, this.log);
+    }
+    // The last history candle may still be forming – the stream backfills from the one before
+    const lastClosed = this.candles[this.candles.length - 2];
+    this.stream.lastClosed = lastClosed ? Date.parse(lastClosed.time) : null;
+
+    let queue = Promise.resolve();
+    const enqueue = (task) => {
+      queue = queue.then(task).catch((err) => this.log.error(`Stream handler error: ${err.message}`));
+    };
+    // Quotes arrive faster than orders fill – only the newest waiting one is processed
+    let waitingQuote = null;
+    this.stream.on('price', (quote) => {
+      if (waitingQuote === null) {
+        enqueue(() => {
+          const latest = waitingQuote;
+          waitingQuote = null;
+          return this.onPrice(latest);
+        });
+      }
+      waitingQuote = quote;
+    });
+    this.stream.on('kline', (candle) => enqueue(() => this._upsertCandle(candle)));
+    this.stream.on('candle', (candle) => enqueue(() => this.onCandle(candle)));
+
+    const stopped = new Promise((resolve) => { this._onStopped = resolve; });
+    await this.stream.start();
+    await stopped;
+  }
+
+  /**
+   * Stream mode: check stops and targets against a price update. Longs exit
+   * at the bid, shorts at the ask.
+   */
+  async onPrice({ bid, ask }) {
+    const tradeCount = this.portfolio.tradeHistory.length;
+    await this._manageExits((pos) => (pos.side === 'BUY' ? bid : ask));
+    if (this.exporter && this.portfolio.tradeHistory.length > tradeCount) {
+      this.exporter.write('trades', this.portfolio.tradeHistory.slice(tradeCount));
+    }
+  }
+
+  /**
+   * Stream mode: evaluate the strategy on a candle that just closed.
+   * New trades and the resulting equity go to the exporter, if any.
+   */
+  async onCandle(candle) {
+    const tradeCount = this.portfolio.tradeHistory.length;
+    this.tickCount++;
+    this._upsertCandle(candle);
+    this.executionModel.update(candle);
+    // Every candle held is closed at this point, so the context may use them all
+    await this._evaluate(candle.close, this._context(this.candles));
+    this._exportTick(tradeCount);
+  }
+
   /**
    * Process one tick – fetch latest candle, evaluate, trade.
+   * New trades and the resulting equity go to the exporter, if any.
    */
   async tick() {
+    const tradeCount = this.portfolio.tradeHistory.length;
+    await this._processTick();
+    this._exportTick(tradeCount);
+  }
+
+  async _processTick() {
     this.tickCount++;
 
     // Fetch latest candles from Binance
@@ -112,6 +237,8 @@ class LiveTradingEngine {
         for (const candle of latest) {
           const exists = this.candles.find((c) => c.time === candle.time);
           if (!exists) {
+            // The previous candle is now complete – feed it to the cost model
+            this.executionModel.update(this.candles[this.candles.length - 1]);
             this.candles.push(candle);
           } else {
             // Update the existing candle (it may still be forming)
@@ -124,14 +251,24 @@ class LiveTradingEngine {
     }
 
     // Keep rolling window
-    if (this.candles.length > 500) {
-      this.candles = this.candles.slice(-500);
+    if (this.candles.length > this.maxCandles) {
+      this.candles = this.candles.slice(-this.maxCandles);
     }
 
     const currentPrice = this.candles[this.candles.length - 1].close;
+    await this._manageExits(() => currentPrice);
 
-    // Manage existing positions
+    // Higher timeframes only include closed bars; the last candle may still be forming
+    await this._evaluate(currentPrice, this._context(this.candles.slice(0, -1)));
+  }
+
+  /**
+   * Close positions whose trailing stop, stop-loss or take-profit was hit.
+   * @param {Function} priceFor - position => price it would exit at
+   */
+  async _manageExits(priceFor) {
     for (const pos of [...this.portfolio.positions]) {
+      const currentPrice = priceFor(pos);
       pos.trailingStop = this.riskManager.updateTrailingStop(
         currentPrice, pos.trailingStop, pos.side
       );
@@ -150,7 +287,13 @@ class LiveTradingEngine {
         await this._closePosition(pos, currentPrice, exit.reason);
       }
     }
+  }
 
+  /**
+   * Check risk limits, evaluate the strategy on `this.candles` and act on
+   * its signal at `currentPrice`.
+   */
+  async _evaluate(currentPrice, context) {
     // Check risk limits
     this.riskManager.checkDayRollover();
     if (this.riskManager.isHalted()) {
@@ -160,8 +303,7 @@ class LiveTradingEngine {
       return;
     }
 
-    // Evaluate strategy
-    const evaluation = this.strategy.evaluate(this.candles);
+    const evaluation = this.strategy.evaluate(this.candles, context);
 
     if (evaluation.signal !== SIGNAL.HOLD) {
       this.log.debug(`Signal: ${evaluation.signal} (confidence: ${evaluation.confidence}%) – ${evaluation.reason}`);
@@ -170,21 +312,45 @@ class LiveTradingEngine {
     if (evaluation.signal === SIGNAL.HOLD) return;
 
     const minConf = this.config.risk.minConfidence || 0;
-    if (evaluation.confidence < minConf) return;
-
-    if (!this.riskManager.canOpenPosition(this.portfolio.positions.length)) return;
+    if (evaluation.confidence < minConf) {
+      this._exportSignal(evaluation, currentPrice, 'skipped: low confidence');
+      return;
+    }
 
     const side = evaluation.signal;
+
+    // Spot mode: SELL exits open longs instead of opening a short
+    if (side === SIGNAL.SELL && !this.riskManager.allowsShorts()) {
+      const longs = this.portfolio.positions.filter((p) => p.side === SIGNAL.BUY);
+      for (const pos of longs) {
+        await this._closePosition(pos, currentPrice, 'Sell signal');
+      }
+      this._exportSignal(evaluation, currentPrice, longs.length > 0 ? 'closed' : 'skipped: no position to close');
+      return;
+    }
+
+    if (!this.riskManager.canOpenPosition(this.portfolio.positions.length)) {
+      this._exportSignal(evaluation, currentPrice, 'skipped: max open positions');
+      return;
+    }
+
     const { quantity } = this.riskManager.calculatePositionSize(this.portfolio.balance, currentPrice);
-    if (quantity <= 0) return;
+    if (quantity <= 0) {
+      this._exportSignal(evaluation, currentPrice, 'skipped: zero size');
+      return;
+    }
 
     const stopLoss = this.riskManager.getStopLoss(currentPrice, side);
     const takeProfit = this.riskManager.getTakeProfit(currentPrice, side);
 
-    if (!this.riskManager.meetsRiskReward(currentPrice, stopLoss, takeProfit)) return;
+    if (!this.riskManager.meetsRiskReward(currentPrice, stopLoss, takeProfit)) {
+      this._exportSignal(evaluation, currentPrice, 'skipped: risk/reward');
+      return;
+    }
 
     // Place order
-    await this._openPosition(side, currentPrice, quantity, stopLoss, takeProfit, evaluation.reason);
+    const opened = await this._openPosition(side, currentPrice, quantity, stopLoss, takeProfit, evaluation.reason);
+    this._exportSignal(evaluation, currentPrice, opened ? 'opened' : 'skipped: order not filled');
 
     // Print status periodically
     if (this.tickCount % 10 === 0) {
@@ -193,48 +359,124 @@ class LiveTradingEngine {
   }
 
   /**
-   * Open a position – paper or live.
+   * Open a position – paper or live. Returns the position, or null when the
+   * order failed or the balance was insufficient. Live positions record what
+   * the exchange filled: the size after filter rounding, partial fills and
+   * base-asset commission, at the average fill price.
    */
   async _openPosition(side, price, quantity, stopLoss, takeProfit, reason) {
     if (!this.paperMode) {
       // LIVE: place real market order on Binance
       try {
         const binanceSide = side === 'BUY' ? 'BUY' : 'SELL';
-        const order = await this.client.marketOrder(this.symbol, binanceSide, quantity);
-        // Use actual fill price from exchange
-        const fillPrice = parseFloat(order.fills?.[0]?.price || price);
-        this.portfolio.openPosition({ side, price: fillPrice, quantity, stopLoss, takeProfit, reason });
+        const order = await this.client.marketOrder(this.symbol, binanceSide, quantity, price);
+        const fill = await this.client.fillOf(order);
+        if (!(fill.quantity > 0)) {
+          this.log.warn(`${side} order for ${this.symbol} was not filled (status ${order.status})`);
+          return null;
+        }
+        if (fill.quantity !== quantity) {
+          this.log.info(`Position size ${quantity} adjusted to ${fill.quantity} by the exchange`);
+        }
+        return this.portfolio.openPosition({ side, price: fill.price, quantity: fill.quantity, stopLoss, takeProfit, reason });
       } catch (err) {
         this.log.error(`Failed to place ${side} order: ${err.message}`);
+        return null;
       }
-    } else {
-      // PAPER: simulate locally
-      this.portfolio.openPosition({ side, price, quantity, stopLoss, takeProfit, reason });
     }
+    // PAPER: simulate locally
+    return this.portfolio.openPosition({ side, price, quantity, stopLoss, takeProfit, reason });
   }
 
   /**
-   * Close a position – paper or live.
+   * Close a position – paper or live. Live closes book the average fill
+   * price for the quantity the exchange sold or bought back; any remainder
+   * (e.g. below the lot step) stays open. A refused or unfilled order
+   * closes nothing.
    */
   async _closePosition(pos, currentPrice, reason) {
+    let exitPrice = currentPrice;
+    let closing = pos;
     if (!this.paperMode) {
       // LIVE: place closing market order
       try {
         const closeSide = pos.side === 'BUY' ? 'SELL' : 'BUY';
-        await this.client.marketOrder(this.symbol, closeSide, pos.quantity);
+        const order = await this.client.marketOrder(this.symbol, closeSide, pos.quantity, currentPrice);
+        const fill = await this.client.fillOf(order);
+        if (!(fill.executedQty > 0)) {
+          this.log.warn(`Close order for ${this.symbol} was not filled (status ${order.status})`);
+          return;
+        }
+        exitPrice = fill.price;
+        if (fill.executedQty < pos.quantity) {
+          this.log.warn(`Closed ${fill.executedQty} of ${pos.quantity} ${this.symbol}; the rest stays open`);
+          closing = this.portfolio.splitPosition(pos.id, fill.executedQty);
+        }
       } catch (err) {
         this.log.error(`Failed to close position: ${err.message}`);
+        return;
       }
     }
-    const result = this.portfolio.closePosition(pos.id, currentPrice, reason);
+    const result = this.portfolio.closePosition(closing.id, exitPrice, reason);
     if (result) this.riskManager.recordPnL(result.pnl, this.portfolio.balance);
   }
 
+  /**
+   * Update the candle with the same open time, or append a newer one.
+   */
+  _upsertCandle(candle) {
+    const last = this.candles[this.candles.length - 1];
+    if (last && last.time === candle.time) {
+      Object.assign(last, candle);
+    } else if (!last || candle.time > last.time) {
+      this.candles.push({ ...candle });
+      if (this.candles.length > this.maxCandles) this.candles = this.candles.slice(-this.maxCandles);
+    }
+  }
+
+  /**
+   * Higher-timeframe context for `evaluate`, built from closed candles.
+   */
+  _context(candles) {
+    const timeframes = this.strategy.requiredTimeframes?.() || [];
+    return timeframes.length > 0 ? TimeframeFeed.fromCandles(this.interval, timeframes, candles) : undefined;
+  }
+
+  /**
+   * Export trades closed since `tradeCount` and the equity after this tick.
+   */
+  _exportTick(tradeCount) {
+    if (!this.exporter) return;
+    const candle = this.candles[this.candles.length - 1];
+    this.exporter.write('trades', this.portfolio.tradeHistory.slice(tradeCount));
+    this.exporter.write('equity', [{
+      time: candle.time,
+      equity: this.portfolio.getTotalValue(candle.close),
+      price: candle.close,
+      inMarket: this.portfolio.positions.length > 0,
+    }]);
+  }
+
+  /**
+   * Log a non-HOLD signal and what was done with it.
+   */
+  _exportSignal(evaluation, price, action) {
+    if (!this.exporter) return;
+    this.exporter.write('signals', [{
+      time: this.candles[this.candles.length - 1].time,
+      price,
+      signal: evaluation.signal,
+      confidence: evaluation.confidence,
+      reason: evaluation.reason,
+      action,
+    }]);
+  }
+
   /**
    * Print current status.
    */
   printStatus(currentPrice) {
-    const summary = this.portfolio.getSummary(currentPrice);
+    const summary = formatSummary(this.portfolio.getSummary(currentPrice));
     this.log.info(`\n--- Status (tick ${this.tickCount}) | ${new Date().toLocaleTimeString()} ---`);
     this.log.info(`  Price: $${currentPrice.toFixed(2)} | Balance: $${this.portfolio.balance.toFixed(2)} | Total Value: $${summary.totalValue}`);
     this.log.info(`  Return: ${summary.totalReturn} | Win Rate: ${summary.winRate}`);
@@ -247,6 +489,8 @@ class LiveTradingEngine {
    */
   stop() {
     this.running = false;
+    if (this.stream) this.stream.stop();
+    if (this._onStopped) this._onStopped();
     this.log.info('Trading bot stopping...');
     const lastPrice = this.candles[this.candles.length - 1]?.close || 0;
     this.printStatus(lastPrice);
@@ -0,0 +1,150 @@
+/**
+ * Monte Carlo analysis – replays a backtest's trade list in random orders
+ * to estimate the spread of outcomes a single backtest hides.
+ *
+ * Each trade is reduced to its return on the equity it was taken with, so
+ * simulated paths compound the same way the backtest did. Trades are
+ * shuffled (same trades, new order) or bootstrapped (drawn with
+ * replacement) and can be charged extra random slippage per fill. The i-th
+ * simulated trade lands on the trading day of the i-th original trade, so
+ * the daily loss limit sees a realistic number of trades per day.
+ *
+ * Paths are not stopped at the risk limits – the report gives the
+ * probability that the daily-loss halt or the max drawdown halt would
+ * have triggered.
+ */
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const idx = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+function bands(values, percentiles) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const result = { mean: values.reduce((s, v) => s + v, 0) / values.length };
+  for (const p of percentiles) result[`p${p}`] = percentile(sorted, p);
+  return result;
+}
+
+class MonteCarlo {
+  /**
+   * @param {object} config - uses initialBalance and the risk block
+   * @param {object} [options]
+   * @param {number} [options.runs=5000] - simulated paths
+   * @param {string} [options.method='shuffle'] - shuffle | bootstrap
+   * @param {number} [options.slippageJitterPct=0] - extra slippage per fill,
+   *   drawn uniformly from [0, slippageJitterPct] percent of notional for the
+   *   entry and the exit separately, so a trade pays 0 to twice that
+   * @param {number[]} [options.percentiles=[5, 25, 50, 75, 95]]
+   * @param {Function} [options.random=Math.random]
+   */
+  constructor(config, {
+    runs = 5000,
+    method = 'shuffle',
+    slippageJitterPct = 0,
+    percentiles = [5, 25, 50, 75, 95],
+    random = Math.random,
+  } = {}) {
+    if (!['shuffle', 'bootstrap'].includes(method)) {
+      throw new Error(`Unknown Monte Carlo method "${method}". Use shuffle or bootstrap.`);
+    }
+    if (!Number.isInteger(runs) || runs < 1) {
+      throw new Error(`Invalid Monte Carlo runs "${runs}". Use a positive integer.`);
+    }
+    this.config = config;
+    this.runs = runs;
+    this.method = method;
+    this.slippageJitterPct = slippageJitterPct;
+    this.percentiles = percentiles;
+    this.random = random;
+    this.dayFormat = new Intl.DateTimeFormat('en-CA', { timeZone: config.risk.tradingDayTimezone || 'UTC' });
+  }
+
+  /**
+   * Per-trade return on equity (and notional as a fraction of equity, for
+   * slippage), replaying the trades in the order they closed.
+   */
+  _tradeReturns(trades) {
+    let equity = this.config.initialBalance;
+    return trades.map((t) => {
+      const r = { ret: t.pnl / equity, exposure: t.value / equity };
+      equity += t.pnl;
+      return r;
+    });
+  }
+
+  _order(n) {
+    const idx = Array.from({ length: n }, (_, i) => i);
+    if (this.method === 'bootstrap') return idx.map(() => Math.floor(this.random() * n));
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [idx[i], idx[j]] = [idx[j], idx[i]];
+    }
+    return idx;
+  }
+
+  /**
+   * Simulate `runs` paths over `trades` (Portfolio.tradeHistory).
+   */
+  run(trades) {
+    const { initialBalance } = this.config;
+    const { maxDrawdownPct, maxDailyLossPct } = this.config.risk;
+    const dailyLossLimit = initialBalance * (maxDailyLossPct / 100);
+
+    const returns = this._tradeReturns(trades);
+    const days = trades.map((t) => this.dayFormat.format(new Date(t.exitTime)));
+
+    const finalEquity = [];
+    const maxDrawdown = [];
+    let drawdownHits = 0;
+    let dailyHalts = 0;
+    let losingPaths = 0;
+
+    for (let run = 0; run < this.runs; run++) {
+      let equity = initialBalance;
+      let peak = equity;
+      let worstDD = 0;
+      let dailyPnL = 0;
+      let halted = false;
+
+      this._order(returns.length).forEach((src, slot) => {
+        if (slot > 0 && days[slot] !== days[slot - 1]) dailyPnL = 0;
+
+        const { ret, exposure } = returns[src];
+        // One draw for the entry fill, one for the exit
+        const slippage = this.slippageJitterPct > 0
+          ? exposure * ((this.random() + this.random()) * this.slippageJitterPct) / 100
+          : 0;
+        const pnl = equity * (ret - slippage);
+        equity += pnl;
+        dailyPnL += pnl;
+
+        if (dailyPnL < -dailyLossLimit) halted = true;
+        if (equity > peak) peak = equity;
+        worstDD = Math.max(worstDD, ((peak - equity) / peak) * 100);
+      });
+
+      finalEquity.push(equity);
+      maxDrawdown.push(worstDD);
+      if (worstDD >= maxDrawdownPct) drawdownHits++;
+      if (halted) dailyHalts++;
+      if (equity < initialBalance) losingPaths++;
+    }
+
+    return {
+      runs: this.runs,
+      method: this.method,
+      trades: trades.length,
+      finalEquity: bands(finalEquity, this.percentiles),
+      maxDrawdown: bands(maxDrawdown, this.percentiles),
+      probMaxDrawdownHit: drawdownHits / this.runs,
+      probDailyLossHalt: dailyHalts / this.runs,
+      probLoss: losingPaths / this.runs,
+    };
+  }
+}
+
+module.exports = { MonteCarlo, percentile };
@@ -0,0 +1,27 @@
+/**
+ * Optimizer worker – backtests one candidate per message.
+ * workerData: { config, candles, lookback }
+ * in:  { id, overrides }   out: { id, metrics } or { id, error }
+ */
+const { parentPort, workerData } = require('worker_threads');
+const Backtester = require('./backtester');
+const Logger = require('../utils/logger');
+const deepMerge = require('../utils/deep-merge');
+const { createStrategy, loadStrategyPlugins } = require('../strategies');
+const { scoreBacktest } = require('./optimizer');
+
+const { config, candles, lookback } = workerData;
+const logger = new Logger('error');
+
+loadStrategyPlugins(config.strategyPlugins);
+
+parentPort.on('message', ({ id, overrides }) => {
+  try {
+    const runConfig = deepMerge(config, overrides);
+    const strategy = createStrategy(runConfig.strategy, runConfig.strategies);
+    const result = new Backtester(runConfig, strategy, logger).run(candles, lookback);
+    parentPort.postMessage({ id, metrics: scoreBacktest(result) });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
@@ -0,0 +1,329 @@
+/**
+ * Optimizer – grid or random search over strategy and risk parameters.
+ *
+ * Each candidate is a set of config overrides keyed by dotted path
+ * (e.g. 'strategies.ema_crossover.fastPeriod', 'risk.stopLossPct').
+ * Candidates that fail config validation are skipped; the rest are
+ * backtested in parallel worker threads (see `optimizer-worker.js`) and
+ * ranked by the chosen objective.
+ */
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const deepMerge = require('../utils/deep-merge');
+const { validateConfig } = require('../utils/config-validator');
+
+// Objective name → metric it ranks by (higher is better)
+const OBJECTIVES = {
+  sharpe: 'sharpe',
+  profit_factor: 'profitFactor',
+  return_drawdown: 'returnDrawdown',
+};
+
+const METRIC_COLUMNS = ['totalReturn', 'maxDrawdown', 'sharpe', 'profitFactor', 'returnDrawdown', 'winRate', 'totalTrades', 'totalFees'];
+
+/**
+ * Ranking metrics for a Backtester result ({ summary, metrics, trades }).
+ * Return, drawdown and Sharpe come from the mark-to-market equity curve;
+ * Sharpe is annualized from per-bar returns.
+ */
+function scoreBacktest({ summary, metrics, trades }) {
+  const { totalReturn, maxDrawdown } = metrics;
+  const traded = trades.length > 0;
+
+  let returnDrawdown = null;
+  if (traded) {
+    returnDrawdown = maxDrawdown > 0 ? totalReturn / maxDrawdown : (totalReturn > 0 ? Infinity : 0);
+  }
+
+  return {
+    totalReturn,
+    maxDrawdown,
+    sharpe: traded ? metrics.sharpe : null,
+    profitFactor: traded ? summary.profitFactor : null,
+    returnDrawdown,
+    winRate: summary.winRate,
+    totalTrades: summary.totalTrades,
+    totalFees: summary.totalFees,
+  };
+}
+
+/**
+ * Values a range spec can take: an array of values, { values }, or
+ * { min, max, step } (inclusive).
+ */
+function rangeValues(name, spec) {
+  if (Array.isArray(spec)) return spec;
+  if (Array.isArray(spec.values)) return spec.values;
+  if (spec.step === undefined) {
+    throw new Error(`Range "${name}" needs a step or a list of values for grid search`);
+  }
+  if (!(spec.step > 0) || spec.max < spec.min) {
+    throw new Error(`Range "${name}" must have step > 0 and max >= min`);
+  }
+  const values = [];
+  const count = Math.floor((spec.max - spec.min) / spec.step + 1e-9);
+  for (let i = 0; i <= count; i++) {
+    values.push(parseFloat((spec.min + i * spec.step).toFixed(10)));
+  }
+  return values;
+}
+
+/**
+ * Cartesian product of all ranges → array of { path: value } candidates.
+ */
+function expandGrid(ranges) {
+  return Object.entries(ranges).reduce(
+    (candidates, [name, spec]) => candidates.flatMap((c) => rangeValues(name, spec).map((v) => ({ ...c, [name]: v }))),
+    [{}]
+  );
+}
+
+/**
+ * Draw up to `count` distinct random candidates. Ranges without a step
+ * are sampled uniformly between min and max.
+ */
+function sampleRandom(ranges, count, random = Math.random) {
+  const pick = (name, spec) => {
+    if (Array.isArray(spec) || Array.isArray(spec.values) || spec.step !== undefined) {
+      const values = rangeValues(name, spec);
+      return values[Math.floor(random() * values.length)];
+    }
+    return spec.min + random() * (spec.max - spec.min);
+  };
+
+  const seen = new Set();
+  const candidates = [];
+  for (let attempts = 0; candidates.length < count && attempts < count * 20; attempts++) {
+    const candidate = Object.fromEntries(Object.entries(ranges).map(([name, spec]) => [name, pick(name, spec)]));
+    const key = JSON.stringify(candidate);
+    if (!seen.has(key)) {
+      seen.add(key);
+      candidates.push(candidate);
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Turn { 'risk.stopLossPct': 2 } into { risk: { stopLossPct: 2 } }.
+ */
+function toOverrides(params) {
+  const overrides = {};
+  for (const [dotted, value] of Object.entries(params)) {
+    const keys = dotted.split('.');
+    let node = overrides;
+    keys.slice(0, -1).forEach((key) => { node = node[key] = node[key] || {}; });
+    node[keys[keys.length - 1]] = value;
+  }
+  return overrides;
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value === Infinity) return 'Inf';
+  return typeof value === 'number' ? String(parseFloat(value.toFixed(6))) : String(value);
+}
+
+class Optimizer {
+  /**
+   * @param {object} config - base config; candidates are merged on top
+   * @param {object} options
+   * @param {string} options.strategy - registered strategy key to optimize
+   * @param {object} options.ranges - { path: range spec }; bare names are
+   *   strategy params (e.g. 'fastPeriod' → 'strategies.<strategy>.fastPeriod')
+   * @param {string} [options.method='grid'] - grid | random
+   * @param {number} [options.samples=50] - candidates drawn by random search
+   * @param {string} [options.objective='sharpe'] - key of OBJECTIVES
+   * @param {number} [options.workers] - worker threads (default: cores - 1)
+   * @param {number} [options.lookback=50] - warm-up candles per backtest
+   * @param {number} [options.minTrades=1] - rank runs with fewer trades last
+   * @param {Function} [options.random=Math.random] - source for random search
+   * @param {Logger} logger
+   */
+  constructor(config, {
+    strategy,
+    ranges,
+    method = 'grid',
+    samples = 50,
+    objective = 'sharpe',
+    workers = Math.max(1, (os.availableParallelism?.() || os.cpus().length) - 1),
+    lookback = 50,
+    minTrades = 1,
+    random = Math.random,
+  }, logger) {
+    if (!OBJECTIVES[objective]) {
+      throw new Error(`Unknown objective "${objective}". Available: ${Object.keys(OBJECTIVES).join(', ')}`);
+    }
+    if (!['grid', 'random'].includes(method)) {
+      throw new Error(`Unknown search method "${method}". Use grid or random.`);
+    }
+    this.config = config;
+    this.strategy = strategy;
+    this.ranges = Object.fromEntries(Object.entries(ranges).map(([name, spec]) => [
+      name.includes('.') ? name : `strategies.${strategy}.${name}`,
+      spec,
+    ]));
+    this.method = method;
+    this.samples = samples;
+    this.objective = objective;
+    this.workers = Math.max(1, Math.floor(workers) || 1);
+    this.lookback = lookback;
+    this.minTrades = minTrades;
+    this.random = random;
+    this.log = logger;
+  }
+
+  /**
+   * Candidate parameter sets, split into valid ones and those the config
+   * validator rejects.
+   */
+  buildCandidates() {
+    const params = this.method === 'grid'
+      ? expandGrid(this.ranges)
+      : sampleRandom(this.ranges, this.samples, this.random);
+
+    const valid = [];
+    const skipped = [];
+    for (const p of params) {
+      const overrides = { strategy: this.strategy, ...toOverrides(p) };
+      const errors = validateConfig(deepMerge(this.config, overrides));
+      if (errors.length > 0) skipped.push({ params: p, errors });
+      else valid.push({ params: p, overrides });
+    }
+    return { valid, skipped };
+  }
+
+  /**
+   * Backtest every candidate on `candles` and rank them.
+   * @returns {Promise<{ objective, method, strategy, results, skipped, best }>}
+   */
+  async run(candles) {
+    const { valid, skipped } = this.buildCandidates();
+    this.log.info(`Optimizing ${this.strategy} (${this.method} search, objective: ${this.objective})`);
+    this.log.info(`Candidates: ${valid.length} valid, ${skipped.length} skipped by config validation`);
+
+    const metrics = await this._runAll(valid, candles);
+    const metricKey = OBJECTIVES[this.objective];
+
+    const results = valid.map((candidate, i) => {
+      const m = metrics[i];
+      const score = m.totalTrades >= this.minTrades ? m[metricKey] : null;
+      return { params: candidate.params, overrides: candidate.overrides, metrics: m, score };
+    });
+    results.sort((a, b) => {
+      if (a.score === null) return b.score === null ? 0 : 1;
+      if (b.score === null) return -1;
+      // Not b - a: two Infinity scores (no losing trades) would give NaN
+      return (b.score > a.score) - (b.score < a.score);
+    });
+    results.forEach((r, i) => { r.rank = i + 1; });
+
+    return {
+      objective: this.objective,
+      method: this.method,
+      strategy: this.strategy,
+      results,
+      skipped,
+      best: results.length > 0 && results[0].score !== null ? results[0] : null,
+    };
+  }
+
+  /**
+   * Fan candidates out over the worker pool; resolves with metrics in candidate order.
+   */
+  _runAll(candidates, candles) {
+    if (candidates.length === 0) return Promise.resolve([]);
+
+    const poolSize = Math.min(this.workers, candidates.length);
+    const metrics = new Array(candidates.length);
+    let next = 0;
+    let done = 0;
+    const progressStep = Math.max(1, Math.floor(candidates.length / 10));
+
+    return new Promise((resolve, reject) => {
+      const pool = [];
+      let finished = false;
+      const finish = (err) => {
+        if (finished) return;
+        finished = true;
+        pool.forEach((w) => w.terminate());
+        if (err) reject(err);
+        else resolve(metrics);
+      };
+
+      const dispatch = (worker) => {
+        if (next < candidates.length) {
+          const id = next++;
+          worker.postMessage({ id, overrides: candidates[id].overrides });
+        }
+      };
+
+      for (let w = 0; w < poolSize; w++) {
+        const worker = new Worker(path.join(__dirname, 'optimizer-worker.js'), {
+          workerData: {
+            config: this.config,
+            candles,
+            lookback: this.lookback,
+          },
+        });
+        worker.on('message', ({ id, metrics: m, error }) => {
+          if (error) {
+            finish(new Error(`Backtest failed for ${JSON.stringify(candidates[id].params)}: ${error}`));
+            return;
+          }
+          metrics[id] = m;
+          done++;
+          if (done % progressStep === 0 || done === candidates.length) {
+            this.log.info(`  ${done}/${candidates.length} backtests complete`);
+          }
+          if (done === candidates.length) finish();
+          else dispatch(worker);
+        });
+        worker.on('error', finish);
+        // A worker that dies without reporting (e.g. process.exit in a plugin)
+        worker.on('exit', (code) => {
+          if (done < candidates.length) finish(new Error(`Optimizer worker exited with code ${code} before finishing`));
+        });
+        pool.push(worker);
+        dispatch(worker);
+      }
+    });
+  }
+
+  /**
+   * Leaderboard as CSV: rank, score, one column per parameter, then metrics.
+   */
+  static toCsv({ results }) {
+    const paramNames = results.length > 0 ? Object.keys(results[0].params) : [];
+    const header = ['rank', 'score', ...paramNames, ...METRIC_COLUMNS];
+    const rows = results.map((r) => [
+      r.rank,
+      formatCell(r.score),
+      ...paramNames.map((p) => formatCell(r.params[p])),
+      ...METRIC_COLUMNS.map((m) => formatCell(r.metrics[m])),
+    ].join(','));
+    return [header.join(','), ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * Leaderboard as JSON (Infinity written as "Inf", like the backtest summary).
+   */
+  static toJson(report) {
+    const { objective, method, strategy, results, skipped } = report;
+    return JSON.stringify(
+      { objective, method, strategy, results: results.map(({ overrides, ...r }) => r), skipped },
+      (key, value) => (value === Infinity ? 'Inf' : value),
+      2
+    ) + '\n';
+  }
+}
+
+module.exports = {
+  Optimizer,
+  OBJECTIVES,
+  scoreBacktest,
+  expandGrid,
+  sampleRandom,
+  toOverrides,
+};
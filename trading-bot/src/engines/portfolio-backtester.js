@@ -0,0 +1,291 @@
+/**
+ * Portfolio Backtester – trades several symbols out of one account.
+ *
+ * The symbols' candle streams are merged into one timeline; candles with
+ * the same timestamp form a step. Every symbol has its own strategy
+ * instance and execution model, but they share one Portfolio and one
+ * RiskManager, so cash, `risk.maxOpenPositions`, the daily loss limit and
+ * the drawdown halt apply to the whole account. On top of that:
+ *   portfolio.maxPositionsPerSymbol    – open positions per market
+ *   portfolio.maxCorrelatedExposurePct – value held on one side in markets
+ *     whose close-to-close returns correlate at or above
+ *     `correlationThreshold` over the last `correlationLookback` steps;
+ *     entries that would exceed it are shrunk or skipped
+ *
+ * Within a step, exits are checked for every symbol before any entry, so
+ * capital freed on a bar can be reused on the same bar.
+ */
+const Portfolio = require('./portfolio');
+const RiskManager = require('./risk-manager');
+const ExecutionModel = require('./execution-model');
+const { SIGNAL } = require('../strategies/base-strategy');
+const { computeMetrics, correlation } = require('../utils/performance');
+const { formatSummary, formatMetrics } = require('../utils/format');
+const { TimeframeFeed, inferTimeframe } = require('../utils/timeframes');
+
+// Pairs with fewer overlapping returns than this count as correlated
+const MIN_CORRELATION_SAMPLES = 20;
+
+class PortfolioBacktester {
+  /**
+   * @param {object} config
+   * @param {object} strategies - { [symbol]: strategy }, one instance per symbol
+   * @param {object} logger
+   */
+  constructor(config, strategies, logger) {
+    this.config = config;
+    this.strategies = strategies;
+    this.log = logger;
+  }
+
+  /**
+   * Run the backtest.
+   * @param {object} markets - { [symbol]: candles }, same timeframe
+   * @param {number} lookback – candles each symbol's strategy needs to warm up
+   * @returns {object} – like `Backtester.run` (trades and signals carry their
+   *   `symbol`), plus `bySymbol` trade statistics. Equity points hold an
+   *   equal-weight buy-and-hold index (100 at the start) as `price`, so the
+   *   benchmark metrics compare against holding every symbol; each symbol's
+   *   `buyHoldReturn` (%) is measured from the same entry, its last warm-up close.
+   */
+  run(markets, lookback = 50) {
+    const symbols = Object.keys(markets);
+    const missing = symbols.find((symbol) => !this.strategies[symbol]);
+    if (missing) throw new Error(`No strategy for ${missing}`);
+
+    const settings = this.config.portfolio || {};
+    const correlationLookback = settings.correlationLookback || 100;
+    const executionModels = Object.fromEntries(symbols.map((symbol) => [symbol, new ExecutionModel(this.config.execution)]));
+    const portfolio = new Portfolio(this.config.initialBalance, this.log, {
+      marginRequirementPct: this.config.marginRequirementPct,
+      executionModels,
+    });
+    const states = symbols.map((symbol) => ({
+      symbol,
+      candles: markets[symbol],
+      times: markets[symbol].map((c) => Date.parse(c.time)),
+      strategy: this.strategies[symbol],
+      incremental: this.strategies[symbol].supportsIncremental?.() === true,
+      feed: TimeframeFeed.forStrategy(this.strategies[symbol], inferTimeframe(markets[symbol]) || this.config.timeframe),
+      next: 0,
+      lastClose: null,
+      baseClose: null,
+      returns: [],
+    }));
+    const timeline = [...new Set(states.flatMap((st) => st.times))].sort((a, b) => a - b);
+
+    // Risk days roll over on candle time, not wall-clock time
+    let candleTime = timeline[0];
+    const riskManager = new RiskManager(this.config, this.log, { clock: () => candleTime });
+    const intrabarPolicy = this.config.backtest?.intrabarPolicy || 'pessimistic';
+    const minConf = this.config.risk.minConfidence || 0;
+
+    const lastPrices = {};
+    const equityCurve = [];
+    const signals = [];
+    // Equal-weight buy and hold from each symbol's last warm-up close
+    const benchmark = () => (100 * states.reduce((sum, st) => sum + (st.baseClose ? st.lastClose / st.baseClose : 1), 0)) / states.length;
+    const mark = (time, inMarket = portfolio.positions.length > 0) => {
+      equityCurve.push({ time: new Date(time).toISOString(), equity: portfolio.getTotalValue(lastPrices), price: benchmark(), inMarket });
+    };
+
+    const isCorrelated = (a, b) => {
+      if (a === b) return true;
+      const xs = [];
+      const ys = [];
+      a.returns.forEach((r, i) => {
+        if (r !== null && b.returns[i] !== null) {
+          xs.push(r);
+          ys.push(b.returns[i]);
+        }
+      });
+      if (xs.length < Math.min(MIN_CORRELATION_SAMPLES, correlationLookback)) return true;
+      const rho = correlation(xs, ys);
+      return rho !== null && rho >= settings.correlationThreshold;
+    };
+    const correlatedExposure = (st, side) => portfolio.positions
+      .filter((p) => p.side === side && isCorrelated(st, states.find((other) => other.symbol === p.symbol)))
+      .reduce((sum, p) => sum + lastPrices[p.symbol] * p.quantity, 0);
+
+    this.log.info(`\n${'='.repeat(60)}`);
+    this.log.info(`PORTFOLIO BACKTEST START`);
+    this.log.info(`Strategies: ${symbols.map((symbol) => `${symbol} ${this.strategies[symbol].name}`).join(', ')}`);
+    this.log.info(`Period: ${new Date(timeline[0]).toISOString()} to ${new Date(timeline[timeline.length - 1]).toISOString()}`);
+    this.log.info(`Steps: ${timeline.length} | Initial balance: $${this.config.initialBalance}`);
+    this.log.info(`${'='.repeat(60)}\n`);
+
+    for (const st of states) if (st.incremental) st.strategy.reset();
+
+    let previousTime = null;
+    let trading = false;
+    for (const time of timeline) {
+      candleTime = time;
+      const bars = [];
+      for (const st of states) {
+        const hasBar = st.next < st.candles.length && st.times[st.next] === time;
+        const candle = hasBar ? st.candles[st.next] : null;
+        st.returns.push(hasBar && st.lastClose ? Math.log(candle.close / st.lastClose) : null);
+        if (st.returns.length > correlationLookback) st.returns.shift();
+        if (hasBar) bars.push({ st, candle, index: st.next++, context: st.feed?.update(candle) });
+      }
+      const active = bars.filter((bar) => bar.index >= lookback);
+
+      if (active.length > 0) trading = true;
+      if (trading && previousTime !== null) mark(previousTime);
+      if (active.length > 0) riskManager.checkDayRollover();
+
+      // Warm-up bars only feed the strategy
+      for (const { st, candle, index, context } of bars) {
+        if (index < lookback && st.incremental) st.strategy.onCandle(candle, context);
+      }
+
+      // Exits first, for every symbol
+      for (const bar of active) {
+        const { st, candle, context } = bar;
+        executionModels[st.symbol].update(candle);
+        // Incremental strategies must see every candle, even while halted
+        bar.streamed = st.incremental ? st.strategy.onCandle(candle, context) : null;
+        for (const pos of portfolio.getPositions(st.symbol)) {
+          const exit = riskManager.checkIntrabarExit(pos, candle, intrabarPolicy);
+          if (exit.shouldClose) {
+            const result = portfolio.closePosition(pos.id, exit.fillPrice, exit.reason, candle.time, exit.liquidity);
+            if (result) riskManager.recordPnL(result.pnl, portfolio.balance);
+            continue;
+          }
+          // Ratchet trailing stop from the close – takes effect from the next candle
+          pos.trailingStop = riskManager.updateTrailingStop(candle.close, pos.trailingStop, pos.side);
+        }
+      }
+      for (const { st, candle, index } of bars) {
+        if (st.baseClose === null && index >= lookback - 1) st.baseClose = candle.close;
+        st.lastClose = candle.close;
+        lastPrices[st.symbol] = candle.close;
+      }
+
+      // Then entries, in symbol order. A halt blocks new positions, but spot-mode
+      // SELL signals still close the longs already held.
+      for (const { st, candle, index, context, streamed } of active) {
+        const { symbol } = st;
+        const halted = riskManager.isHalted();
+        if (halted && (riskManager.allowsShorts()
+          || !portfolio.getPositions(symbol).some((p) => p.side === SIGNAL.BUY))) continue;
+        const currentPrice = candle.close;
+        const evaluation = streamed || st.strategy.evaluate(st.candles.slice(0, index + 1), context);
+        if (evaluation.signal === SIGNAL.HOLD) continue;
+        const logSignal = (action) => signals.push({
+          time: candle.time,
+          symbol,
+          price: currentPrice,
+          signal: evaluation.signal,
+          confidence: evaluation.confidence,
+          reason: evaluation.reason,
+          action,
+        });
+
+        if (evaluation.confidence < minConf) {
+          logSignal('skipped: low confidence');
+          continue;
+        }
+
+        const side = evaluation.signal;
+
+        // Spot mode: SELL exits this symbol's longs instead of opening a short
+        if (side === SIGNAL.SELL && !riskManager.allowsShorts()) {
+          const longs = portfolio.getPositions(symbol).filter((p) => p.side === SIGNAL.BUY);
+          for (const pos of longs) {
+            const result = portfolio.closePosition(pos.id, currentPrice, 'Sell signal', candle.time);
+            if (result) riskManager.recordPnL(result.pnl, portfolio.balance);
+          }
+          logSignal(longs.length > 0 ? 'closed' : 'skipped: no position to close');
+          continue;
+        }
+        if (halted) continue;
+
+        if (!riskManager.canOpenPosition(portfolio.positions.length, portfolio.getPositions(symbol).length)) {
+          logSignal(portfolio.positions.length >= this.config.risk.maxOpenPositions
+            ? 'skipped: max open positions'
+            : 'skipped: max positions per symbol');
+          continue;
+        }
+        const { quantity } = riskManager.calculatePositionSize(portfolio.balance, currentPrice);
+        if (quantity <= 0) {
+          logSignal('skipped: zero size');
+          continue;
+        }
+
+        const value = riskManager.capCorrelatedExposure(
+          quantity * currentPrice, correlatedExposure(st, side), portfolio.getTotalValue(lastPrices)
+        );
+        if (value <= 0) {
+          logSignal('skipped: correlated exposure');
+          continue;
+        }
+        const resized = value < quantity * currentPrice;
+
+        const stopLoss = riskManager.getStopLoss(currentPrice, side);
+        const takeProfit = riskManager.getTakeProfit(currentPrice, side);
+        if (!riskManager.meetsRiskReward(currentPrice, stopLoss, takeProfit)) {
+          this.log.debug(`Skipping ${symbol} trade: risk/reward ratio not met`);
+          logSignal('skipped: risk/reward');
+          continue;
+        }
+
+        const opened = portfolio.openPosition({
+          symbol,
+          side,
+          price: currentPrice,
+          quantity: value / currentPrice,
+          stopLoss,
+          takeProfit,
+          reason: evaluation.reason,
+          time: candle.time,
+        });
+        if (!opened) logSignal('skipped: insufficient balance');
+        else logSignal(resized ? 'opened: reduced for correlated exposure' : 'opened');
+      }
+
+      previousTime = time;
+    }
+
+    // Close any remaining positions at each symbol's last price
+    const inMarket = portfolio.positions.length > 0;
+    for (const pos of [...portfolio.positions]) {
+      const { candles } = states.find((st) => st.symbol === pos.symbol);
+      const lastCandle = candles[candles.length - 1];
+      const result = portfolio.closePosition(pos.id, lastCandle.close, 'End of backtest', lastCandle.time);
+      if (result) riskManager.recordPnL(result.pnl, portfolio.balance);
+    }
+
+    mark(timeline[timeline.length - 1], inMarket);
+
+    const summary = portfolio.getSummary(lastPrices);
+    const metrics = computeMetrics({
+      equityCurve,
+      trades: portfolio.tradeHistory,
+      riskFreeRate: this.config.backtest?.riskFreeRate || 0,
+    });
+    const bySymbol = portfolio.getSymbolSummaries(symbols);
+    for (const st of states) {
+      bySymbol[st.symbol].buyHoldReturn = st.baseClose ? (st.lastClose / st.baseClose - 1) * 100 : null;
+    }
+
+    this.log.info(`\n${'='.repeat(60)}`);
+    this.log.info(`PORTFOLIO BACKTEST RESULTS`);
+    this.log.info(`${'='.repeat(60)}`);
+    Object.entries({ ...formatSummary(summary), ...formatMetrics(metrics) }).forEach(([key, val]) => {
+      this.log.info(`  ${key.padEnd(20)}: ${val}`);
+    });
+    this.log.info(`${'='.repeat(60)}\n`);
+
+    return {
+      summary,
+      metrics,
+      equityCurve,
+      trades: portfolio.tradeHistory,
+      signals,
+      bySymbol,
+    };
+  }
+}
+
+module.exports = PortfolioBacktester;
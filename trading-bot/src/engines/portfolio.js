@@ -1,10 +1,29 @@
 /**
  * Portfolio – tracks balance, open positions, and trade history.
+ *
+ * Longs debit their full cost from the balance. Shorts reserve collateral
+ * (`marginRequirementPct` of notional) and carry a liability of
+ * `currentPrice * quantity` that is marked to market until closed.
+ *
+ * Every fill goes through `executionModel` (fees, slippage, spread);
+ * the default model is frictionless. Positions may carry a `symbol`, so
+ * one portfolio can hold several markets out of the same balance; price
+ * arguments are then a { [symbol]: price } map (`executionModels` gives
+ * each symbol its own cost model).
  */
+const ExecutionModel = require('./execution-model');
+
 class Portfolio {
-  constructor(initialBalance, logger) {
+  constructor(initialBalance, logger, {
+    marginRequirementPct = 100,
+    executionModel = new ExecutionModel(),
+    executionModels = {},
+  } = {}) {
     this.balance = initialBalance;
     this.initialBalance = initialBalance;
+    this.marginRequirementPct = marginRequirementPct;
+    this.executionModel = executionModel;
+    this.executionModels = executionModels;
     this.positions = [];         // open positions
     this.tradeHistory = [];      // closed trades
     this.log = logger;
@@ -13,20 +32,29 @@ class Portfolio {
   /**
    * Open a new position.
    */
-  openPosition({ side, price, quantity, stopLoss, takeProfit, reason, time }) {
-    const cost = price * quantity;
-    if (cost > this.balance) {
-      this.log.warn(`Insufficient balance for trade: need ${cost.toFixed(2)} have ${this.balance.toFixed(2)}`);
+  openPosition({ symbol, side, price, quantity, stopLoss, takeProfit, reason, time, liquidity = 'taker' }) {
+    const model = this._executionModel(symbol);
+    const fillPrice = model.getFillPrice(side, price, liquidity);
+    const notional = fillPrice * quantity;
+    const entryFee = model.getFee(notional, liquidity);
+    const cost = side === 'BUY'
+      ? notional
+      : notional * (this.marginRequirementPct / 100);
+    if (cost + entryFee > this.balance) {
+      this.log.warn(`Insufficient balance for trade: need ${(cost + entryFee).toFixed(2)} have ${this.balance.toFixed(2)}`);
       return null;
     }
 
-    this.balance -= cost;
+    this.balance -= cost + entryFee;
     const position = {
       id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      ...(symbol !== undefined && { symbol }),
       side,
-      entryPrice: price,
+      entryPrice: fillPrice,
       quantity,
-      value: cost,
+      value: notional,
+      collateral: side === 'BUY' ? 0 : cost,
+      entryFee,
       stopLoss,
       takeProfit,
       reason,
@@ -35,35 +63,38 @@ class Portfolio {
     };
     this.positions.push(position);
 
-    this.log.info(`OPEN ${side} | qty: ${quantity.toFixed(6)} @ ${price.toFixed(2)} | SL: ${stopLoss.toFixed(2)} | TP: ${takeProfit.toFixed(2)} | ${reason}`);
+    this.log.info(`OPEN ${side}${symbol ? ` ${symbol}` : ''} | qty: ${quantity.toFixed(6)} @ ${fillPrice.toFixed(2)} | SL: ${stopLoss.toFixed(2)} | TP: ${takeProfit.toFixed(2)} | ${reason}`);
     return position;
   }
 
   /**
-   * Close an existing position.
+   * Close an existing position. `liquidity` is 'maker' for resting limit
+   * exits (e.g. take-profit orders) and 'taker' for market/stop exits.
+   * The recorded P&L is net of entry and exit fees.
    */
-  closePosition(positionId, currentPrice, reason, time) {
+  closePosition(positionId, currentPrice, reason, time, liquidity = 'taker') {
     const idx = this.positions.findIndex((p) => p.id === positionId);
     if (idx === -1) return null;
 
     const position = this.positions[idx];
     this.positions.splice(idx, 1);
 
-    const exitValue = currentPrice * position.quantity;
-    this.balance += exitValue;
+    const model = this._executionModel(position.symbol);
+    const exitSide = position.side === 'BUY' ? 'SELL' : 'BUY';
+    const exitPrice = model.getFillPrice(exitSide, currentPrice, liquidity);
+    const exitFee = model.getFee(exitPrice * position.quantity, liquidity);
+    const fees = position.entryFee + exitFee;
+    const pnl = this.getUnrealizedPnL(position, exitPrice) - fees;
+    this.balance += this._positionEquity(position, exitPrice) - exitFee;
 
-    let pnl;
-    if (position.side === 'BUY') {
-      pnl = (currentPrice - position.entryPrice) * position.quantity;
-    } else {
-      pnl = (position.entryPrice - currentPrice) * position.quantity;
-    }
     const pnlPct = (pnl / position.value) * 100;
 
     const trade = {
       ...position,
-      exitPrice: currentPrice,
+      exitPrice,
       exitTime: time || new Date().toISOString(),
+      exitFee,
+      fees,
       pnl,
       pnlPct,
       exitReason: reason,
@@ -71,23 +102,114 @@ class Portfolio {
     this.tradeHistory.push(trade);
 
     const emoji = pnl >= 0 ? '+' : '';
-    this.log.info(`CLOSE ${position.side} | ${emoji}${pnl.toFixed(2)} (${emoji}${pnlPct.toFixed(1)}%) | entry: ${position.entryPrice.toFixed(2)} exit: ${currentPrice.toFixed(2)} | ${reason}`);
+    this.log.info(`CLOSE ${position.side}${position.symbol ? ` ${position.symbol}` : ''} | ${emoji}${pnl.toFixed(2)} (${emoji}${pnlPct.toFixed(1)}%) | entry: ${position.entryPrice.toFixed(2)} exit: ${exitPrice.toFixed(2)} | ${reason}`);
 
     return { trade, pnl };
   }
 
   /**
-   * Get current portfolio value (balance + unrealized).
+   * Split `quantity` off an open position into a position of its own, with
+   * its share of the value, collateral and entry fee, e.g. to close only
+   * what an exit order filled. Returns the new position.
+   */
+  splitPosition(positionId, quantity) {
+    const position = this.positions.find((p) => p.id === positionId);
+    if (!position) return null;
+
+    const share = quantity / position.quantity;
+    const part = {
+      ...position,
+      id: `${position.id}-${this.positions.length}`,
+      quantity,
+      value: position.value * share,
+      collateral: position.collateral * share,
+      entryFee: position.entryFee * share,
+    };
+    position.quantity -= quantity;
+    position.value -= part.value;
+    position.collateral -= part.collateral;
+    position.entryFee -= part.entryFee;
+    this.positions.push(part);
+    return part;
+  }
+
+  /**
+   * Unrealized P&L of a position at the given price (positive = profit).
+   */
+  getUnrealizedPnL(position, currentPrice) {
+    return position.side === 'BUY'
+      ? (currentPrice - position.entryPrice) * position.quantity
+      : (position.entryPrice - currentPrice) * position.quantity;
+  }
+
+  /**
+   * Get current portfolio value (balance + marked-to-market positions).
+   * @param {number|object} currentPrice - price, or { [symbol]: price }
    */
   getTotalValue(currentPrice) {
-    const unrealized = this.positions.reduce((sum, p) => {
-      return sum + currentPrice * p.quantity;
+    const positionsValue = this.positions.reduce((sum, p) => {
+      return sum + this._positionEquity(p, this._priceOf(p, currentPrice));
     }, 0);
-    return this.balance + unrealized;
+    return this.balance + positionsValue;
+  }
+
+  /**
+   * Open positions, optionally only those in `symbol`.
+   */
+  getPositions(symbol) {
+    return symbol === undefined ? this.positions : this.positions.filter((p) => p.symbol === symbol);
+  }
+
+  /**
+   * Closed-trade statistics per symbol: { [symbol]: { totalTrades, wins,
+   * losses, winRate, totalPnl, totalFees, openPositions } }. `symbols` are
+   * listed even without trades.
+   */
+  getSymbolSummaries(symbols = []) {
+    const summaries = {};
+    const entry = (symbol) => {
+      summaries[symbol] ??= { totalTrades: 0, wins: 0, losses: 0, winRate: 0, totalPnl: 0, totalFees: 0, openPositions: 0 };
+      return summaries[symbol];
+    };
+    symbols.forEach(entry);
+    for (const trade of this.tradeHistory) {
+      const s = entry(trade.symbol);
+      s.totalTrades++;
+      if (trade.pnl > 0) s.wins++;
+      else s.losses++;
+      s.totalPnl += trade.pnl;
+      s.totalFees += trade.fees || 0;
+    }
+    for (const position of this.positions) entry(position.symbol).openPositions++;
+    for (const s of Object.values(summaries)) {
+      s.winRate = s.totalTrades > 0 ? (s.wins / s.totalTrades) * 100 : 0;
+    }
+    return summaries;
+  }
+
+  _priceOf(position, prices) {
+    return typeof prices === 'number' ? prices : prices[position.symbol];
+  }
+
+  _executionModel(symbol) {
+    return (symbol !== undefined && this.executionModels[symbol]) || this.executionModel;
+  }
+
+  /**
+   * Cash that a position returns to the balance if closed at `currentPrice`.
+   * Long: market value of the holding. Short: reserved collateral plus the
+   * difference between entry proceeds and the liability to buy back.
+   */
+  _positionEquity(position, currentPrice) {
+    if (position.side === 'BUY') return currentPrice * position.quantity;
+    return position.collateral + this.getUnrealizedPnL(position, currentPrice);
   }
 
   /**
-   * Generate performance summary.
+   * Generate performance summary. All values are numbers (percentages as
+   * 12.3); `maxDrawdown` is measured on closed-trade balances. See
+   * `utils/format.js` for display strings.
+   * @param {number|object} currentPrice - price, or { [symbol]: price }
    */
   getSummary(currentPrice) {
     const totalValue = this.getTotalValue(currentPrice);
@@ -99,6 +221,7 @@ class Portfolio {
     const avgWin = wins.length > 0 ? wins.reduce((s, t) => s + t.pnlPct, 0) / wins.length : 0;
     const avgLoss = losses.length > 0 ? losses.reduce((s, t) => s + t.pnlPct, 0) / losses.length : 0;
     const totalPnl = trades.reduce((s, t) => s + t.pnl, 0);
+    const totalFees = trades.reduce((s, t) => s + (t.fees || 0), 0);
     const profitFactor = losses.length > 0 && losses.reduce((s, t) => s + Math.abs(t.pnl), 0) > 0
       ? wins.reduce((s, t) => s + t.pnl, 0) / losses.reduce((s, t) => s + Math.abs(t.pnl), 0)
       : wins.length > 0 ? Infinity : 0;
@@ -115,17 +238,18 @@ class Portfolio {
     }
 
     return {
-      totalValue: totalValue.toFixed(2),
-      totalReturn: totalReturn.toFixed(2) + '%',
-      totalPnl: totalPnl.toFixed(2),
+      totalValue,
+      totalReturn,
+      totalPnl,
+      totalFees,
       totalTrades: trades.length,
       wins: wins.length,
       losses: losses.length,
-      winRate: winRate.toFixed(1) + '%',
-      avgWin: avgWin.toFixed(2) + '%',
-      avgLoss: avgLoss.toFixed(2) + '%',
-      profitFactor: profitFactor === Infinity ? 'Inf' : profitFactor.toFixed(2),
-      maxDrawdown: maxDD.toFixed(2) + '%',
+      winRate,
+      avgWin,
+      avgLoss,
+      profitFactor,
+      maxDrawdown: maxDD,
       openPositions: this.positions.length,
     };
   }
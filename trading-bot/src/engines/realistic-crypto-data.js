@@ -6,6 +6,9 @@
  *
  * Uses historical volatility and drift estimates from 2023-2025 data.
  */
+const { timeframeMs, bucketStart } = require('../utils/timeframes');
+const { resample } = require('../utils/resampler');
+const { createRandom, hashSeed, randn } = require('../utils/random');
 
 const CRYPTO_PROFILES = {
   BTCUSDT: {
@@ -69,26 +72,36 @@ const CRYPTO_PROFILES = {
   },
 };
 
-/**
- * Box-Muller transform for normally distributed random numbers
- */
-function randn() {
-  let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
-  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-}
+// Longer timeframes are resampled from daily candles so weeks and months
+// follow the calendar
+const RESAMPLED_FROM_DAILY = { '3d': 3, '1w': 7, '1M': 31 };
+
+// Series start on a fixed date rather than run up to now, so a seed
+// gives the same candles – times included – on any day
+const DEFAULT_START = '2025-01-01T00:00:00Z';
 
 /**
  * Generate realistic OHLCV candles for a given crypto profile.
+ * @param {object} [options]
+ * @param {number} [options.seed] - run seed; each symbol draws its own
+ *   stream from it, so the same seed gives the same prices for a symbol
+ *   whichever others are generated alongside. Without one the prices
+ *   depend on the symbol alone.
+ * @param {string|number} [options.start='2025-01-01T00:00:00Z'] - open time
+ *   of the first candle (ISO date or ms), rounded down to the interval
  */
-function generateRealisticCandles(symbol, timeframe = '1h', numCandles = 750) {
+function generateRealisticCandles(symbol, timeframe = '1h', numCandles = 750, { seed, start = DEFAULT_START } = {}) {
   const profile = CRYPTO_PROFILES[symbol];
   if (!profile) throw new Error(`Unknown symbol: ${symbol}`);
 
-  const intervalMs = {
-    '1h': 3600000, '4h': 14400000, '1d': 86400000,
-  }[timeframe] || 3600000;
+  const daysPerCandle = RESAMPLED_FROM_DAILY[timeframe];
+  if (daysPerCandle) {
+    // One extra bucket covers the partial one resample drops at the start
+    const daily = generateRealisticCandles(symbol, '1d', (numCandles + 1) * daysPerCandle, { seed, start });
+    return resample(daily, timeframe, { from: '1d' }).slice(-numCandles);
+  }
+
+  const intervalMs = timeframeMs(timeframe);
 
   // Scale vol/drift to timeframe
   const hoursPerCandle = intervalMs / 3600000;
@@ -97,15 +110,19 @@ function generateRealisticCandles(symbol, timeframe = '1h', numCandles = 750) {
   const candles = [];
   let price = profile.startPrice;
   let currentVol = 0.01; // GARCH-like vol
-  const startTime = Date.now() - numCandles * intervalMs;
+  // Open times on interval boundaries, like exchange klines, so series
+  // generated for different symbols line up
+  const startMs = typeof start === 'number' ? start : Date.parse(start);
+  if (!Number.isFinite(startMs)) throw new Error(`Invalid start date: ${start}`);
+  const startTime = bucketStart(startMs, timeframe);
 
   // Build regime schedule
   let regimeIdx = 0;
   let candlesInRegime = 0;
   const regimes = profile.regimes;
 
-  // Seed for deterministic results per symbol (reproducible backtests)
-  let seed = symbol.split('').reduce((a, c) => a + c.charCodeAt(0), 0);
+  // Seeded per symbol and timeframe for reproducible backtests
+  const random = createRandom(seed === undefined ? hashSeed(symbol, timeframe) : hashSeed(seed, symbol, timeframe));
 
   for (let i = 0; i < numCandles; i++) {
     const regime = regimes[regimeIdx % regimes.length];
@@ -120,13 +137,13 @@ function generateRealisticCandles(symbol, timeframe = '1h', numCandles = 750) {
 
     // GARCH-like volatility clustering
     const targetVol = regime.vol * timeScale;
-    currentVol = currentVol * 0.94 + targetVol * 0.06 + Math.abs(randn()) * 0.001;
+    currentVol = currentVol * 0.94 + targetVol * 0.06 + Math.abs(randn(random)) * 0.001;
 
     // Price move with regime drift + random component
     const drift = regime.drift * hoursPerCandle;
-    const noise = randn() * currentVol;
+    const noise = randn(random) * currentVol;
     const jumpProb = 0.02; // 2% chance of a jump
-    const jump = Math.random() < jumpProb ? randn() * currentVol * 3 : 0;
+    const jump = random() < jumpProb ? randn(random) * currentVol * 3 : 0;
 
     const returnVal = drift + noise + jump;
     const open = price;
@@ -135,13 +152,13 @@ function generateRealisticCandles(symbol, timeframe = '1h', numCandles = 750) {
 
     // Realistic high/low using intraday vol
     const intraVol = currentVol * 0.6;
-    const high = Math.max(open, close) * (1 + Math.abs(randn()) * intraVol);
-    const low = Math.min(open, close) * (1 - Math.abs(randn()) * intraVol);
+    const high = Math.max(open, close) * (1 + Math.abs(randn(random)) * intraVol);
+    const low = Math.min(open, close) * (1 - Math.abs(randn(random)) * intraVol);
 
     // Volume correlates with volatility and direction
     const baseVol = symbol === 'BTCUSDT' ? 500 : symbol === 'ETHUSDT' ? 3000 : 50000;
     const volMultiplier = 1 + Math.abs(returnVal) * 50 + (returnVal < 0 ? 0.5 : 0); // sell-offs have higher vol
-    const volume = baseVol * (0.5 + Math.random()) * volMultiplier;
+    const volume = baseVol * (0.5 + random()) * volMultiplier;
 
     candles.push({
       time: new Date(startTime + i * intervalMs).toISOString(),
@@ -1,11 +1,19 @@
 /**
  * Risk Manager – enforces position sizing, stop-losses, take-profits,
  * trailing stops, daily loss limits, and max drawdown protection.
+ *
+ * The trading day is derived from `clock` (wall-clock by default; the
+ * backtester injects candle time) in `config.risk.tradingDayTimezone`.
  */
 class RiskManager {
-  constructor(config, logger) {
+  constructor(config, logger, { clock = () => Date.now() } = {}) {
     this.config = config;
     this.log = logger;
+    this.clock = clock;
+    this.timeZone = config.risk?.tradingDayTimezone || 'UTC';
+    this._dayFormatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+    });
     this.dailyPnL = 0;
     this.dailyResetDate = this._today();
     this.peakBalance = config.initialBalance || 10000;
@@ -13,8 +21,12 @@ class RiskManager {
     this.haltReason = '';
   }
 
+  /**
+   * Current trading day as YYYY-MM-DD in the configured timezone.
+   */
   _today() {
-    return new Date().toISOString().slice(0, 10);
+    // en-CA formats dates as YYYY-MM-DD
+    return this._dayFormatter.format(new Date(this.clock()));
   }
 
   /**
@@ -110,6 +122,54 @@ class RiskManager {
     return { shouldClose: false, reason: null };
   }
 
+  /**
+   * Check a position against a full OHLC candle for intrabar exits.
+   * Touches are detected from the high/low and fill at the stop or target
+   * price; if the candle opens beyond a level the fill is the open (gap).
+   * When both levels are touched in the same bar, `policy` decides which
+   * fired first:
+   *   pessimistic   – stop first
+   *   optimistic    – target first
+   *   open_distance – whichever level is nearer the open
+   * Returns { shouldClose, reason, fillPrice, liquidity } – a touched target
+   * fills as a resting maker order, everything else as taker.
+   */
+  checkIntrabarExit(position, candle, policy = 'pessimistic') {
+    const { side, stopLoss, takeProfit } = position;
+    const stop = position.trailingStop ?? stopLoss;
+    const stopReason = stop !== stopLoss ? 'Trailing stop hit' : 'Stop-loss hit';
+    const isLong = side === 'BUY';
+    const { open, high, low } = candle;
+
+    // Gapped through a level – the open is the first available price
+    if (isLong ? open <= stop : open >= stop) {
+      return { shouldClose: true, reason: `${stopReason} (gap)`, fillPrice: open, liquidity: 'taker' };
+    }
+    if (isLong ? open >= takeProfit : open <= takeProfit) {
+      return { shouldClose: true, reason: 'Take-profit hit (gap)', fillPrice: open, liquidity: 'taker' };
+    }
+
+    const stopExit = { shouldClose: true, reason: stopReason, fillPrice: stop, liquidity: 'taker' };
+    const targetExit = { shouldClose: true, reason: 'Take-profit hit', fillPrice: takeProfit, liquidity: 'maker' };
+    const stopTouched = isLong ? low <= stop : high >= stop;
+    const targetTouched = isLong ? high >= takeProfit : low <= takeProfit;
+
+    if (stopTouched && targetTouched) {
+      switch (policy) {
+        case 'optimistic':
+          return targetExit;
+        case 'open_distance':
+          return Math.abs(open - stop) <= Math.abs(takeProfit - open) ? stopExit : targetExit;
+        case 'pessimistic':
+        default:
+          return stopExit;
+      }
+    }
+    if (stopTouched) return stopExit;
+    if (targetTouched) return targetExit;
+    return { shouldClose: false, reason: null, fillPrice: null, liquidity: null };
+  }
+
   /**
    * Record realized P&L and check limits.
    */
@@ -150,9 +210,19 @@ class RiskManager {
   }
 
   /**
-   * Whether we can open another position.
+   * Whether SELL signals may open short positions (margin mode only).
+   * In spot mode a SELL signal only exits existing longs.
+   */
+  allowsShorts() {
+    return this.config.tradingMode === 'margin';
+  }
+
+  /**
+   * Whether we can open another position. `symbolPositionCount` (open
+   * positions in the signal's symbol) is checked against
+   * `portfolio.maxPositionsPerSymbol` when given.
    */
-  canOpenPosition(openPositionCount) {
+  canOpenPosition(openPositionCount, symbolPositionCount) {
     if (this.halted) {
       this.log.warn(`Cannot open position: trading halted (${this.haltReason})`);
       return false;
@@ -161,8 +231,26 @@ class RiskManager {
       this.log.debug(`Cannot open position: max open positions reached (${openPositionCount}/${this.config.risk.maxOpenPositions})`);
       return false;
     }
+    const perSymbol = this.config.portfolio?.maxPositionsPerSymbol;
+    if (symbolPositionCount !== undefined && perSymbol && symbolPositionCount >= perSymbol) {
+      this.log.debug(`Cannot open position: max positions per symbol reached (${symbolPositionCount}/${perSymbol})`);
+      return false;
+    }
     return true;
   }
+
+  /**
+   * Largest position value (quote currency) that keeps the exposure to
+   * correlated markets within `portfolio.maxCorrelatedExposurePct` of
+   * equity. `correlatedExposure` is the value already held in them.
+   * Returns `positionValue` unchanged when no limit is configured.
+   */
+  capCorrelatedExposure(positionValue, correlatedExposure, equity) {
+    const maxPct = this.config.portfolio?.maxCorrelatedExposurePct;
+    if (!maxPct) return positionValue;
+    const room = equity * (maxPct / 100) - correlatedExposure;
+    return Math.max(0, Math.min(positionValue, room));
+  }
 }
 
 module.exports = RiskManager;
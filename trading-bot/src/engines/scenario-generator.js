@@ -0,0 +1,279 @@
+/**
+ * Scenario Generator – synthetic candles from a JSON description of an
+ * asset and the market regimes it goes through, for stress-testing
+ * strategies against named situations ("2022 LUNA crash", "low-vol chop").
+ *
+ *   {
+ *     "name": "Low-vol chop",
+ *     "asset": { "symbol": "BTCUSDT", "startPrice": 30000, "baseVolume": 500 },
+ *     "timeframe": "1h",
+ *     "start": "2023-06-01",
+ *     "regimes": [
+ *       { "type": "range", "duration": "10d", "drift": 0, "vol": 0.003, "jumpProb": 0.005, "volume": 0.6 }
+ *     ],
+ *     "events": [
+ *       { "type": "flash_crash", "at": "4d", "depth": 0.2, "recovery": 0.7, "recoveryDuration": "6h" },
+ *       { "type": "outage", "at": "7d", "duration": "3h" }
+ *     ],
+ *     "weekend": { "volume": 0.5, "vol": 0.8 }
+ *   }
+ *
+ * Regimes run in order; `drift` and `vol` are per hour (scaled to the
+ * timeframe), volatility clusters as in `realistic-crypto-data.js`, and
+ * `jumpProb` / `jumpSize` add rare jumps of `jumpSize` times the current
+ * volatility. `volume` multiplies the asset's base volume.
+ *
+ * Events:
+ *   flash_crash – price falls `depth` (0–1) over `duration` candles, then
+ *                 regains `recovery` of the fall over `recoveryDuration`,
+ *                 on `volume` times the usual volume
+ *   outage      – no candles for `duration` (an exchange halt); prices move
+ *                 on, so trading resumes with a gap
+ *
+ * `weekend` scales volume and volatility on Saturdays and Sundays (UTC).
+ * Durations and `at` are candle counts, lengths like "36h" / "3d" / "2w",
+ * or (for `at`) an ISO date.
+ */
+const fs = require('fs');
+const path = require('path');
+const { timeframeMs, bucketStart } = require('../utils/timeframes');
+const { createRandom, hashSeed, randn } = require('../utils/random');
+
+const EVENT_TYPES = ['flash_crash', 'outage'];
+const SCENARIO_DIR = path.join(__dirname, '..', '..', 'config', 'scenarios');
+
+const REGIME_DEFAULTS = { drift: 0, vol: 0.01, jumpProb: 0.02, jumpSize: 3, volume: 1 };
+const EVENT_DEFAULTS = {
+  flash_crash: { depth: 0.3, duration: 1, recovery: 0.5, recoveryDuration: 6, volume: 5 },
+  outage: { duration: 1 },
+};
+
+const UNIT_MS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * Candles covered by `value` – a count, a length like "36h", or (when
+ * `start` is given) an ISO date counted from the scenario start.
+ * Returns NaN when unreadable.
+ */
+function toCandles(value, intervalMs, start) {
+  if (typeof value === 'number') return Number.isInteger(value) ? value : NaN;
+  const match = /^(\d+(?:\.\d+)?)(m|h|d|w)$/.exec(String(value).trim());
+  if (match) return Math.round((parseFloat(match[1]) * UNIT_MS[match[2]]) / intervalMs);
+  if (start === undefined) return NaN;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? NaN : Math.round((time - start) / intervalMs);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a scenario and fill in defaults.
+ * @param {object} spec - parsed scenario JSON
+ * @returns {object} scenario with numeric `start`, regime and event
+ *   durations in candles, and every optional field set
+ * @throws {Error} listing every problem found
+ */
+function parseScenario(spec) {
+  const errors = [];
+  if (!isObject(spec)) {
+    errors.push(`scenario must be a JSON object (got ${JSON.stringify(spec)})`);
+    spec = {};
+  }
+  const name = typeof spec.name === 'string' && spec.name.trim() ? spec.name : null;
+  if (!name) errors.push('name must be a non-empty string');
+
+  const asset = { symbol: 'SYNTHUSDT', startPrice: 100, baseVolume: 1000, ...spec.asset };
+  if (!(asset.startPrice > 0)) errors.push('asset.startPrice must be a positive number');
+  if (!(asset.baseVolume >= 0)) errors.push('asset.baseVolume must be a non-negative number');
+
+  const timeframe = spec.timeframe || '1h';
+  let intervalMs = NaN;
+  try {
+    intervalMs = timeframeMs(timeframe);
+  } catch (err) {
+    errors.push(`timeframe: ${err.message}`);
+  }
+  const startMs = Date.parse(spec.start || '2025-01-01T00:00:00Z');
+  if (Number.isNaN(startMs)) errors.push(`start must be a date (got ${JSON.stringify(spec.start)})`);
+  const start = Number.isNaN(intervalMs) || Number.isNaN(startMs) ? startMs : bucketStart(startMs, timeframe);
+
+  const rawRegimes = spec.regimes;
+  if (!Array.isArray(rawRegimes) || rawRegimes.length === 0) errors.push('regimes must be a non-empty array');
+  const regimes = (Array.isArray(rawRegimes) ? rawRegimes : []).map((r, i) => {
+    if (!isObject(r)) {
+      errors.push(`regimes[${i}] must be an object (got ${JSON.stringify(r)})`);
+      return null;
+    }
+    const regime = { type: `regime ${i + 1}`, ...REGIME_DEFAULTS, ...r };
+    regime.duration = toCandles(r.duration, intervalMs);
+    if (!(regime.duration > 0)) errors.push(`regimes[${i}].duration must be a positive candle count or length like "3d" (got ${JSON.stringify(r.duration)})`);
+    for (const field of ['drift', 'vol', 'jumpProb', 'jumpSize', 'volume']) {
+      if (!Number.isFinite(regime[field])) errors.push(`regimes[${i}].${field} must be a number`);
+    }
+    if (regime.vol < 0) errors.push(`regimes[${i}].vol must not be negative`);
+    if (regime.jumpProb < 0 || regime.jumpProb > 1) errors.push(`regimes[${i}].jumpProb must be between 0 and 1`);
+    if (regime.volume < 0) errors.push(`regimes[${i}].volume must not be negative`);
+    return regime;
+  }).filter(Boolean);
+
+  const rawEvents = spec.events ?? [];
+  if (!Array.isArray(rawEvents)) errors.push(`events must be an array (got ${JSON.stringify(rawEvents)})`);
+  const events = (Array.isArray(rawEvents) ? rawEvents : []).map((e, i) => {
+    if (!isObject(e)) {
+      errors.push(`events[${i}] must be an object (got ${JSON.stringify(e)})`);
+      return null;
+    }
+    if (!EVENT_TYPES.includes(e.type)) {
+      errors.push(`events[${i}].type must be one of ${EVENT_TYPES.join(', ')} (got ${JSON.stringify(e.type)})`);
+      return null;
+    }
+    const event = { ...EVENT_DEFAULTS[e.type], ...e };
+    event.at = toCandles(e.at, intervalMs, start);
+    if (!(event.at >= 0)) errors.push(`events[${i}].at must be a candle index, length like "3d" or date (got ${JSON.stringify(e.at)})`);
+    for (const field of ['duration', 'recoveryDuration']) {
+      if (event[field] === undefined) continue;
+      event[field] = toCandles(event[field], intervalMs);
+      const min = field === 'duration' ? 1 : 0;
+      if (!(event[field] >= min)) errors.push(`events[${i}].${field} must be at least ${min} candle(s)`);
+    }
+    if (e.type === 'flash_crash') {
+      if (!(event.depth > 0 && event.depth < 1)) errors.push(`events[${i}].depth must be between 0 and 1 (exclusive)`);
+      if (!(event.recovery >= 0 && event.recovery <= 1)) errors.push(`events[${i}].recovery must be between 0 and 1`);
+      if (!(event.volume >= 0)) errors.push(`events[${i}].volume must not be negative`);
+    }
+    return event;
+  }).filter(Boolean);
+
+  const weekend = { volume: 1, vol: 1, ...spec.weekend };
+  if (!(weekend.volume >= 0) || !(weekend.vol >= 0)) errors.push('weekend.volume and weekend.vol must be non-negative numbers');
+
+  if (errors.length > 0) throw new Error(`Invalid scenario${name ? ` "${name}"` : ''}:\n${errors.map((e) => `  - ${e}`).join('\n')}`);
+  return { name, description: spec.description || '', asset, timeframe, intervalMs, start, regimes, events, weekend };
+}
+
+/**
+ * Read a scenario by name (config/scenarios/<name>.json) or file path.
+ */
+function loadScenario(nameOrFile) {
+  const file = fs.existsSync(nameOrFile) ? nameOrFile : path.join(SCENARIO_DIR, `${nameOrFile}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No scenario "${nameOrFile}". Built-in: ${listScenarios().join(', ')} – or give a JSON file`);
+  }
+  let spec;
+  try {
+    spec = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  return parseScenario(spec);
+}
+
+/**
+ * Names of the built-in scenarios.
+ */
+function listScenarios() {
+  return fs.readdirSync(SCENARIO_DIR).filter((f) => f.endsWith('.json')).map((f) => f.slice(0, -5)).sort();
+}
+
+/**
+ * Extra log-return and volume factor of every flash-crash candle.
+ */
+function crashSchedule(events) {
+  const schedule = new Map();
+  const add = (index, logReturn, volume) => {
+    const slot = schedule.get(index) || { logReturn: 0, volume: 1 };
+    schedule.set(index, { logReturn: slot.logReturn + logReturn, volume: Math.max(slot.volume, volume) });
+  };
+  for (const e of events.filter((ev) => ev.type === 'flash_crash')) {
+    const fall = Math.log(1 - e.depth);
+    for (let k = 0; k < e.duration; k++) add(e.at + k, fall / e.duration, e.volume);
+    if (e.recoveryDuration > 0 && e.recovery > 0) {
+      const regain = Math.log((1 - e.depth + e.depth * e.recovery) / (1 - e.depth));
+      for (let k = 0; k < e.recoveryDuration; k++) add(e.at + e.duration + k, regain / e.recoveryDuration, 1 + (e.volume - 1) / 2);
+    }
+  }
+  return schedule;
+}
+
+/**
+ * Candles for a scenario.
+ * @param {object} scenario - from `parseScenario` / `loadScenario` (raw
+ *   JSON is parsed first)
+ * @param {object} [options]
+ * @param {number} [options.seed] - run seed (utils/random.js); the same seed
+ *   and scenario always give the same candles
+ * @param {number} [options.candles] - length; regimes repeat from the first
+ *   when it exceeds their total duration (default: one pass)
+ * @returns {Array} candles, with outage periods left out
+ */
+function generateScenario(scenario, { seed, candles } = {}) {
+  const s = scenario.intervalMs ? scenario : parseScenario(scenario);
+  const random = createRandom(seed === undefined ? hashSeed(s.name) : hashSeed(seed, s.name));
+  const total = candles ?? s.regimes.reduce((sum, r) => sum + r.duration, 0);
+  const hours = s.intervalMs / 3600000;
+  const timeScale = Math.sqrt(hours);
+  const crashes = crashSchedule(s.events);
+  const outages = s.events.filter((e) => e.type === 'outage');
+
+  const result = [];
+  let price = s.asset.startPrice;
+  let currentVol = s.regimes[0].vol * timeScale;
+  let regimeIdx = 0;
+  let candlesInRegime = 0;
+
+  for (let i = 0; i < total; i++) {
+    const regime = s.regimes[regimeIdx % s.regimes.length];
+    if (++candlesInRegime >= regime.duration) {
+      regimeIdx++;
+      candlesInRegime = 0;
+    }
+
+    const time = s.start + i * s.intervalMs;
+    const day = new Date(time).getUTCDay();
+    const weekend = day === 0 || day === 6 ? s.weekend : { volume: 1, vol: 1 };
+    const crash = crashes.get(i);
+
+    // Volatility clustering around the regime's level
+    const targetVol = regime.vol * timeScale * weekend.vol;
+    currentVol = currentVol * 0.94 + targetVol * 0.06 + Math.abs(randn(random)) * targetVol * 0.01;
+    const jump = random() < regime.jumpProb ? randn(random) * currentVol * regime.jumpSize : 0;
+    const returnVal = regime.drift * hours + randn(random) * currentVol + jump + (crash ? crash.logReturn : 0);
+
+    const open = price;
+    price = price * Math.exp(returnVal);
+    const close = price;
+    const intraVol = currentVol * 0.6;
+    const high = Math.max(open, close) * (1 + Math.abs(randn(random)) * intraVol);
+    const low = Math.min(open, close) * (1 - Math.abs(randn(random)) * intraVol);
+    const volMultiplier = 1 + Math.abs(returnVal) * 50 + (returnVal < 0 ? 0.5 : 0);
+    const volume = s.asset.baseVolume * regime.volume * weekend.volume * (crash ? crash.volume : 1) * (0.5 + random()) * volMultiplier;
+
+    if (outages.some((o) => i >= o.at && i < o.at + o.duration)) continue;
+    result.push({
+      time: new Date(time).toISOString(),
+      open: round(open),
+      high: round(Math.max(high, open, close)),
+      low: round(Math.min(low, open, close)),
+      close: round(close),
+      volume: parseFloat(volume.toFixed(2)),
+    });
+  }
+  return result;
+}
+
+// Cents for normal prices, more digits for coins worth fractions of a cent
+function round(price) {
+  const digits = price >= 1 ? 2 : Math.min(12, 2 - Math.floor(Math.log10(price)) + 2);
+  return parseFloat(price.toFixed(digits));
+}
+
+module.exports = {
+  EVENT_TYPES,
+  SCENARIO_DIR,
+  parseScenario,
+  loadScenario,
+  listScenarios,
+  generateScenario,
+};
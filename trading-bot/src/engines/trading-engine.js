@@ -4,15 +4,38 @@
  */
 const Portfolio = require('./portfolio');
 const RiskManager = require('./risk-manager');
+const ExecutionModel = require('./execution-model');
 const DataFeed = require('./data-feed');
 const { SIGNAL } = require('../strategies/base-strategy');
+const { formatSummary } = require('../utils/format');
+const { TimeframeFeed } = require('../utils/timeframes');
+const { createRandom } = require('../utils/random');
+
+// Simulated candles are hourly, following on from the seeded history
+const CANDLE_MS = 3600000;
 
 class TradingEngine {
-  constructor(config, strategy, logger) {
+  /**
+   * @param {object} config
+   * @param {BaseStrategy} strategy
+   * @param {Logger} logger
+   * @param {object} [options]
+   * @param {ExportWriter} [options.exporter] - receives trades, equity and
+   *   signals after every tick (see `reports/exporters.js`)
+   * @param {Function} [options.random] - source for the simulated prices;
+   *   seeded from `config.seed` by default
+   */
+  constructor(config, strategy, logger, { exporter = null, random = createRandom(config.seed) } = {}) {
     this.config = config;
+    this.random = random;
     this.strategy = strategy;
     this.log = logger;
-    this.portfolio = new Portfolio(config.initialBalance, logger);
+    this.exporter = exporter;
+    this.executionModel = new ExecutionModel(config.execution);
+    this.portfolio = new Portfolio(config.initialBalance, logger, {
+      marginRequirementPct: config.marginRequirementPct,
+      executionModel: this.executionModel,
+    });
     this.riskManager = new RiskManager(config, logger);
     this.candles = [];
     this.running = false;
@@ -30,13 +53,17 @@ class TradingEngine {
     this.log.info(`Strategy: ${this.strategy.name}`);
     this.log.info(`Symbol: ${this.config.symbol}`);
     this.log.info(`Timeframe: ${this.config.timeframe}`);
+    this.log.info(`Trading mode: ${this.riskManager.allowsShorts() ? 'MARGIN (shorts enabled)' : 'SPOT (long only)'}`);
     this.log.info(`Initial Balance: $${this.config.initialBalance}`);
+    this.log.info(`Seed: ${this.config.seed}`);
     this.log.info(`${'='.repeat(60)}\n`);
 
     // Seed with initial candles
     this.candles = DataFeed.generateTrendingMarket({
       startPrice: 40000,
       numCandles: 100,
+      intervalMs: CANDLE_MS,
+      random: this.random,
     });
 
     while (this.running) {
@@ -51,24 +78,31 @@ class TradingEngine {
 
   /**
    * Process one tick (one candle period).
+   * New trades and the resulting equity go to the exporter, if any.
    */
   async tick() {
+    const tradeCount = this.portfolio.tradeHistory.length;
+    await this._processTick();
+    this._exportTick(tradeCount);
+  }
+
+  async _processTick() {
     this.tickCount++;
 
     // Generate a new candle (in production, fetch from exchange)
     const lastCandle = this.candles[this.candles.length - 1];
     const lastPrice = lastCandle.close;
-    const volatility = 0.01 + Math.random() * 0.01;
-    const drift = (Math.random() - 0.48) * 0.003; // slight positive drift
-    const newPrice = lastPrice * (1 + drift + (Math.random() - 0.5) * volatility);
+    const volatility = 0.01 + this.random() * 0.01;
+    const drift = (this.random() - 0.48) * 0.003; // slight positive drift
+    const newPrice = lastPrice * (1 + drift + (this.random() - 0.5) * volatility);
 
     const newCandle = {
-      time: new Date().toISOString(),
+      time: new Date(Date.parse(lastCandle.time) + CANDLE_MS).toISOString(),
       open: lastPrice,
-      high: Math.max(lastPrice, newPrice) * (1 + Math.random() * 0.002),
-      low: Math.min(lastPrice, newPrice) * (1 - Math.random() * 0.002),
+      high: Math.max(lastPrice, newPrice) * (1 + this.random() * 0.002),
+      low: Math.min(lastPrice, newPrice) * (1 - this.random() * 0.002),
       close: parseFloat(newPrice.toFixed(2)),
-      volume: parseFloat((200 + Math.random() * 800).toFixed(2)),
+      volume: parseFloat((200 + this.random() * 800).toFixed(2)),
     };
     this.candles.push(newCandle);
 
@@ -76,6 +110,7 @@ class TradingEngine {
     if (this.candles.length > 500) this.candles.shift();
 
     const currentPrice = newCandle.close;
+    this.executionModel.update(newCandle);
 
     // Manage existing positions
     for (const pos of [...this.portfolio.positions]) {
@@ -110,7 +145,7 @@ class TradingEngine {
     }
 
     // Evaluate strategy
-    const evaluation = this.strategy.evaluate(this.candles);
+    const evaluation = this.strategy.evaluate(this.candles, this._context(this.candles));
 
     if (evaluation.signal !== SIGNAL.HOLD) {
       this.log.debug(`Signal: ${evaluation.signal} (confidence: ${evaluation.confidence}%) - ${evaluation.reason}`);
@@ -120,20 +155,44 @@ class TradingEngine {
 
     // Minimum confidence filter
     const minConf = this.config.risk.minConfidence || 0;
-    if (evaluation.confidence < minConf) return;
-
-    if (!this.riskManager.canOpenPosition(this.portfolio.positions.length)) return;
+    if (evaluation.confidence < minConf) {
+      this._exportSignal(evaluation, currentPrice, 'skipped: low confidence');
+      return;
+    }
 
     const side = evaluation.signal;
+
+    // Spot mode: SELL exits open longs instead of opening a short
+    if (side === SIGNAL.SELL && !this.riskManager.allowsShorts()) {
+      const longs = this.portfolio.positions.filter((p) => p.side === SIGNAL.BUY);
+      for (const pos of longs) {
+        const result = this.portfolio.closePosition(pos.id, currentPrice, 'Sell signal');
+        if (result) this.riskManager.recordPnL(result.pnl, this.portfolio.balance);
+      }
+      this._exportSignal(evaluation, currentPrice, longs.length > 0 ? 'closed' : 'skipped: no position to close');
+      return;
+    }
+
+    if (!this.riskManager.canOpenPosition(this.portfolio.positions.length)) {
+      this._exportSignal(evaluation, currentPrice, 'skipped: max open positions');
+      return;
+    }
+
     const { quantity } = this.riskManager.calculatePositionSize(this.portfolio.balance, currentPrice);
-    if (quantity <= 0) return;
+    if (quantity <= 0) {
+      this._exportSignal(evaluation, currentPrice, 'skipped: zero size');
+      return;
+    }
 
     const stopLoss = this.riskManager.getStopLoss(currentPrice, side);
     const takeProfit = this.riskManager.getTakeProfit(currentPrice, side);
 
-    if (!this.riskManager.meetsRiskReward(currentPrice, stopLoss, takeProfit)) return;
+    if (!this.riskManager.meetsRiskReward(currentPrice, stopLoss, takeProfit)) {
+      this._exportSignal(evaluation, currentPrice, 'skipped: risk/reward');
+      return;
+    }
 
-    this.portfolio.openPosition({
+    const opened = this.portfolio.openPosition({
       side,
       price: currentPrice,
       quantity,
@@ -141,6 +200,7 @@ class TradingEngine {
       takeProfit,
       reason: evaluation.reason,
     });
+    this._exportSignal(evaluation, currentPrice, opened ? 'opened' : 'skipped: insufficient balance');
 
     // Print summary periodically
     if (this.tickCount % 20 === 0) {
@@ -148,11 +208,49 @@ class TradingEngine {
     }
   }
 
+  /**
+   * Higher-timeframe context for `evaluate`, built from closed candles.
+   */
+  _context(candles) {
+    const timeframes = this.strategy.requiredTimeframes?.() || [];
+    return timeframes.length > 0 ? TimeframeFeed.fromCandles(this.config.timeframe, timeframes, candles) : undefined;
+  }
+
+  /**
+   * Export trades closed since `tradeCount` and the equity after this tick.
+   */
+  _exportTick(tradeCount) {
+    if (!this.exporter) return;
+    const candle = this.candles[this.candles.length - 1];
+    this.exporter.write('trades', this.portfolio.tradeHistory.slice(tradeCount));
+    this.exporter.write('equity', [{
+      time: candle.time,
+      equity: this.portfolio.getTotalValue(candle.close),
+      price: candle.close,
+      inMarket: this.portfolio.positions.length > 0,
+    }]);
+  }
+
+  /**
+   * Log a non-HOLD signal and what was done with it.
+   */
+  _exportSignal(evaluation, price, action) {
+    if (!this.exporter) return;
+    this.exporter.write('signals', [{
+      time: this.candles[this.candles.length - 1].time,
+      price,
+      signal: evaluation.signal,
+      confidence: evaluation.confidence,
+      reason: evaluation.reason,
+      action,
+    }]);
+  }
+
   /**
    * Print current status.
    */
   printStatus(currentPrice) {
-    const summary = this.portfolio.getSummary(currentPrice);
+    const summary = formatSummary(this.portfolio.getSummary(currentPrice));
     this.log.info(`\n--- Status (tick ${this.tickCount}) ---`);
     this.log.info(`  Balance: $${this.portfolio.balance.toFixed(2)} | Total Value: $${summary.totalValue}`);
     this.log.info(`  Return: ${summary.totalReturn} | Win Rate: ${summary.winRate}`);
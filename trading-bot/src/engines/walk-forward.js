@@ -0,0 +1,215 @@
+/**
+ * Walk-forward analysis – splits history into train/test windows, optimizes
+ * parameters on each train slice (see `optimizer.js`) and trades the
+ * following test slice with the winner, so every reported trade is
+ * out-of-sample.
+ *
+ * Windows are rolling (fixed-length train slice that moves forward) or
+ * anchored (train slice always starts at the first candle). Each test
+ * backtest is warmed up on the `lookback` candles before the slice, and
+ * its per-bar equity is chained onto the previous window's to form one
+ * stitched out-of-sample equity curve.
+ */
+const Backtester = require('./backtester');
+const { Optimizer, scoreBacktest } = require('./optimizer');
+const Logger = require('../utils/logger');
+const deepMerge = require('../utils/deep-merge');
+const { createStrategy } = require('../strategies');
+
+// Overfitting ratios are capped here: beyond it out-of-sample earns a
+// tenth of in-sample or less, and the exact figure is mostly noise
+const MAX_OVERFITTING_RATIO = 10;
+
+/**
+ * In-sample over out-of-sample return per bar, from 1 (no degradation) up
+ * to MAX_OVERFITTING_RATIO, which also stands for an out-of-sample loss.
+ * Null when in-sample was not profitable, as there is nothing to degrade.
+ */
+function overfittingRatio(isPerBar, oosPerBar) {
+  if (isPerBar === null || !(isPerBar > 0)) return null;
+  return oosPerBar > 0 ? Math.min(MAX_OVERFITTING_RATIO, isPerBar / oosPerBar) : MAX_OVERFITTING_RATIO;
+}
+
+/**
+ * Train/test index ranges ([start, end) into the candle array). Only
+ * complete test windows are returned.
+ */
+function buildWindows(candleCount, { trainSize, testSize, mode = 'rolling', lookback = 50 }) {
+  if (!['rolling', 'anchored'].includes(mode)) {
+    throw new Error(`Unknown walk-forward mode "${mode}". Use rolling or anchored.`);
+  }
+  if (trainSize <= lookback) {
+    throw new Error(`trainSize (${trainSize}) must be larger than the lookback (${lookback})`);
+  }
+  const windows = [];
+  for (let testStart = trainSize; testStart + testSize <= candleCount; testStart += testSize) {
+    windows.push({
+      trainStart: mode === 'anchored' ? 0 : testStart - trainSize,
+      trainEnd: testStart,
+      testStart,
+      testEnd: testStart + testSize,
+    });
+  }
+  return windows;
+}
+
+function mean(values) {
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+/**
+ * Per-parameter spread of the chosen values across windows. `cv` is the
+ * coefficient of variation (stdDev / |mean|) – near 0 means stable.
+ */
+function parameterStability(windows) {
+  const stability = {};
+  const names = [...new Set(windows.flatMap((w) => Object.keys(w.params)))];
+  for (const name of names) {
+    const values = windows.map((w) => w.params[name]).filter((v) => v !== undefined);
+    const distinct = new Set(values).size;
+    if (!values.every((v) => typeof v === 'number')) {
+      stability[name] = { values, mean: null, stdDev: null, cv: null, distinct };
+      continue;
+    }
+    const avg = mean(values);
+    const stdDev = Math.sqrt(mean(values.map((v) => (v - avg) ** 2)));
+    stability[name] = {
+      values,
+      mean: avg,
+      stdDev,
+      cv: avg !== 0 ? stdDev / Math.abs(avg) : null,
+      distinct,
+    };
+  }
+  return stability;
+}
+
+class WalkForward {
+  /**
+   * @param {object} config - base config
+   * @param {object} options - Optimizer options (strategy, ranges, method,
+   *   samples, objective, workers, minTrades, random) plus:
+   * @param {number} options.trainSize - candles per train slice
+   * @param {number} options.testSize - candles per test slice (also the step)
+   * @param {string} [options.mode='rolling'] - rolling | anchored
+   * @param {number} [options.lookback=50] - warm-up candles per backtest
+   * @param {Logger} logger
+   */
+  constructor(config, { trainSize, testSize, mode = 'rolling', lookback = 50, ...optimizerOptions }, logger) {
+    this.config = config;
+    this.trainSize = trainSize;
+    this.testSize = testSize;
+    this.mode = mode;
+    this.lookback = lookback;
+    this.optimizerOptions = { ...optimizerOptions, lookback };
+    this.log = logger;
+  }
+
+  async run(candles) {
+    const ranges = buildWindows(candles.length, {
+      trainSize: this.trainSize, testSize: this.testSize, mode: this.mode, lookback: this.lookback,
+    });
+    if (ranges.length === 0) {
+      throw new Error(`Not enough candles (${candles.length}) for one ${this.trainSize}/${this.testSize} train/test window`);
+    }
+    this.log.info(`Walk-forward: ${ranges.length} ${this.mode} windows (train ${this.trainSize}, test ${this.testSize})`);
+
+    const initialBalance = this.config.initialBalance;
+    let equity = initialBalance;
+    const first = candles[ranges[0].testStart - 1];
+    const equityCurve = [{ time: first.time, equity, price: first.close, inMarket: false }];
+    const trades = [];
+    const signals = [];
+    const windows = [];
+    let previous = null;
+    const quiet = new Logger('error');
+
+    for (const [index, range] of ranges.entries()) {
+      const optimizer = new Optimizer(this.config, this.optimizerOptions, quiet);
+      const report = await optimizer.run(candles.slice(range.trainStart, range.trainEnd));
+
+      // No candidate traded enough – keep the previous window's choice (or the defaults)
+      const chosen = report.best || previous;
+      previous = chosen;
+      const overrides = chosen ? chosen.overrides : { strategy: optimizer.strategy };
+
+      const runConfig = deepMerge(this.config, overrides);
+      const strategy = createStrategy(runConfig.strategy, runConfig.strategies);
+      const warmStart = Math.max(0, range.testStart - this.lookback);
+      const result = new Backtester(runConfig, strategy, quiet)
+        .run(candles.slice(warmStart, range.testEnd), range.testStart - warmStart);
+
+      // Chain this window's per-bar equity onto the stitched curve (its
+      // first point is the bar before the slice, already on the curve)
+      const startEquity = equity;
+      for (const point of result.equityCurve.slice(1)) {
+        equity = startEquity * (point.equity / initialBalance);
+        equityCurve.push({ ...point, equity });
+      }
+      trades.push(...result.trades.map((trade) => ({ ...trade, window: index })));
+      signals.push(...result.signals);
+
+      const window = {
+        index,
+        train: { start: candles[range.trainStart].time, end: candles[range.trainEnd - 1].time },
+        test: { start: candles[range.testStart].time, end: candles[range.testEnd - 1].time },
+        params: chosen ? chosen.params : {},
+        fallback: !report.best,
+        inSample: chosen && report.best ? chosen.metrics : null,
+        outOfSample: scoreBacktest(result),
+        tradingBars: { inSample: range.trainEnd - range.trainStart - this.lookback, outOfSample: this.testSize },
+      };
+      windows.push(window);
+      this.log.info(`  Window ${index + 1}/${ranges.length}: IS ${window.inSample ? window.inSample.totalReturn.toFixed(2) : 'n/a'}% | OOS ${window.outOfSample.totalReturn.toFixed(2)}% | ${Object.entries(window.params).map(([k, v]) => `${k.split('.').pop()}=${v}`).join(' ')}`);
+    }
+
+    return {
+      mode: this.mode,
+      windows,
+      equityCurve,
+      trades,
+      signals,
+      summary: this._summarize(windows, equityCurve, trades),
+      stability: parameterStability(windows.filter((w) => !w.fallback)),
+    };
+  }
+
+  /**
+   * Stitched out-of-sample performance plus the in-sample vs out-of-sample
+   * comparison. Efficiency is out-of-sample return per bar divided by
+   * in-sample return per bar; the overfitting ratio is its inverse, capped
+   * (see `overfittingRatio`).
+   */
+  _summarize(windows, equityCurve, trades) {
+    const initialBalance = this.config.initialBalance;
+    const finalEquity = equityCurve[equityCurve.length - 1].equity;
+
+    let peak = initialBalance;
+    let maxDrawdown = 0;
+    for (const { equity } of equityCurve) {
+      if (equity > peak) peak = equity;
+      maxDrawdown = Math.max(maxDrawdown, ((peak - equity) / peak) * 100);
+    }
+
+    const optimized = windows.filter((w) => w.inSample);
+    const isPerBar = optimized.length > 0
+      ? mean(optimized.map((w) => w.inSample.totalReturn / w.tradingBars.inSample))
+      : null;
+    const oosPerBar = mean(windows.map((w) => w.outOfSample.totalReturn / w.tradingBars.outOfSample));
+
+    return {
+      windows: windows.length,
+      totalReturn: ((finalEquity - initialBalance) / initialBalance) * 100,
+      maxDrawdown,
+      finalEquity,
+      totalTrades: trades.length,
+      profitableWindows: windows.filter((w) => w.outOfSample.totalReturn > 0).length,
+      inSampleReturnPerBar: isPerBar,
+      outOfSampleReturnPerBar: oosPerBar,
+      efficiency: isPerBar ? oosPerBar / isPerBar : null,
+      overfittingRatio: overfittingRatio(isPerBar, oosPerBar),
+    };
+  }
+}
+
+module.exports = { WalkForward, buildWindows, parameterStability, overfittingRatio, MAX_OVERFITTING_RATIO };
@@ -6,40 +6,29 @@
  *   node src/index.js                    # run with default config
  *   PAPER_TRADING=true node src/index.js # force paper trading mode
  *   STRATEGY=rsi node src/index.js       # use RSI strategy
+ *   node src/index.js --export exports   # write trades/equity/signals
  *
  * For backtesting:
  *   node src/backtest.js
  */
+const { parseArgs } = require('util');
 const config = require('../config/default');
 const Logger = require('./utils/logger');
 const TradingEngine = require('./engines/trading-engine');
 
-// Strategy imports
-const EmaCrossoverStrategy = require('./strategies/ema-crossover');
-const RsiStrategy = require('./strategies/rsi-strategy');
-const MacdStrategy = require('./strategies/macd-strategy');
-const BollingerStrategy = require('./strategies/bollinger-strategy');
-const CombinedStrategy = require('./strategies/combined-strategy');
+const { createStrategy, loadStrategyPlugins } = require('./strategies');
+const { assertValidConfig } = require('./utils/config-validator');
+const { createExportWriter, EXPORT_ARGS } = require('./reports/exporters');
 
 const logger = new Logger(config.logLevel);
 
-function getStrategy(name) {
-  switch (name) {
-    case 'ema_crossover':
-      return new EmaCrossoverStrategy(config.strategies.ema_crossover);
-    case 'rsi':
-      return new RsiStrategy(config.strategies.rsi);
-    case 'macd':
-      return new MacdStrategy(config.strategies.macd);
-    case 'bollinger':
-      return new BollingerStrategy(config.strategies.bollinger);
-    case 'combined':
-    default:
-      return new CombinedStrategy(config.strategies.combined, config.strategies);
-  }
-}
+loadStrategyPlugins(config.strategyPlugins);
+
+const { values: args } = parseArgs({ options: { ...EXPORT_ARGS } });
 
 async function main() {
+  assertValidConfig(config);
+
   logger.info('Trading Bot v1.0.0');
   logger.info(`Configuration loaded: strategy=${config.strategy} symbol=${config.symbol} timeframe=${config.timeframe}`);
 
@@ -50,8 +39,10 @@ async function main() {
     logger.warn('='.repeat(60));
   }
 
-  const strategy = getStrategy(config.strategy);
-  const engine = new TradingEngine(config, strategy, logger);
+  const strategy = createStrategy(config.strategy, config.strategies);
+  const exporter = createExportWriter(config, args);
+  const engine = new TradingEngine(config, strategy, logger, { exporter });
+  if (exporter) logger.info(`Exporting trades, equity and signals to ${exporter.dir}`);
 
   // Graceful shutdown
   const shutdown = () => {
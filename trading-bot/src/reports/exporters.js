@@ -0,0 +1,149 @@
+/**
+ * Exporters – write trades, per-bar equity and signal logs to CSV, JSON
+ * Lines and columnar JSON for notebooks and spreadsheets.
+ *
+ * Every kind has a fixed column schema: columns are always written in the
+ * same order, missing values are empty (CSV) or null (JSONL, JSON), and
+ * extra fields are dropped, so files from different runs line up. New
+ * columns are only ever appended at the end.
+ *
+ * Columnar JSON is one document, `{ "columns": [...], "rows": [[...], ...] }`,
+ * that loads straight into a data frame (e.g. `pd.DataFrame(d["rows"],
+ * columns=d["columns"])`) without a Parquet dependency.
+ *
+ * A writer replaces each file (`<dir>/<prefix>trades.csv`, ...) the first
+ * time it writes to it and appends afterwards, so the same writer serves a
+ * finished backtest and a paper-trading session that exports as it goes.
+ * Appending to a JSON file rewrites it with the new rows added.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMAS = {
+  trades: [
+    'id', 'symbol', 'side', 'openTime', 'exitTime', 'entryPrice', 'exitPrice', 'quantity', 'value',
+    'stopLoss', 'takeProfit', 'entryFee', 'exitFee', 'fees', 'pnl', 'pnlPct', 'reason', 'exitReason',
+  ],
+  equity: ['time', 'symbol', 'equity', 'price', 'inMarket'],
+  signals: ['time', 'symbol', 'price', 'signal', 'confidence', 'reason', 'action'],
+};
+
+const FORMATS = ['csv', 'jsonl', 'json'];
+
+// Flags every runner accepts (spread into its parseArgs options)
+const EXPORT_ARGS = {
+  export: { type: 'string' },
+  'export-format': { type: 'string' },
+};
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' && !Number.isFinite(value)) return Number.isNaN(value) ? '' : (value > 0 ? 'Inf' : '-Inf');
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows as CSV lines (no header) in schema order.
+ */
+function toCsvLines(rows, columns) {
+  return rows.map((row) => columns.map((c) => csvCell(row[c])).join(','));
+}
+
+// Missing values and non-finite numbers (no JSON form) become null
+function jsonValue(value) {
+  if (value === undefined) return null;
+  return typeof value === 'number' && !Number.isFinite(value) ? null : value;
+}
+
+/**
+ * Rows as JSON Lines in schema order; missing values become null.
+ */
+function toJsonlLines(rows, columns) {
+  return rows.map((row) => JSON.stringify(Object.fromEntries(columns.map((c) => [c, jsonValue(row[c])]))));
+}
+
+/**
+ * Rows as value arrays in schema order, for columnar JSON.
+ */
+function toColumnarRows(rows, columns) {
+  return rows.map((row) => columns.map((c) => jsonValue(row[c])));
+}
+
+class ExportWriter {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - output directory (created if missing)
+   * @param {string[]} [options.formats=['csv']] - any of csv, jsonl, json
+   * @param {string} [options.prefix=''] - file name prefix, e.g. 'rsi-'
+   * @param {string} [options.symbol] - filled into rows without a symbol
+   */
+  constructor({ dir, formats = ['csv'], prefix = '', symbol }) {
+    const unknown = formats.filter((f) => !FORMATS.includes(f));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown export format "${unknown[0]}". Use ${FORMATS.join(', ')}.`);
+    }
+    this.dir = dir;
+    this.formats = formats;
+    this.prefix = prefix;
+    this.symbol = symbol;
+    this.files = new Set();
+  }
+
+  /**
+   * Write rows of one kind (trades | equity | signals) in every format.
+   */
+  write(kind, rows) {
+    const columns = SCHEMAS[kind];
+    if (!columns) throw new Error(`Unknown export kind "${kind}". Available: ${Object.keys(SCHEMAS).join(', ')}`);
+    fs.mkdirSync(this.dir, { recursive: true });
+    const filled = this.symbol ? rows.map((r) => (r.symbol === undefined ? { ...r, symbol: this.symbol } : r)) : rows;
+    for (const format of this.formats) {
+      const file = path.join(this.dir, `${this.prefix}${kind}.${format}`);
+      if (format === 'json') {
+        const previous = this.files.has(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).rows : [];
+        fs.writeFileSync(file, JSON.stringify({ columns, rows: [...previous, ...toColumnarRows(filled, columns)] }) + '\n');
+        this.files.add(file);
+        continue;
+      }
+      const lines = format === 'csv' ? toCsvLines(filled, columns) : toJsonlLines(filled, columns);
+      const isNew = !this.files.has(file);
+      if (isNew && format === 'csv') lines.unshift(columns.join(','));
+      const text = lines.length > 0 ? lines.join('\n') + '\n' : '';
+      if (isNew) fs.writeFileSync(file, text);
+      else fs.appendFileSync(file, text);
+      this.files.add(file);
+    }
+  }
+
+  /**
+   * Write a Backtester result ({ trades, equityCurve, signals }).
+   */
+  writeRun({ trades, equityCurve, signals }) {
+    this.write('trades', trades);
+    this.write('equity', equityCurve);
+    this.write('signals', signals);
+  }
+
+  /**
+   * A writer for the same directory and formats with another prefix/symbol.
+   */
+  child({ prefix = this.prefix, symbol = this.symbol } = {}) {
+    return new ExportWriter({ dir: this.dir, formats: this.formats, prefix, symbol });
+  }
+}
+
+/**
+ * Writer from `config.export`, overridden by the --export / --export-format
+ * flags. Returns null when no directory is configured (exports off).
+ */
+function createExportWriter(config, args = {}, options = {}) {
+  const dir = args.export || config.export?.dir;
+  if (!dir) return null;
+  const formats = args['export-format']
+    ? args['export-format'].split(',').map((f) => f.trim()).filter(Boolean)
+    : config.export?.formats;
+  return new ExportWriter({ dir, formats, symbol: config.symbol, ...options });
+}
+
+module.exports = { ExportWriter, createExportWriter, SCHEMAS, FORMATS, EXPORT_ARGS, toCsvLines, toJsonlLines, toColumnarRows };
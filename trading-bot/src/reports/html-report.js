@@ -0,0 +1,114 @@
+/**
+ * HTML backtest report – writes one self-contained file (inline CSS, JS
+ * and data; no CDN) that can be shared and opened offline.
+ *
+ * A report has one section per dataset (symbol/timeframe). Each section
+ * compares the strategies run on it and, for the selected one, shows a
+ * candlestick chart with the strategy's overlays and trade markers, the
+ * equity and drawdown curves, a monthly returns heatmap and a sortable
+ * trade table. Rendering happens in the browser (`report-client.js`).
+ */
+const fs = require('fs');
+const path = require('path');
+const { monthlyReturns } = require('../utils/performance');
+const { formatSummary, formatMetrics } = require('../utils/format');
+
+const CLIENT_JS = fs.readFileSync(path.join(__dirname, 'report-client.js'), 'utf8');
+const STYLES = fs.readFileSync(path.join(__dirname, 'report.css'), 'utf8');
+
+// Keep embedded numbers short: 8 significant digits is plenty for charts
+function round(value) {
+  return value === null || value === undefined || !Number.isFinite(value) ? null : Number(value.toPrecision(8));
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+}
+
+/**
+ * Chart data for one strategy run.
+ * @param {object} run
+ * @param {string} run.name
+ * @param {object} run.result - Backtester result ({ summary, metrics, equityCurve, trades })
+ * @param {Array} [run.overlays] - strategy.overlays(candles)
+ */
+function buildRun({ name, result, overlays = [] }) {
+  let peak = -Infinity;
+  return {
+    name,
+    summary: formatSummary(result.summary),
+    metrics: formatMetrics(result.metrics),
+    totalReturn: round(result.summary.totalReturn),
+    equity: result.equityCurve.map((p) => {
+      peak = Math.max(peak, p.equity);
+      return [Date.parse(p.time), round(p.equity), round(((p.equity - peak) / peak) * 100)];
+    }),
+    monthly: monthlyReturns(result.equityCurve).map((m) => [m.year, m.month, round(m.return)]),
+    overlays: overlays.map((o) => ({ name: o.name, values: o.values.map(round) })),
+    trades: result.trades.map((t) => ({
+      side: t.side,
+      openTime: t.openTime,
+      exitTime: t.exitTime,
+      entryPrice: round(t.entryPrice),
+      exitPrice: round(t.exitPrice),
+      quantity: round(t.quantity),
+      pnl: round(t.pnl),
+      pnlPct: round(t.pnlPct),
+      fees: round(t.fees || 0),
+      reason: t.reason || '',
+      exitReason: t.exitReason || '',
+    })),
+  };
+}
+
+/**
+ * Render the report.
+ * @param {object} report
+ * @param {string} report.title
+ * @param {Array<{ title, subtitle?, candles, runs }>} report.sections - runs
+ *   are `buildRun` inputs
+ * @returns {string} HTML document
+ */
+function renderReport({ title, sections }) {
+  const data = {
+    title,
+    generatedAt: new Date().toISOString(),
+    sections: sections.map((s) => ({
+      title: s.title,
+      subtitle: s.subtitle || '',
+      candles: s.candles.map((c) => [Date.parse(c.time), round(c.open), round(c.high), round(c.low), round(c.close), round(c.volume)]),
+      runs: s.runs.map(buildRun),
+    })),
+  };
+  // `<` is escaped so no string in the data can close the script element
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+${STYLES}</style>
+</head>
+<body>
+<header><h1>${escapeHtml(title)}</h1><p class="muted">Generated ${data.generatedAt}</p></header>
+<main id="report"></main>
+<script type="application/json" id="report-data">${json}</script>
+<script>
+${CLIENT_JS}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render and write the report, creating the directory if needed.
+ */
+function writeReport(file, report) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, renderReport(report));
+}
+
+module.exports = { renderReport, writeReport, buildRun };
@@ -0,0 +1,522 @@
+/**
+ * Browser side of the HTML report – inlined into the page by
+ * `html-report.js`. Reads the embedded JSON and draws everything on
+ * <canvas> with no libraries.
+ *
+ * Candlestick chart: mouse wheel zooms, drag pans, double-click resets.
+ */
+(function () {
+  'use strict';
+
+  const data = JSON.parse(document.getElementById('report-data').textContent);
+  const root = document.getElementById('report');
+  const OVERLAY_COLORS = ['#f59e0b', '#3b82f6', '#a855f7', '#14b8a6', '#ec4899', '#84cc16', '#f97316'];
+  const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const UP = '#22c55e';
+  const DOWN = '#ef4444';
+  const GRID = '#1f2937';
+  const MUTED = '#9ca3af';
+  const resizers = []; // one redraw list per section
+
+  function el(tag, attrs, children) {
+    const node = document.createElement(tag);
+    Object.entries(attrs || {}).forEach(([key, value]) => {
+      if (key === 'text') node.textContent = value;
+      else if (key === 'style') node.style.cssText = value;
+      else node.setAttribute(key, value);
+    });
+    (children || []).forEach((child) => node.appendChild(child));
+    return node;
+  }
+
+  function fmtTime(ms) {
+    return new Date(ms).toISOString().slice(0, 16).replace('T', ' ');
+  }
+
+  function fmtNum(value, digits) {
+    return value === null || value === undefined ? 'n/a' : value.toFixed(digits === undefined ? 2 : digits);
+  }
+
+  function signClass(value) {
+    if (value > 0) return 'pos';
+    if (value < 0) return 'neg';
+    return '';
+  }
+
+  /**
+   * Size a canvas for the device pixel ratio; returns a context in CSS pixels.
+   */
+  function setupCanvas(canvas, height) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.parentElement.clientWidth;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    canvas.style.height = `${height}px`;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.font = '11px sans-serif';
+    return { ctx, width, height };
+  }
+
+  function niceTicks(min, max, count) {
+    const span = max - min || Math.abs(max) || 1;
+    const raw = span / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 5, 10].map((m) => m * magnitude).find((s) => s >= raw);
+    const ticks = [];
+    for (let v = Math.ceil(min / step) * step; v <= max; v += step) ticks.push(v);
+    return ticks;
+  }
+
+  function drawYAxis(ctx, ticks, toY, width, right, format) {
+    ctx.strokeStyle = GRID;
+    ctx.fillStyle = MUTED;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ticks.forEach((tick) => {
+      const y = Math.round(toY(tick)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(width - right, y);
+      ctx.stroke();
+      ctx.fillText(format(tick), width - right + 6, y);
+    });
+  }
+
+  function chartShell(container, height) {
+    const canvas = el('canvas');
+    const tooltip = el('div', { class: 'tooltip' });
+    const wrap = el('div', { class: 'chart' }, [canvas, tooltip]);
+    container.appendChild(wrap);
+    return { canvas, tooltip, height };
+  }
+
+  function showTooltip(tooltip, x, y, text, width) {
+    tooltip.textContent = text;
+    tooltip.style.display = 'block';
+    const left = x + 14 + tooltip.offsetWidth > width ? x - tooltip.offsetWidth - 14 : x + 14;
+    tooltip.style.left = `${left}px`;
+    tooltip.style.top = `${Math.max(0, y - 10)}px`;
+  }
+
+  /**
+   * Candlesticks with overlays and trade entry/exit markers.
+   */
+  function candleChart(container, candles, run, draws) {
+    const shell = chartShell(container, 420);
+    const right = 70;
+    const bottom = 22;
+    const indexOf = new Map(candles.map((c, i) => [c[0], i]));
+    const view = { start: 0, end: candles.length };
+    let hover = null;
+
+    const markers = [];
+    run.trades.forEach((t) => {
+      const entry = indexOf.get(Date.parse(t.openTime));
+      const exit = indexOf.get(Date.parse(t.exitTime));
+      if (entry !== undefined) markers.push({ index: entry, price: t.entryPrice, kind: t.side === 'BUY' ? 'long' : 'short', trade: t });
+      if (exit !== undefined) markers.push({ index: exit, price: t.exitPrice, kind: 'exit', trade: t });
+    });
+
+    const legend = el('div', { class: 'legend' }, run.overlays.map((o, i) =>
+      el('span', { text: o.name, style: `--swatch: ${OVERLAY_COLORS[i % OVERLAY_COLORS.length]}` })
+    ).concat([
+      el('span', { text: 'Long entry ▲', style: `--swatch: ${UP}` }),
+      el('span', { text: 'Short entry ▼', style: `--swatch: ${DOWN}` }),
+      el('span', { text: 'Exit ◆', style: '--swatch: #e5e7eb' }),
+    ]));
+    container.appendChild(legend);
+
+    function draw() {
+      const { ctx, width, height } = setupCanvas(shell.canvas, shell.height);
+      const plotW = width - right;
+      const plotH = height - bottom;
+      const count = view.end - view.start;
+      const slot = plotW / count;
+
+      let lo = Infinity;
+      let hi = -Infinity;
+      for (let i = view.start; i < view.end; i++) {
+        lo = Math.min(lo, candles[i][3]);
+        hi = Math.max(hi, candles[i][2]);
+        run.overlays.forEach((o) => {
+          const v = o.values[i];
+          if (v !== null && v !== undefined) { lo = Math.min(lo, v); hi = Math.max(hi, v); }
+        });
+      }
+      const pad = (hi - lo) * 0.05 || 1;
+      lo -= pad;
+      hi += pad;
+      const toX = (i) => (i - view.start + 0.5) * slot;
+      const toY = (p) => plotH - ((p - lo) / (hi - lo)) * plotH;
+
+      drawYAxis(ctx, niceTicks(lo, hi, 6), toY, width, right, (v) => fmtNum(v, v < 10 ? 4 : 2));
+
+      ctx.fillStyle = MUTED;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      const labelEvery = Math.max(1, Math.ceil(count / (plotW / 120)));
+      for (let i = view.start; i < view.end; i += labelEvery) {
+        ctx.fillText(fmtTime(candles[i][0]).slice(0, 10), toX(i), plotH + 6);
+      }
+
+      const body = Math.max(1, slot * 0.7);
+      for (let i = view.start; i < view.end; i++) {
+        const [, open, high, low, close] = candles[i];
+        const x = toX(i);
+        ctx.strokeStyle = ctx.fillStyle = close >= open ? UP : DOWN;
+        ctx.beginPath();
+        ctx.moveTo(Math.round(x) + 0.5, toY(high));
+        ctx.lineTo(Math.round(x) + 0.5, toY(low));
+        ctx.stroke();
+        const top = toY(Math.max(open, close));
+        ctx.fillRect(x - body / 2, top, body, Math.max(1, toY(Math.min(open, close)) - top));
+      }
+
+      run.overlays.forEach((o, n) => {
+        ctx.strokeStyle = OVERLAY_COLORS[n % OVERLAY_COLORS.length];
+        ctx.lineWidth = 1.25;
+        ctx.beginPath();
+        let drawing = false;
+        for (let i = view.start; i < view.end; i++) {
+          const v = o.values[i];
+          if (v === null || v === undefined) { drawing = false; continue; }
+          if (drawing) ctx.lineTo(toX(i), toY(v));
+          else ctx.moveTo(toX(i), toY(v));
+          drawing = true;
+        }
+        ctx.stroke();
+        ctx.lineWidth = 1;
+      });
+
+      markers.forEach((m) => {
+        if (m.index < view.start || m.index >= view.end) return;
+        const x = toX(m.index);
+        const y = toY(m.price);
+        ctx.fillStyle = m.kind === 'long' ? UP : m.kind === 'short' ? DOWN : '#e5e7eb';
+        ctx.strokeStyle = '#0f172a';
+        ctx.beginPath();
+        if (m.kind === 'long') { ctx.moveTo(x, y - 2); ctx.lineTo(x - 6, y + 9); ctx.lineTo(x + 6, y + 9); }
+        else if (m.kind === 'short') { ctx.moveTo(x, y + 2); ctx.lineTo(x - 6, y - 9); ctx.lineTo(x + 6, y - 9); }
+        else { ctx.moveTo(x, y - 6); ctx.lineTo(x + 5, y); ctx.lineTo(x, y + 6); ctx.lineTo(x - 5, y); }
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+      });
+
+      if (hover !== null && hover >= view.start && hover < view.end) {
+        ctx.strokeStyle = 'rgba(229, 231, 235, 0.35)';
+        ctx.beginPath();
+        ctx.moveTo(Math.round(toX(hover)) + 0.5, 0);
+        ctx.lineTo(Math.round(toX(hover)) + 0.5, plotH);
+        ctx.stroke();
+      }
+    }
+
+    function indexAt(event) {
+      const rect = shell.canvas.getBoundingClientRect();
+      const slot = (rect.width - right) / (view.end - view.start);
+      return Math.min(view.end - 1, Math.max(view.start, view.start + Math.floor((event.clientX - rect.left) / slot)));
+    }
+
+    let drag = null;
+    shell.canvas.addEventListener('wheel', (event) => {
+      event.preventDefault();
+      const center = indexAt(event);
+      const count = view.end - view.start;
+      const next = Math.min(candles.length, Math.max(20, Math.round(count * (event.deltaY > 0 ? 1.2 : 0.8))));
+      const share = (center - view.start) / count;
+      view.start = Math.max(0, Math.min(candles.length - next, Math.round(center - share * next)));
+      view.end = view.start + next;
+      draw();
+    }, { passive: false });
+    shell.canvas.addEventListener('mousedown', (event) => { drag = { x: event.clientX, start: view.start }; });
+    window.addEventListener('mouseup', () => { drag = null; });
+    shell.canvas.addEventListener('dblclick', () => { view.start = 0; view.end = candles.length; draw(); });
+    shell.canvas.addEventListener('mouseleave', () => { hover = null; shell.tooltip.style.display = 'none'; draw(); });
+    shell.canvas.addEventListener('mousemove', (event) => {
+      const rect = shell.canvas.getBoundingClientRect();
+      if (drag) {
+        const count = view.end - view.start;
+        const shift = Math.round((drag.x - event.clientX) / ((rect.width - right) / count));
+        view.start = Math.max(0, Math.min(candles.length - count, drag.start + shift));
+        view.end = view.start + count;
+      }
+      hover = indexAt(event);
+      const [time, open, high, low, close, volume] = candles[hover];
+      const lines = [fmtTime(time), `O ${open}  H ${high}  L ${low}  C ${close}`, `Vol ${volume}`];
+      run.overlays.forEach((o) => { if (o.values[hover] !== null) lines.push(`${o.name}: ${fmtNum(o.values[hover])}`); });
+      markers.filter((m) => m.index === hover).forEach((m) => {
+        lines.push(m.kind === 'exit'
+          ? `Exit @ ${m.price}: ${m.trade.exitReason} (${fmtNum(m.trade.pnlPct)}%)`
+          : `${m.trade.side} @ ${m.price}: ${m.trade.reason}`);
+      });
+      draw();
+      showTooltip(shell.tooltip, event.clientX - rect.left, event.clientY - rect.top, lines.join('\n'), rect.width);
+    });
+
+    draws.push(draw);
+    draw();
+  }
+
+  /**
+   * Time-series line chart (equity or drawdown) with hover readout.
+   */
+  function lineChart(container, points, field, options, draws) {
+    const shell = chartShell(container, options.height || 200);
+    const right = 70;
+    const bottom = 22;
+    let hover = null;
+
+    function draw() {
+      const { ctx, width, height } = setupCanvas(shell.canvas, shell.height);
+      const plotW = width - right;
+      const plotH = height - bottom;
+      const values = points.map((p) => p[field]);
+      let lo = Math.min.apply(null, values);
+      let hi = Math.max.apply(null, values);
+      if (options.zeroTop) hi = 0;
+      const pad = (hi - lo) * 0.05 || 1;
+      lo -= pad;
+      if (!options.zeroTop) hi += pad;
+      const t0 = points[0][0];
+      const t1 = points[points.length - 1][0];
+      const toX = (t) => ((t - t0) / (t1 - t0 || 1)) * plotW;
+      const toY = (v) => plotH - ((v - lo) / (hi - lo)) * plotH;
+
+      drawYAxis(ctx, niceTicks(lo, hi, 4), toY, width, right, options.format);
+
+      ctx.fillStyle = MUTED;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      for (let k = 0; k <= 4; k++) {
+        const t = t0 + ((t1 - t0) * k) / 4;
+        ctx.textAlign = k === 0 ? 'left' : k === 4 ? 'right' : 'center';
+        ctx.fillText(fmtTime(t).slice(0, 10), toX(t), plotH + 6);
+      }
+
+      ctx.beginPath();
+      points.forEach((p, i) => (i === 0 ? ctx.moveTo(toX(p[0]), toY(p[field])) : ctx.lineTo(toX(p[0]), toY(p[field]))));
+      ctx.strokeStyle = options.color;
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+      ctx.lineWidth = 1;
+      const base = toY(options.zeroTop ? 0 : lo);
+      ctx.lineTo(toX(t1), base);
+      ctx.lineTo(toX(t0), base);
+      ctx.closePath();
+      ctx.fillStyle = options.fill;
+      ctx.fill();
+
+      if (options.baseline !== undefined) {
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = MUTED;
+        ctx.beginPath();
+        ctx.moveTo(0, toY(options.baseline));
+        ctx.lineTo(plotW, toY(options.baseline));
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+
+      if (hover !== null) {
+        const p = points[hover];
+        ctx.fillStyle = options.color;
+        ctx.beginPath();
+        ctx.arc(toX(p[0]), toY(p[field]), 3, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+
+    shell.canvas.addEventListener('mouseleave', () => { hover = null; shell.tooltip.style.display = 'none'; draw(); });
+    shell.canvas.addEventListener('mousemove', (event) => {
+      const rect = shell.canvas.getBoundingClientRect();
+      const t0 = points[0][0];
+      const t1 = points[points.length - 1][0];
+      const t = t0 + ((event.clientX - rect.left) / (rect.width - right)) * (t1 - t0);
+      let best = 0;
+      points.forEach((p, i) => { if (Math.abs(p[0] - t) < Math.abs(points[best][0] - t)) best = i; });
+      hover = best;
+      draw();
+      showTooltip(shell.tooltip, event.clientX - rect.left, event.clientY - rect.top,
+        `${fmtTime(points[best][0])}\n${options.format(points[best][field])}`, rect.width);
+    });
+
+    draws.push(draw);
+    draw();
+  }
+
+  function heatColor(value, scale) {
+    if (value === null) return 'transparent';
+    const strength = Math.min(1, Math.abs(value) / scale);
+    return value >= 0 ? `rgba(34, 197, 94, ${0.15 + 0.75 * strength})` : `rgba(239, 68, 68, ${0.15 + 0.75 * strength})`;
+  }
+
+  /**
+   * Year × month grid of monthly returns, with a yearly compounded total.
+   */
+  function heatmap(container, monthly) {
+    const years = [...new Set(monthly.map((m) => m[0]))];
+    const scale = Math.max(1, ...monthly.map((m) => Math.abs(m[2])));
+    const head = el('tr', {}, [el('th', { text: 'Year', class: 'text' })]
+      .concat(MONTHS.map((m) => el('th', { text: m })))
+      .concat([el('th', { text: 'Year' })]));
+    const rows = years.map((year) => {
+      const cells = MONTHS.map((_, i) => {
+        const entry = monthly.find((m) => m[0] === year && m[1] === i + 1);
+        const value = entry ? entry[2] : null;
+        return el('td', { text: value === null ? '' : fmtNum(value, 1), style: `background: ${heatColor(value, scale)}` });
+      });
+      const total = (monthly.filter((m) => m[0] === year).reduce((acc, m) => acc * (1 + m[2] / 100), 1) - 1) * 100;
+      cells.push(el('td', { text: fmtNum(total, 1), style: `background: ${heatColor(total, scale)}` }));
+      return el('tr', {}, [el('td', { text: String(year), class: 'text' })].concat(cells));
+    });
+    container.appendChild(el('table', { class: 'heatmap' }, [el('thead', {}, [head]), el('tbody', {}, rows)]));
+  }
+
+  /**
+   * Trade list; click a header to sort, again to reverse.
+   */
+  function tradeTable(container, trades) {
+    const columns = [
+      { key: 'index', label: '#' },
+      { key: 'side', label: 'Side', text: true },
+      { key: 'openTime', label: 'Entry time', text: true, format: (v) => fmtTime(Date.parse(v)) },
+      { key: 'exitTime', label: 'Exit time', text: true, format: (v) => fmtTime(Date.parse(v)) },
+      { key: 'entryPrice', label: 'Entry' },
+      { key: 'exitPrice', label: 'Exit' },
+      { key: 'quantity', label: 'Qty' },
+      { key: 'pnl', label: 'P&L', format: (v) => fmtNum(v), signed: true },
+      { key: 'pnlPct', label: 'P&L %', format: (v) => `${fmtNum(v)}%`, signed: true },
+      { key: 'fees', label: 'Fees', format: (v) => fmtNum(v) },
+      { key: 'reason', label: 'Entry reason', text: true },
+      { key: 'exitReason', label: 'Exit reason', text: true },
+    ];
+    const rows = trades.map((t, i) => Object.assign({ index: i + 1 }, t));
+    const sort = { key: 'index', dir: 1 };
+    const tbody = el('tbody');
+    const headers = columns.map((c) => {
+      const th = el('th', { text: c.label, class: `sortable${c.text ? ' text' : ''}` });
+      th.addEventListener('click', () => {
+        sort.dir = sort.key === c.key ? -sort.dir : 1;
+        sort.key = c.key;
+        fill();
+      });
+      return th;
+    });
+
+    function fill() {
+      rows.sort((a, b) => {
+        const x = a[sort.key];
+        const y = b[sort.key];
+        return (typeof x === 'number' ? x - y : String(x).localeCompare(String(y))) * sort.dir;
+      });
+      headers.forEach((th, i) => {
+        th.textContent = columns[i].label + (columns[i].key === sort.key ? (sort.dir > 0 ? ' ▲' : ' ▼') : '');
+      });
+      tbody.textContent = '';
+      rows.forEach((row) => {
+        tbody.appendChild(el('tr', {}, columns.map((c) => el('td', {
+          text: c.format ? c.format(row[c.key]) : String(row[c.key]),
+          class: [c.text ? 'text' : '', c.signed ? signClass(row[c.key]) : ''].join(' ').trim(),
+        }))));
+      });
+    }
+
+    if (trades.length === 0) {
+      container.appendChild(el('p', { class: 'muted', text: 'No trades.' }));
+      return;
+    }
+    container.appendChild(el('div', { class: 'scroll' }, [el('table', {}, [el('thead', {}, [el('tr', {}, headers)]), tbody])]));
+    fill();
+  }
+
+  function metricsGrid(container, run) {
+    const items = [
+      ['Return', run.summary.totalReturn], ['CAGR', run.metrics.cagr], ['Buy & hold', run.metrics.buyAndHoldReturn],
+      ['Sharpe', run.metrics.sharpe], ['Sortino', run.metrics.sortino], ['Calmar', run.metrics.calmar],
+      ['Volatility', run.metrics.volatility], ['Max drawdown', run.metrics.maxDrawdown],
+      ['Longest drawdown', run.metrics.maxDrawdownDuration], ['Time in market', run.metrics.timeInMarket],
+      ['Trades', String(run.summary.totalTrades)], ['Win rate', run.summary.winRate],
+      ['Profit factor', run.summary.profitFactor], ['Expectancy', run.metrics.expectancy],
+      ['Avg holding', run.metrics.avgHoldingTime], ['Streaks (W/L)', `${run.metrics.longestWinStreak} / ${run.metrics.longestLossStreak}`],
+      ['Fees', run.summary.totalFees], ['Final value', run.summary.totalValue],
+    ];
+    container.appendChild(el('div', { class: 'metrics' }, items.map(([label, value]) =>
+      el('div', { class: 'metric' }, [el('small', { text: label }), el('b', { text: value })])
+    )));
+  }
+
+  /**
+   * Strategy comparison table; clicking a row selects that run.
+   */
+  function comparisonTable(container, runs, selected, onSelect) {
+    const columns = [
+      ['Strategy', (r) => r.name], ['Return', (r) => r.summary.totalReturn], ['CAGR', (r) => r.metrics.cagr],
+      ['Sharpe', (r) => r.metrics.sharpe], ['Sortino', (r) => r.metrics.sortino], ['Max DD', (r) => r.metrics.maxDrawdown],
+      ['Trades', (r) => String(r.summary.totalTrades)], ['Win rate', (r) => r.summary.winRate],
+      ['PF', (r) => r.summary.profitFactor], ['In market', (r) => r.metrics.timeInMarket],
+    ];
+    const rows = runs.map((run, i) => {
+      const tr = el('tr', { class: `clickable${i === selected ? ' selected' : ''}` }, columns.map(([, get], c) =>
+        el('td', { text: get(run), class: c === 0 ? 'text' : (c === 1 ? signClass(run.totalReturn) : '') })
+      ));
+      tr.addEventListener('click', () => onSelect(i));
+      return tr;
+    });
+    container.appendChild(el('table', {}, [
+      el('thead', {}, [el('tr', {}, columns.map(([label], c) => el('th', { text: label, class: c === 0 ? 'text' : '' })))]),
+      el('tbody', {}, rows),
+    ]));
+  }
+
+  function renderSection(section) {
+    const node = el('section');
+    root.appendChild(node);
+    const best = section.runs.reduce((b, r, i) => (r.totalReturn > section.runs[b].totalReturn ? i : b), 0);
+    const draws = [];
+    resizers.push(draws);
+
+    function render(selected) {
+      draws.length = 0;
+      node.textContent = '';
+      const run = section.runs[selected];
+      const picker = el('select', {}, section.runs.map((r, i) => {
+        const option = el('option', { value: String(i), text: r.name });
+        if (i === selected) option.selected = true;
+        return option;
+      }));
+      picker.addEventListener('change', () => render(Number(picker.value)));
+      node.appendChild(el('div', { class: 'section-head' }, [
+        el('div', {}, [el('h2', { text: section.title }), el('p', { class: 'muted', text: section.subtitle })]),
+        picker,
+      ]));
+
+      if (section.runs.length > 1) {
+        node.appendChild(el('h3', { text: 'Strategy comparison' }));
+        comparisonTable(node, section.runs, selected, render);
+      }
+
+      node.appendChild(el('h3', { text: `${run.name} – performance` }));
+      metricsGrid(node, run);
+      node.appendChild(el('h3', { text: 'Price' }));
+      candleChart(node, section.candles, run, draws);
+      node.appendChild(el('h3', { text: 'Equity' }));
+      lineChart(node, run.equity, 1, {
+        color: '#3b82f6', fill: 'rgba(59, 130, 246, 0.12)', baseline: run.equity[0][1], format: (v) => `$${fmtNum(v)}`,
+      }, draws);
+      node.appendChild(el('h3', { text: 'Drawdown' }));
+      lineChart(node, run.equity, 2, {
+        color: DOWN, fill: 'rgba(239, 68, 68, 0.2)', height: 140, zeroTop: true, format: (v) => `${fmtNum(v)}%`,
+      }, draws);
+      node.appendChild(el('h3', { text: 'Monthly returns (%)' }));
+      heatmap(node, run.monthly);
+      node.appendChild(el('h3', { text: `Trades (${run.trades.length})` }));
+      tradeTable(node, run.trades);
+    }
+
+    render(best);
+  }
+
+  data.sections.forEach(renderSection);
+  window.addEventListener('resize', () => resizers.forEach((draws) => draws.forEach((draw) => draw())));
+})();
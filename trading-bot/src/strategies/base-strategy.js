@@ -1,6 +1,14 @@
 /**
  * Base strategy – all strategies extend this.
  * Subclasses must implement `evaluate(candles)` and return a signal object.
+ *
+ * Strategies may also opt into the incremental API: override `onCandle`
+ * and `reset` with streaming indicator state and return true from
+ * `supportsIncremental()`. Both paths must produce identical signals.
+ *
+ * Strategies that read higher timeframes list them in `requiredTimeframes()`;
+ * the engines then pass `{ timeframes: { [tf]: closedCandles } }` as the
+ * second argument of `evaluate` and `onCandle` (see utils/timeframes.js).
  */
 
 // Signal types
@@ -19,11 +27,54 @@ class BaseStrategy {
   /**
    * Evaluate candles and return a signal.
    * @param {Array} candles - Array of { time, open, high, low, close, volume }
+   * @param {object} [context] - `{ timeframes }` when `requiredTimeframes()` is non-empty
    * @returns {{ signal: string, confidence: number, reason: string }}
    */
-  evaluate(_candles) {
+  evaluate(_candles, _context) {
     throw new Error(`${this.name}: evaluate() not implemented`);
   }
+
+  /**
+   * Price-scale indicator series for charts (e.g. the HTML report).
+   * @returns {Array<{ name: string, values: Array<number|null> }>} values
+   *   aligned with `candles`, null while warming up
+   */
+  overlays(_candles) {
+    return [];
+  }
+
+  /**
+   * Higher timeframes (e.g. ['4h']) whose closed candles the strategy needs
+   * in `context.timeframes`.
+   */
+  requiredTimeframes() {
+    return [];
+  }
+
+  /**
+   * Whether `onCandle` runs in O(1) per candle. When false, `onCandle`
+   * falls back to buffering candles and calling `evaluate`.
+   */
+  supportsIncremental() {
+    return false;
+  }
+
+  /**
+   * Incremental API – ingest the next closed candle and return a signal
+   * for it, in the same shape as `evaluate`.
+   */
+  onCandle(candle, context) {
+    if (!this._candles) this._candles = [];
+    this._candles.push(candle);
+    return this.evaluate(this._candles, context);
+  }
+
+  /**
+   * Clear incremental state so the strategy can replay a new series.
+   */
+  reset() {
+    this._candles = [];
+  }
 }
 
 module.exports = { BaseStrategy, SIGNAL };
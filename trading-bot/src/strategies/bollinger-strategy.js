@@ -1,5 +1,15 @@
 const { BaseStrategy, SIGNAL } = require('./base-strategy');
-const { bollingerBands, ema } = require('../utils/indicators');
+const { registerStrategy } = require('./registry');
+const { TrendFilter, TREND_TIMEFRAME_PARAM } = require('./trend-filter');
+const { bollingerBands } = require('../utils/indicators');
+const { BollingerStream } = require('../utils/streaming-indicators');
+
+const DEFAULTS = {
+  period: 20,
+  stdDev: 2,
+  trendPeriod: 50,
+  trendTimeframe: '',
+};
 
 /**
  * Bollinger Bands Mean-Reversion Strategy with Trend Filter
@@ -10,32 +20,77 @@ const { bollingerBands, ema } = require('../utils/indicators');
 class BollingerStrategy extends BaseStrategy {
   constructor(params = {}) {
     super('Bollinger Bands', params);
-    this.period = params.period || 20;
-    this.stdDev = params.stdDev || 2;
-    this.trendPeriod = params.trendPeriod || 50;
+    this.period = params.period ?? DEFAULTS.period;
+    this.stdDev = params.stdDev ?? DEFAULTS.stdDev;
+    this.trendPeriod = params.trendPeriod ?? DEFAULTS.trendPeriod;
+    this.trendTimeframe = params.trendTimeframe ?? DEFAULTS.trendTimeframe;
+    this.trend = new TrendFilter(this.trendPeriod, this.trendTimeframe);
+    this.reset();
   }
 
-  evaluate(candles) {
+  evaluate(candles, context) {
     const closes = candles.map((c) => c.close);
-    if (closes.length < Math.max(this.period + 3, this.trendPeriod + 2)) {
+    if (closes.length < Math.max(this.period + 3, this.trend.baseWarmup + 2)) {
       return { signal: SIGNAL.HOLD, confidence: 0, reason: 'Not enough data' };
     }
 
     const { upper, middle, lower } = bollingerBands(closes, this.period, this.stdDev);
-    const trendEma = ema(closes, this.trendPeriod);
     const len = closes.length;
 
-    const currClose = closes[len - 1];
-    const prevClose = closes[len - 2];
-    const prev2Close = closes[len - 3];
-    const currUpper = upper[len - 1];
-    const currLower = lower[len - 1];
-    const currMiddle = middle[len - 1];
-    const prevLower = lower[len - 2];
-    const prevUpper = upper[len - 2];
-    const prev2Lower = lower[len - 3];
-    const prev2Upper = upper[len - 3];
-    const currTrend = trendEma[len - 1];
+    // Last three bars, oldest first
+    const bars = [len - 3, len - 2, len - 1].map((i) => ({
+      close: closes[i], upper: upper[i], middle: middle[i], lower: lower[i],
+    }));
+    return this._signal(bars, this.trend.value(closes, context));
+  }
+
+  overlays(candles) {
+    const closes = candles.map((c) => c.close);
+    const { upper, middle, lower } = bollingerBands(closes, this.period, this.stdDev);
+    return [
+      { name: `BB upper (${this.period}, ${this.stdDev})`, values: upper },
+      { name: `BB middle (${this.period})`, values: middle },
+      { name: `BB lower (${this.period}, ${this.stdDev})`, values: lower },
+      this.trend.overlay(candles),
+    ];
+  }
+
+  requiredTimeframes() {
+    return this.trend.timeframes;
+  }
+
+  supportsIncremental() {
+    return true;
+  }
+
+  reset() {
+    this.bandStream = new BollingerStream(this.period, this.stdDev);
+    this.trend.reset();
+    this.recentBars = [];
+    this.candleCount = 0;
+  }
+
+  onCandle(candle, context) {
+    this.candleCount++;
+    const bands = this.bandStream.update(candle.close);
+    const currTrend = this.trend.update(candle.close, context);
+    this.recentBars.push({ close: candle.close, ...bands });
+    if (this.recentBars.length > 3) this.recentBars.shift();
+
+    if (this.candleCount < Math.max(this.period + 3, this.trend.baseWarmup + 2)) {
+      return { signal: SIGNAL.HOLD, confidence: 0, reason: 'Not enough data' };
+    }
+    return this._signal(this.recentBars, currTrend);
+  }
+
+  /**
+   * Signal decision shared by `evaluate` and `onCandle`.
+   * `bars` holds { close, upper, middle, lower } for the last three bars, oldest first.
+   */
+  _signal([prev2, prev, curr], currTrend) {
+    const { close: currClose, upper: currUpper, middle: currMiddle, lower: currLower } = curr;
+    const { close: prevClose, upper: prevUpper, lower: prevLower } = prev;
+    const { close: prev2Close, upper: prev2Upper, lower: prev2Lower } = prev2;
 
     if ([currUpper, currLower, currMiddle, prevLower, prevUpper, prev2Lower, prev2Upper, currTrend].some((v) => v === null)) {
       return { signal: SIGNAL.HOLD, confidence: 0, reason: 'Indicator warming up' };
@@ -83,4 +138,14 @@ class BollingerStrategy extends BaseStrategy {
   }
 }
 
+registerStrategy('bollinger', BollingerStrategy, {
+  defaults: DEFAULTS,
+  schema: {
+    period: { type: 'integer', min: 2, description: 'Band SMA period' },
+    stdDev: { type: 'number', min: 0, description: 'Band width in standard deviations' },
+    trendPeriod: { type: 'integer', min: 2, description: 'Trend filter EMA period' },
+    trendTimeframe: TREND_TIMEFRAME_PARAM,
+  },
+});
+
 module.exports = BollingerStrategy;
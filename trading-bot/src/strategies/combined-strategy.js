@@ -1,9 +1,15 @@
 const { BaseStrategy, SIGNAL } = require('./base-strategy');
+const { registerStrategy } = require('./registry');
 const EmaCrossoverStrategy = require('./ema-crossover');
 const RsiStrategy = require('./rsi-strategy');
 const MacdStrategy = require('./macd-strategy');
 const BollingerStrategy = require('./bollinger-strategy');
 
+const DEFAULTS = {
+  minConfirmations: 3,
+  minConfidence: 15,
+};
+
 /**
  * Combined Strategy – High Win Rate Mode
  * Requires multiple strategy confirmations before entering a trade.
@@ -13,8 +19,8 @@ const BollingerStrategy = require('./bollinger-strategy');
 class CombinedStrategy extends BaseStrategy {
   constructor(params = {}, allParams = {}) {
     super('Combined', params);
-    this.minConfirmations = params.minConfirmations || 3;
-    this.minConfidence = params.minConfidence || 15;
+    this.minConfirmations = params.minConfirmations ?? DEFAULTS.minConfirmations;
+    this.minConfidence = params.minConfidence ?? DEFAULTS.minConfidence;
 
     this.strategies = [
       new EmaCrossoverStrategy(allParams.ema_crossover || {}),
@@ -24,12 +30,49 @@ class CombinedStrategy extends BaseStrategy {
     ];
   }
 
-  evaluate(candles) {
-    const results = this.strategies.map((s) => ({
+  evaluate(candles, context) {
+    return this._combine(this.strategies.map((s) => ({
+      name: s.name,
+      ...s.evaluate(candles, context),
+    })));
+  }
+
+  /**
+   * Every sub-strategy's overlays, without duplicates (e.g. a shared trend EMA).
+   */
+  overlays(candles) {
+    const byName = new Map();
+    for (const s of this.strategies) {
+      for (const overlay of s.overlays(candles)) {
+        if (!byName.has(overlay.name)) byName.set(overlay.name, overlay);
+      }
+    }
+    return [...byName.values()];
+  }
+
+  requiredTimeframes() {
+    return [...new Set(this.strategies.flatMap((s) => s.requiredTimeframes()))];
+  }
+
+  supportsIncremental() {
+    return this.strategies.every((s) => s.supportsIncremental());
+  }
+
+  reset() {
+    this.strategies.forEach((s) => s.reset());
+  }
+
+  onCandle(candle, context) {
+    return this._combine(this.strategies.map((s) => ({
       name: s.name,
-      ...s.evaluate(candles),
-    }));
+      ...s.onCandle(candle, context),
+    })));
+  }
 
+  /**
+   * Vote across the individual strategy results.
+   */
+  _combine(results) {
     const buySignals = results.filter((r) => r.signal === SIGNAL.BUY);
     const sellSignals = results.filter((r) => r.signal === SIGNAL.SELL);
 
@@ -87,4 +130,12 @@ class CombinedStrategy extends BaseStrategy {
   }
 }
 
+registerStrategy('combined', CombinedStrategy, {
+  defaults: DEFAULTS,
+  schema: {
+    minConfirmations: { type: 'integer', min: 1, max: 4, description: 'Sub-strategies that must agree' },
+    minConfidence: { type: 'number', min: 0, max: 100, description: 'Minimum average confidence of agreeing strategies' },
+  },
+});
+
 module.exports = CombinedStrategy;
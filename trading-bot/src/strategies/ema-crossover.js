@@ -1,5 +1,15 @@
 const { BaseStrategy, SIGNAL } = require('./base-strategy');
+const { registerStrategy } = require('./registry');
+const { TrendFilter, TREND_TIMEFRAME_PARAM } = require('./trend-filter');
 const { ema } = require('../utils/indicators');
+const { EmaStream } = require('../utils/streaming-indicators');
+
+const DEFAULTS = {
+  fastPeriod: 9,
+  slowPeriod: 21,
+  trendPeriod: 50,
+  trendTimeframe: '',
+};
 
 /**
  * EMA Crossover Strategy with Trend Filter
@@ -10,29 +20,76 @@ const { ema } = require('../utils/indicators');
 class EmaCrossoverStrategy extends BaseStrategy {
   constructor(params = {}) {
     super('EMA Crossover', params);
-    this.fastPeriod = params.fastPeriod || 9;
-    this.slowPeriod = params.slowPeriod || 21;
-    this.trendPeriod = params.trendPeriod || 50;
+    this.fastPeriod = params.fastPeriod ?? DEFAULTS.fastPeriod;
+    this.slowPeriod = params.slowPeriod ?? DEFAULTS.slowPeriod;
+    this.trendPeriod = params.trendPeriod ?? DEFAULTS.trendPeriod;
+    this.trendTimeframe = params.trendTimeframe ?? DEFAULTS.trendTimeframe;
+    this.trend = new TrendFilter(this.trendPeriod, this.trendTimeframe);
+    this.reset();
   }
 
-  evaluate(candles) {
+  evaluate(candles, context) {
     const closes = candles.map((c) => c.close);
-    if (closes.length < this.trendPeriod + 2) {
+    if (closes.length < this.trend.baseWarmup + 2) {
       return { signal: SIGNAL.HOLD, confidence: 0, reason: 'Not enough data' };
     }
 
     const fastEma = ema(closes, this.fastPeriod);
     const slowEma = ema(closes, this.slowPeriod);
-    const trendEma = ema(closes, this.trendPeriod);
 
     const len = closes.length;
-    const currFast = fastEma[len - 1];
-    const prevFast = fastEma[len - 2];
-    const currSlow = slowEma[len - 1];
-    const prevSlow = slowEma[len - 2];
-    const currTrend = trendEma[len - 1];
-    const currPrice = closes[len - 1];
+    return this._signal({
+      currFast: fastEma[len - 1],
+      prevFast: fastEma[len - 2],
+      currSlow: slowEma[len - 1],
+      prevSlow: slowEma[len - 2],
+      currTrend: this.trend.value(closes, context),
+      currPrice: closes[len - 1],
+    });
+  }
+
+  overlays(candles) {
+    const closes = candles.map((c) => c.close);
+    return [
+      { name: `EMA ${this.fastPeriod}`, values: ema(closes, this.fastPeriod) },
+      { name: `EMA ${this.slowPeriod}`, values: ema(closes, this.slowPeriod) },
+      this.trend.overlay(candles),
+    ];
+  }
+
+  requiredTimeframes() {
+    return this.trend.timeframes;
+  }
+
+  supportsIncremental() {
+    return true;
+  }
 
+  reset() {
+    this.fastStream = new EmaStream(this.fastPeriod);
+    this.slowStream = new EmaStream(this.slowPeriod);
+    this.trend.reset();
+    this.candleCount = 0;
+  }
+
+  onCandle(candle, context) {
+    this.candleCount++;
+    const prevFast = this.fastStream.value;
+    const prevSlow = this.slowStream.value;
+    const currFast = this.fastStream.update(candle.close);
+    const currSlow = this.slowStream.update(candle.close);
+    const currTrend = this.trend.update(candle.close, context);
+
+    if (this.candleCount < this.trend.baseWarmup + 2) {
+      return { signal: SIGNAL.HOLD, confidence: 0, reason: 'Not enough data' };
+    }
+    return this._signal({ currFast, prevFast, currSlow, prevSlow, currTrend, currPrice: candle.close });
+  }
+
+  /**
+   * Signal decision shared by `evaluate` and `onCandle`.
+   */
+  _signal({ currFast, prevFast, currSlow, prevSlow, currTrend, currPrice }) {
     if ([currFast, currSlow, prevFast, prevSlow, currTrend].some((v) => v === null)) {
       return { signal: SIGNAL.HOLD, confidence: 0, reason: 'Indicator warming up' };
     }
@@ -73,4 +130,17 @@ class EmaCrossoverStrategy extends BaseStrategy {
   }
 }
 
+registerStrategy('ema_crossover', EmaCrossoverStrategy, {
+  defaults: DEFAULTS,
+  schema: {
+    fastPeriod: { type: 'integer', min: 1, description: 'Fast EMA period' },
+    slowPeriod: { type: 'integer', min: 2, description: 'Slow EMA period' },
+    trendPeriod: { type: 'integer', min: 2, description: 'Trend filter EMA period' },
+    trendTimeframe: TREND_TIMEFRAME_PARAM,
+  },
+  checks: [
+    (p) => (p.fastPeriod < p.slowPeriod ? null : `fastPeriod (${p.fastPeriod}) must be less than slowPeriod (${p.slowPeriod})`),
+  ],
+});
+
 module.exports = EmaCrossoverStrategy;
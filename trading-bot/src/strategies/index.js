@@ -0,0 +1,11 @@
+/**
+ * Strategy entry point – loads the built-in strategies (each registers
+ * itself on load) and re-exports the registry API.
+ */
+require('./ema-crossover');
+require('./rsi-strategy');
+require('./macd-strategy');
+require('./bollinger-strategy');
+require('./combined-strategy');
+
+module.exports = require('./registry');
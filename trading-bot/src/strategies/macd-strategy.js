@@ -1,5 +1,16 @@
 const { BaseStrategy, SIGNAL } = require('./base-strategy');
-const { macd: calcMacd, ema } = require('../utils/indicators');
+const { registerStrategy } = require('./registry');
+const { TrendFilter, TREND_TIMEFRAME_PARAM } = require('./trend-filter');
+const { macd: calcMacd } = require('../utils/indicators');
+const { MacdStream } = require('../utils/streaming-indicators');
+
+const DEFAULTS = {
+  fastPeriod: 12,
+  slowPeriod: 26,
+  signalPeriod: 9,
+  trendPeriod: 50,
+  trendTimeframe: '',
+};
 
 /**
  * MACD Strategy with Trend Filter and Histogram Confirmation
@@ -10,15 +21,18 @@ const { macd: calcMacd, ema } = require('../utils/indicators');
 class MacdStrategy extends BaseStrategy {
   constructor(params = {}) {
     super('MACD', params);
-    this.fastPeriod = params.fastPeriod || 12;
-    this.slowPeriod = params.slowPeriod || 26;
-    this.signalPeriod = params.signalPeriod || 9;
-    this.trendPeriod = params.trendPeriod || 50;
+    this.fastPeriod = params.fastPeriod ?? DEFAULTS.fastPeriod;
+    this.slowPeriod = params.slowPeriod ?? DEFAULTS.slowPeriod;
+    this.signalPeriod = params.signalPeriod ?? DEFAULTS.signalPeriod;
+    this.trendPeriod = params.trendPeriod ?? DEFAULTS.trendPeriod;
+    this.trendTimeframe = params.trendTimeframe ?? DEFAULTS.trendTimeframe;
+    this.trend = new TrendFilter(this.trendPeriod, this.trendTimeframe);
+    this.reset();
   }
 
-  evaluate(candles) {
+  evaluate(candles, context) {
     const closes = candles.map((c) => c.close);
-    if (closes.length < Math.max(this.slowPeriod + this.signalPeriod + 2, this.trendPeriod + 2)) {
+    if (closes.length < Math.max(this.slowPeriod + this.signalPeriod + 2, this.trend.baseWarmup + 2)) {
       return { signal: SIGNAL.HOLD, confidence: 0, reason: 'Not enough data' };
     }
 
@@ -28,17 +42,53 @@ class MacdStrategy extends BaseStrategy {
       this.slowPeriod,
       this.signalPeriod
     );
-    const trendEma = ema(closes, this.trendPeriod);
 
     const len = macdLine.length;
-    const currMacd = macdLine[len - 1];
-    const prevMacd = macdLine[len - 2];
-    const currSignal = signalLine[len - 1];
-    const prevSignal = signalLine[len - 2];
-    const currHist = histogram[len - 1];
-    const prevHist = histogram[len - 2];
-    const currTrend = trendEma[len - 1];
-    const currPrice = closes[len - 1];
+    return this._signal({
+      curr: { macd: macdLine[len - 1], signal: signalLine[len - 1], histogram: histogram[len - 1] },
+      prev: { macd: macdLine[len - 2], signal: signalLine[len - 2], histogram: histogram[len - 2] },
+      currTrend: this.trend.value(closes, context),
+      currPrice: closes[len - 1],
+    });
+  }
+
+  overlays(candles) {
+    return [this.trend.overlay(candles)];
+  }
+
+  requiredTimeframes() {
+    return this.trend.timeframes;
+  }
+
+  supportsIncremental() {
+    return true;
+  }
+
+  reset() {
+    this.macdStream = new MacdStream(this.fastPeriod, this.slowPeriod, this.signalPeriod);
+    this.trend.reset();
+    this.candleCount = 0;
+  }
+
+  onCandle(candle, context) {
+    this.candleCount++;
+    const prev = this.macdStream.value;
+    const curr = this.macdStream.update(candle.close);
+    const currTrend = this.trend.update(candle.close, context);
+
+    if (this.candleCount < Math.max(this.slowPeriod + this.signalPeriod + 2, this.trend.baseWarmup + 2)) {
+      return { signal: SIGNAL.HOLD, confidence: 0, reason: 'Not enough data' };
+    }
+    return this._signal({ curr, prev, currTrend, currPrice: candle.close });
+  }
+
+  /**
+   * Signal decision shared by `evaluate` and `onCandle`.
+   * `curr`/`prev` are { macd, signal, histogram } for the last two bars.
+   */
+  _signal({ curr, prev, currTrend, currPrice }) {
+    const { macd: currMacd, signal: currSignal, histogram: currHist } = curr;
+    const { macd: prevMacd, signal: prevSignal, histogram: prevHist } = prev;
 
     if ([currMacd, prevMacd, currSignal, prevSignal, currHist, prevHist, currTrend].some((v) => v === null)) {
       return { signal: SIGNAL.HOLD, confidence: 0, reason: 'Indicator warming up' };
@@ -81,4 +131,18 @@ class MacdStrategy extends BaseStrategy {
   }
 }
 
+registerStrategy('macd', MacdStrategy, {
+  defaults: DEFAULTS,
+  schema: {
+    fastPeriod: { type: 'integer', min: 1, description: 'Fast EMA period' },
+    slowPeriod: { type: 'integer', min: 2, description: 'Slow EMA period' },
+    signalPeriod: { type: 'integer', min: 1, description: 'Signal line EMA period' },
+    trendPeriod: { type: 'integer', min: 2, description: 'Trend filter EMA period' },
+    trendTimeframe: TREND_TIMEFRAME_PARAM,
+  },
+  checks: [
+    (p) => (p.fastPeriod < p.slowPeriod ? null : `fastPeriod (${p.fastPeriod}) must be less than slowPeriod (${p.slowPeriod})`),
+  ],
+});
+
 module.exports = MacdStrategy;
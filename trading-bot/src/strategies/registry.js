@@ -0,0 +1,106 @@
+/**
+ * Strategy registry – maps strategy keys to their class, parameter schema
+ * and defaults so every runner resolves strategies the same way.
+ *
+ * Built-in strategies register themselves when their module is loaded
+ * (see `strategies/index.js`). External strategies are loaded with
+ * `loadStrategyPlugins` from a directory of .js files or a module path /
+ * npm package name. A plugin module either calls `registerStrategy` when
+ * required, or exports a function that receives
+ * `{ BaseStrategy, SIGNAL, registerStrategy, indicators }` and registers
+ * its strategies through it.
+ */
+const fs = require('fs');
+const path = require('path');
+const { BaseStrategy, SIGNAL } = require('./base-strategy');
+const indicators = require('../utils/indicators');
+
+const strategies = new Map();
+
+/**
+ * Register a strategy class under `key`.
+ * @param {string} key - config/CLI name, e.g. 'ema_crossover'
+ * @param {Function} StrategyClass - BaseStrategy subclass, constructed as
+ *   `new StrategyClass(params, allStrategyParams)`
+ * @param {object} [meta]
+ * @param {object} [meta.defaults] - default parameter values
+ * @param {object} [meta.schema] - parameter schema: { name: { type, min, max, description } },
+ *   same field specs as `config/schema.js`
+ * @param {Function[]} [meta.checks] - cross-parameter rules: (params) => error message | null
+ */
+function registerStrategy(key, StrategyClass, { defaults = {}, schema = {}, checks = [] } = {}) {
+  if (!(StrategyClass.prototype instanceof BaseStrategy)) {
+    throw new Error(`Strategy "${key}" must extend BaseStrategy`);
+  }
+  if (strategies.has(key) && strategies.get(key).StrategyClass !== StrategyClass) {
+    throw new Error(`Strategy "${key}" is already registered`);
+  }
+  strategies.set(key, { key, StrategyClass, defaults, schema, checks });
+}
+
+/**
+ * Look up a registered strategy entry, or throw listing the available keys.
+ */
+function getStrategyEntry(key) {
+  const entry = strategies.get(key);
+  if (!entry) {
+    throw new Error(`Unknown strategy "${key}". Available: ${[...strategies.keys()].join(', ')}`);
+  }
+  return entry;
+}
+
+/**
+ * Instantiate a registered strategy.
+ * @param {string} key
+ * @param {object} strategiesConfig - the `strategies` block of the config;
+ *   `strategiesConfig[key]` overrides the registered defaults
+ */
+function createStrategy(key, strategiesConfig = {}) {
+  const { StrategyClass, defaults } = getStrategyEntry(key);
+  return new StrategyClass({ ...defaults, ...strategiesConfig[key] }, strategiesConfig);
+}
+
+/**
+ * All registered strategies, in registration order.
+ */
+function listStrategies() {
+  return [...strategies.values()];
+}
+
+/**
+ * Load external strategy modules. Each source is a directory (every .js
+ * file in it is loaded), a file path, or an npm package name. Relative
+ * paths and package names resolve from the current working directory.
+ */
+function loadStrategyPlugins(sources = []) {
+  const api = { BaseStrategy, SIGNAL, registerStrategy, indicators };
+
+  const loadModule = (modulePath) => {
+    const exported = require(modulePath);
+    if (typeof exported === 'function' && !(exported.prototype instanceof BaseStrategy)) {
+      exported(api);
+    }
+  };
+
+  for (const source of sources) {
+    const resolved = path.resolve(source);
+    if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+      fs.readdirSync(resolved)
+        .filter((file) => file.endsWith('.js'))
+        .sort()
+        .forEach((file) => loadModule(path.join(resolved, file)));
+    } else if (fs.existsSync(resolved)) {
+      loadModule(resolved);
+    } else {
+      loadModule(require.resolve(source, { paths: [process.cwd()] }));
+    }
+  }
+}
+
+module.exports = {
+  registerStrategy,
+  getStrategyEntry,
+  createStrategy,
+  listStrategies,
+  loadStrategyPlugins,
+};
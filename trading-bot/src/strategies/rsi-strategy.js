@@ -1,5 +1,16 @@
 const { BaseStrategy, SIGNAL } = require('./base-strategy');
-const { rsi, ema } = require('../utils/indicators');
+const { registerStrategy } = require('./registry');
+const { TrendFilter, TREND_TIMEFRAME_PARAM } = require('./trend-filter');
+const { rsi } = require('../utils/indicators');
+const { RsiStream } = require('../utils/streaming-indicators');
+
+const DEFAULTS = {
+  period: 14,
+  overbought: 75,
+  oversold: 25,
+  trendPeriod: 50,
+  trendTimeframe: '',
+};
 
 /**
  * RSI Mean-Reversion Strategy with Trend Filter
@@ -10,28 +21,70 @@ const { rsi, ema } = require('../utils/indicators');
 class RsiStrategy extends BaseStrategy {
   constructor(params = {}) {
     super('RSI', params);
-    this.period = params.period || 14;
-    this.overbought = params.overbought || 75;
-    this.oversold = params.oversold || 25;
-    this.trendPeriod = params.trendPeriod || 50;
+    this.period = params.period ?? DEFAULTS.period;
+    this.overbought = params.overbought ?? DEFAULTS.overbought;
+    this.oversold = params.oversold ?? DEFAULTS.oversold;
+    this.trendPeriod = params.trendPeriod ?? DEFAULTS.trendPeriod;
+    this.trendTimeframe = params.trendTimeframe ?? DEFAULTS.trendTimeframe;
+    this.trend = new TrendFilter(this.trendPeriod, this.trendTimeframe);
+    this.reset();
   }
 
-  evaluate(candles) {
+  evaluate(candles, context) {
     const closes = candles.map((c) => c.close);
-    if (closes.length < Math.max(this.period + 3, this.trendPeriod + 2)) {
+    if (closes.length < Math.max(this.period + 3, this.trend.baseWarmup + 2)) {
       return { signal: SIGNAL.HOLD, confidence: 0, reason: 'Not enough data' };
     }
 
     const rsiValues = rsi(closes, this.period);
-    const trendEma = ema(closes, this.trendPeriod);
 
     const len = rsiValues.length;
-    const curr = rsiValues[len - 1];
-    const prev = rsiValues[len - 2];
-    const prev2 = rsiValues[len - 3];
-    const currTrend = trendEma[len - 1];
-    const currPrice = closes[len - 1];
+    return this._signal({
+      curr: rsiValues[len - 1],
+      prev: rsiValues[len - 2],
+      prev2: rsiValues[len - 3],
+      currTrend: this.trend.value(closes, context),
+      currPrice: closes[len - 1],
+    });
+  }
+
+  overlays(candles) {
+    return [this.trend.overlay(candles)];
+  }
+
+  requiredTimeframes() {
+    return this.trend.timeframes;
+  }
+
+  supportsIncremental() {
+    return true;
+  }
 
+  reset() {
+    this.rsiStream = new RsiStream(this.period);
+    this.trend.reset();
+    this.prevRsi = null;
+    this.candleCount = 0;
+  }
+
+  onCandle(candle, context) {
+    this.candleCount++;
+    const prev2 = this.prevRsi;
+    const prev = this.rsiStream.value;
+    const curr = this.rsiStream.update(candle.close);
+    const currTrend = this.trend.update(candle.close, context);
+    this.prevRsi = prev;
+
+    if (this.candleCount < Math.max(this.period + 3, this.trend.baseWarmup + 2)) {
+      return { signal: SIGNAL.HOLD, confidence: 0, reason: 'Not enough data' };
+    }
+    return this._signal({ curr, prev, prev2, currTrend, currPrice: candle.close });
+  }
+
+  /**
+   * Signal decision shared by `evaluate` and `onCandle`.
+   */
+  _signal({ curr, prev, prev2, currTrend, currPrice }) {
     if (curr === null || prev === null || prev2 === null || currTrend === null) {
       return { signal: SIGNAL.HOLD, confidence: 0, reason: 'Indicator warming up' };
     }
@@ -68,4 +121,18 @@ class RsiStrategy extends BaseStrategy {
   }
 }
 
+registerStrategy('rsi', RsiStrategy, {
+  defaults: DEFAULTS,
+  schema: {
+    period: { type: 'integer', min: 2, description: 'RSI lookback period' },
+    overbought: { type: 'number', min: 0, max: 100, description: 'RSI level treated as overbought' },
+    oversold: { type: 'number', min: 0, max: 100, description: 'RSI level treated as oversold' },
+    trendPeriod: { type: 'integer', min: 2, description: 'Trend filter EMA period' },
+    trendTimeframe: TREND_TIMEFRAME_PARAM,
+  },
+  checks: [
+    (p) => (p.oversold < p.overbought ? null : `oversold (${p.oversold}) must be below overbought (${p.overbought})`),
+  ],
+});
+
 module.exports = RsiStrategy;
@@ -0,0 +1,92 @@
+/**
+ * Trend filter – the EMA the built-in strategies compare price against.
+ *
+ * Without a timeframe it runs on the strategy's own candles. With one
+ * (e.g. '4h' under 15m candles) it runs on the closed higher-timeframe
+ * candles the engines pass in `context.timeframes`, so its value only
+ * changes when a higher bar completes.
+ */
+const { ema } = require('../utils/indicators');
+const { EmaStream } = require('../utils/streaming-indicators');
+const { TimeframeFeed, TIMEFRAMES, inferTimeframe } = require('../utils/timeframes');
+
+// `trendTimeframe` parameter spec shared by the strategies' schemas
+const TREND_TIMEFRAME_PARAM = {
+  type: 'string',
+  check: (value) => (value === '' || TIMEFRAMES.includes(value) ? null : `must be empty or one of ${TIMEFRAMES.join(', ')} (got "${value}")`),
+  description: 'Timeframe of the trend EMA, e.g. 4h (empty = the strategy\'s own candles)',
+};
+
+class TrendFilter {
+  /**
+   * @param {number} period - EMA period, in candles of `timeframe`
+   * @param {string} [timeframe=''] - higher timeframe; '' = the strategy's own
+   */
+  constructor(period, timeframe = '') {
+    this.period = period;
+    this.timeframe = timeframe;
+    this.name = timeframe ? `EMA ${period} (${timeframe})` : `EMA ${period}`;
+    this.reset();
+  }
+
+  /**
+   * Timeframes to list in the strategy's `requiredTimeframes()`.
+   */
+  get timeframes() {
+    return this.timeframe ? [this.timeframe] : [];
+  }
+
+  /**
+   * Own candles needed before the filter can have a value.
+   */
+  get baseWarmup() {
+    return this.timeframe ? 0 : this.period;
+  }
+
+  /**
+   * Latest trend value for a full close series (batch path), or null.
+   */
+  value(closes, context) {
+    const series = this.timeframe ? this._series(context).map((c) => c.close) : closes;
+    return series.length > 0 ? ema(series, this.period)[series.length - 1] : null;
+  }
+
+  reset() {
+    this.stream = new EmaStream(this.period);
+    this.consumed = 0;
+  }
+
+  /**
+   * Streaming path: ingest the next close and return the trend value.
+   */
+  update(close, context) {
+    if (!this.timeframe) return this.stream.update(close);
+    const series = this._series(context);
+    for (; this.consumed < series.length; this.consumed++) this.stream.update(series[this.consumed].close);
+    return this.stream.value;
+  }
+
+  /**
+   * Chart overlay aligned with `candles`: each candle gets the value known
+   * at its close.
+   */
+  overlay(candles) {
+    const closes = candles.map((c) => c.close);
+    if (!this.timeframe) return { name: this.name, values: ema(closes, this.period) };
+    const baseTimeframe = inferTimeframe(candles);
+    if (!baseTimeframe) return { name: this.name, values: closes.map(() => null) };
+    const feed = new TimeframeFeed(baseTimeframe, [this.timeframe]);
+    const stream = new TrendFilter(this.period, this.timeframe);
+    return { name: this.name, values: candles.map((c) => stream.update(c.close, feed.update(c))) };
+  }
+
+  _series(context) {
+    const series = context?.timeframes?.[this.timeframe];
+    if (!series) {
+      throw new Error(`${this.timeframe} candles missing – run the strategy through an engine that supplies its requiredTimeframes()`);
+    }
+    return series;
+  }
+}
+
+module.exports = { TrendFilter, TREND_TIMEFRAME_PARAM };
@@ -0,0 +1,161 @@
+/**
+ * Config validator – checks a config object against `config/schema.js` and
+ * the parameter schemas of the registered strategies.
+ *
+ * Every runner calls `assertValidConfig` at startup so bad values fail
+ * fast with readable messages instead of surfacing mid-run (a zero
+ * stop-loss dividing by zero in position sizing, a PAPER_TRADING typo
+ * silently meaning "live", ...).
+ */
+const SCHEMA = require('../../config/schema');
+const { listStrategies, createStrategy } = require('../strategies');
+const { timeframeError } = require('./timeframes');
+
+class ConfigValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map((e) => `  - ${e}`).join('\n')}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+// Extra rules for sending real orders
+const LIVE_CHECKS = [
+  (config) => (config.exchange?.apiKey && config.exchange?.apiSecret
+    ? null
+    : 'exchange.apiKey and exchange.apiSecret are required for live trading (set API_KEY and API_SECRET)'),
+  (config) => (config.tradingMode === 'spot'
+    ? null
+    : 'tradingMode must be "spot" for live trading – margin mode is only supported in paper trading (live orders use the spot API)'),
+];
+
+function formatValue(value) {
+  return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+/**
+ * Check a single value against a field spec; returns an error message
+ * (without the field name) or null.
+ */
+function checkField(value, spec) {
+  if (value === undefined) return 'is required';
+
+  const got = `(got ${formatValue(value)}${spec.env && process.env[spec.env] !== undefined ? ` from ${spec.env}` : ''})`;
+
+  switch (spec.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return `must be an integer ${got}`;
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `must be a number ${got}`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `must be true or false ${got}`;
+      break;
+    case 'string':
+      if (typeof value !== 'string') return `must be a string ${got}`;
+      if (spec.nonEmpty && value === '') return 'must not be empty';
+      break;
+    default:
+      break;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) return `must be one of ${spec.enum.join(', ')} ${got}`;
+  if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min} ${got}`;
+  if (spec.max !== undefined && value > spec.max) return `must be at most ${spec.max} ${got}`;
+  if (spec.exclusiveMin !== undefined && value <= spec.exclusiveMin) return `must be greater than ${spec.exclusiveMin} ${got}`;
+  if (spec.exclusiveMax !== undefined && value >= spec.exclusiveMax) return `must be less than ${spec.exclusiveMax} ${got}`;
+  return spec.check ? spec.check(value) : null;
+}
+
+/**
+ * Validate `values` against a map of field specs.
+ * @param {object} values
+ * @param {object} fields - { name: spec }
+ * @param {string} prefix - path used in messages, e.g. 'risk'
+ * @param {object} [options]
+ * @param {object} [options.known] - when given, keys of this object that are
+ *   not in `fields` are reported as unknown (catches misspelt keys)
+ * @param {Function[]} [options.checks] - cross-field rules: (values) => message | null
+ * @returns {string[]} error messages
+ */
+function validateFields(values, fields, prefix, { known, checks = [] } = {}) {
+  const errors = [];
+  const path = (name) => (prefix ? `${prefix}.${name}` : name);
+
+  for (const [name, spec] of Object.entries(fields)) {
+    const error = checkField(values[name], spec);
+    if (error) errors.push(`${path(name)} ${error}`);
+  }
+
+  if (known) {
+    for (const name of Object.keys(known)) {
+      if (!(name in fields)) errors.push(`${path(name)} is not a known setting`);
+    }
+  }
+
+  // Cross-field rules only make sense once every field is individually valid
+  if (errors.length === 0) {
+    for (const check of checks) {
+      const error = check(values);
+      if (error) errors.push(prefix ? `${prefix}: ${error}` : error);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a full config. Returns a list of error messages (empty when valid).
+ * @param {object} config
+ * @param {object} [options]
+ * @param {boolean} [options.live=false] - also apply the rules for live order placement
+ */
+function validateConfig(config, { live = false } = {}) {
+  const errors = validateFields(config, SCHEMA.root.fields, '');
+
+  for (const block of ['exchange', 'risk', 'portfolio', 'execution', 'data', 'export', 'backtest']) {
+    const values = config[block] || {};
+    errors.push(...validateFields(values, SCHEMA[block].fields, block, { known: values }));
+  }
+
+  const strategies = listStrategies();
+  if (typeof config.strategy === 'string' && !strategies.some(({ key }) => key === config.strategy)) {
+    errors.push(`strategy "${config.strategy}" is not registered. Available: ${strategies.map(({ key }) => key).join(', ')}`);
+  }
+
+  for (const { key, defaults, schema, checks } of strategies) {
+    const overrides = config.strategies?.[key] || {};
+    errors.push(...validateFields({ ...defaults, ...overrides }, schema, `strategies.${key}`, {
+      // Plugins without a schema accept any parameters
+      known: Object.keys(schema).length > 0 ? overrides : undefined,
+      checks,
+    }));
+  }
+
+  // Higher timeframes the strategy reads must be buildable from `timeframe` candles
+  if (errors.length === 0) {
+    const strategy = createStrategy(config.strategy, config.strategies);
+    for (const timeframe of strategy.requiredTimeframes?.() || []) {
+      const error = timeframeError(config.timeframe, timeframe);
+      if (error) errors.push(`strategy "${config.strategy}" needs ${timeframe} candles: ${error}`);
+    }
+  }
+
+  if (live) {
+    for (const check of LIVE_CHECKS) {
+      const error = check(config);
+      if (error) errors.push(error);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Throw a ConfigValidationError listing every problem with `config`.
+ */
+function assertValidConfig(config, options) {
+  const errors = validateConfig(config, options);
+  if (errors.length > 0) throw new ConfigValidationError(errors);
+}
+
+module.exports = { ConfigValidationError, validateFields, validateConfig, assertValidConfig };
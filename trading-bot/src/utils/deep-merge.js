@@ -0,0 +1,19 @@
+/**
+ * Recursively merge plain objects; arrays and other values in `overrides`
+ * replace those in `base`. Returns a new object and leaves both inputs untouched.
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? deepMerge(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+module.exports = deepMerge;
@@ -0,0 +1,61 @@
+/**
+ * Exchange filters – fit order sizes and prices to a symbol's trading rules
+ * (Binance LOT_SIZE, PRICE_FILTER and MIN_NOTIONAL/NOTIONAL) before they are
+ * sent, so the exchange does not reject them.
+ *
+ * `filters` is what `BinanceClient.getSymbolInfo` returns:
+ * { minQty, maxQty, stepSize, tickSize, minNotional }.
+ */
+
+/**
+ * Decimal places of a step such as 0.001 (3) or 1e-8 (8).
+ */
+function stepDecimals(step) {
+  return Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+}
+
+/**
+ * Largest multiple of `step` not above `value`.
+ */
+function floorToStep(value, step) {
+  // The epsilon keeps float error from flooring an exact multiple a step
+  // down (0.3 / 0.1 = 2.9999999999999996)
+  return Number((Math.floor(value / step + 1e-9) * step).toFixed(stepDecimals(step)));
+}
+
+/**
+ * Nearest multiple of `step`.
+ */
+function roundToStep(value, step) {
+  return Number((Math.round(value / step) * step).toFixed(stepDecimals(step)));
+}
+
+/**
+ * Quantity rounded down to stepSize and capped at maxQty, price (if any)
+ * rounded to tickSize. `error` explains why the order cannot be sent at all
+ * – below minQty or minNotional after rounding – and is null otherwise.
+ *
+ * @param {object} order
+ * @param {number} order.quantity
+ * @param {number} [order.price] - limit price, rounded to tickSize
+ * @param {number} [order.referencePrice] - price for the notional check of
+ *   orders without a limit price (e.g. the last price for MARKET orders)
+ * @param {object} filters
+ * @returns {{ quantity: number, price: number|null, resized: boolean, error: string|null }}
+ */
+function fitOrder({ quantity, price = null, referencePrice = null }, filters) {
+  let fitted = floorToStep(Math.min(quantity, filters.maxQty), filters.stepSize);
+  const fittedPrice = price === null ? null : roundToStep(price, filters.tickSize);
+  const notionalPrice = fittedPrice ?? referencePrice;
+
+  let error = null;
+  if (fitted < filters.minQty) {
+    error = `quantity ${quantity} is below the minimum of ${filters.minQty} (LOT_SIZE)`;
+  } else if (notionalPrice !== null && fitted * notionalPrice < filters.minNotional) {
+    error = `order value ${(fitted * notionalPrice).toFixed(2)} is below the minimum of ${filters.minNotional} (MIN_NOTIONAL)`;
+  }
+  if (error) fitted = 0;
+  return { quantity: fitted, price: fittedPrice, resized: !error && fitted !== quantity, error };
+}
+
+module.exports = { stepDecimals, floorToStep, roundToStep, fitOrder };
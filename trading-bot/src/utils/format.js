@@ -0,0 +1,70 @@
+/**
+ * Presentation helpers – turn the numeric summaries and metrics from
+ * `Portfolio.getSummary` and `performance.js` into display strings.
+ */
+
+function num(value, digits = 2) {
+  if (value === null || value === undefined || Number.isNaN(value)) return 'n/a';
+  if (value === Infinity) return 'Inf';
+  if (value === -Infinity) return '-Inf';
+  return value.toFixed(digits);
+}
+
+function pct(value, digits = 2) {
+  const text = num(value, digits);
+  return text === 'n/a' ? text : `${text}%`;
+}
+
+function duration(hours) {
+  if (hours === null || hours === undefined) return 'n/a';
+  return hours >= 48 ? `${(hours / 24).toFixed(1)}d` : `${hours.toFixed(1)}h`;
+}
+
+/**
+ * Display strings for a Portfolio summary.
+ */
+function formatSummary(s) {
+  return {
+    totalValue: num(s.totalValue),
+    totalReturn: pct(s.totalReturn),
+    totalPnl: num(s.totalPnl),
+    totalFees: num(s.totalFees),
+    totalTrades: s.totalTrades,
+    wins: s.wins,
+    losses: s.losses,
+    winRate: pct(s.winRate, 1),
+    avgWin: pct(s.avgWin),
+    avgLoss: pct(s.avgLoss),
+    profitFactor: num(s.profitFactor),
+    maxDrawdown: pct(s.maxDrawdown),
+    openPositions: s.openPositions,
+  };
+}
+
+/**
+ * Display strings for the equity-curve metrics.
+ */
+function formatMetrics(m) {
+  return {
+    cagr: pct(m.cagr),
+    volatility: pct(m.volatility),
+    sharpe: num(m.sharpe),
+    sortino: num(m.sortino),
+    calmar: num(m.calmar),
+    maxDrawdown: pct(m.maxDrawdown),
+    maxDrawdownDuration: m.maxDrawdownDurationDays === null
+      ? `${m.maxDrawdownDurationBars} bars`
+      : `${m.maxDrawdownDurationBars} bars (${m.maxDrawdownDurationDays.toFixed(1)}d)`,
+    timeInMarket: pct(m.exposure, 1),
+    expectancy: `${num(m.expectancy)} (${pct(m.expectancyPct)})`,
+    avgHoldingTime: duration(m.avgHoldingHours),
+    longestWinStreak: m.longestWinStreak,
+    longestLossStreak: m.longestLossStreak,
+    buyAndHoldReturn: pct(m.benchmarkReturn),
+    buyAndHoldCagr: pct(m.benchmarkCagr),
+    buyAndHoldMaxDD: pct(m.benchmarkMaxDrawdown),
+    excessReturn: pct(m.excessReturn),
+  };
+}
+
+module.exports = { num, pct, duration, formatSummary, formatMetrics };
@@ -1,7 +1,8 @@
 /**
  * Technical indicators – pure functions, no external dependencies.
- * Each function takes an array of numbers (typically close prices)
- * and returns the computed indicator values.
+ * Each function takes arrays of numbers (close prices, or highs/lows/
+ * closes/volumes for range- and volume-based indicators) and returns
+ * arrays of the same length, padded with null until the indicator warms up.
  */
 
 /**
@@ -48,12 +49,14 @@ function ema(data, period) {
 }
 
 /**
- * Relative Strength Index
+ * Relative Strength Index (Wilder's smoothing)
+ * The first average gain/loss is the simple mean of the first `period`
+ * changes; each later average is (prev * (period - 1) + current) / period.
  */
 function rsi(data, period = 14) {
   const result = [];
-  const gains = [];
-  const losses = [];
+  let avgGain = 0;
+  let avgLoss = 0;
 
   for (let i = 0; i < data.length; i++) {
     if (i === 0) {
@@ -61,26 +64,19 @@ function rsi(data, period = 14) {
       continue;
     }
     const change = data[i] - data[i - 1];
-    gains.push(change > 0 ? change : 0);
-    losses.push(change < 0 ? Math.abs(change) : 0);
+    const gain = change > 0 ? change : 0;
+    const loss = change < 0 ? Math.abs(change) : 0;
 
-    if (i < period) {
-      result.push(null);
-      continue;
-    }
-
-    let avgGain, avgLoss;
-    if (i === period) {
-      avgGain = gains.slice(0, period).reduce((a, b) => a + b, 0) / period;
-      avgLoss = losses.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    if (i <= period) {
+      avgGain += gain / period;
+      avgLoss += loss / period;
+      if (i < period) {
+        result.push(null);
+        continue;
+      }
     } else {
-      const prevRsiData = result[i - 1] === null ? 50 : result[i - 1];
-      const prevAvgLoss = prevRsiData === 100 ? 0 : 1;
-      // Use Wilder's smoothing
-      avgGain = gains.slice(Math.max(0, gains.length - period), gains.length)
-        .reduce((a, b) => a + b, 0) / period;
-      avgLoss = losses.slice(Math.max(0, losses.length - period), losses.length)
-        .reduce((a, b) => a + b, 0) / period;
+      avgGain = (avgGain * (period - 1) + gain) / period;
+      avgLoss = (avgLoss * (period - 1) + loss) / period;
     }
 
     if (avgLoss === 0) {
@@ -115,7 +111,7 @@ function macd(data, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
 
   let si = 0;
   for (let i = padLen; i < macdLine.length; i++) {
-    signalPadded.push(signalLine[si] || null);
+    signalPadded.push(signalLine[si]);
     si++;
   }
 
@@ -155,23 +151,357 @@ function bollingerBands(data, period = 20, numStdDev = 2) {
 }
 
 /**
- * Average True Range
+ * Average True Range (Wilder's smoothing, TA-Lib convention)
+ * True range needs a previous close, so the first value appears at
+ * index `period`, seeded with the mean of the first `period` true ranges.
  */
 function atr(highs, lows, closes, period = 14) {
-  const trueRanges = [];
-  for (let i = 0; i < closes.length; i++) {
-    if (i === 0) {
-      trueRanges.push(highs[i] - lows[i]);
-      continue;
+  const result = [null];
+  let avg = 0;
+  for (let i = 1; i < closes.length; i++) {
+    const tr = Math.max(
+      highs[i] - lows[i],
+      Math.abs(highs[i] - closes[i - 1]),
+      Math.abs(lows[i] - closes[i - 1])
+    );
+    if (i <= period) {
+      avg += tr / period;
+      result.push(i === period ? avg : null);
+    } else {
+      avg = (avg * (period - 1) + tr) / period;
+      result.push(avg);
     }
+  }
+  return result.slice(0, closes.length);
+}
+
+/**
+ * Apply `fn` to the non-null tail of a null-padded series and re-pad the
+ * result to the original length.
+ */
+function onValid(series, fn) {
+  const start = series.findIndex((v) => v !== null);
+  if (start === -1) return series.map(() => null);
+  return Array(start).fill(null).concat(fn(series.slice(start)));
+}
+
+/**
+ * Highest value over the trailing `period` (inclusive of the current bar).
+ */
+function highest(data, period) {
+  return data.map((_, i) => (i < period - 1 ? null : Math.max(...data.slice(i - period + 1, i + 1))));
+}
+
+/**
+ * Lowest value over the trailing `period` (inclusive of the current bar).
+ */
+function lowest(data, period) {
+  return data.map((_, i) => (i < period - 1 ? null : Math.min(...data.slice(i - period + 1, i + 1))));
+}
+
+/**
+ * Weighted Moving Average (linear weights 1..period, newest heaviest)
+ */
+function wma(data, period) {
+  const divisor = (period * (period + 1)) / 2;
+  return data.map((_, i) => {
+    if (i < period - 1) return null;
+    let sum = 0;
+    for (let j = 0; j < period; j++) sum += data[i - period + 1 + j] * (j + 1);
+    return sum / divisor;
+  });
+}
+
+/**
+ * Hull Moving Average: WMA(2 * WMA(n/2) - WMA(n), sqrt(n))
+ */
+function hma(data, period) {
+  const half = wma(data, Math.floor(period / 2));
+  const full = wma(data, period);
+  const raw = full.map((f, i) => (f === null ? null : 2 * half[i] - f));
+  return onValid(raw, (valid) => wma(valid, Math.floor(Math.sqrt(period))));
+}
+
+/**
+ * Stochastic Oscillator
+ * %K = 100 * (close - lowest low) / (highest high - lowest low), optionally
+ * smoothed with an SMA of `kSmoothing`; %D = SMA(%K, dPeriod).
+ * A flat range (high == low) yields 50.
+ * Returns { k, d }
+ */
+function stochastic(highs, lows, closes, kPeriod = 14, dPeriod = 3, kSmoothing = 1) {
+  const hh = highest(highs, kPeriod);
+  const ll = lowest(lows, kPeriod);
+  const rawK = closes.map((c, i) => {
+    if (hh[i] === null) return null;
+    const range = hh[i] - ll[i];
+    return range === 0 ? 50 : (100 * (c - ll[i])) / range;
+  });
+  const k = kSmoothing > 1 ? onValid(rawK, (valid) => sma(valid, kSmoothing)) : rawK;
+  const d = onValid(k, (valid) => sma(valid, dPeriod));
+  return { k, d };
+}
+
+/**
+ * Average Directional Index with Directional Movement lines (Wilder)
+ * +DI/-DI appear at index `period`; ADX (Wilder average of DX) at 2 * period - 1.
+ * Returns { adx, plusDI, minusDI }
+ */
+function adx(highs, lows, closes, period = 14) {
+  const adxOut = [null];
+  const plusDI = [null];
+  const minusDI = [null];
+  let trSum = 0;
+  let plusSum = 0;
+  let minusSum = 0;
+  let dxSum = 0;
+  let adxValue = null;
+
+  for (let i = 1; i < closes.length; i++) {
+    const upMove = highs[i] - highs[i - 1];
+    const downMove = lows[i - 1] - lows[i];
+    const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+    const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
     const tr = Math.max(
       highs[i] - lows[i],
       Math.abs(highs[i] - closes[i - 1]),
       Math.abs(lows[i] - closes[i - 1])
     );
-    trueRanges.push(tr);
+
+    // Wilder running sums: plain sum for the first period, then decay
+    if (i <= period) {
+      trSum += tr;
+      plusSum += plusDM;
+      minusSum += minusDM;
+    } else {
+      trSum = trSum - trSum / period + tr;
+      plusSum = plusSum - plusSum / period + plusDM;
+      minusSum = minusSum - minusSum / period + minusDM;
+    }
+
+    if (i < period) {
+      adxOut.push(null);
+      plusDI.push(null);
+      minusDI.push(null);
+      continue;
+    }
+
+    const pdi = trSum === 0 ? 0 : (100 * plusSum) / trSum;
+    const mdi = trSum === 0 ? 0 : (100 * minusSum) / trSum;
+    const diSum = pdi + mdi;
+    const dx = diSum === 0 ? 0 : (100 * Math.abs(pdi - mdi)) / diSum;
+    plusDI.push(pdi);
+    minusDI.push(mdi);
+
+    if (i < 2 * period - 1) {
+      dxSum += dx;
+      adxOut.push(null);
+    } else if (i === 2 * period - 1) {
+      adxValue = (dxSum + dx) / period;
+      adxOut.push(adxValue);
+    } else {
+      adxValue = (adxValue * (period - 1) + dx) / period;
+      adxOut.push(adxValue);
+    }
+  }
+  return { adx: adxOut.slice(0, closes.length), plusDI: plusDI.slice(0, closes.length), minusDI: minusDI.slice(0, closes.length) };
+}
+
+/**
+ * Volume-Weighted Average Price of the typical price (H + L + C) / 3.
+ * When `times` is given the VWAP resets at each UTC day (session) boundary;
+ * otherwise it is cumulative over the whole series.
+ */
+function vwap(highs, lows, closes, volumes, times = null) {
+  const result = [];
+  let pv = 0;
+  let vol = 0;
+  let session = null;
+
+  for (let i = 0; i < closes.length; i++) {
+    if (times) {
+      const day = new Date(times[i]).toISOString().slice(0, 10);
+      if (day !== session) {
+        session = day;
+        pv = 0;
+        vol = 0;
+      }
+    }
+    const typical = (highs[i] + lows[i] + closes[i]) / 3;
+    pv += typical * volumes[i];
+    vol += volumes[i];
+    result.push(vol === 0 ? null : pv / vol);
+  }
+  return result;
+}
+
+/**
+ * On-Balance Volume (starts at 0)
+ */
+function obv(closes, volumes) {
+  const result = [];
+  let total = 0;
+  for (let i = 0; i < closes.length; i++) {
+    if (i > 0) {
+      if (closes[i] > closes[i - 1]) total += volumes[i];
+      else if (closes[i] < closes[i - 1]) total -= volumes[i];
+    }
+    result.push(total);
   }
-  return sma(trueRanges, period);
+  return result;
+}
+
+/**
+ * Ichimoku Cloud
+ * `spanA`/`spanB` are shifted forward by `displacement`, so index i holds
+ * the cloud drawn at bar i (no lookahead). `lagging` is the close drawn
+ * `displacement` bars back – lagging[i] = closes[i + displacement] – and is
+ * therefore for charting only; never read it in a signal.
+ * Returns { conversion, base, spanA, spanB, lagging }
+ */
+function ichimoku(highs, lows, closes, conversionPeriod = 9, basePeriod = 26, spanBPeriod = 52, displacement = 26) {
+  const midpoint = (period) => {
+    const hh = highest(highs, period);
+    const ll = lowest(lows, period);
+    return hh.map((h, i) => (h === null ? null : (h + ll[i]) / 2));
+  };
+  const conversion = midpoint(conversionPeriod);
+  const base = midpoint(basePeriod);
+  const rawSpanA = conversion.map((c, i) => (c === null || base[i] === null ? null : (c + base[i]) / 2));
+  const rawSpanB = midpoint(spanBPeriod);
+  const shift = (series) => series.map((_, i) => (i < displacement ? null : series[i - displacement]));
+
+  return {
+    conversion,
+    base,
+    spanA: shift(rawSpanA),
+    spanB: shift(rawSpanB),
+    lagging: closes.map((_, i) => (i + displacement < closes.length ? closes[i + displacement] : null)),
+  };
+}
+
+/**
+ * Keltner Channels: EMA(close) ± multiplier * ATR
+ * Returns { upper, middle, lower }
+ */
+function keltnerChannels(highs, lows, closes, period = 20, multiplier = 2, atrPeriod = 10) {
+  const middle = ema(closes, period);
+  const range = atr(highs, lows, closes, atrPeriod);
+  const upper = middle.map((m, i) => (m === null || range[i] === null ? null : m + multiplier * range[i]));
+  const lower = middle.map((m, i) => (m === null || range[i] === null ? null : m - multiplier * range[i]));
+  return { upper, middle: middle.map((m, i) => (upper[i] === null ? null : m)), lower };
+}
+
+/**
+ * SuperTrend – ATR bands around (high + low) / 2 that only tighten while
+ * the trend holds and flip when the close crosses them.
+ * `direction` is 1 in an uptrend (line below price), -1 in a downtrend.
+ * Returns { supertrend, direction }
+ */
+function supertrend(highs, lows, closes, period = 10, multiplier = 3) {
+  const range = atr(highs, lows, closes, period);
+  const line = [];
+  const direction = [];
+  let prevUpper = null;
+  let prevLower = null;
+
+  for (let i = 0; i < closes.length; i++) {
+    if (range[i] === null) {
+      line.push(null);
+      direction.push(null);
+      continue;
+    }
+    const mid = (highs[i] + lows[i]) / 2;
+    let upper = mid + multiplier * range[i];
+    let lower = mid - multiplier * range[i];
+
+    if (prevUpper === null) {
+      direction.push(-1);
+    } else {
+      if (!(lower > prevLower || closes[i - 1] < prevLower)) lower = prevLower;
+      if (!(upper < prevUpper || closes[i - 1] > prevUpper)) upper = prevUpper;
+      const wasDown = direction[i - 1] === -1;
+      if (wasDown) direction.push(closes[i] > upper ? 1 : -1);
+      else direction.push(closes[i] < lower ? -1 : 1);
+    }
+    line.push(direction[i] === 1 ? lower : upper);
+    prevUpper = upper;
+    prevLower = lower;
+  }
+  return { supertrend: line, direction };
+}
+
+/**
+ * Donchian Channels: highest high / lowest low over `period`
+ * Returns { upper, middle, lower }
+ */
+function donchianChannels(highs, lows, period = 20) {
+  const upper = highest(highs, period);
+  const lower = lowest(lows, period);
+  const middle = upper.map((u, i) => (u === null ? null : (u + lower[i]) / 2));
+  return { upper, middle, lower };
+}
+
+/**
+ * Parabolic SAR (Wilder). The first bar only seeds the trend, so index 0 is null.
+ */
+function parabolicSar(highs, lows, step = 0.02, maxStep = 0.2) {
+  if (highs.length < 2) return highs.map(() => null);
+
+  const result = [null];
+  let isLong = highs[0] + lows[0] <= highs[1] + lows[1];
+  let extreme = isLong ? highs[0] : lows[0];
+  let sar = isLong ? lows[0] : highs[0];
+  let accel = step;
+
+  for (let i = 1; i < highs.length; i++) {
+    sar += (extreme - sar) * accel;
+
+    // SAR may not move inside the previous two bars' range
+    if (isLong) {
+      if (i >= 2 && sar > lows[i - 2]) sar = lows[i - 2];
+      if (sar > lows[i - 1]) sar = lows[i - 1];
+      if (highs[i] > extreme) {
+        extreme = highs[i];
+        accel = Math.min(accel + step, maxStep);
+      }
+    } else {
+      if (i >= 2 && sar < highs[i - 2]) sar = highs[i - 2];
+      if (sar < highs[i - 1]) sar = highs[i - 1];
+      if (lows[i] < extreme) {
+        extreme = lows[i];
+        accel = Math.min(accel + step, maxStep);
+      }
+    }
+
+    // Reversal: price pierced the SAR
+    if ((isLong && lows[i] < sar) || (!isLong && highs[i] > sar)) {
+      isLong = !isLong;
+      sar = extreme;
+      extreme = isLong ? highs[i] : lows[i];
+      accel = step;
+    }
+    result.push(sar);
+  }
+  return result;
 }
 
-module.exports = { sma, ema, rsi, macd, bollingerBands, atr };
+module.exports = {
+  sma,
+  ema,
+  wma,
+  hma,
+  rsi,
+  macd,
+  bollingerBands,
+  atr,
+  stochastic,
+  adx,
+  vwap,
+  obv,
+  ichimoku,
+  keltnerChannels,
+  supertrend,
+  donchianChannels,
+  parabolicSar,
+};
@@ -0,0 +1,187 @@
+/**
+ * Performance analytics – numeric metrics computed from a mark-to-market
+ * equity curve and the closed trades. Everything here returns plain
+ * numbers (percentages as 12.3, not 0.123; null when undefined);
+ * presentation lives in `format.js`.
+ *
+ * An equity curve is an array of { time, equity, price, inMarket } points,
+ * one per bar, starting with the balance before the first trading bar.
+ * Annualization assumes markets that trade every day (crypto).
+ */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_YEAR = 365 * MS_PER_DAY;
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((s, v) => s + v, 0) / values.length : null;
+}
+
+function stdDev(values) {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((s, v) => s + (v - avg) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Pearson correlation of two equally long series; null with fewer than
+ * two points or when either series is flat.
+ */
+function correlation(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 2) return null;
+  const mx = mean(xs.slice(0, n));
+  const my = mean(ys.slice(0, n));
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  return vx > 0 && vy > 0 ? cov / Math.sqrt(vx * vy) : null;
+}
+
+/**
+ * Bars per year from the median spacing of the curve's timestamps.
+ */
+function inferBarsPerYear(curve) {
+  const gaps = [];
+  for (let i = 1; i < curve.length; i++) {
+    const gap = new Date(curve[i].time).getTime() - new Date(curve[i - 1].time).getTime();
+    if (gap > 0) gaps.push(gap);
+  }
+  if (gaps.length === 0) return null;
+  gaps.sort((a, b) => a - b);
+  return MS_PER_YEAR / gaps[Math.floor(gaps.length / 2)];
+}
+
+/**
+ * Largest peak-to-trough decline (%) and the longest time (in bars) spent
+ * below a previous peak.
+ */
+function drawdownStats(values) {
+  let peak = values[0];
+  let peakIndex = 0;
+  let maxDrawdown = 0;
+  let maxDuration = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] >= peak) {
+      peak = values[i];
+      peakIndex = i;
+    } else {
+      maxDrawdown = Math.max(maxDrawdown, ((peak - values[i]) / peak) * 100);
+      maxDuration = Math.max(maxDuration, i - peakIndex);
+    }
+  }
+  return { maxDrawdown, maxDrawdownDurationBars: maxDuration };
+}
+
+function cagr(startValue, endValue, years) {
+  if (!years || startValue <= 0 || endValue <= 0) return null;
+  return (Math.pow(endValue / startValue, 1 / years) - 1) * 100;
+}
+
+/**
+ * Longest runs of consecutive winning and losing trades.
+ */
+function streaks(trades) {
+  let win = 0;
+  let loss = 0;
+  let longestWin = 0;
+  let longestLoss = 0;
+  for (const t of trades) {
+    if (t.pnl > 0) {
+      win++;
+      loss = 0;
+    } else {
+      loss++;
+      win = 0;
+    }
+    longestWin = Math.max(longestWin, win);
+    longestLoss = Math.max(longestLoss, loss);
+  }
+  return { longestWinStreak: longestWin, longestLossStreak: longestLoss };
+}
+
+/**
+ * Calendar-month returns (%) in UTC: each month's last equity against the
+ * previous month's (the curve's first point for the first month).
+ * @returns {Array<{ year, month, return }>} month is 1–12
+ */
+function monthlyReturns(equityCurve) {
+  const months = [];
+  let base = equityCurve[0].equity;
+  let current = null;
+  for (const point of equityCurve.slice(1)) {
+    const date = new Date(point.time);
+    const key = date.getUTCFullYear() * 12 + date.getUTCMonth();
+    if (!current || current.key !== key) {
+      if (current) base = current.end;
+      current = { key, year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, start: base, end: point.equity };
+      months.push(current);
+    }
+    current.end = point.equity;
+  }
+  return months.map(({ year, month, start, end }) => ({ year, month, return: (end / start - 1) * 100 }));
+}
+
+/**
+ * Compute the full metric set.
+ * @param {object} params
+ * @param {Array} params.equityCurve - { time, equity, price, inMarket } per bar
+ * @param {Array} params.trades - closed trades (Portfolio.tradeHistory)
+ * @param {number} [params.riskFreeRate=0] - annual rate in percent, for Sharpe/Sortino
+ * @param {number} [params.barsPerYear] - defaults to the curve's bar spacing
+ */
+function computeMetrics({ equityCurve, trades, riskFreeRate = 0, barsPerYear = inferBarsPerYear(equityCurve) }) {
+  const equity = equityCurve.map((p) => p.equity);
+  const prices = equityCurve.map((p) => p.price);
+  const startEquity = equity[0];
+  const endEquity = equity[equity.length - 1];
+  const bars = equityCurve.length - 1;
+  const years = barsPerYear ? bars / barsPerYear : null;
+
+  const returns = [];
+  for (let i = 1; i < equity.length; i++) returns.push(equity[i] / equity[i - 1] - 1);
+
+  const rfPerBar = barsPerYear ? riskFreeRate / 100 / barsPerYear : 0;
+  const excess = returns.map((r) => r - rfPerBar);
+  const annualize = barsPerYear ? Math.sqrt(barsPerYear) : null;
+  const vol = stdDev(returns);
+  const excessVol = stdDev(excess);
+  const downside = excess.length > 0 ? Math.sqrt(mean(excess.map((r) => Math.min(r, 0) ** 2))) : 0;
+
+  const { maxDrawdown, maxDrawdownDurationBars } = drawdownStats(equity);
+  const strategyCagr = cagr(startEquity, endEquity, years);
+
+  const holdingHours = trades.map((t) => (new Date(t.exitTime) - new Date(t.openTime)) / 3600000);
+  const benchmarkReturn = (prices[prices.length - 1] / prices[0] - 1) * 100;
+  const totalReturn = (endEquity / startEquity - 1) * 100;
+
+  return {
+    startEquity,
+    endEquity,
+    totalReturn,
+    cagr: strategyCagr,
+    volatility: vol !== null && annualize ? vol * annualize * 100 : null,
+    sharpe: excessVol && annualize ? (mean(excess) / excessVol) * annualize : null,
+    sortino: downside > 0 && annualize ? (mean(excess) / downside) * annualize : null,
+    calmar: strategyCagr !== null && maxDrawdown > 0 ? strategyCagr / maxDrawdown : null,
+    maxDrawdown,
+    maxDrawdownDurationBars,
+    maxDrawdownDurationDays: barsPerYear ? (maxDrawdownDurationBars / barsPerYear) * 365 : null,
+    exposure: bars > 0 ? (equityCurve.slice(1).filter((p) => p.inMarket).length / bars) * 100 : 0,
+    expectancy: mean(trades.map((t) => t.pnl)),
+    expectancyPct: mean(trades.map((t) => t.pnlPct)),
+    avgHoldingHours: mean(holdingHours),
+    ...streaks(trades),
+    benchmarkReturn,
+    benchmarkCagr: cagr(prices[0], prices[prices.length - 1], years),
+    benchmarkMaxDrawdown: drawdownStats(prices).maxDrawdown,
+    excessReturn: totalReturn - benchmarkReturn,
+    bars,
+    years,
+  };
+}
+
+module.exports = { computeMetrics, monthlyReturns, drawdownStats, correlation, inferBarsPerYear, MS_PER_DAY, MS_PER_YEAR };
@@ -0,0 +1,62 @@
+/**
+ * Seeded random numbers for synthetic data and simulations.
+ *
+ * `createRandom(seed)` returns a drop-in replacement for `Math.random`
+ * (mulberry32: 32-bit state, fast, good enough for market noise – not for
+ * cryptography). The same seed always yields the same sequence, so a
+ * backtest on generated data can be repeated exactly by reusing its seed.
+ */
+
+const MAX_SEED = 2 ** 32 - 1;
+
+/**
+ * A random seed for runs that were not given one.
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+/**
+ * Combine seeds and labels (e.g. a run seed and a symbol) into one
+ * 32-bit seed (FNV-1a over their text), so each gets its own stream.
+ */
+function hashSeed(...parts) {
+  let hash = 0x811c9dc5;
+  for (const ch of parts.join('\u0000')) {
+    hash ^= ch.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * @param {number} seed - integer in [0, 2^32)
+ * @returns {Function} () => number in [0, 1), with the `seed` it started from
+ */
+function createRandom(seed) {
+  if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+    throw new Error(`Seed must be an integer from 0 to ${MAX_SEED} (got ${seed})`);
+  }
+  let state = seed;
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.seed = seed;
+  return random;
+}
+
+/**
+ * Normally distributed number (Box-Muller) from a uniform source.
+ */
+function randn(random = Math.random) {
+  let u = 0, v = 0;
+  while (u === 0) u = random();
+  while (v === 0) v = random();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+}
+
+module.exports = { MAX_SEED, randomSeed, hashSeed, createRandom, randn };
@@ -0,0 +1,150 @@
+/**
+ * Resampler – aggregates candles into a higher timeframe and finds or
+ * fills holes in a series, so any data source can feed any timeframe.
+ *
+ * Buckets follow `timeframes.js` (UTC days, weeks from Monday 00:00 UTC,
+ * calendar months). A resampled candle opens at its bucket's start with
+ * the first base candle's open, closes with the last one's close, and
+ * takes the highest high, lowest low and summed volume.
+ *
+ * Gap policies (`fill`):
+ *   none        – leave gaps; buckets are built from the candles present
+ *   forward     – flat candles at the previous close, zero volume
+ *   interpolate – closes on a straight line across the gap, zero volume
+ *   error       – throw on the first gap
+ */
+const { bucketStart, bucketEnd, timeframeError, inferTimeframe } = require('./timeframes');
+
+const GAP_POLICIES = ['none', 'forward', 'interpolate', 'error'];
+
+function assertAscending(candles) {
+  for (let i = 1; i < candles.length; i++) {
+    if (Date.parse(candles[i].time) <= Date.parse(candles[i - 1].time)) {
+      throw new Error(`Candles must be in ascending time order without duplicates (${candles[i].time} after ${candles[i - 1].time})`);
+    }
+  }
+}
+
+/**
+ * Open time of the candle one `timeframe` after the one opening at `time`.
+ * Steps from the candle itself rather than its bucket, so series offset from
+ * the bucket grid (e.g. 1h candles at :30) have no false gaps.
+ */
+function nextOpen(time, timeframe) {
+  return time + bucketEnd(time, timeframe) - bucketStart(time, timeframe);
+}
+
+/**
+ * Missing candles in a `timeframe` series.
+ * @returns {Array<{ index: number, start: string, end: string, missing: number }>}
+ *   one entry per hole: `index` of the candle after it, open times of the
+ *   first and last missing candle, and how many are missing
+ */
+function findGaps(candles, timeframe) {
+  assertAscending(candles);
+  const gaps = [];
+  for (let i = 1; i < candles.length; i++) {
+    const time = Date.parse(candles[i].time);
+    let expected = nextOpen(Date.parse(candles[i - 1].time), timeframe);
+    if (expected >= time) continue;
+    const start = expected;
+    let last = expected;
+    let missing = 0;
+    for (; expected < time; expected = nextOpen(expected, timeframe)) {
+      last = expected;
+      missing++;
+    }
+    gaps.push({ index: i, start: new Date(start).toISOString(), end: new Date(last).toISOString(), missing });
+  }
+  return gaps;
+}
+
+/**
+ * Copy of `candles` with its gaps handled by `policy` (see GAP_POLICIES).
+ */
+function fillGaps(candles, timeframe, policy = 'forward') {
+  if (!GAP_POLICIES.includes(policy)) {
+    throw new Error(`Unknown gap policy "${policy}". Use one of ${GAP_POLICIES.join(', ')}`);
+  }
+  const gaps = findGaps(candles, timeframe);
+  if (policy === 'none' || gaps.length === 0) return candles.slice();
+  if (policy === 'error') {
+    const [gap] = gaps;
+    throw new Error(`${gap.missing} ${timeframe} candle(s) missing from ${gap.start} to ${gap.end}`);
+  }
+
+  const filled = [];
+  let from = 0;
+  for (const gap of gaps) {
+    filled.push(...candles.slice(from, gap.index));
+    const before = candles[gap.index - 1].close;
+    const after = candles[gap.index].open;
+    let time = Date.parse(gap.start);
+    for (let k = 1; k <= gap.missing; k++, time = nextOpen(time, timeframe)) {
+      const open = filled[filled.length - 1].close;
+      const close = policy === 'interpolate' ? before + ((after - before) * k) / (gap.missing + 1) : before;
+      filled.push({
+        time: new Date(time).toISOString(),
+        open,
+        high: Math.max(open, close),
+        low: Math.min(open, close),
+        close,
+        volume: 0,
+      });
+    }
+    from = gap.index;
+  }
+  filled.push(...candles.slice(from));
+  return filled;
+}
+
+/**
+ * Aggregate `candles` into `timeframe` candles.
+ * @param {Array} candles - ascending base candles
+ * @param {string} timeframe - target, e.g. '4h', '1w', '1M'
+ * @param {object} [options]
+ * @param {string} [options.from] - base timeframe (inferred from the spacing when omitted)
+ * @param {string} [options.fill='none'] - gap policy applied to the base candles first
+ * @param {boolean} [options.partial=false] - keep the first and last bucket
+ *   when the series covers them only in part (e.g. a week still in progress)
+ * @returns {Array} candles of `timeframe`
+ */
+function resample(candles, timeframe, { from = inferTimeframe(candles), fill = 'none', partial = false } = {}) {
+  if (!from) throw new Error('Cannot infer the timeframe of the candles – pass { from }');
+  if (from === timeframe) return fillGaps(candles, from, fill);
+  const error = timeframeError(from, timeframe);
+  if (error) throw new Error(error);
+
+  const base = fillGaps(candles, from, fill);
+  const buckets = [];
+  let current = null;
+  for (const candle of base) {
+    const time = Date.parse(candle.time);
+    const start = bucketStart(time, timeframe);
+    if (!current || current.start !== start) {
+      current = {
+        start,
+        complete: time === start,
+        candle: { time: new Date(start).toISOString(), open: candle.open, high: candle.high, low: candle.low, close: candle.close, volume: candle.volume },
+      };
+      buckets.push(current);
+    } else {
+      const bar = current.candle;
+      bar.high = Math.max(bar.high, candle.high);
+      bar.low = Math.min(bar.low, candle.low);
+      bar.close = candle.close;
+      bar.volume += candle.volume;
+    }
+    current.lastEnd = bucketEnd(time, from);
+  }
+
+  // Only the ends can be cut short; inner buckets are bounded by data on both sides
+  if (!partial && buckets.length > 0) {
+    const last = buckets[buckets.length - 1];
+    if (last.lastEnd < bucketEnd(last.start, timeframe)) buckets.pop();
+    if (buckets.length > 0 && !buckets[0].complete) buckets.shift();
+  }
+  return buckets.map((b) => b.candle);
+}
+
+module.exports = { GAP_POLICIES, findGaps, fillGaps, resample };
@@ -0,0 +1,226 @@
+/**
+ * Streaming technical indicators – stateful counterparts of
+ * `utils/indicators.js` that update in O(1) per new value.
+ *
+ * Each class exposes `update(x)`, which ingests the next value and returns
+ * the indicator's current output, and a `value` property holding that
+ * output. Outputs are null until the indicator has warmed up, matching the
+ * null padding of the batch functions.
+ */
+
+/**
+ * Fixed-size ring buffer used for rolling windows.
+ */
+class RingBuffer {
+  constructor(size) {
+    this.size = size;
+    this.items = new Array(size);
+    this.index = 0;
+    this.count = 0;
+  }
+
+  /**
+   * Push a value; returns the value it evicted (undefined until full).
+   */
+  push(x) {
+    const evicted = this.count === this.size ? this.items[this.index] : undefined;
+    this.items[this.index] = x;
+    this.index = (this.index + 1) % this.size;
+    if (this.count < this.size) this.count++;
+    return evicted;
+  }
+
+  isFull() {
+    return this.count === this.size;
+  }
+}
+
+/**
+ * Simple Moving Average
+ */
+class SmaStream {
+  constructor(period) {
+    this.period = period;
+    this.buffer = new RingBuffer(period);
+    this.sum = 0;
+    this.value = null;
+  }
+
+  update(x) {
+    const evicted = this.buffer.push(x);
+    this.sum += x;
+    if (evicted !== undefined) this.sum -= evicted;
+    this.value = this.buffer.isFull() ? this.sum / this.period : null;
+    return this.value;
+  }
+}
+
+/**
+ * Exponential Moving Average (seeded with the SMA of the first `period` values)
+ */
+class EmaStream {
+  constructor(period) {
+    this.period = period;
+    this.k = 2 / (period + 1);
+    this.count = 0;
+    this.seedSum = 0;
+    this.value = null;
+  }
+
+  update(x) {
+    if (this.value === null) {
+      this.count++;
+      this.seedSum += x;
+      if (this.count === this.period) this.value = this.seedSum / this.period;
+      return this.value;
+    }
+    this.value = x * this.k + this.value * (1 - this.k);
+    return this.value;
+  }
+}
+
+/**
+ * Wilder's smoothed average – seeded with the mean of the first `period`
+ * values, then (prev * (period - 1) + x) / period.
+ */
+class WilderStream {
+  constructor(period) {
+    this.period = period;
+    this.count = 0;
+    this.seed = 0;
+    this.value = null;
+  }
+
+  update(x) {
+    if (this.value === null) {
+      this.count++;
+      this.seed += x / this.period;
+      if (this.count === this.period) this.value = this.seed;
+      return this.value;
+    }
+    this.value = (this.value * (this.period - 1) + x) / this.period;
+    return this.value;
+  }
+}
+
+/**
+ * Relative Strength Index (Wilder's smoothing)
+ */
+class RsiStream {
+  constructor(period = 14) {
+    this.period = period;
+    this.avgGain = new WilderStream(period);
+    this.avgLoss = new WilderStream(period);
+    this.prev = null;
+    this.value = null;
+  }
+
+  update(x) {
+    if (this.prev === null) {
+      this.prev = x;
+      return this.value;
+    }
+    const change = x - this.prev;
+    this.prev = x;
+    const avgGain = this.avgGain.update(change > 0 ? change : 0);
+    const avgLoss = this.avgLoss.update(change < 0 ? Math.abs(change) : 0);
+
+    if (avgGain === null) return this.value;
+    this.value = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+    return this.value;
+  }
+}
+
+/**
+ * MACD (Moving Average Convergence Divergence)
+ * `value` is { macd, signal, histogram }
+ */
+class MacdStream {
+  constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    this.fast = new EmaStream(fastPeriod);
+    this.slow = new EmaStream(slowPeriod);
+    this.signal = new EmaStream(signalPeriod);
+    this.value = { macd: null, signal: null, histogram: null };
+  }
+
+  update(x) {
+    const fast = this.fast.update(x);
+    const slow = this.slow.update(x);
+    if (fast === null || slow === null) return this.value;
+
+    const macd = fast - slow;
+    const signal = this.signal.update(macd);
+    this.value = {
+      macd,
+      signal,
+      histogram: signal === null ? null : macd - signal,
+    };
+    return this.value;
+  }
+}
+
+/**
+ * Bollinger Bands (population standard deviation)
+ * `value` is { upper, middle, lower }
+ */
+class BollingerStream {
+  constructor(period = 20, numStdDev = 2) {
+    this.period = period;
+    this.numStdDev = numStdDev;
+    this.buffer = new RingBuffer(period);
+    this.sum = 0;
+    this.sumSq = 0;
+    this.value = { upper: null, middle: null, lower: null };
+  }
+
+  update(x) {
+    const evicted = this.buffer.push(x);
+    this.sum += x;
+    this.sumSq += x * x;
+    if (evicted !== undefined) {
+      this.sum -= evicted;
+      this.sumSq -= evicted * evicted;
+    }
+    if (!this.buffer.isFull()) return this.value;
+
+    const middle = this.sum / this.period;
+    const stdDev = Math.sqrt(Math.max(0, this.sumSq / this.period - middle * middle));
+    this.value = {
+      upper: middle + this.numStdDev * stdDev,
+      middle,
+      lower: middle - this.numStdDev * stdDev,
+    };
+    return this.value;
+  }
+}
+
+/**
+ * Average True Range (Wilder's smoothing) – `update` takes a candle
+ * ({ high, low, close }). The first candle only provides a previous close.
+ */
+class AtrStream {
+  constructor(period = 14) {
+    this.average = new WilderStream(period);
+    this.prevClose = null;
+    this.value = null;
+  }
+
+  update({ high, low, close }) {
+    if (this.prevClose !== null) {
+      const tr = Math.max(high - low, Math.abs(high - this.prevClose), Math.abs(low - this.prevClose));
+      this.value = this.average.update(tr);
+    }
+    this.prevClose = close;
+    return this.value;
+  }
+}
+
+module.exports = {
+  WilderStream,
+  SmaStream,
+  EmaStream,
+  RsiStream,
+  MacdStream,
+  BollingerStream,
+  AtrStream,
+};
@@ -0,0 +1,230 @@
+/**
+ * Timeframes – candle interval arithmetic and higher-timeframe series
+ * built from base candles.
+ *
+ * Higher-timeframe candles are bucketed like exchange klines, in UTC:
+ * intraday and 1d/3d bars on multiples of their length since the Unix epoch
+ * (a 4h bar opens at 00:00, 04:00, ...), 1w bars on Mondays and 1M bars on
+ * the first of the month. A higher bar is only published once it is complete: when
+ * the base candle that ends its bucket has arrived, or when a candle from
+ * a later bucket shows the data skipped past its end. A first bucket the
+ * base candles start partway into is dropped, like `resample` does.
+ * Strategies therefore never see an unfinished higher bar.
+ */
+const TIMEFRAMES = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w', '1M'];
+
+const MINUTE = 60 * 1000;
+const DAY = 1440 * MINUTE;
+// The epoch fell on a Thursday; weeks start on Monday 1970-01-05
+const WEEK_OFFSET = 4 * DAY;
+const TIMEFRAME_MS = {
+  '1m': MINUTE,
+  '3m': 3 * MINUTE,
+  '5m': 5 * MINUTE,
+  '15m': 15 * MINUTE,
+  '30m': 30 * MINUTE,
+  '1h': 60 * MINUTE,
+  '2h': 120 * MINUTE,
+  '4h': 240 * MINUTE,
+  '6h': 360 * MINUTE,
+  '8h': 480 * MINUTE,
+  '12h': 720 * MINUTE,
+  '1d': DAY,
+  '3d': 3 * DAY,
+  '1w': 7 * DAY,
+};
+
+/**
+ * Length of a timeframe in milliseconds.
+ */
+function timeframeMs(timeframe) {
+  const ms = TIMEFRAME_MS[timeframe];
+  if (ms === undefined) {
+    throw new Error(TIMEFRAMES.includes(timeframe)
+      ? `Timeframe ${timeframe} has no fixed length`
+      : `Unknown timeframe "${timeframe}". Use one of ${TIMEFRAMES.join(', ')}`);
+  }
+  return ms;
+}
+
+/**
+ * Longest a `timeframe` candle can be, in milliseconds (31 days for 1M).
+ */
+function maxTimeframeMs(timeframe) {
+  return timeframe === '1M' ? 31 * DAY : timeframeMs(timeframe);
+}
+
+/**
+ * Open time (ms) of the `timeframe` bucket containing `time` (ms).
+ */
+function bucketStart(time, timeframe) {
+  if (timeframe === '1M') {
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  }
+  const ms = timeframeMs(timeframe);
+  const offset = timeframe === '1w' ? WEEK_OFFSET : 0;
+  return Math.floor((time - offset) / ms) * ms + offset;
+}
+
+/**
+ * Close time (ms, exclusive) of the `timeframe` bucket containing `time`,
+ * i.e. the open of the next one.
+ */
+function bucketEnd(time, timeframe) {
+  if (timeframe === '1M') {
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  }
+  return bucketStart(time, timeframe) + timeframeMs(timeframe);
+}
+
+/**
+ * Why `timeframe` cannot be built from `baseTimeframe` candles, or null.
+ */
+function timeframeError(baseTimeframe, timeframe) {
+  let base;
+  let target;
+  try {
+    base = timeframeMs(baseTimeframe);
+    // Months vary in length but are always whole days
+    target = timeframe === '1M' ? DAY : timeframeMs(timeframe);
+  } catch (err) {
+    return err.message;
+  }
+  if (timeframe !== '1M' && target <= base) return `${timeframe} must be longer than the ${baseTimeframe} base timeframe`;
+  if (target % base !== 0) return `${timeframe} is not a whole number of ${baseTimeframe} candles`;
+  return null;
+}
+
+/**
+ * Timeframe of a candle series from the most common spacing of its
+ * timestamps, or null when it matches none.
+ */
+function inferTimeframe(candles) {
+  const counts = new Map();
+  for (let i = 1; i < candles.length; i++) {
+    const gap = Date.parse(candles[i].time) - Date.parse(candles[i - 1].time);
+    counts.set(gap, (counts.get(gap) || 0) + 1);
+  }
+  const [gap] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+  return Object.keys(TIMEFRAME_MS).find((tf) => TIMEFRAME_MS[tf] === gap) || null;
+}
+
+/**
+ * Base candles per candle of the longest of `timeframes` (1 when empty).
+ */
+function maxTimeframeRatio(baseTimeframe, timeframes) {
+  return Math.max(1, ...timeframes.map((tf) => Math.ceil(maxTimeframeMs(tf) / timeframeMs(baseTimeframe))));
+}
+
+/**
+ * Builds one higher timeframe from consecutive closed base candles.
+ */
+class CandleAggregator {
+  constructor(timeframe, baseTimeframe) {
+    this.timeframe = timeframe;
+    this.baseMs = timeframeMs(baseTimeframe);
+    this.current = null;
+    this.started = false;
+  }
+
+  /**
+   * Add the next closed base candle.
+   * @returns {Array} higher-timeframe candles completed by it (usually none or one)
+   */
+  update(candle) {
+    const time = Date.parse(candle.time);
+    const start = bucketStart(time, this.timeframe);
+    const closed = [];
+
+    // A candle from a later bucket: the open one will get no more data
+    if (this.current && this.current.start !== start) closed.push(...this._close());
+
+    if (!this.current) {
+      this.current = {
+        start,
+        // The data starts partway into the first bucket: it misses its open
+        partial: !this.started && time !== start,
+        candle: { time: new Date(start).toISOString(), open: candle.open, high: candle.high, low: candle.low, close: candle.close, volume: candle.volume },
+      };
+    } else {
+      const bar = this.current.candle;
+      bar.high = Math.max(bar.high, candle.high);
+      bar.low = Math.min(bar.low, candle.low);
+      bar.close = candle.close;
+      bar.volume += candle.volume;
+    }
+
+    this.started = true;
+    if (time + this.baseMs >= bucketEnd(time, this.timeframe)) closed.push(...this._close());
+    return closed;
+  }
+
+  _close() {
+    const { candle, partial } = this.current;
+    this.current = null;
+    return partial ? [] : [candle];
+  }
+}
+
+/**
+ * Closed higher-timeframe series for a strategy, kept in step with the base
+ * candles. `update` returns the context passed to `evaluate`/`onCandle`:
+ * `{ timeframes: { '4h': [...closed 4h candles] } }`. The arrays grow in
+ * place, so read them during the call rather than keeping them.
+ */
+class TimeframeFeed {
+  /**
+   * @param {string} baseTimeframe - interval of the candles fed in
+   * @param {string[]} timeframes - higher timeframes to build
+   */
+  constructor(baseTimeframe, timeframes) {
+    for (const tf of timeframes) {
+      const error = timeframeError(baseTimeframe, tf);
+      if (error) throw new Error(error);
+    }
+    this.aggregators = timeframes.map((tf) => new CandleAggregator(tf, baseTimeframe));
+    this.context = { timeframes: Object.fromEntries(timeframes.map((tf) => [tf, []])) };
+  }
+
+  /**
+   * Add the next closed base candle and return the context.
+   */
+  update(candle) {
+    for (const aggregator of this.aggregators) {
+      this.context.timeframes[aggregator.timeframe].push(...aggregator.update(candle));
+    }
+    return this.context;
+  }
+
+  /**
+   * Feed for a strategy's `requiredTimeframes()`, or null when it needs none.
+   */
+  static forStrategy(strategy, baseTimeframe) {
+    const timeframes = strategy.requiredTimeframes?.() || [];
+    return timeframes.length > 0 ? new TimeframeFeed(baseTimeframe, timeframes) : null;
+  }
+
+  /**
+   * Context for a finished list of closed base candles.
+   */
+  static fromCandles(baseTimeframe, timeframes, candles) {
+    const feed = new TimeframeFeed(baseTimeframe, timeframes);
+    candles.forEach((c) => feed.update(c));
+    return feed.context;
+  }
+}
+
+module.exports = {
+  TIMEFRAMES,
+  timeframeMs,
+  maxTimeframeMs,
+  bucketStart,
+  bucketEnd,
+  timeframeError,
+  inferTimeframe,
+  maxTimeframeRatio,
+  CandleAggregator,
+  TimeframeFeed,
+};
@@ -0,0 +1,279 @@
+/**
+ * WebSocket client (RFC 6455) on Node built-ins – enough for exchange
+ * market-data streams without a dependency.
+ *
+ * Supports ws:// and wss://, text and binary messages (fragmented or not),
+ * ping/pong (pings are answered automatically) and the closing handshake.
+ * No extensions (permessage-deflate) or subprotocols.
+ *
+ * Events: 'open', 'message' (string | Buffer), 'ping' (Buffer),
+ * 'pong' (Buffer), 'close' (code, reason), 'error' (Error).
+ */
+const crypto = require('crypto');
+const net = require('net');
+const tls = require('tls');
+const { EventEmitter } = require('events');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+};
+
+/**
+ * Value of Sec-WebSocket-Accept for a Sec-WebSocket-Key.
+ */
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + GUID).digest('base64');
+}
+
+/**
+ * One unfragmented frame. Clients must mask what they send (`mask: true`).
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0), { mask = false, fin = true } = {}) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload));
+  const length = data.length;
+  const lengthBytes = length < 126 ? 0 : length < 65536 ? 2 : 8;
+  const header = Buffer.alloc(2 + lengthBytes + (mask ? 4 : 0));
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  header[1] = (mask ? 0x80 : 0) | (lengthBytes === 0 ? length : lengthBytes === 2 ? 126 : 127);
+  if (lengthBytes === 2) header.writeUInt16BE(length, 2);
+  if (lengthBytes === 8) header.writeBigUInt64BE(BigInt(length), 2);
+  if (!mask) return Buffer.concat([header, data]);
+
+  const key = crypto.randomBytes(4);
+  key.copy(header, 2 + lengthBytes);
+  const masked = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) masked[i] = data[i] ^ key[i % 4];
+  return Buffer.concat([header, masked]);
+}
+
+/**
+ * Splits a byte stream into frames. `push(chunk)` returns the frames
+ * completed by it: `{ fin, opcode, masked, payload }` with the payload unmasked.
+ */
+class FrameParser {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+    const frames = [];
+    for (;;) {
+      const frame = this._next();
+      if (!frame) return frames;
+      frames.push(frame);
+    }
+  }
+
+  _next() {
+    const buf = this.buffer;
+    if (buf.length < 2) return null;
+    let offset = 2;
+    let length = buf[1] & 0x7f;
+    if (length === 126) {
+      if (buf.length < 4) return null;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) return null;
+      length = Number(buf.readBigUInt64BE(2));
+      offset = 10;
+    }
+    const masked = (buf[1] & 0x80) !== 0;
+    const end = offset + (masked ? 4 : 0) + length;
+    if (buf.length < end) return null;
+
+    let payload = buf.subarray(end - length, end);
+    if (masked) {
+      const key = buf.subarray(offset, offset + 4);
+      payload = Buffer.from(payload);
+      for (let i = 0; i < payload.length; i++) payload[i] ^= key[i % 4];
+    }
+    this.buffer = buf.subarray(end);
+    return { fin: (buf[0] & 0x80) !== 0, opcode: buf[0] & 0x0f, masked, payload };
+  }
+}
+
+class WebSocketClient extends EventEmitter {
+  /**
+   * @param {string} url - ws:// or wss:// URL
+   * @param {object} [options]
+   * @param {number} [options.handshakeTimeoutMs=10000]
+   * @param {object} [options.headers] - extra handshake headers
+   */
+  constructor(url, { handshakeTimeoutMs = 10000, headers = {} } = {}) {
+    super();
+    this.url = new URL(url);
+    if (!['ws:', 'wss:'].includes(this.url.protocol)) throw new Error(`Not a WebSocket URL: ${url}`);
+    this.handshakeTimeoutMs = handshakeTimeoutMs;
+    this.headers = headers;
+    this.socket = null;
+    this.open = false;
+    this.closed = false;
+  }
+
+  /**
+   * Open the connection. Resolves once the handshake has completed.
+   * @returns {Promise<void>}
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const secure = this.url.protocol === 'wss:';
+      const port = Number(this.url.port) || (secure ? 443 : 80);
+      const host = this.url.hostname;
+      const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+      this.socket = socket;
+
+      const key = crypto.randomBytes(16).toString('base64');
+      let response = Buffer.alloc(0);
+      let settled = false;
+      const fail = (err) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        socket.destroy();
+        reject(err);
+      };
+      const timer = setTimeout(() => fail(new Error(`WebSocket handshake with ${host} timed out`)), this.handshakeTimeoutMs);
+
+      socket.once(secure ? 'secureConnect' : 'connect', () => {
+        const headers = {
+          Host: this.url.host,
+          Upgrade: 'websocket',
+          Connection: 'Upgrade',
+          'Sec-WebSocket-Key': key,
+          'Sec-WebSocket-Version': '13',
+          ...this.headers,
+        };
+        socket.write(`GET ${this.url.pathname}${this.url.search} HTTP/1.1\r\n` +
+          Object.entries(headers).map(([k, v]) => `${k}: ${v}`).join('\r\n') + '\r\n\r\n');
+      });
+
+      const onHandshakeData = (chunk) => {
+        response = Buffer.concat([response, chunk]);
+        const end = response.indexOf('\r\n\r\n');
+        if (end < 0) return;
+        socket.removeListener('data', onHandshakeData);
+
+        const [statusLine, ...lines] = response.subarray(0, end).toString('latin1').split('\r\n');
+        const headers = Object.fromEntries(lines.map((l) => {
+          const i = l.indexOf(':');
+          return [l.slice(0, i).trim().toLowerCase(), l.slice(i + 1).trim()];
+        }));
+        if (!/^HTTP\/1\.1 101/.test(statusLine)) return fail(new Error(`WebSocket upgrade refused: ${statusLine}`));
+        if (headers['sec-websocket-accept'] !== acceptKey(key)) return fail(new Error('WebSocket upgrade failed: bad Sec-WebSocket-Accept'));
+
+        settled = true;
+        clearTimeout(timer);
+        this.open = true;
+        this._listen(response.subarray(end + 4));
+        this.emit('open');
+        resolve();
+      };
+      socket.on('data', onHandshakeData);
+      socket.once('error', (err) => {
+        if (!settled) fail(err);
+      });
+      socket.once('close', () => {
+        if (!settled) fail(new Error(`WebSocket connection to ${host} closed during handshake`));
+      });
+    });
+  }
+
+  send(data) {
+    this._write(Buffer.isBuffer(data) ? OPCODE.BINARY : OPCODE.TEXT, data);
+  }
+
+  ping(data = Buffer.alloc(0)) {
+    this._write(OPCODE.PING, data);
+  }
+
+  /**
+   * Start the closing handshake; the socket is dropped if the server does
+   * not answer within a second.
+   */
+  close(code = 1000, reason = '') {
+    if (!this.open) {
+      this.terminate();
+      return;
+    }
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this._write(OPCODE.CLOSE, payload);
+    this.open = false;
+    setTimeout(() => this.terminate(), 1000).unref();
+  }
+
+  /**
+   * Drop the connection without a closing handshake.
+   */
+  terminate() {
+    this.open = false;
+    if (this.socket) this.socket.destroy();
+  }
+
+  _write(opcode, payload) {
+    if (!this.open) throw new Error('WebSocket is not open');
+    this.socket.write(encodeFrame(opcode, payload, { mask: true }));
+  }
+
+  _listen(rest) {
+    const parser = new FrameParser();
+    let fragments = null;
+    let fragmentOpcode = null;
+    let closeInfo = { code: 1006, reason: '' };
+
+    const onFrame = ({ fin, opcode, payload }) => {
+      if (opcode === OPCODE.PING) {
+        this.emit('ping', payload);
+        if (this.open) this._write(OPCODE.PONG, payload);
+      } else if (opcode === OPCODE.PONG) {
+        this.emit('pong', payload);
+      } else if (opcode === OPCODE.CLOSE) {
+        closeInfo = {
+          code: payload.length >= 2 ? payload.readUInt16BE(0) : 1005,
+          reason: payload.length > 2 ? payload.subarray(2).toString('utf8') : '',
+        };
+        if (this.open) {
+          this.socket.write(encodeFrame(OPCODE.CLOSE, payload.subarray(0, 2), { mask: true }));
+          this.open = false;
+        }
+        // The server closes the TCP connection next; drop it if it does not
+        this.socket.end();
+        setTimeout(() => this.terminate(), 1000).unref();
+      } else {
+        if (opcode !== OPCODE.CONTINUATION) {
+          fragments = [];
+          fragmentOpcode = opcode;
+        }
+        if (!fragments) return; // continuation without a start – ignore
+        fragments.push(payload);
+        if (!fin) return;
+        const data = Buffer.concat(fragments);
+        fragments = null;
+        this.emit('message', fragmentOpcode === OPCODE.TEXT ? data.toString('utf8') : data);
+      }
+    };
+    const onData = (chunk) => parser.push(chunk).forEach(onFrame);
+
+    this.socket.on('data', onData);
+    this.socket.on('error', (err) => this.emit('error', err));
+    this.socket.on('close', () => {
+      this.open = false;
+      if (this.closed) return;
+      this.closed = true;
+      this.emit('close', closeInfo.code, closeInfo.reason);
+    });
+    if (rest.length > 0) onData(rest);
+  }
+}
+
+module.exports = { WebSocketClient, FrameParser, encodeFrame, acceptKey, OPCODE };
@@ -0,0 +1,59 @@
+/**
+ * Zip reader – just enough of the format to read exchange data dumps
+ * (e.g. Binance Vision's monthly kline archives) with Node's zlib.
+ *
+ * Reads the central directory at the end of the archive and inflates
+ * stored or deflated entries. No zip64, encryption or multi-disk archives.
+ */
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Entries of a zip archive.
+ * @param {Buffer} buffer - the whole archive
+ * @returns {Array<{ name: string, data: Buffer }>} files, in archive order
+ *   (directories are skipped)
+ */
+function readZip(buffer) {
+  // The end record sits in the last 22 bytes plus an optional comment of up to 64 KiB
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('Not a zip archive (no end of central directory record)');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) throw new Error('Corrupt zip central directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith('/')) continue;
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) throw new Error(`Corrupt zip entry ${name}`);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === METHOD_STORED) entries.push({ name, data: raw });
+    else if (method === METHOD_DEFLATE) entries.push({ name, data: zlib.inflateRawSync(raw) });
+    else throw new Error(`Zip entry ${name} uses unsupported compression method ${method}`);
+  }
+  return entries;
+}
+
+module.exports = { readZip };
@@ -0,0 +1,19 @@
+/**
+ * Example external strategy used by the registry tests – always holds.
+ */
+module.exports = ({ BaseStrategy, SIGNAL, registerStrategy }) => {
+  class AlwaysHoldStrategy extends BaseStrategy {
+    constructor(params = {}) {
+      super('Always Hold', params);
+    }
+
+    evaluate() {
+      return { signal: SIGNAL.HOLD, confidence: 0, reason: `Holding (${this.params.label})` };
+    }
+  }
+
+  registerStrategy('always_hold', AlwaysHoldStrategy, {
+    defaults: { label: 'plugin' },
+    schema: { label: { type: 'string', description: 'Text echoed in the reason' } },
+  });
+};
@@ -0,0 +1,387 @@
+/**
+ * Mock Binance – a local stand-in for the spot REST API, so BinanceClient
+ * and CryptoDataFeed can be tested without the network or real keys.
+ *
+ *   const server = new MockBinanceServer({ balances: { USDT: 1000 } });
+ *   const url = await server.start();            // http://127.0.0.1:<port>
+ *   const client = new BinanceClient({ apiKey: server.apiKey, apiSecret: server.apiSecret, baseUrl: url }, logger);
+ *
+ * Implements klines, ticker/price, exchangeInfo, account, order (MARKET,
+ * LIMIT, STOP_LOSS_LIMIT; POST and DELETE) and openOrders, answering with
+ * Binance's response shapes and error codes:
+ *
+ *   - signed endpoints check X-MBX-APIKEY, the HMAC-SHA256 signature over
+ *     query string + body, and the timestamp against recvWindow
+ *   - orders are checked against the symbol's LOT_SIZE, PRICE_FILTER and
+ *     NOTIONAL filters and the free balance
+ *   - MARKET orders fill at the symbol's price (`setPrice`), moved by
+ *     `slippagePct`, for `fillRatio` of the quantity, paying `commissionPct`
+ *   - `latencyMs` delays every response; `failNext` injects an error
+ *     response (see ERRORS) for the next request(s)
+ *
+ * Pass `tls: { key, cert }` to serve HTTPS instead of HTTP.
+ */
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { bucketEnd } = require('../src/utils/timeframes');
+
+const ERRORS = {
+  timestamp: { status: 400, code: -1021, msg: 'Timestamp for this request is outside of the recvWindow.' },
+  insufficient_balance: { status: 400, code: -2010, msg: 'Account has insufficient balance for requested action.' },
+  rate_limit: {
+    status: 429,
+    code: -1003,
+    msg: 'Too much request weight used; current limit is 6000 request weight per 1 MINUTE.',
+    retryAfter: 30,
+  },
+  ip_ban: { status: 418, code: -1003, msg: 'Way too much request weight used; IP banned.', retryAfter: 120 },
+};
+
+const DEFAULT_SYMBOLS = {
+  BTCUSDT: {
+    baseAsset: 'BTC', quoteAsset: 'USDT', price: 50000,
+    tickSize: '0.01', minPrice: '0.01', maxPrice: '1000000.00',
+    stepSize: '0.00001', minQty: '0.00001', maxQty: '9000.00000',
+    minNotional: '5.00',
+  },
+};
+
+// Multiples of a filter step, with room for float error in the caller's rounding
+const onStep = (value, step) => {
+  const steps = value / Number(step);
+  return Math.abs(steps - Math.round(steps)) < 1e-6;
+};
+
+class MockBinanceServer {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.apiKey='test-key']
+   * @param {string} [options.apiSecret='test-secret']
+   * @param {object} [options.symbols] - symbol => { baseAsset, quoteAsset, price,
+   *   tickSize, minPrice, maxPrice, stepSize, minQty, maxQty, minNotional }
+   *   (filter values as strings, like exchangeInfo); defaults to BTCUSDT
+   * @param {object} [options.balances] - asset => free amount
+   * @param {object} [options.candles] - symbol => interval => candles served by klines
+   * @param {number} [options.latencyMs=0] - delay before every response
+   * @param {number} [options.fillRatio=1] - share of a MARKET order that fills
+   * @param {number} [options.slippagePct=0] - MARKET fills move this far against the order
+   * @param {number} [options.commissionPct=0.1] - fee per fill
+   * @param {number} [options.recvWindow=5000] - default accepted timestamp age (ms)
+   * @param {object} [options.tls] - { key, cert } to serve HTTPS
+   */
+  constructor({
+    apiKey = 'test-key',
+    apiSecret = 'test-secret',
+    symbols = DEFAULT_SYMBOLS,
+    balances = { USDT: 10000 },
+    candles = {},
+    latencyMs = 0,
+    fillRatio = 1,
+    slippagePct = 0,
+    commissionPct = 0.1,
+    recvWindow = 5000,
+    tls = null,
+  } = {}) {
+    this.apiKey = apiKey;
+    this.apiSecret = apiSecret;
+    this.symbols = Object.fromEntries(Object.entries(symbols).map(([s, info]) => [s, { ...info }]));
+    this.balances = Object.fromEntries(Object.entries(balances).map(([asset, free]) => [asset, { free, locked: 0 }]));
+    this.candles = candles;
+    this.latencyMs = latencyMs;
+    this.fillRatio = fillRatio;
+    this.slippagePct = slippagePct;
+    this.commissionPct = commissionPct;
+    this.recvWindow = recvWindow;
+    this.tls = tls;
+
+    this.orders = [];
+    this.requests = [];
+    this.failures = [];
+    this.nextOrderId = 1;
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * Listen on 127.0.0.1 and resolve with the base URL.
+   * @param {number} [port=0] - 0 picks a free port
+   */
+  start(port = 0) {
+    const handler = (req, res) => this._handle(req, res);
+    this.server = this.tls ? https.createServer(this.tls, handler) : http.createServer(handler);
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.url = `${this.tls ? 'https' : 'http'}://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+      this.server.closeAllConnections();
+      this.server.close(() => resolve());
+    });
+  }
+
+  setPrice(symbol, price) {
+    this.symbols[symbol].price = price;
+  }
+
+  /**
+   * Answer the next `count` requests (to `path` only, if given) with an
+   * error: a key of ERRORS or { status, code, msg, retryAfter }.
+   */
+  failNext(error, { path = null, count = 1 } = {}) {
+    const response = typeof error === 'string' ? ERRORS[error] : error;
+    if (!response) throw new Error(`Unknown mock error "${error}" (use one of: ${Object.keys(ERRORS).join(', ')})`);
+    for (let i = 0; i < count; i++) this.failures.push({ path, response });
+  }
+
+  balance(asset) {
+    return this.balances[asset] || (this.balances[asset] = { free: 0, locked: 0 });
+  }
+
+  _handle(req, res) {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const query = url.search.slice(1);
+      const params = Object.fromEntries(new URLSearchParams([query, body].filter(Boolean).join('&')));
+      this.requests.push({ method: req.method, path: url.pathname, params, apiKey: req.headers['x-mbx-apikey'] });
+
+      let result;
+      const failure = this.failures.findIndex((f) => f.path === null || f.path === url.pathname);
+      if (failure >= 0) {
+        result = this.failures.splice(failure, 1)[0].response;
+      } else {
+        try {
+          result = this._route(req, url.pathname, params, query, body);
+        } catch (err) {
+          result = { status: 500, code: -1000, msg: err.message };
+        }
+      }
+      setTimeout(() => this._send(res, result), this.latencyMs);
+    });
+  }
+
+  _send(res, result) {
+    if (result.code !== undefined) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (result.retryAfter) headers['Retry-After'] = String(result.retryAfter);
+      res.writeHead(result.status, headers);
+      res.end(JSON.stringify({ code: result.code, msg: result.msg }));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result.body));
+  }
+
+  _route(req, path, params, query, body) {
+    const route = `${req.method} ${path}`;
+    const ok = (data) => ({ body: data });
+
+    switch (route) {
+      case 'GET /api/v3/ticker/price': {
+        const info = this.symbols[params.symbol];
+        if (!info) return invalidSymbol();
+        return ok({ symbol: params.symbol, price: String(info.price) });
+      }
+      case 'GET /api/v3/klines':
+        return this.symbols[params.symbol] ? ok(this._klines(params)) : invalidSymbol();
+      case 'GET /api/v3/exchangeInfo':
+        return ok({ timezone: 'UTC', serverTime: Date.now(), symbols: this._symbolInfo(params.symbol) });
+    }
+
+    if (!['GET /api/v3/account', 'POST /api/v3/order', 'DELETE /api/v3/order', 'GET /api/v3/openOrders'].includes(route)) {
+      return { status: 404, code: -1000, msg: `Unknown endpoint ${route}` };
+    }
+    const authError = this._checkSignature(req, params, query, body);
+    if (authError) return authError;
+
+    switch (route) {
+      case 'GET /api/v3/account':
+        return ok({
+          accountType: 'SPOT',
+          canTrade: true,
+          balances: Object.entries(this.balances).map(([asset, b]) => ({ asset, free: b.free.toFixed(8), locked: b.locked.toFixed(8) })),
+        });
+      case 'POST /api/v3/order':
+        return this._placeOrder(params);
+      case 'DELETE /api/v3/order': {
+        const order = this.orders.find((o) => o.orderId === Number(params.orderId) && o.symbol === params.symbol);
+        if (!order || order.status !== 'NEW') return { status: 400, code: -2011, msg: 'Unknown order sent.' };
+        order.status = 'CANCELED';
+        this._unlock(order);
+        return ok(this._orderJson(order));
+      }
+      default: // GET /api/v3/openOrders
+        return ok(this.orders
+          .filter((o) => o.status === 'NEW' && (!params.symbol || o.symbol === params.symbol))
+          .map((o) => this._orderJson(o)));
+    }
+  }
+
+  /**
+   * Binance signs the query string followed by the body, without the
+   * signature parameter itself.
+   */
+  _checkSignature(req, params, query, body) {
+    if (req.headers['x-mbx-apikey'] !== this.apiKey) {
+      return { status: 401, code: -2015, msg: 'Invalid API-key, IP, or permissions for action.' };
+    }
+    const unsigned = [query, body].filter(Boolean).join('').replace(/&?signature=[0-9a-f]*/, '');
+    const expected = crypto.createHmac('sha256', this.apiSecret).update(unsigned).digest('hex');
+    if (params.signature !== expected) {
+      return { status: 400, code: -1022, msg: 'Signature for this request is not valid.' };
+    }
+    const timestamp = Number(params.timestamp);
+    const recvWindow = Number(params.recvWindow || this.recvWindow);
+    if (!(timestamp > Date.now() - recvWindow && timestamp < Date.now() + 1000)) return ERRORS.timestamp;
+    return null;
+  }
+
+  _klines({ symbol, interval, limit = 500, startTime, endTime }) {
+    const from = startTime === undefined ? -Infinity : Number(startTime);
+    const to = endTime === undefined ? Infinity : Number(endTime);
+    const inRange = (this.candles[symbol]?.[interval] || [])
+      .filter((c) => Date.parse(c.time) >= from && Date.parse(c.time) <= to);
+    // Binance returns the first `limit` from startTime, otherwise the latest
+    const rows = startTime === undefined ? inRange.slice(-Number(limit)) : inRange.slice(0, Number(limit));
+    return rows.map((c) => {
+      const open = Date.parse(c.time);
+      return [open, String(c.open), String(c.high), String(c.low), String(c.close), String(c.volume),
+        bucketEnd(open, interval) - 1, String(c.close * c.volume), 1, '0', '0', '0'];
+    });
+  }
+
+  _symbolInfo(only) {
+    return Object.entries(this.symbols)
+      .filter(([symbol]) => !only || symbol === only)
+      .map(([symbol, s]) => ({
+        symbol,
+        status: 'TRADING',
+        baseAsset: s.baseAsset,
+        quoteAsset: s.quoteAsset,
+        orderTypes: ['LIMIT', 'MARKET', 'STOP_LOSS_LIMIT'],
+        filters: [
+          { filterType: 'PRICE_FILTER', minPrice: s.minPrice, maxPrice: s.maxPrice, tickSize: s.tickSize },
+          { filterType: 'LOT_SIZE', minQty: s.minQty, maxQty: s.maxQty, stepSize: s.stepSize },
+          { filterType: 'NOTIONAL', minNotional: s.minNotional, applyMinToMarket: true, maxNotional: '9000000.00', applyMaxToMarket: false, avgPriceMins: 5 },
+        ],
+      }));
+  }
+
+  _placeOrder(params) {
+    const s = this.symbols[params.symbol];
+    if (!s) return invalidSymbol();
+    const { side, type } = params;
+    const quantity = Number(params.quantity);
+    const limitPrice = params.price === undefined ? null : Number(params.price);
+    if (!['BUY', 'SELL'].includes(side)) return { status: 400, code: -1117, msg: 'Invalid side.' };
+    if (!['MARKET', 'LIMIT', 'STOP_LOSS_LIMIT'].includes(type)) return { status: 400, code: -1116, msg: 'Invalid orderType.' };
+    if (type !== 'MARKET' && limitPrice === null) {
+      return { status: 400, code: -1102, msg: "Mandatory parameter 'price' was not sent, was empty/null, or malformed." };
+    }
+
+    if (quantity < Number(s.minQty) || quantity > Number(s.maxQty) || !onStep(quantity, s.stepSize)) return filterFailure('LOT_SIZE');
+    for (const price of [limitPrice, params.stopPrice === undefined ? null : Number(params.stopPrice)]) {
+      if (price !== null && (price < Number(s.minPrice) || price > Number(s.maxPrice) || !onStep(price, s.tickSize))) {
+        return filterFailure('PRICE_FILTER');
+      }
+    }
+    const referencePrice = limitPrice ?? s.price;
+    if (quantity * referencePrice < Number(s.minNotional)) return filterFailure('NOTIONAL');
+
+    const base = this.balance(s.baseAsset);
+    const quote = this.balance(s.quoteAsset);
+    const cost = quantity * referencePrice;
+    if (side === 'BUY' ? quote.free < cost : base.free < quantity) return ERRORS.insufficient_balance;
+
+    const order = {
+      symbol: params.symbol,
+      orderId: this.nextOrderId++,
+      clientOrderId: params.newClientOrderId || `mock-${this.nextOrderId}`,
+      transactTime: Date.now(),
+      price: type === 'MARKET' ? 0 : limitPrice,
+      stopPrice: params.stopPrice === undefined ? 0 : Number(params.stopPrice),
+      origQty: quantity,
+      executedQty: 0,
+      cummulativeQuoteQty: 0,
+      status: 'NEW',
+      timeInForce: params.timeInForce || 'GTC',
+      type,
+      side,
+      fills: [],
+    };
+    this.orders.push(order);
+
+    if (type === 'MARKET') {
+      const slip = 1 + (side === 'BUY' ? 1 : -1) * this.slippagePct / 100;
+      const fillPrice = s.price * slip;
+      const steps = Math.floor(quantity * this.fillRatio / Number(s.stepSize) + 1e-9);
+      const fillQty = Number((steps * Number(s.stepSize)).toFixed(decimals(s.stepSize)));
+      const notional = fillQty * fillPrice;
+      const commission = (side === 'BUY' ? fillQty : notional) * this.commissionPct / 100;
+      if (side === 'BUY') {
+        quote.free -= notional;
+        base.free += fillQty - commission;
+      } else {
+        base.free -= fillQty;
+        quote.free += notional - commission;
+      }
+      order.executedQty = fillQty;
+      order.cummulativeQuoteQty = notional;
+      order.status = fillQty >= quantity ? 'FILLED' : 'EXPIRED';
+      if (fillQty > 0) {
+        order.fills.push({
+          price: fillPrice.toFixed(8),
+          qty: fillQty.toFixed(8),
+          commission: commission.toFixed(8),
+          commissionAsset: side === 'BUY' ? s.baseAsset : s.quoteAsset,
+        });
+      }
+    } else {
+      // Resting orders lock what they would spend
+      order.locked = side === 'BUY' ? cost : quantity;
+      const asset = side === 'BUY' ? quote : base;
+      asset.free -= order.locked;
+      asset.locked += order.locked;
+    }
+    return { body: this._orderJson(order) };
+  }
+
+  _unlock(order) {
+    const s = this.symbols[order.symbol];
+    const asset = this.balance(order.side === 'BUY' ? s.quoteAsset : s.baseAsset);
+    asset.free += order.locked;
+    asset.locked -= order.locked;
+  }
+
+  _orderJson(order) {
+    const { locked, ...json } = order;
+    for (const key of ['price', 'stopPrice', 'origQty', 'executedQty', 'cummulativeQuoteQty']) {
+      json[key] = order[key].toFixed(8);
+    }
+    return json;
+  }
+}
+
+// Decimal places of a filter step such as "0.00100000"
+function decimals(step) {
+  return (String(step).split('.')[1] || '').replace(/0+$/, '').length;
+}
+
+function invalidSymbol() {
+  return { status: 400, code: -1121, msg: 'Invalid symbol.' };
+}
+
+function filterFailure(filter) {
+  return { status: 400, code: -1013, msg: `Filter failure: ${filter}` };
+}
+
+module.exports = { MockBinanceServer, ERRORS };
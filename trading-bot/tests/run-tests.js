@@ -2,21 +2,71 @@
 /**
  * Simple test runner – no external dependencies needed.
  */
-const { sma, ema, rsi, macd, bollingerBands } = require('../src/utils/indicators');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { EventEmitter } = require('events');
+const {
+  sma, ema, rsi, macd, bollingerBands, atr, wma, hma, stochastic, adx, vwap, obv,
+  ichimoku, keltnerChannels, supertrend, donchianChannels, parabolicSar,
+} = require('../src/utils/indicators');
+const {
+  SmaStream, EmaStream, RsiStream, MacdStream, BollingerStream, AtrStream,
+} = require('../src/utils/streaming-indicators');
 const EmaCrossoverStrategy = require('../src/strategies/ema-crossover');
 const RsiStrategy = require('../src/strategies/rsi-strategy');
 const MacdStrategy = require('../src/strategies/macd-strategy');
 const BollingerStrategy = require('../src/strategies/bollinger-strategy');
 const CombinedStrategy = require('../src/strategies/combined-strategy');
+const {
+  createStrategy, listStrategies, getStrategyEntry, registerStrategy, loadStrategyPlugins,
+} = require('../src/strategies');
 const RiskManager = require('../src/engines/risk-manager');
 const Portfolio = require('../src/engines/portfolio');
 const DataFeed = require('../src/engines/data-feed');
+const ExecutionModel = require('../src/engines/execution-model');
 const Backtester = require('../src/engines/backtester');
+const PortfolioBacktester = require('../src/engines/portfolio-backtester');
+const TradingEngine = require('../src/engines/trading-engine');
+const { parseScenario, loadScenario, listScenarios, generateScenario } = require('../src/engines/scenario-generator');
+const CandleStore = require('../src/engines/candle-store');
+const BinanceStream = require('../src/engines/binance-stream');
+const BinanceClient = require('../src/engines/binance-client');
+const CryptoDataFeed = require('../src/engines/crypto-data-feed');
+const { MockBinanceServer } = require('./mock-binance-server');
+const { stepDecimals, floorToStep, roundToStep, fitOrder } = require('../src/utils/exchange-filters');
+const LiveTradingEngine = require('../src/engines/live-trading-engine');
+const { WebSocketClient, FrameParser, encodeFrame, acceptKey, OPCODE } = require('../src/utils/websocket');
+const { parseTime, candleError, parseCsv, importCandles, readCandleFile } = require('../src/engines/candle-importers');
+const {
+  Optimizer, scoreBacktest, expandGrid, sampleRandom, toOverrides,
+} = require('../src/engines/optimizer');
+const { WalkForward, buildWindows, parameterStability, overfittingRatio } = require('../src/engines/walk-forward');
+const { MonteCarlo, percentile } = require('../src/engines/monte-carlo');
 const Logger = require('../src/utils/logger');
+const { computeMetrics, monthlyReturns, drawdownStats, correlation, inferBarsPerYear } = require('../src/utils/performance');
+const { formatSummary, formatMetrics } = require('../src/utils/format');
+const { renderReport } = require('../src/reports/html-report');
+const { ExportWriter, createExportWriter, SCHEMAS } = require('../src/reports/exporters');
+const { validateConfig, assertValidConfig, ConfigValidationError } = require('../src/utils/config-validator');
+const {
+  CandleAggregator, TimeframeFeed, timeframeError, inferTimeframe, maxTimeframeRatio, bucketStart, bucketEnd,
+} = require('../src/utils/timeframes');
+const { findGaps, fillGaps, resample } = require('../src/utils/resampler');
+const { generateRealisticCandles } = require('../src/engines/realistic-crypto-data');
+const { createRandom, hashSeed, randn } = require('../src/utils/random');
 const config = require('../config/default');
 
 let passed = 0;
 let failed = 0;
+const pending = []; // async test blocks – the summary waits for them
+
+// Generated test data comes from one seeded stream, so every run sees the
+// same candles; SEED=<n> runs the suite on other data
+const testSeed = process.env.SEED ? Number(process.env.SEED) : 1;
+const random = createRandom(testSeed);
+console.log(`Seed: ${testSeed}`);
 
 function assert(condition, message) {
   if (condition) {
@@ -64,6 +114,10 @@ assert(Array.isArray(macdResult.macd), 'MACD: returns macd array');
 assert(Array.isArray(macdResult.signal), 'MACD: returns signal array');
 assert(Array.isArray(macdResult.histogram), 'MACD: returns histogram array');
 
+// MACD keeps legitimate zero values
+const flatMacd = macd(Array(30).fill(100), 3, 6, 3);
+assert(flatMacd.signal[29] === 0 && flatMacd.histogram[29] === 0, 'MACD: zero signal value preserved (not null)');
+
 // Bollinger Bands
 const bb = bollingerBands(testData, 5, 2);
 assert(bb.upper[4] !== null, 'BB: first valid upper band');
@@ -72,11 +126,110 @@ assert(bb.lower[4] !== null, 'BB: first valid lower band');
 assert(bb.upper[4] > bb.middle[4], 'BB: upper > middle');
 assert(bb.lower[4] < bb.middle[4], 'BB: lower < middle');
 
+// ── Indicator Reference Tests ────────────────────────────────────
+// Golden values in tests/fixtures/indicator-reference.json were produced from
+// tests/fixtures/ohlcv.json by independent open-source implementations (see `source`).
+// They follow those libraries, not TA-Lib: MACD seeds each EMA with the SMA of its own
+// period from the first candle, where TA-Lib starts the fast EMA in step with the slow
+// one, so the early MACD values differ from TA-Lib's. RSI values were computed here
+// with Wilder smoothing to six decimals.
+
+console.log('\n=== Indicator Reference Tests ===\n');
+
+const fixtureCandles = require('./fixtures/ohlcv.json');
+const reference = require('./fixtures/indicator-reference.json');
+const fxCloses = fixtureCandles.map((c) => c.close);
+const fxHighs = fixtureCandles.map((c) => c.high);
+const fxLows = fixtureCandles.map((c) => c.low);
+const fxVolumes = fixtureCandles.map((c) => c.volume);
+
+function matchesReference(actual, expected, tolerance = 1e-6) {
+  if (actual.length !== expected.length) return false;
+  return expected.every((e, i) => (
+    e === null ? actual[i] === null : actual[i] !== null && Math.abs(actual[i] - e) <= tolerance
+  ));
+}
+
+assert(matchesReference(sma(fxCloses, ...reference.sma.params), reference.sma.values), 'Reference: SMA(10)');
+assert(matchesReference(ema(fxCloses, ...reference.ema.params), reference.ema.values), 'Reference: EMA(10)');
+assert(matchesReference(rsi(fxCloses, ...reference.rsi.params), reference.rsi.values),
+  'Reference: RSI(14) with Wilder smoothing');
+const fxMacd = macd(fxCloses, ...reference.macd.params);
+assert(matchesReference(fxMacd.macd, reference.macd.macd), 'Reference: MACD line');
+assert(matchesReference(fxMacd.signal, reference.macd.signal), 'Reference: MACD signal');
+assert(matchesReference(fxMacd.histogram, reference.macd.histogram), 'Reference: MACD histogram');
+const fxBb = bollingerBands(fxCloses, ...reference.bollingerBands.params);
+assert(matchesReference(fxBb.upper, reference.bollingerBands.upper)
+  && matchesReference(fxBb.middle, reference.bollingerBands.middle)
+  && matchesReference(fxBb.lower, reference.bollingerBands.lower), 'Reference: Bollinger Bands(20, 2)');
+assert(matchesReference(atr(fxHighs, fxLows, fxCloses, ...reference.atr.params), reference.atr.values),
+  'Reference: ATR(14) with Wilder smoothing');
+assert(matchesReference(wma(fxCloses, ...reference.wma.params), reference.wma.values), 'Reference: WMA(10)');
+assert(matchesReference(hma(fxCloses, ...reference.hma.params), reference.hma.values), 'Reference: HMA(9)');
+const fxStoch = stochastic(fxHighs, fxLows, fxCloses, ...reference.stochastic.params);
+assert(matchesReference(fxStoch.k, reference.stochastic.k) && matchesReference(fxStoch.d, reference.stochastic.d),
+  'Reference: Stochastic(14, 3) %K/%D');
+const fxAdx = adx(fxHighs, fxLows, fxCloses, ...reference.adx.params);
+assert(matchesReference(fxAdx.adx, reference.adx.adx), 'Reference: ADX(14)');
+assert(matchesReference(fxAdx.plusDI, reference.adx.plusDI) && matchesReference(fxAdx.minusDI, reference.adx.minusDI),
+  'Reference: +DI/-DI(14)');
+assert(matchesReference(vwap(fxHighs, fxLows, fxCloses, fxVolumes, fixtureCandles.map((c) => c.time)), reference.vwap.values),
+  'Reference: session VWAP resets each UTC day');
+assert(matchesReference(obv(fxCloses, fxVolumes), reference.obv.values), 'Reference: OBV');
+const fxIchimoku = ichimoku(fxHighs, fxLows, fxCloses, ...reference.ichimoku.params);
+assert(['conversion', 'base', 'spanA', 'spanB'].every((line) => matchesReference(fxIchimoku[line], reference.ichimoku[line])),
+  'Reference: Ichimoku(9, 26, 52, 26) with displaced spans');
+assert(fxIchimoku.lagging[0] === fxCloses[26] && fxIchimoku.lagging[fxCloses.length - 1] === null,
+  'Ichimoku: lagging span is the close shifted back');
+const fxKc = keltnerChannels(fxHighs, fxLows, fxCloses, ...reference.keltnerChannels.params);
+assert(['upper', 'middle', 'lower'].every((line) => matchesReference(fxKc[line], reference.keltnerChannels[line])),
+  'Reference: Keltner Channels(20, 2, 10)');
+const fxSt = supertrend(fxHighs, fxLows, fxCloses, ...reference.supertrend.params);
+assert(matchesReference(fxSt.supertrend, reference.supertrend.supertrend)
+  && matchesReference(fxSt.direction, reference.supertrend.direction), 'Reference: SuperTrend(10, 1) line and direction');
+const fxDc = donchianChannels(fxHighs, fxLows, ...reference.donchianChannels.params);
+assert(['upper', 'middle', 'lower'].every((line) => matchesReference(fxDc[line], reference.donchianChannels[line])),
+  'Reference: Donchian Channels(20)');
+assert(matchesReference(parabolicSar(fxHighs, fxLows, ...reference.parabolicSar.params), reference.parabolicSar.values),
+  'Reference: Parabolic SAR(0.02, 0.2)');
+
+// ── Streaming Indicator Tests ────────────────────────────────────
+
+console.log('\n=== Streaming Indicator Tests ===\n');
+
+// Streaming indicators match the batch functions value-for-value
+function streamMatches(batch, streamed) {
+  return batch.length === streamed.length && batch.every((b, i) => (
+    b === null ? streamed[i] === null : streamed[i] !== null && Math.abs(b - streamed[i]) < 1e-6
+  ));
+}
+const streamCandles = DataFeed.generateTrendingMarket({ numCandles: 300, random });
+const streamCloses = streamCandles.map((c) => c.close);
+const smaStream = new SmaStream(20);
+assert(streamMatches(sma(streamCloses, 20), streamCloses.map((x) => smaStream.update(x))), 'Streaming: SMA matches batch');
+const emaStream = new EmaStream(20);
+assert(streamMatches(ema(streamCloses, 20), streamCloses.map((x) => emaStream.update(x))), 'Streaming: EMA matches batch');
+const rsiStream = new RsiStream(14);
+assert(streamMatches(rsi(streamCloses, 14), streamCloses.map((x) => rsiStream.update(x))), 'Streaming: RSI matches batch');
+const macdStream = new MacdStream(12, 26, 9);
+const macdStreamed = streamCloses.map((x) => macdStream.update(x));
+const macdBatch = macd(streamCloses, 12, 26, 9);
+assert(streamMatches(macdBatch.macd, macdStreamed.map((v) => v.macd))
+  && streamMatches(macdBatch.histogram, macdStreamed.map((v) => v.histogram)), 'Streaming: MACD matches batch');
+const bbStream = new BollingerStream(20, 2);
+const bbStreamed = streamCloses.map((x) => bbStream.update(x));
+const bbBatch = bollingerBands(streamCloses, 20, 2);
+assert(streamMatches(bbBatch.upper, bbStreamed.map((v) => v.upper))
+  && streamMatches(bbBatch.lower, bbStreamed.map((v) => v.lower)), 'Streaming: Bollinger matches batch');
+const atrStream = new AtrStream(14);
+const atrBatch = atr(streamCandles.map((c) => c.high), streamCandles.map((c) => c.low), streamCloses, 14);
+assert(streamMatches(atrBatch, streamCandles.map((c) => atrStream.update(c))), 'Streaming: ATR matches batch');
+
 // ── Strategy Tests ───────────────────────────────────────────────
 
 console.log('\n=== Strategy Tests ===\n');
 
-const candles = DataFeed.generateTrendingMarket({ numCandles: 200 });
+const candles = DataFeed.generateTrendingMarket({ numCandles: 200, random });
 
 // EMA Crossover
 const emaSt = new EmaCrossoverStrategy({ fastPeriod: 9, slowPeriod: 21 });
@@ -105,6 +258,52 @@ const combinedResult = combinedSt.evaluate(candles);
 assert(combinedResult.signal !== undefined, 'Combined strategy: returns signal');
 assert(typeof combinedResult.confidence === 'number', 'Combined strategy: returns confidence');
 
+// Incremental onCandle path produces the same signals as evaluate(candles)
+const parityStrategies = [
+  new EmaCrossoverStrategy(config.strategies.ema_crossover),
+  new RsiStrategy(config.strategies.rsi),
+  new MacdStrategy(config.strategies.macd),
+  new BollingerStrategy(config.strategies.bollinger),
+  new CombinedStrategy(config.strategies.combined, config.strategies),
+];
+for (const strat of parityStrategies) {
+  strat.reset();
+  let identical = strat.supportsIncremental();
+  for (let i = 0; i < streamCandles.length && identical; i++) {
+    const streamed = strat.onCandle(streamCandles[i]);
+    const batch = strat.evaluate(streamCandles.slice(0, i + 1));
+    identical = streamed.signal === batch.signal && streamed.confidence === batch.confidence;
+  }
+  assert(identical, `${strat.name}: onCandle signals identical to evaluate`);
+}
+
+// Registry
+assert(
+  listStrategies().map((s) => s.key).join(',') === 'ema_crossover,rsi,macd,bollinger,combined',
+  'Registry: built-in strategies registered in order'
+);
+const registryEma = createStrategy('ema_crossover', { ema_crossover: { fastPeriod: 5 } });
+assert(registryEma instanceof EmaCrossoverStrategy, 'Registry: creates registered class');
+assert(registryEma.fastPeriod === 5 && registryEma.slowPeriod === 21, 'Registry: config overrides merged over defaults');
+const registryCombined = createStrategy('combined', config.strategies);
+assert(registryCombined.minConfirmations === config.strategies.combined.minConfirmations, 'Registry: combined receives its params');
+assert(registryCombined.strategies[1].overbought === config.strategies.rsi.overbought, 'Registry: combined receives sub-strategy params');
+assert(getStrategyEntry('rsi').schema.oversold.type === 'number', 'Registry: exposes param schema');
+const registryZero = createStrategy('combined', { ...config.strategies, combined: { minConfirmations: 2, minConfidence: 0 } });
+assert(registryZero.minConfidence === 0, 'Registry: a zero param is kept rather than replaced by the default');
+
+let unknownError = null;
+try { createStrategy('nope'); } catch (e) { unknownError = e.message; }
+assert(unknownError && unknownError.includes('Available: ema_crossover'), 'Registry: unknown key lists available strategies');
+
+let duplicateError = null;
+try { registerStrategy('rsi', MacdStrategy); } catch (e) { duplicateError = e.message; }
+assert(duplicateError !== null, 'Registry: rejects duplicate key for a different class');
+
+loadStrategyPlugins([require('path').join(__dirname, 'fixtures', 'strategy-plugin.js')]);
+const pluginSt = createStrategy('always_hold');
+assert(pluginSt.evaluate(candles).reason === 'Holding (plugin)', 'Registry: loads plugin module with defaults');
+
 // ── Risk Manager Tests ───────────────────────────────────────────
 
 console.log('\n=== Risk Manager Tests ===\n');
@@ -131,9 +330,48 @@ assert(tpSell < 40000, 'Risk: sell take-profit below entry');
 // Risk/reward check
 assert(rm.meetsRiskReward(40000, sl, tp), 'Risk: meets risk/reward ratio');
 
+// Intrabar exits – wicks, gaps and same-bar stop/target ambiguity
+const longPos = { side: 'BUY', entryPrice: 100, stopLoss: 95, takeProfit: 104, trailingStop: 95 };
+const wick = rm.checkIntrabarExit(longPos, { open: 100, high: 101, low: 94, close: 100 });
+assert(wick.shouldClose && wick.fillPrice === 95, 'Risk: wick through stop fills at stop price');
+const gapDown = rm.checkIntrabarExit(longPos, { open: 93, high: 94, low: 90, close: 92 });
+assert(gapDown.shouldClose && gapDown.fillPrice === 93, 'Risk: gap below stop fills at open');
+const gapUp = rm.checkIntrabarExit(longPos, { open: 106, high: 107, low: 105, close: 106 });
+assert(gapUp.reason.startsWith('Take-profit') && gapUp.fillPrice === 106, 'Risk: gap above target fills at open');
+const noTouch = rm.checkIntrabarExit(longPos, { open: 100, high: 103, low: 96, close: 102 });
+assert(!noTouch.shouldClose, 'Risk: no exit when range stays inside levels');
+const bothBar = { open: 103, high: 105, low: 94, close: 100 };
+assert(rm.checkIntrabarExit(longPos, bothBar, 'pessimistic').fillPrice === 95, 'Risk: pessimistic policy fills stop first');
+assert(rm.checkIntrabarExit(longPos, bothBar, 'optimistic').fillPrice === 104, 'Risk: optimistic policy fills target first');
+assert(rm.checkIntrabarExit(longPos, bothBar, 'open_distance').fillPrice === 104, 'Risk: open_distance fills level nearest the open');
+const trailed = rm.checkIntrabarExit({ ...longPos, trailingStop: 99 }, { open: 100, high: 101, low: 98, close: 100 });
+assert(trailed.reason === 'Trailing stop hit' && trailed.fillPrice === 99, 'Risk: trailing stop fills at trailing level');
+const shortPosition = { side: 'SELL', entryPrice: 100, stopLoss: 105, takeProfit: 96, trailingStop: 105 };
+const shortWick = rm.checkIntrabarExit(shortPosition, { open: 100, high: 106, low: 99, close: 100 });
+assert(shortWick.shouldClose && shortWick.fillPrice === 105, 'Risk: short stop triggers on high wick');
+
+// Day rollover driven by an injected clock
+let simNow = '2025-01-01T10:00:00Z';
+const dayRm = new RiskManager(config, logger, { clock: () => simNow });
+dayRm.recordPnL(-config.initialBalance * (config.risk.maxDailyLossPct / 100) - 1, config.initialBalance);
+assert(dayRm.isHalted() && dayRm.haltReason === 'daily_loss', 'Risk: daily loss halt triggered');
+simNow = '2025-01-01T23:59:00Z';
+dayRm.checkDayRollover();
+assert(dayRm.isHalted(), 'Risk: halt persists within the same simulated day');
+simNow = '2025-01-02T00:01:00Z';
+dayRm.checkDayRollover();
+assert(!dayRm.isHalted() && dayRm.dailyPnL === 0, 'Risk: halt lifted on next simulated day');
+const tokyoRm = new RiskManager({ ...config, risk: { ...config.risk, tradingDayTimezone: 'Asia/Tokyo' } },
+  logger, { clock: () => '2025-01-01T23:30:00Z' });
+assert(tokyoRm._today() === '2025-01-02', 'Risk: trading day follows configured timezone');
+
 // Position limits
 assert(rm.canOpenPosition(0), 'Risk: can open when no positions');
 assert(!rm.canOpenPosition(config.risk.maxOpenPositions), 'Risk: cannot exceed max positions');
+assert(!rm.canOpenPosition(0, config.portfolio.maxPositionsPerSymbol), 'Risk: cannot exceed max positions per symbol');
+assert(rm.capCorrelatedExposure(2500, 1000, 10000) === 2500, 'Risk: correlated exposure within the limit keeps the size');
+assert(rm.capCorrelatedExposure(2500, 3000, 10000) === 1000 && rm.capCorrelatedExposure(2500, 5000, 10000) === 0,
+  'Risk: correlated exposure shrinks then blocks the position');
 
 // ── Portfolio Tests ──────────────────────────────────────────────
 
@@ -159,35 +397,1268 @@ const summary = portfolio.getSummary(100);
 assert(summary.totalTrades === 1, 'Portfolio: summary shows 1 trade');
 assert(summary.wins === 1, 'Portfolio: summary shows 1 win');
 
+// Short positions – collateral reserved, liability marked to market
+const shortPf = new Portfolio(10000, logger, { marginRequirementPct: 50 });
+const shortPos = shortPf.openPosition({
+  side: 'SELL', price: 100, quantity: 10, stopLoss: 105, takeProfit: 95, reason: 'test',
+});
+assert(shortPos.collateral === 500, 'Portfolio: short reserves 50% collateral');
+assert(shortPf.balance === 9500, 'Portfolio: balance reduced by collateral only');
+assert(shortPf.getTotalValue(100) === 10000, 'Portfolio: short equity unchanged at entry price');
+assert(shortPf.getTotalValue(90) === 10100, 'Portfolio: short gains equity when price falls');
+assert(shortPf.getTotalValue(110) === 9900, 'Portfolio: short loses equity when price rises');
+assert(shortPf.getUnrealizedPnL(shortPos, 90) === 100, 'Portfolio: short unrealized P&L positive below entry');
+assert(portfolio.getUnrealizedPnL({ side: 'BUY', entryPrice: 100, quantity: 10 }, 90) === -100,
+  'Portfolio: long unrealized P&L negative below entry');
+const shortClose = shortPf.closePosition(shortPos.id, 90, 'test close');
+assert(shortClose.pnl === 100, 'Portfolio: short P&L correct (10 * 10 = 100)');
+assert(shortPf.balance === 10100, 'Portfolio: short close returns collateral + P&L');
+
+// Execution costs – fees, spread and slippage
+const costModel = new ExecutionModel({ makerFeePct: 0.1, takerFeePct: 0.2, spreadPct: 0.2, slippagePct: 0.1 });
+assertClose(costModel.getFillPrice('BUY', 100), 100.2, 1e-9, 'Execution: taker buy pays half-spread + slippage');
+assertClose(costModel.getFillPrice('SELL', 100), 99.8, 1e-9, 'Execution: taker sell receives less');
+assert(costModel.getFillPrice('SELL', 100, 'maker') === 100, 'Execution: maker fill at limit price');
+assertClose(costModel.getFee(1000), 2, 1e-9, 'Execution: taker fee');
+assertClose(costModel.getFee(1000, 'maker'), 1, 1e-9, 'Execution: maker fee');
+const bnbModel = new ExecutionModel({ takerFeePct: 0.1, bnbDiscount: true });
+assertClose(bnbModel.getFee(1000), 0.75, 1e-9, 'Execution: BNB discount reduces fee by 25%');
+const volModel = new ExecutionModel({ slippage: 'volatility', slippageAtrMultiplier: 0.5, atrPeriod: 1 });
+assert(volModel.getSlippagePct() === 0, 'Execution: no volatility slippage before ATR warms up');
+volModel.update({ open: 100, high: 101, low: 99, close: 100 });
+volModel.update({ open: 100, high: 102, low: 98, close: 100 });
+assertClose(volModel.getSlippagePct(), 2, 1e-9, 'Execution: volatility slippage scales with ATR');
+
+const feePf = new Portfolio(10000, logger, { executionModel: new ExecutionModel({ takerFeePct: 0.1 }) });
+const feePos = feePf.openPosition({ side: 'BUY', price: 100, quantity: 10, stopLoss: 95, takeProfit: 110, reason: 'test' });
+assertClose(feePf.balance, 8999, 1e-9, 'Portfolio: entry fee debited');
+const feeClose = feePf.closePosition(feePos.id, 110, 'test close');
+assertClose(feeClose.trade.fees, 2.1, 1e-9, 'Portfolio: trade records entry + exit fees');
+assertClose(feeClose.pnl, 97.9, 1e-9, 'Portfolio: P&L is net of fees');
+assertClose(feePf.balance, 10097.9, 1e-9, 'Portfolio: balance reflects net P&L');
+assertClose(feePf.getSummary(110).totalFees, 2.1, 1e-9, 'Portfolio: summary totals fees');
+assert(formatSummary(feePf.getSummary(110)).totalFees === '2.10', 'Portfolio: formatted summary keeps two decimals');
+
+// Several symbols out of one balance
+const multiPf = new Portfolio(10000, logger);
+multiPf.openPosition({ symbol: 'BTC', side: 'BUY', price: 100, quantity: 10, stopLoss: 90, takeProfit: 120, reason: 'test' });
+const ethPos = multiPf.openPosition({ symbol: 'ETH', side: 'BUY', price: 10, quantity: 100, stopLoss: 9, takeProfit: 12, reason: 'test' });
+assert(multiPf.balance === 8000 && multiPf.getPositions('ETH').length === 1, 'Portfolio: symbols share the balance');
+assert(multiPf.getTotalValue({ BTC: 110, ETH: 9 }) === 10000, 'Portfolio: positions marked at their own symbol price');
+multiPf.closePosition(ethPos.id, 12, 'test close');
+const bySymbolStats = multiPf.getSymbolSummaries(['BTC', 'ETH', 'SOL']);
+assert(bySymbolStats.ETH.totalPnl === 200 && bySymbolStats.BTC.openPositions === 1 && bySymbolStats.SOL.totalTrades === 0,
+  'Portfolio: per-symbol summaries');
+
 // ── Backtester Tests ─────────────────────────────────────────────
 
 console.log('\n=== Backtester Tests ===\n');
 
-const btCandles = DataFeed.generateTrendingMarket({ numCandles: 300 });
+const btCandles = DataFeed.generateTrendingMarket({ numCandles: 300, random });
 const btStrategy = new CombinedStrategy({ minConfirmations: 2 }, config.strategies);
 const bt = new Backtester(config, btStrategy, logger);
 const btResult = bt.run(btCandles);
 assert(btResult.summary !== undefined, 'Backtest: returns summary');
 assert(btResult.trades !== undefined, 'Backtest: returns trades');
 assert(typeof btResult.summary.totalTrades === 'number', 'Backtest: totalTrades is number');
-assert(btResult.summary.totalReturn !== undefined, 'Backtest: totalReturn present');
+assert(typeof btResult.summary.totalReturn === 'number', 'Backtest: totalReturn is number');
+assert(btResult.equityCurve.length === btCandles.length - 50 + 1, 'Backtest: one equity point per traded bar plus the start');
+assert(btResult.equityCurve[0].equity === config.initialBalance && btResult.equityCurve[0].time === btCandles[49].time,
+  'Backtest: equity curve starts at the initial balance');
+assertClose(btResult.equityCurve[btResult.equityCurve.length - 1].equity, btResult.summary.totalValue, 1e-6,
+  'Backtest: equity curve ends at the final portfolio value');
+assertClose(btResult.metrics.benchmarkReturn, (btCandles[299].close / btCandles[49].close - 1) * 100, 1e-9,
+  'Backtest: buy-and-hold benchmark over the traded bars');
+
+// Intrabar stop – a wick through the stop that closes back above it still exits
+const flatCandles = Array.from({ length: 55 }, (_, i) => ({
+  time: new Date(Date.UTC(2025, 0, 1, i)).toISOString(), open: 100, high: 100.5, low: 99.5, close: 100, volume: 1,
+}));
+flatCandles[51] = { ...flatCandles[51], low: 90 };
+const buyOnce = { name: 'Buy Once', evaluate: (w) => ({ signal: w.length === 51 ? 'BUY' : 'HOLD', confidence: 100, reason: 'test' }) };
+const wickResult = new Backtester({ ...config, execution: {} }, buyOnce, logger).run(flatCandles);
+assert(wickResult.trades.length === 1 && wickResult.trades[0].exitPrice === 95,
+  'Backtest: intrabar wick fills at stop price');
+
+// Spot mode never opens shorts; margin mode may
+const alwaysSell = { name: 'Always Sell', evaluate: () => ({ signal: 'SELL', confidence: 100, reason: 'test' }) };
+const spotResult = new Backtester({ ...config, tradingMode: 'spot' }, alwaysSell, logger).run(btCandles);
+assert(spotResult.trades.length === 0, 'Backtest: spot mode ignores SELL with no open longs');
+const marginResult = new Backtester({ ...config, tradingMode: 'margin' }, alwaysSell, logger).run(btCandles);
+assert(marginResult.trades.length > 0 && marginResult.trades.every((t) => t.side === 'SELL'),
+  'Backtest: margin mode opens shorts on SELL');
+
+// ── Timeframe Tests ──────────────────────────────────────────────
+
+console.log('\n=== Timeframe Tests ===\n');
+
+const hourly = (i, close = 100 + i) => ({
+  time: new Date(Date.UTC(2025, 0, 1, i)).toISOString(), open: close - 1, high: close + 2, low: close - 2, close, volume: 1,
+});
+const agg4h = new CandleAggregator('4h', '1h');
+const published = [0, 1, 2].map((i) => agg4h.update(hourly(i)).length);
+const bar4h = agg4h.update(hourly(3));
+assert(published.every((n) => n === 0), 'Timeframes: no 4h bar before its last hour closes');
+assert(bar4h.length === 1 && bar4h[0].time === hourly(0).time && bar4h[0].open === 99 && bar4h[0].close === 103 &&
+  bar4h[0].high === 105 && bar4h[0].low === 98 && bar4h[0].volume === 4, 'Timeframes: 4h bar aggregates its four hours');
+const gapped = new CandleAggregator('4h', '1h');
+gapped.update(hourly(4));
+gapped.update(hourly(5));
+const afterGap = gapped.update(hourly(9));
+assert(afterGap.length === 1 && afterGap[0].close === 105 && afterGap[0].volume === 2 && gapped.current.start === Date.parse(hourly(8).time),
+  'Timeframes: a gap closes the partial bar and starts the next bucket');
+const midBucket = new CandleAggregator('4h', '1h');
+const fromTwo = [2, 3, 4, 5, 6, 7].map((i) => midBucket.update(hourly(i)));
+assert(fromTwo[1].length === 0 && fromTwo[5].length === 1 && fromTwo[5][0].time === hourly(4).time && fromTwo[5][0].open === 103,
+  'Timeframes: a first bar the data starts partway into is dropped');
+
+assert(timeframeError('1h', '4h') === null && timeframeError('15m', '1d') === null, 'Timeframes: longer multiples are buildable');
+assert(timeframeError('4h', '1h').includes('must be longer') && timeframeError('8h', '12h').includes('whole number'),
+  'Timeframes: rejects shorter and non-multiple timeframes');
+assert(timeframeError('1M', '1w').includes('no fixed length') && timeframeError('1h', '7h').includes('Unknown timeframe'),
+  'Timeframes: rejects monthly bases and unknown timeframes');
+assert(inferTimeframe(btCandles) === '1h' && inferTimeframe([hourly(0)]) === null, 'Timeframes: infers the candle interval');
+assert(maxTimeframeRatio('15m', ['1h', '4h']) === 16 && maxTimeframeRatio('1h', []) === 1, 'Timeframes: longest timeframe ratio');
+
+// A 4h trend filter over 1h candles only sees closed 4h bars
+const htfParams = { ...config.strategies.ema_crossover, trendPeriod: 10, trendTimeframe: '4h' };
+const htfStrategy = new EmaCrossoverStrategy(htfParams);
+assert(htfStrategy.requiredTimeframes().join() === '4h', 'Timeframes: strategy declares its trend timeframe');
+assert(new CombinedStrategy(config.strategies.combined, { ...config.strategies, rsi: { trendTimeframe: '4h' }, macd: { trendTimeframe: '1d' } })
+  .requiredTimeframes().join() === '4h,1d', 'Timeframes: combined requires its sub-strategies\' timeframes');
+let missingContext = null;
+try { htfStrategy.evaluate(btCandles); } catch (e) { missingContext = e.message; }
+assert(missingContext && missingContext.includes('4h candles missing'), 'Timeframes: evaluate without the 4h series throws');
+
+const htfFeed = new TimeframeFeed('1h', ['4h']);
+htfStrategy.reset();
+let htfParity = true;
+let htfLookahead = false;
+for (let i = 0; i < btCandles.length && htfParity; i++) {
+  const context = htfFeed.update(btCandles[i]);
+  const closed4h = context.timeframes['4h'];
+  htfLookahead = htfLookahead || (closed4h.length > 0 && Date.parse(closed4h[closed4h.length - 1].time) + 4 * 3600000 > Date.parse(btCandles[i].time) + 3600000);
+  const streamed = htfStrategy.onCandle(btCandles[i], context);
+  const batch = htfStrategy.evaluate(btCandles.slice(0, i + 1), context);
+  htfParity = streamed.signal === batch.signal && streamed.confidence === batch.confidence;
+}
+assert(htfParity, 'Timeframes: 4h trend onCandle signals identical to evaluate');
+assert(!htfLookahead && htfFeed.context.timeframes['4h'].length === btCandles.length / 4, 'Timeframes: only closed 4h bars are exposed');
+
+const htfIncremental = new Backtester(config, new EmaCrossoverStrategy(htfParams), logger).run(btCandles);
+const htfBatch = new Backtester(config, Object.assign(new EmaCrossoverStrategy(htfParams), { supportsIncremental: () => false }), logger).run(btCandles);
+assert(htfIncremental.trades.length === htfBatch.trades.length && htfIncremental.signals.length === htfBatch.signals.length,
+  'Timeframes: backtest trades the same incrementally and in batch');
+assertClose(htfIncremental.summary.totalValue, htfBatch.summary.totalValue, 1e-6, 'Timeframes: backtest equity matches across paths');
+const htfOverlay = htfStrategy.overlays(btCandles)[2];
+assert(htfOverlay.name === 'EMA 10 (4h)' && htfOverlay.values.length === btCandles.length && htfOverlay.values[38] === null && htfOverlay.values[39] !== null && htfOverlay.values[40] === htfOverlay.values[39],
+  'Timeframes: overlay steps with closed 4h bars');
+
+// ── Resampler Tests ──────────────────────────────────────────────
+
+console.log('\n=== Resampler Tests ===\n');
+
+const daily = (i, close = 100 + i) => ({
+  time: new Date(Date.UTC(2025, 0, 1 + i)).toISOString(), open: close - 1, high: close + 2, low: close - 2, close, volume: 10,
+});
+assert(new Date(bucketStart(Date.parse('2025-01-01T13:00:00Z'), '1w')).toISOString() === '2024-12-30T00:00:00.000Z',
+  'Resampler: weeks start on Monday');
+assert(new Date(bucketEnd(Date.parse('2024-02-10T00:00:00Z'), '1M')).toISOString() === '2024-03-01T00:00:00.000Z',
+  'Resampler: months end on the first of the next month');
+assert(timeframeError('1d', '1w') === null && timeframeError('4h', '1M') === null && timeframeError('3d', '1w').includes('whole number'),
+  'Resampler: weeks and months build from whole-day divisors');
+
+const hours48 = Array.from({ length: 48 }, (_, i) => hourly(i));
+const to4h = resample(hours48, '4h');
+assert(to4h.length === 12 && to4h[1].time === hourly(4).time && to4h[1].open === 103 && to4h[1].close === 107 &&
+  to4h[1].high === 109 && to4h[1].low === 102 && to4h[1].volume === 4, 'Resampler: 1h to 4h OHLCV');
+const to1d = resample(hours48.slice(3), '1d');
+assert(to1d.length === 1 && to1d[0].time === '2025-01-02T00:00:00.000Z' && to1d[0].open === 123 && to1d[0].close === 147,
+  'Resampler: days follow UTC midnight and a partial first day is dropped');
+assert(resample(hours48.slice(3, 40), '1d', { partial: true }).length === 2, 'Resampler: partial keeps the incomplete ends');
+
+const days60 = Array.from({ length: 60 }, (_, i) => daily(i));
+const weekly = resample(days60, '1w');
+assert(weekly.length === 7 && weekly[0].time === '2025-01-06T00:00:00.000Z' && weekly[0].open === 104 && weekly[0].close === 111 && weekly[0].volume === 70,
+  'Resampler: daily to Monday-aligned weeks');
+const monthly = resample(days60, '1M', { partial: true });
+assert(monthly.length === 3 && monthly[1].time === '2025-02-01T00:00:00.000Z' && monthly[1].volume === 280 && monthly[1].close === 158,
+  'Resampler: daily to calendar months');
+assert(resample(days60, '1M').length === 2, 'Resampler: the month still in progress is dropped');
+const weeklyFeed = new TimeframeFeed('1d', ['1w']);
+days60.slice(0, 12).forEach((c) => weeklyFeed.update(c));
+assert(weeklyFeed.context.timeframes['1w'].length === 1 && weeklyFeed.context.timeframes['1w'][0].time === '2025-01-06T00:00:00.000Z',
+  'Resampler: weekly feed closes each whole week on its Sunday candle');
+
+const holey = hours48.filter((c, i) => i < 5 || i > 7);
+const holes = findGaps(holey, '1h');
+assert(holes.length === 1 && holes[0].missing === 3 && holes[0].start === hourly(5).time && holes[0].end === hourly(7).time && holes[0].index === 5,
+  'Resampler: finds a gap and its size');
+const halfPast = (h) => ({ ...hourly(h), time: new Date(Date.UTC(2025, 0, 1, h, 30)).toISOString() });
+const offsetGaps = findGaps([0, 1, 2, 5].map(halfPast), '1h');
+assert(offsetGaps.length === 1 && offsetGaps[0].missing === 2 && offsetGaps[0].start === halfPast(3).time,
+  'Resampler: candles offset from the hour have no false gaps');
+assert(fillGaps([0, 1, 2, 5].map(halfPast), '1h')[3].time === halfPast(3).time, 'Resampler: fills keep the series offset');
+const forward = fillGaps(holey, '1h', 'forward');
+assert(forward.length === 48 && forward.slice(5, 8).every((c) => c.close === 104 && c.open === 104 && c.volume === 0),
+  'Resampler: forward fill repeats the last close');
+const interpolated = fillGaps(holey, '1h', 'interpolate');
+assert(interpolated[5].close === 104 + (107 - 104) / 4 && interpolated[7].close === 104 + (3 * (107 - 104)) / 4 && interpolated[6].open === interpolated[5].close,
+  'Resampler: interpolate draws a line across the gap');
+let gapError = null;
+try { resample(holey, '4h', { fill: 'error' }); } catch (e) { gapError = e.message; }
+assert(gapError && gapError.includes('3 1h candle(s) missing from 2025-01-01T05:00'), 'Resampler: error policy rejects gaps');
+const unfilled = resample(holey, '4h');
+assert(unfilled.length === 12 && unfilled[1].volume === 1 && unfilled[1].close === 104, 'Resampler: gaps left in place still form buckets');
+assert(resample(holey, '4h', { fill: 'forward' })[1].close === 104 && resample(holey, '4h', { fill: 'forward' })[1].volume === 1,
+  'Resampler: filled candles add no volume');
+
+let orderError = null;
+try { resample([hourly(1), hourly(0)], '4h', { from: '1h' }); } catch (e) { orderError = e.message; }
+assert(orderError && orderError.includes('ascending'), 'Resampler: rejects unordered candles');
+let downError = null;
+try { resample(to4h, '1h'); } catch (e) { downError = e.message; }
+assert(downError && downError.includes('must be longer'), 'Resampler: cannot build a shorter timeframe');
+
+const synthWeekly = generateRealisticCandles('BTCUSDT', '1w', 8);
+assert(synthWeekly.length === 8 && synthWeekly.every((c) => new Date(c.time).getUTCDay() === 1) && findGaps(synthWeekly, '1w').length === 0,
+  'Resampler: synthetic weekly candles open on Mondays');
+const synthMonthly = generateRealisticCandles('ETHUSDT', '1M', 4);
+assert(synthMonthly.length === 4 && synthMonthly.every((c) => new Date(c.time).getUTCDate() === 1) && bucketEnd(Date.parse(synthMonthly[3].time), '1M') <= Date.now(),
+  'Resampler: synthetic monthly candles are whole calendar months');
+assert(inferTimeframe(generateRealisticCandles('SOLUSDT', '15m', 20)) === '15m', 'Resampler: synthetic data honours intraday timeframes');
+
+// ── Portfolio Backtester Tests ───────────────────────────────────
+
+console.log('\n=== Portfolio Backtester Tests ===\n');
+
+const pfSolo = new PortfolioBacktester(config, { BTC: new CombinedStrategy({ minConfirmations: 2 }, config.strategies) }, logger)
+  .run({ BTC: btCandles });
+assert(pfSolo.trades.length === btResult.trades.length && pfSolo.equityCurve.length === btResult.equityCurve.length,
+  'PortfolioBacktest: one symbol trades like the single-symbol backtester');
+assertClose(pfSolo.summary.totalValue, btResult.summary.totalValue, 1e-6, 'PortfolioBacktest: one symbol ends at the same equity');
+assertClose(pfSolo.metrics.benchmarkReturn, btResult.metrics.benchmarkReturn, 1e-9, 'PortfolioBacktest: benchmark index matches buy and hold');
+
+// Wave-shaped markets: `sign` -1 mirrors the wave (negatively correlated)
+const wave = (n, { offset = 0, sign = 1 } = {}) => Array.from({ length: n }, (_, i) => {
+  const close = 100 + sign * 5 * Math.sin(i / 3);
+  return { time: new Date(Date.UTC(2025, 0, 1, offset + i)).toISOString(), open: close, high: close * 1.001, low: close * 0.999, close, volume: 1 };
+});
+const buyAtBar = (n) => ({ name: `Buy at ${n}`, evaluate: (w) => ({ signal: w.length === n ? 'BUY' : 'HOLD', confidence: 100, reason: 'test' }) });
+const pfConfig = (risk = {}, portfolioSettings = {}) => ({
+  ...config,
+  execution: {},
+  risk: { ...config.risk, stopLossPct: 40, takeProfitPct: 50, trailingStopPct: 40, maxPositionSizePct: 20, ...risk },
+  portfolio: { ...config.portfolio, maxCorrelatedExposurePct: 100, ...portfolioSettings },
+});
+const actionOf = (result, symbol) => result.signals.find((s) => s.symbol === symbol).action;
+
+const shared = new PortfolioBacktester(pfConfig({ maxOpenPositions: 2 }), { A: buyAtBar(60), B: buyAtBar(60), C: buyAtBar(60) }, logger)
+  .run({ A: wave(80), B: wave(80), C: wave(80, { sign: -1 }) });
+assert(shared.trades.length === 2 && actionOf(shared, 'C') === 'skipped: max open positions',
+  'PortfolioBacktest: maxOpenPositions applies across symbols');
+assertClose(shared.trades.find((t) => t.symbol === 'B').value, 7500 * 0.25, 1e-6, 'PortfolioBacktest: symbols size from the shared balance');
+assert(shared.bySymbol.A.totalTrades === 1 && shared.bySymbol.C.totalTrades === 0, 'PortfolioBacktest: per-symbol trade stats');
+assertClose(shared.bySymbol.C.buyHoldReturn, (wave(80, { sign: -1 })[79].close / wave(80, { sign: -1 })[49].close - 1) * 100, 1e-9,
+  'PortfolioBacktest: per-symbol buy and hold starts at the last warm-up close, like the benchmark');
+assertClose(shared.equityCurve[shared.equityCurve.length - 1].equity, shared.summary.totalValue, 1e-6,
+  'PortfolioBacktest: equity curve ends at the final portfolio value');
+
+const correlated = new PortfolioBacktester(pfConfig({ maxOpenPositions: 3 }, { maxCorrelatedExposurePct: 40 }),
+  { A: buyAtBar(60), B: buyAtBar(60), C: buyAtBar(60) }, logger)
+  .run({ A: wave(80), B: wave(80), C: wave(80, { sign: -1 }) });
+assert(actionOf(correlated, 'B') === 'opened: reduced for correlated exposure', 'PortfolioBacktest: correlated entry is shrunk');
+assertClose(correlated.trades.find((t) => t.symbol === 'B').value, 10000 * 0.4 - 2500, 1e-6,
+  'PortfolioBacktest: correlated exposure capped at the configured share of equity');
+assert(actionOf(correlated, 'C') === 'opened', 'PortfolioBacktest: uncorrelated symbol is not limited');
+const capped = new PortfolioBacktester(pfConfig({ maxOpenPositions: 3 }, { maxCorrelatedExposurePct: 25 }),
+  { A: buyAtBar(60), B: buyAtBar(60) }, logger).run({ A: wave(80), B: wave(80) });
+assert(actionOf(capped, 'B') === 'skipped: correlated exposure', 'PortfolioBacktest: no room left skips the entry');
+
+const alwaysBuy = { name: 'Always Buy', evaluate: () => ({ signal: 'BUY', confidence: 100, reason: 'test' }) };
+const perSymbol = new PortfolioBacktester(pfConfig({ maxOpenPositions: 3 }), { A: alwaysBuy }, logger).run({ A: wave(70) });
+assert(perSymbol.trades.length === 1 && perSymbol.signals.some((s) => s.action === 'skipped: max positions per symbol'),
+  'PortfolioBacktest: maxPositionsPerSymbol limits one market');
+
+const staggered = new PortfolioBacktester(pfConfig(), { A: buyAtBar(51), B: buyAtBar(51) }, logger)
+  .run({ A: wave(100), B: wave(70, { offset: 30 }) });
+assert(staggered.trades.find((t) => t.symbol === 'B').openTime === wave(70, { offset: 30 })[50].time,
+  'PortfolioBacktest: a later-starting symbol warms up on its own candles');
+assert(staggered.equityCurve.length === 100 - 50 + 1 && staggered.equityCurve.every((p, i) => i === 0 || p.time > staggered.equityCurve[i - 1].time),
+  'PortfolioBacktest: one equity point per step of the merged timeline');
+
+// A's losing exit trips the daily loss halt; B's later SELL must still close its long
+const signalAt = (bars) => ({ name: 'Scripted', evaluate: (w) => ({ signal: bars[w.length] || 'HOLD', confidence: 100, reason: 'test' }) });
+const haltedExit = new PortfolioBacktester(pfConfig({ maxOpenPositions: 3, maxDailyLossPct: 0.001 }),
+  { A: signalAt({ 51: 'BUY', 53: 'SELL', 55: 'BUY' }), B: signalAt({ 51: 'BUY', 58: 'SELL' }) }, logger)
+  .run({ A: wave(62), B: wave(62) });
+const haltedB = haltedExit.trades.find((t) => t.symbol === 'B');
+assert(haltedB.exitReason === 'Sell signal' && haltedB.exitTime === wave(62)[57].time,
+  'PortfolioBacktest: spot SELL still closes a long while trading is halted');
+assert(haltedExit.trades.filter((t) => t.symbol === 'A').length === 1, 'PortfolioBacktest: no new entries while halted');
+
+// ── Performance Tests ────────────────────────────────────────────
+
+console.log('\n=== Performance Tests ===\n');
+
+assertClose(correlation([1, 2, 3, 4], [2, 4, 6, 8]), 1, 1e-12, 'Perf: correlation of proportional series is 1');
+assertClose(correlation([1, 2, 3, 4], [4, 3, 2, 1]), -1, 1e-12, 'Perf: correlation of mirrored series is -1');
+assert(correlation([1, 2, 3], [5, 5, 5]) === null && correlation([1], [1]) === null, 'Perf: correlation undefined for flat or short series');
+
+const day = (d) => new Date(Date.UTC(2025, 0, 1 + d)).toISOString();
+const perfCurve = [
+  { time: day(0), equity: 100, price: 10, inMarket: false },
+  { time: day(1), equity: 110, price: 11, inMarket: true },
+  { time: day(2), equity: 99, price: 12, inMarket: true },
+  { time: day(3), equity: 121, price: 9, inMarket: false },
+];
+const perfTrades = [5, 3, -2, 4, 6, 7].map((pnl, i) => ({
+  pnl, pnlPct: pnl / 10, openTime: day(i), exitTime: new Date(Date.parse(day(i)) + 2 * 3600000).toISOString(),
+}));
+const perf = computeMetrics({ equityCurve: perfCurve, trades: perfTrades });
+const perfReturns = [0.1, -0.1, 121 / 99 - 1];
+const perfMean = perfReturns.reduce((s, r) => s + r, 0) / 3;
+const perfStd = Math.sqrt(perfReturns.reduce((s, r) => s + (r - perfMean) ** 2, 0) / 2);
+
+assertClose(inferBarsPerYear(perfCurve), 365, 1e-9, 'Performance: bars per year from bar spacing');
+assertClose(perf.totalReturn, 21, 1e-9, 'Performance: total return from the equity curve');
+assertClose(perf.cagr / ((Math.pow(1.21, 365 / 3) - 1) * 100), 1, 1e-9, 'Performance: CAGR');
+assertClose(perf.volatility, perfStd * Math.sqrt(365) * 100, 1e-9, 'Performance: annualized volatility');
+assertClose(perf.sharpe, (perfMean / perfStd) * Math.sqrt(365), 1e-9, 'Performance: annualized Sharpe');
+assertClose(perf.sortino, (perfMean / Math.sqrt(0.01 / 3)) * Math.sqrt(365), 1e-9, 'Performance: Sortino uses downside deviation');
+assertClose(perf.maxDrawdown, 10, 1e-9, 'Performance: mark-to-market max drawdown');
+assertClose(perf.calmar, perf.cagr / 10, 1e-9, 'Performance: Calmar is CAGR over max drawdown');
+assert(perf.maxDrawdownDurationBars === 1 && perf.maxDrawdownDurationDays === 1, 'Performance: max drawdown duration');
+assertClose(perf.exposure, 200 / 3, 1e-9, 'Performance: time in market');
+assertClose(perf.expectancy, 23 / 6, 1e-9, 'Performance: expectancy per trade');
+assert(perf.avgHoldingHours === 2, 'Performance: average holding time');
+assert(perf.longestWinStreak === 3 && perf.longestLossStreak === 1, 'Performance: longest win/loss streaks');
+assertClose(perf.benchmarkReturn, -10, 1e-9, 'Performance: buy-and-hold return');
+assertClose(perf.benchmarkMaxDrawdown, 25, 1e-9, 'Performance: buy-and-hold max drawdown');
+assertClose(perf.excessReturn, 31, 1e-9, 'Performance: return over buy-and-hold');
+
+const slowRecovery = drawdownStats([100, 90, 95, 99, 101, 100]);
+assert(slowRecovery.maxDrawdownDurationBars === 3, 'Performance: drawdown lasts until a new peak');
+const flatPerf = computeMetrics({ equityCurve: perfCurve.map((p) => ({ ...p, equity: 100 })), trades: [] });
+assert(flatPerf.sharpe === null && flatPerf.sortino === null && flatPerf.calmar === null && flatPerf.expectancy === null,
+  'Performance: undefined ratios are null');
+const perfText = formatMetrics(perf);
+assert(perfText.maxDrawdown === '10.00%' && perfText.timeInMarket === '66.7%' && perfText.buyAndHoldReturn === '-10.00%',
+  'Performance: metrics format as display strings');
+assert(formatMetrics(flatPerf).sharpe === 'n/a' && perfText.avgHoldingTime === '2.0h', 'Performance: missing values format as n/a');
+
+const months = monthlyReturns([
+  { time: '2025-01-31T00:00:00.000Z', equity: 100 },
+  { time: '2025-02-10T00:00:00.000Z', equity: 105 },
+  { time: '2025-02-28T00:00:00.000Z', equity: 110 },
+  { time: '2025-03-15T00:00:00.000Z', equity: 99 },
+]);
+assert(months.length === 2 && months[0].month === 2 && months[1].month === 3, 'Performance: one entry per calendar month');
+assertClose(months[0].return, 10, 1e-9, 'Performance: monthly return against the previous month end');
+assertClose(months[1].return, -10, 1e-9, 'Performance: monthly returns chain month to month');
+
+// ── Report Tests ─────────────────────────────────────────────────
+
+console.log('\n=== Report Tests ===\n');
+
+const emaOverlays = new EmaCrossoverStrategy({}).overlays(btCandles);
+assert(emaOverlays.length === 3 && emaOverlays.every((o) => o.values.length === btCandles.length), 'Report: strategy overlays align with candles');
+const combinedOverlays = btStrategy.overlays(btCandles).map((o) => o.name);
+assert(combinedOverlays.length === new Set(combinedOverlays).size && combinedOverlays.includes('BB middle (20)'),
+  'Report: combined overlays merge sub-strategies without duplicates');
+
+const reportTrades = btResult.trades.concat([{ ...btResult.trades[0], reason: '</script><b>x</b>' }]);
+const html = renderReport({
+  title: 'Test <Report>',
+  sections: [{ title: 'BTC/USDT', candles: btCandles, runs: [{ name: 'combined', result: { ...btResult, trades: reportTrades }, overlays: emaOverlays }] }],
+});
+assert(!/(src|href)=["']?https?:/i.test(html) && !html.includes('<link'), 'Report: HTML is self-contained (no external assets)');
+assert(html.includes('<title>Test &#60;Report&#62;</title>'), 'Report: title is escaped');
+const reportJson = html.match(/<script type="application\/json" id="report-data">([\s\S]*?)<\/script>/);
+const reportData = JSON.parse(reportJson[1]);
+const reportRun = reportData.sections[0].runs[0];
+assert(reportData.sections[0].candles.length === btCandles.length && reportRun.equity.length === btResult.equityCurve.length,
+  'Report: embeds candles and the equity curve');
+assert(reportRun.trades[reportRun.trades.length - 1].reason === '</script><b>x</b>', 'Report: trade reasons survive embedding without closing the script');
+assert(reportRun.equity.every((p) => p[2] <= 0) && reportRun.trades.every((t) => 'exitReason' in t),
+  'Report: drawdown series and exit reasons included');
+
+// ── Export Tests ─────────────────────────────────────────────────
+
+console.log('\n=== Export Tests ===\n');
+
+const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-export-'));
+const readLines = (file) => fs.readFileSync(path.join(exportDir, file), 'utf8').trim().split('\n');
+
+const exportTrades = [
+  { id: 1, side: 'LONG', entryPrice: 100, exitPrice: 110, pnl: 10, reason: 'EMA cross, "strong"', extra: 'dropped' },
+  { id: 2, symbol: 'ETHUSDT', side: 'SHORT', entryPrice: 50, pnl: -2 },
+];
+const exportWriter = new ExportWriter({ dir: exportDir, formats: ['csv', 'jsonl', 'json'], prefix: 'ema-', symbol: 'BTCUSDT' });
+exportWriter.write('trades', exportTrades);
+const csvLines = readLines('ema-trades.csv');
+assert(csvLines[0] === SCHEMAS.trades.join(','), 'Export: CSV header follows the trades schema');
+assert(csvLines[1].startsWith('1,BTCUSDT,LONG,,,100,110,') && csvLines[1].endsWith(',"EMA cross, ""strong""",'),
+  'Export: CSV fills the symbol, keeps column order and quotes commas/quotes');
+const jsonRows = readLines('ema-trades.jsonl').map((l) => JSON.parse(l));
+assert(Object.keys(jsonRows[0]).join(',') === SCHEMAS.trades.join(',') && !('extra' in jsonRows[0]),
+  'Export: JSONL rows use schema keys only');
+assert(jsonRows[1].symbol === 'ETHUSDT' && jsonRows[1].exitPrice === null, 'Export: JSONL keeps row symbol and writes missing values as null');
+const readColumnar = (file) => JSON.parse(fs.readFileSync(path.join(exportDir, file), 'utf8'));
+const columnar = readColumnar('ema-trades.json');
+assert(columnar.columns.join(',') === SCHEMAS.trades.join(',') && columnar.rows.length === 2 &&
+  columnar.rows[0].slice(0, 3).join() === '1,BTCUSDT,LONG' && columnar.rows[1][columnar.columns.indexOf('exitPrice')] === null,
+  'Export: columnar JSON has the schema columns and one value array per row');
+
+exportWriter.write('trades', [{ id: 3, side: 'LONG', pnl: Infinity }]);
+const appended = readLines('ema-trades.csv');
+assert(appended.length === 4 && appended.filter((l) => l.startsWith('id,')).length === 1, 'Export: same writer appends without repeating the header');
+assert(JSON.parse(readLines('ema-trades.jsonl')[2]).pnl === null, 'Export: non-finite numbers become null in JSONL');
+const appendedColumnar = readColumnar('ema-trades.json');
+assert(appendedColumnar.rows.length === 3 && appendedColumnar.rows[2][0] === 3 && appendedColumnar.rows[2][appendedColumnar.columns.indexOf('pnl')] === null,
+  'Export: columnar JSON appends rows, non-finite numbers as null');
+exportWriter.child().write('trades', []);
+assert(readLines('ema-trades.csv').length === 1 && readColumnar('ema-trades.json').rows.length === 0, 'Export: a new writer replaces the previous run');
+
+let badFormat = null;
+try { new ExportWriter({ dir: exportDir, formats: ['xlsx'] }); } catch (err) { badFormat = err; }
+assert(badFormat && badFormat.message.includes('Unknown export format "xlsx"'), 'Export: unknown format throws');
+
+assert(createExportWriter(config, {}) === null, 'Export: off without a directory');
+const flagWriter = createExportWriter(config, { export: exportDir, 'export-format': 'jsonl, csv' });
+assert(flagWriter.dir === exportDir && flagWriter.formats.join() === 'jsonl,csv', 'Export: --export and --export-format override config');
+
+new ExportWriter({ dir: exportDir, prefix: 'bt-' }).writeRun(btResult);
+assert(readLines('bt-equity.csv').length === btResult.equityCurve.length + 1 && readLines('bt-signals.csv').length === btResult.signals.length + 1,
+  'Export: writeRun writes trades, equity and signals');
+assert(btResult.signals.every((s) => s.signal !== 'HOLD' && s.action),
+  'Export: backtest signal log records every non-HOLD signal with its action');
+assert(btResult.signals.filter((s) => s.action === 'opened').length === btResult.trades.length,
+  'Export: every trade has an "opened" signal');
+
+fs.rmSync(exportDir, { recursive: true, force: true });
+
+// ── Config Validation Tests ──────────────────────────────────────
+
+console.log('\n=== Config Validation Tests ===\n');
+
+const hasError = (cfg, fragment, options) => validateConfig(cfg, options).some((e) => e.includes(fragment));
+
+assert(validateConfig(config).length === 0, 'Config: default config is valid');
+assert(hasError({ ...config, seed: 1.5 }, 'seed must be an integer') && hasError({ ...config, seed: 2 ** 32 }, 'seed'), 'Config: rejects seeds that are not 32-bit integers');
+
+const withStrategy = (key, params) => ({ ...config, strategies: { ...config.strategies, [key]: { ...config.strategies[key], ...params } } });
+assert(
+  hasError(withStrategy('ema_crossover', { fastPeriod: 30 }), 'strategies.ema_crossover: fastPeriod (30) must be less than slowPeriod (21)'),
+  'Config: rejects EMA fastPeriod >= slowPeriod'
+);
+assert(hasError(withStrategy('macd', { fastPeriod: 26 }), 'strategies.macd: fastPeriod'), 'Config: rejects MACD fastPeriod >= slowPeriod');
+assert(
+  hasError(withStrategy('rsi', { oversold: 80 }), 'strategies.rsi: oversold (80) must be below overbought (75)'),
+  'Config: rejects RSI oversold > overbought'
+);
+assert(hasError(withStrategy('rsi', { period: 14.5 }), 'strategies.rsi.period must be an integer'), 'Config: rejects non-integer period');
+assert(hasError(withStrategy('bollinger', { stdDevs: 2 }), 'strategies.bollinger.stdDevs is not a known setting'), 'Config: flags misspelt strategy param');
+
+assert(
+  hasError({ ...config, risk: { ...config.risk, stopLossPct: 0 } }, 'risk.stopLossPct must be greater than 0 (got 0)'),
+  'Config: rejects zero stopLossPct'
+);
+assert(hasError({ ...config, risk: { ...config.risk, maxOpenPositions: 0 } }, 'risk.maxOpenPositions must be at least 1'), 'Config: rejects zero maxOpenPositions');
+assert(hasError({ ...config, risk: { ...config.risk, tradingDayTimezone: 'Mars/Olympus' } }, 'not a valid IANA time zone'), 'Config: rejects unknown timezone');
+assert(hasError({ ...config, risk: { ...config.risk, stopLosPct: 2 } }, 'risk.stopLosPct is not a known setting'), 'Config: flags misspelt risk key');
+assert(hasError({ ...config, paperTrading: 'ture' }, 'paperTrading must be true or false (got "ture")'), 'Config: rejects PAPER_TRADING typo');
+assert(hasError({ ...config, initialBalance: NaN }, 'initialBalance must be a number'), 'Config: rejects unparseable number');
+assert(hasError({ ...config, portfolio: { ...config.portfolio, symbols: ['BTCUSDT', 'BTCUSDT'] } }, 'portfolio.symbols lists "BTCUSDT" twice'),
+  'Config: rejects duplicate portfolio symbols');
+assert(hasError({ ...config, tradingMode: 'futures' }, 'tradingMode must be one of spot, margin'), 'Config: rejects unknown tradingMode');
+assert(hasError({ ...config, data: { dir: '' } }, 'data.dir must not be empty'), 'Config: rejects an empty data dir');
+assert(hasError({ ...config, export: { dir: '', formats: ['xml'] } }, 'export.formats'), 'Config: rejects unknown export format');
+assert(hasError({ ...config, backtest: { intrabarPolicy: 'random' } }, 'backtest.intrabarPolicy must be one of'), 'Config: rejects unknown intrabarPolicy');
+assert(hasError({ ...config, strategy: 'nope' }, 'strategy "nope" is not registered'), 'Config: rejects unknown strategy');
+assert(hasError(withStrategy('rsi', { trendTimeframe: '7h' }), 'strategies.rsi.trendTimeframe must be empty or one of'), 'Config: rejects unknown trendTimeframe');
+assert(
+  hasError({ ...withStrategy('rsi', { trendTimeframe: '1h' }), strategy: 'rsi', timeframe: '1h' }, 'strategy "rsi" needs 1h candles: 1h must be longer than the 1h base'),
+  'Config: rejects a trend timeframe not above the candle timeframe'
+);
+assert(validateConfig({ ...withStrategy('rsi', { trendTimeframe: '4h' }), strategy: 'combined', timeframe: '1h' }).length === 0,
+  'Config: accepts a higher trend timeframe');
+
+const liveConfig = { ...config, exchange: { ...config.exchange, apiKey: 'key', apiSecret: 'secret' } };
+assert(validateConfig(liveConfig, { live: true }).length === 0, 'Config: live config with keys in spot mode is valid');
+assert(hasError(config, 'exchange.apiKey and exchange.apiSecret are required', { live: true }), 'Config: live requires API keys');
+assert(hasError({ ...liveConfig, tradingMode: 'margin' }, 'tradingMode must be "spot" for live trading', { live: true }), 'Config: live rejects margin mode');
+assert(validateConfig({ ...config, tradingMode: 'margin' }).length === 0, 'Config: margin mode allowed outside live trading');
+
+let validationError = null;
+try {
+  assertValidConfig({ ...config, risk: { ...config.risk, stopLossPct: 0, takeProfitPct: -1 } });
+} catch (e) {
+  validationError = e;
+}
+assert(validationError instanceof ConfigValidationError && validationError.errors.length === 2, 'Config: assertValidConfig reports every error');
+assert(validationError.message.startsWith('Invalid configuration:\n  - risk.stopLossPct'), 'Config: error message lists problems');
 
 // ── Data Feed Tests ──────────────────────────────────────────────
 
 console.log('\n=== Data Feed Tests ===\n');
 
-const synCandles = DataFeed.generateSyntheticCandles({ numCandles: 100 });
+const synCandles = DataFeed.generateSyntheticCandles({ numCandles: 100, random });
 assert(synCandles.length === 100, 'DataFeed: generates correct number of candles');
 assert(synCandles[0].open > 0, 'DataFeed: candle has positive open');
 assert(synCandles[0].high >= synCandles[0].low, 'DataFeed: high >= low');
 
-const trendCandles = DataFeed.generateTrendingMarket({ numCandles: 200 });
+const trendCandles = DataFeed.generateTrendingMarket({ numCandles: 200, random });
 assert(trendCandles.length === 200, 'DataFeed: trending market correct count');
 
+const seqA = createRandom(42);
+const seqB = createRandom(42);
+const draws = Array.from({ length: 1000 }, () => seqA());
+assert(draws.every((x) => x === seqB() && x >= 0 && x < 1) && createRandom(43)() !== draws[0], 'Random: same seed, same sequence; other seeds differ');
+assertClose(draws.reduce((a, b) => a + b, 0) / draws.length, 0.5, 0.05, 'Random: uniform draws average 0.5');
+const normals = Array.from({ length: 2000 }, () => randn(seqA));
+assertClose(normals.reduce((a, b) => a + b, 0) / normals.length, 0, 0.1, 'Random: randn is centred on 0');
+assert(hashSeed(7, 'BTCUSDT') !== hashSeed(7, 'ETHUSDT') && hashSeed(7, 'BTCUSDT') === hashSeed(7, 'BTCUSDT'), 'Random: hashSeed is stable and label-specific');
+let badSeed = null;
+try { createRandom(-1); } catch (e) { badSeed = e.message; }
+assert(badSeed && badSeed.includes('integer from 0'), 'Random: rejects seeds outside 32 bits');
+
+const trendJson = (seed) => JSON.stringify(DataFeed.generateTrendingMarket({ numCandles: 150, random: createRandom(seed) }));
+assert(trendJson(5) === trendJson(5) && trendJson(5) !== trendJson(6), 'DataFeed: seeded generators repeat exactly');
+const closes = (symbol, seed) => generateRealisticCandles(symbol, '1h', 50, { seed }).map((c) => c.close).join();
+assert(closes('BTCUSDT', 9) === closes('BTCUSDT', 9) && closes('BTCUSDT', 9) !== closes('BTCUSDT', 10), 'DataFeed: realistic data follows the seed');
+assert(closes('ETHUSDT') === closes('ETHUSDT'), 'DataFeed: realistic data without a seed depends on the symbol only');
+const realNow = Date.now;
+const seededAt = (now, timeframe) => {
+  Date.now = () => now;
+  try {
+    return JSON.stringify(generateRealisticCandles('BTCUSDT', timeframe, 12, { seed: 9 }));
+  } finally {
+    Date.now = realNow;
+  }
+};
+const jan = Date.parse('2026-01-07T15:30:00Z');
+const jun = Date.parse('2026-06-20T03:10:00Z');
+assert(seededAt(jan, '1h') === seededAt(jun, '1h') && seededAt(jan, '1w') === seededAt(jun, '1w'),
+  'DataFeed: realistic data for a seed does not depend on when it is generated');
+const fromMarch = generateRealisticCandles('BTCUSDT', '1d', 3, { seed: 9, start: '2025-03-01T12:00:00Z' });
+assert(fromMarch[0].time === '2025-03-01T00:00:00.000Z', 'DataFeed: realistic data starts at the interval holding `start`');
+
+const seededConfig = { ...config, seed: 77, pollIntervalMs: 1000 };
+const tickPrices = async () => {
+  const engine = new TradingEngine(seededConfig, new RsiStrategy(), new Logger('error'));
+  engine.candles = DataFeed.generateTrendingMarket({ numCandles: 100, random: engine.random });
+  for (let i = 0; i < 5; i++) await engine.tick();
+  return engine.candles.slice(-5).map((c) => `${c.time}@${c.close}`).join();
+};
+pending.push((async () => {
+  const first = await tickPrices();
+  assert(first === await tickPrices() && first.startsWith('2025-01-05T04:00:00.000Z@'), 'TradingEngine: simulated ticks repeat with the same seed, times included');
+})());
+
+// ── Scenario Generator Tests ─────────────────────────────────────
+
+console.log('\n=== Scenario Generator Tests ===\n');
+
+const calm = (extra = {}) => ({
+  name: 'calm',
+  asset: { startPrice: 100, baseVolume: 1000 },
+  start: '2024-01-01',
+  regimes: [{ type: 'flat', duration: '4d', drift: 0, vol: 0, jumpProb: 0 }],
+  ...extra,
+});
+const parsedCalm = parseScenario(calm());
+assert(parsedCalm.regimes[0].duration === 96 && parsedCalm.timeframe === '1h' && parsedCalm.regimes[0].volume === 1,
+  'Scenario: lengths convert to candles and defaults fill in');
+assert(generateScenario(calm()).every((c) => c.close === 100), 'Scenario: zero drift and volatility keep the price flat');
+
+const crashed = generateScenario(calm({ events: [{ type: 'flash_crash', at: '1d', depth: 0.4, duration: 2, recovery: 0.5, recoveryDuration: 4 }] }));
+assert(crashed[23].close === 100 && crashed[25].close === 60 && crashed[29].close === 80 && crashed[95].close === 80,
+  'Scenario: flash crash falls by depth, then regains part of it');
+assert(crashed[24].volume > 2 * Math.max(...crashed.slice(0, 24).map((c) => c.volume)), 'Scenario: flash crash trades on heavy volume');
+
+const halted = generateScenario(calm({ events: [{ type: 'outage', at: '2024-01-02T06:00:00Z', duration: '3h' }] }));
+const haltGaps = findGaps(halted, '1h');
+assert(halted.length === 93 && haltGaps.length === 1 && haltGaps[0].start === '2024-01-02T06:00:00.000Z' && haltGaps[0].missing === 3,
+  'Scenario: outages leave a gap in the candles');
+
+// 2024-01-06/07 is a weekend
+const thin = generateScenario(calm({ regimes: [{ duration: '7d', vol: 0, jumpProb: 0 }], weekend: { volume: 0.2 } }), { seed: 3 });
+const avgVolume = (rows) => rows.reduce((a, c) => a + c.volume, 0) / rows.length;
+const weekendRows = thin.filter((c) => [0, 6].includes(new Date(c.time).getUTCDay()));
+assert(weekendRows.length === 48 && avgVolume(weekendRows) < 0.4 * avgVolume(thin.filter((c) => !weekendRows.includes(c))),
+  'Scenario: weekend liquidity scales volume');
+
+const cycled = generateScenario(calm({ regimes: [{ duration: 5, drift: 0.01, vol: 0, jumpProb: 0 }, { duration: 5, drift: -0.01, vol: 0, jumpProb: 0 }] }), { candles: 40 });
+assert(cycled.length === 40 && cycled[9].close === 100 && cycled[39].close === 100, 'Scenario: regimes repeat to the requested length');
+
+let badScenario = null;
+try { parseScenario({ regimes: [{ duration: 0 }], events: [{ type: 'meteor' }, { type: 'flash_crash', at: 3, depth: 1.5 }] }); } catch (e) { badScenario = e.message; }
+assert(badScenario && ['name must be', 'regimes[0].duration', 'events[0].type must be one of', 'events[1].depth'].every((f) => badScenario.includes(f)),
+  'Scenario: validation lists every problem');
+const scenarioError = (spec) => {
+  try { parseScenario(spec); } catch (e) { return e.message; }
+  return null;
+};
+assert(scenarioError(null).includes('must be a JSON object') && scenarioError(null).includes('regimes must be a non-empty array'),
+  'Scenario: a null scenario is reported, not a crash');
+const malformed = scenarioError({ name: 'x', start: 'someday', regimes: [null, { duration: 5 }], events: 'none' });
+assert(malformed && ['start must be a date', 'regimes[0] must be an object', 'events must be an array'].every((f) => malformed.includes(f)),
+  'Scenario: null regimes and non-array events are validation errors');
+
+for (const name of listScenarios()) {
+  const scenario = loadScenario(name);
+  const rows = generateScenario(scenario, { seed: 11 });
+  assert(rows.length > 100 && rows.every((c) => candleError(c) === null) && JSON.stringify(rows) === JSON.stringify(generateScenario(scenario, { seed: 11 })),
+    `Scenario: built-in "${name}" generates valid, repeatable candles`);
+}
+const luna = generateScenario(loadScenario('luna-2022'), { seed: 11 });
+assert(luna[luna.length - 1].close < 0.01, 'Scenario: LUNA crash ends at a fraction of a cent');
+let unknownScenario = null;
+try { loadScenario('no-such-scenario'); } catch (e) { unknownScenario = e.message; }
+assert(unknownScenario && unknownScenario.includes('luna-2022'), 'Scenario: unknown names list the built-ins');
+
+// ── Candle Store Tests ───────────────────────────────────────────
+
+console.log('\n=== Candle Store Tests ===\n');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-store-'));
+const exchangeCandles = Array.from({ length: 300 }, (_, i) => hourly(i));
+const storeRequests = [];
+// Serves at most 50 candles per request, like a small page size
+const fakeKlines = async (symbol, interval, limit, startTime, endTime) => {
+  storeRequests.push(startTime);
+  return exchangeCandles.filter((c) => Date.parse(c.time) >= startTime && Date.parse(c.time) <= endTime).slice(0, Math.min(limit, 50));
+};
+let storeNow = Date.parse(hourly(200).time) + 30 * 60000; // candle 200 still forming
+const store = new CandleStore(storeDir, { fetch: fakeKlines, clock: () => storeNow, pageDelayMs: 0 });
+
+pending.push((async () => {
+  const first = await store.sync('TEST', '1h', { since: hourly(100).time });
+  assert(first.fetched === 100 && first.first === hourly(100).time && first.last === hourly(199).time && storeRequests.length === 2,
+    'CandleStore: first sync pages through closed candles from since');
+
+  storeRequests.length = 0;
+  storeNow += 5 * 3600000;
+  const second = await store.sync('TEST', '1h');
+  assert(second.fetched === 5 && second.count === 105 && storeRequests.join() === String(Date.parse(hourly(200).time)),
+    'CandleStore: incremental sync fetches only new closed candles');
+
+  const third = await store.sync('TEST', '1h', { since: hourly(90).time });
+  assert(third.fetched === 10 && third.first === hourly(90).time && third.count === 115, 'CandleStore: backfills before the first candle');
+
+  const storeFile = store.file('TEST', '1h');
+  const lines = fs.readFileSync(storeFile, 'utf8').trim().split('\n');
+  fs.writeFileSync(storeFile, [...lines.slice(0, 20), ...lines.slice(25), lines[30]].join('\n') + '\n');
+  const damaged = store.check('TEST', '1h');
+  assert(damaged.gaps.length === 1 && damaged.gaps[0].missing === 5 && damaged.duplicates.join() === hourly(120).time && damaged.outOfOrder === 1,
+    'CandleStore: check reports gaps, duplicates and disorder');
+  const repaired = await store.sync('TEST', '1h');
+  const rewritten = fs.readFileSync(storeFile, 'utf8').trim().split('\n');
+  assert(repaired.fetched === 5 && repaired.gaps.length === 0 && repaired.duplicates.length === 0 && rewritten.length === 115,
+    'CandleStore: sync refills the gap and rewrites a clean file');
+
+  assert(store.read('TEST', '1h', { limit: 10 }).map((c) => c.close).join() === exchangeCandles.slice(195, 205).map((c) => c.close).join(),
+    'CandleStore: read returns the latest candles in order');
+  assert(store.read('TEST', '1h', { start: hourly(95).time, end: hourly(100).time }).length === 5, 'CandleStore: read filters by time');
+  assert(store.list().length === 1 && store.list()[0].count === 115 && store.list()[0].last === hourly(204).time, 'CandleStore: lists stored series');
+  assert(store.append('TEST', '1h', exchangeCandles.slice(100, 206)) === 1, 'CandleStore: append skips candles already stored');
+
+  let noData = null;
+  try { store.load('NOPE', '1h', 10); } catch (e) { noData = e.message; }
+  assert(noData && noData.includes('npm run sync -- --symbols NOPE --timeframe 1h'), 'CandleStore: load without data names the sync command');
+  fs.rmSync(storeDir, { recursive: true, force: true });
+})());
+
+// ── Candle Importer Tests ────────────────────────────────────────
+
+console.log('\n=== Candle Importer Tests ===\n');
+
+assert(parseTime('1704067200') === 1704067200000 && parseTime('1704067200000') === 1704067200000 && parseTime('1704067200000000') === 1704067200000,
+  'Importers: numeric times read as seconds, ms or µs by magnitude');
+assert(parseTime('2024-01-01 00:00') === 1704067200000 && parseTime('2024-01-01T01:00:00+01:00') === 1704067200000,
+  'Importers: dates without a zone are UTC, zones are honoured');
+assert(parseTime('1704067200', 'ms') === 1704067200 && Number.isNaN(parseTime('yesterday', 'iso')), 'Importers: explicit time units are not guessed');
+
+const vision = importCandles(path.join(__dirname, 'fixtures', 'BTCUSDT-1h-2024-01.zip'));
+assert(vision.format === 'binance' && vision.candles.length === 6 && vision.rejected.length === 0, 'Importers: reads a Binance Vision zip dump');
+assert(vision.candles[0].time === '2024-01-01T00:00:00.000Z' && vision.candles[5].time === '2024-01-01T05:00:00.000Z' &&
+  vision.candles[0].close === 42475.23 && vision.candles[0].volume === 1271.68, 'Importers: Binance µs open times and columns map to candles');
+assert(Object.keys(vision.candles[0]).join() === 'time,open,high,low,close,volume', 'Importers: candles carry only the standard fields');
+const headeredDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-import-'));
+const headeredFile = path.join(headeredDir, 'BTCUSDT-1h-2024-01-01.csv');
+fs.writeFileSync(headeredFile, [
+  'open_time,open,high,low,close,volume,close_time,quote_volume,count,taker_buy_volume,taker_buy_quote_volume,ignore',
+  '1704067200000,42283.58,42554.57,42261.02,42475.23,1271.68,1704070799999,53957894.2,47134,682.6,28963150.9,0',
+  '1704070800000,42475.23,42775.00,42431.65,42613.56,1196.37,1704074399999,50984842.7,44827,629.8,26842587.3,0',
+].join('\n'));
+const headered = importCandles(headeredFile);
+assert(headered.format === 'binance' && headered.candles.length === 2 && headered.candles[1].close === 42613.56,
+  'Importers: detects a Binance dump with a header row');
+fs.rmSync(headeredDir, { recursive: true, force: true });
+
+const tv = importCandles(path.join(__dirname, 'fixtures', 'tradingview.csv'));
+assert(tv.format === 'tradingview' && tv.candles.length === 4 && tv.candles[3].volume === 794.8 &&
+  tv.candles.map((c) => c.close).join() === vision.candles.slice(0, 4).map((c) => c.close).join(),
+  'Importers: TradingView export with indicator columns matches the exchange dump');
+
+const semicolon = parseCsv('Date;Price;Max;Min;Last\n2024-01-02;11;12;10;11.5\n2024-01-01;10;11;9;10.5\n', {
+  columns: { time: 'Date', open: 'Price', high: 'Max', low: 'Min', close: 'Last' }, delimiter: ';',
+});
+assert(semicolon.candles.length === 2 && semicolon.candles[0].time === '2024-01-01T00:00:00.000Z' && semicolon.candles[1].volume === 0,
+  'Importers: column mapping and delimiter; rows sorted, missing volume reads as 0');
+const byIndex = parseCsv('1704067200,1,2,0.5,1.5,7\n', { header: false, columns: { time: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 }, timeUnit: 's' });
+assert(byIndex.candles[0].volume === 7 && byIndex.candles[0].time === '2024-01-01T00:00:00.000Z', 'Importers: headerless columns map by index');
+
+const dirty = [
+  'time,open,high,low,close,volume',
+  '1704067200,10,11,9,10.5,1',
+  '1704070800,10,9.5,9,10.5,1',
+  '1704074400,10,11,10.2,10.5,1',
+  '1704078000,10,11,9,10.5,-1',
+  'soon,10,11,9,10.5,1',
+  '1704081600,10,11,9,abc,1',
+  '1704067200,10,11,9,10.5,1',
+].join('\n');
+const skipped = parseCsv(dirty, { invalid: 'skip' });
+assert(skipped.candles.length === 1 && skipped.rejected.map((r) => r.line).join() === '3,4,5,6,7,8', 'Importers: every bad row is rejected with its line number');
+assert(skipped.rejected[0].reason.includes('high') && skipped.rejected[1].reason.includes('low') && skipped.rejected[2].reason.includes('volume') &&
+  skipped.rejected[3].reason.includes('time') && skipped.rejected[4].reason.includes('close') && skipped.rejected[5].reason.includes('duplicate'),
+  'Importers: OHLC sanity, volume, time and duplicate checks');
+let dirtyError = null;
+try { parseCsv(dirty, { source: 'dirty.csv' }); } catch (e) { dirtyError = e.message; }
+assert(dirtyError && dirtyError.startsWith('6 invalid row(s)') && dirtyError.includes('dirty.csv:3: high 9.5 is below max(open, close)'),
+  'Importers: bad rows fail the import by default');
+let missingColumn = null;
+try { parseCsv('date,o,h,l,c\n', {}); } catch (e) { missingColumn = e.message; }
+assert(missingColumn && missingColumn.includes('No "time" column') && missingColumn.includes('date, o, h, l, c'), 'Importers: unknown columns are named');
+assert(candleError({ open: 1, high: 1, low: 1, close: 1, volume: 0 }) === null, 'Importers: flat candles are valid');
+
+const importDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-import-'));
+const jsonFile = path.join(importDir, 'candles.json');
+fs.writeFileSync(jsonFile, JSON.stringify(fixtureCandles));
+assert(readCandleFile(jsonFile).length === fixtureCandles.length && readCandleFile(jsonFile)[10].close === fixtureCandles[10].close,
+  'Importers: JSON candle files pass through the same checks');
+
+const importStore = new CandleStore(importDir);
+importStore.append('BTCUSDT', '1h', vision.candles.slice(3));
+assert(importStore.merge('BTCUSDT', '1h', vision.candles) === 3 && importStore.read('BTCUSDT', '1h').length === 6 &&
+  importStore.check('BTCUSDT', '1h').gaps.length === 0, 'CandleStore: merge adds imported history before the stored candles');
+assert(importStore.merge('BTCUSDT', '1h', vision.candles) === 0, 'CandleStore: merge skips candles already stored');
+fs.rmSync(importDir, { recursive: true, force: true });
+
+// ── Market Stream Tests ──────────────────────────────────────────
+
+console.log('\n=== Market Stream Tests ===\n');
+
+const bigFrame = encodeFrame(OPCODE.BINARY, Buffer.alloc(70000, 7), { mask: true });
+const splitParser = new FrameParser();
+const splitFrames = [...splitParser.push(bigFrame.subarray(0, 5)), ...splitParser.push(bigFrame.subarray(5))];
+assert(splitFrames.length === 1 && splitFrames[0].masked && splitFrames[0].payload.length === 70000 && splitFrames[0].payload.every((b) => b === 7),
+  'WebSocket: parses a masked 64-bit-length frame split across chunks');
+assert(acceptKey('dGhlIHNhbXBsZSBub25jZQ==') === 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=', 'WebSocket: accept key matches RFC 6455');
+
+// Local WebSocket endpoint; `onConnection(socket)` runs after each handshake
+const wsServer = (onConnection, { accept = acceptKey } = {}) => new Promise((resolve) => {
+  const server = http.createServer();
+  server.on('upgrade', (req, socket) => {
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept(req.headers['sec-websocket-key'])}\r\n\r\n`);
+    onConnection(socket, req);
+  });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+const waitFor = async (check, what, ms = 3000) => {
+  const end = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > end) throw new Error(`timed out waiting for ${what}`);
+    await new Promise((r) => setTimeout(r, 5));
+  }
+};
+
+pending.push((async () => {
+  const fromClient = [];
+  let serverSocket = null;
+  const server = await wsServer((socket) => {
+    serverSocket = socket;
+    const parser = new FrameParser();
+    socket.on('data', (chunk) => {
+      const frames = parser.push(chunk);
+      fromClient.push(...frames);
+      if (frames.some((f) => f.opcode === OPCODE.CLOSE)) socket.end();
+    });
+    socket.write(Buffer.concat([encodeFrame(OPCODE.TEXT, 'hel', { fin: false }), encodeFrame(OPCODE.CONTINUATION, 'lo')]));
+    socket.write(encodeFrame(OPCODE.PING, 'hb'));
+  });
+  const client = new WebSocketClient(`ws://127.0.0.1:${server.address().port}/stream`);
+  const messages = [];
+  client.on('message', (m) => messages.push(m));
+  await client.connect();
+  client.send('x'.repeat(300));
+  await waitFor(() => messages.length === 1 && fromClient.length >= 2, 'WebSocket frames');
+
+  const pong = fromClient.find((f) => f.opcode === OPCODE.PONG);
+  const text = fromClient.find((f) => f.opcode === OPCODE.TEXT);
+  assert(messages[0] === 'hello', 'WebSocket: reassembles fragmented messages');
+  assert(pong && pong.masked && pong.payload.toString() === 'hb', 'WebSocket: answers pings with a masked pong');
+  assert(text && text.masked && text.payload.toString() === 'x'.repeat(300), 'WebSocket: sends masked frames with a 16-bit length');
+
+  const closed = new Promise((resolve) => client.once('close', resolve));
+  serverSocket.write(encodeFrame(OPCODE.CLOSE, Buffer.from([0x03, 0xe8])));
+  assert(await closed === 1000, 'WebSocket: reports the server close code');
+  server.close();
+
+  const impostor = await wsServer((socket) => socket.destroy(), { accept: () => 'bogus' });
+  let refused = null;
+  try { await new WebSocketClient(`ws://127.0.0.1:${impostor.address().port}/`).connect(); } catch (e) { refused = e.message; }
+  assert(refused && refused.includes('Sec-WebSocket-Accept'), 'WebSocket: rejects a handshake with the wrong accept key');
+  impostor.close();
+})());
+
+pending.push((async () => {
+  const klineMessage = (i, closed) => JSON.stringify({
+    stream: 'testusdt@kline_1h',
+    data: { e: 'kline', k: { t: Date.parse(hourly(i).time), o: '99', h: '120', l: '90', c: String(100 + i), v: '1', x: closed } },
+  });
+  const sockets = [];
+  let streamNow = Date.parse(hourly(10).time) + 30 * 60000;
+  const server = await wsServer((socket) => {
+    sockets.push(socket);
+    if (sockets.length === 1) {
+      socket.write(encodeFrame(OPCODE.TEXT, klineMessage(10, false)));
+      socket.write(encodeFrame(OPCODE.TEXT, klineMessage(10, true)));
+      socket.write(encodeFrame(OPCODE.TEXT, JSON.stringify({ stream: 'testusdt@bookTicker', data: { u: 1, s: 'TESTUSDT', b: '109.5', B: '2', a: '110.5', A: '3' } })));
+    } else {
+      // Sent straight away – must wait for the backfill of 11 and 12
+      socket.write(encodeFrame(OPCODE.TEXT, klineMessage(13, true)));
+    }
+  });
+
+  const backfillStarts = [];
+  const fetchKlines = async (symbol, interval, limit, startTime) => {
+    backfillStarts.push(startTime);
+    return Array.from({ length: 14 }, (_, i) => hourly(i)).filter((c) => Date.parse(c.time) >= startTime && Date.parse(c.time) <= streamNow);
+  };
+  const stream = new BinanceStream({
+    symbol: 'TESTUSDT',
+    interval: '1h',
+    baseUrl: `ws://127.0.0.1:${server.address().port}`,
+    lastClosed: Date.parse(hourly(9).time),
+    fetch: fetchKlines,
+    clock: () => streamNow,
+    reconnectDelayMs: 10,
+  }, new Logger('error'));
+  const closedTimes = [];
+  const quotes = [];
+  let backfilled = 0;
+  stream.on('candle', (c) => closedTimes.push(c.time));
+  stream.on('price', (q) => quotes.push(q));
+  stream.on('backfill', (n) => { backfilled += n; });
+
+  await stream.start();
+  await waitFor(() => closedTimes.length === 1 && quotes.length === 3, 'first connection');
+  assert(stream.url.endsWith('/stream?streams=testusdt@kline_1h/testusdt@bookTicker'), 'BinanceStream: subscribes to kline and book ticker streams');
+  assert(quotes[2].bid === 109.5 && quotes[2].ask === 110.5, 'BinanceStream: book ticker updates become bid/ask prices');
+
+  streamNow = Date.parse(hourly(13).time) + 30 * 60000;
+  sockets[0].destroy();
+  await waitFor(() => closedTimes.length === 4, 'reconnect and backfill');
+  assert(closedTimes.join() === [10, 11, 12, 13].map((i) => hourly(i).time).join() && backfilled === 2,
+    'BinanceStream: reconnects and backfills missed candles in order, without repeats');
+  assert(backfillStarts.join() === [9, 10].map((i) => Date.parse(hourly(i).time) + 1).join(), 'BinanceStream: backfills from the last closed candle');
+  stream.stop();
+  sockets.forEach((s) => s.destroy());
+  server.close();
+})());
+
+pending.push((async () => {
+  const liveClosed = JSON.stringify({
+    stream: 'testusdt@kline_1h',
+    data: { e: 'kline', k: { t: Date.parse(hourly(13).time), o: '99', h: '120', l: '90', c: '113', v: '1', x: true } },
+  });
+  let connections = 0;
+  const server = await wsServer((socket) => {
+    connections++;
+    socket.write(encodeFrame(OPCODE.TEXT, liveClosed));
+  });
+  let fetches = 0;
+  const stream = new BinanceStream({
+    symbol: 'TESTUSDT',
+    interval: '1h',
+    baseUrl: `ws://127.0.0.1:${server.address().port}`,
+    lastClosed: Date.parse(hourly(9).time),
+    fetch: async () => {
+      if (++fetches === 1) throw new Error('HTTP 503');
+      return [10, 11, 12].map((i) => hourly(i));
+    },
+    clock: () => Date.parse(hourly(13).time) + 30 * 60000,
+    reconnectDelayMs: 10,
+  }, new Logger('error'));
+  const closedTimes = [];
+  stream.on('candle', (c) => closedTimes.push(c.time));
+
+  await stream.start();
+  await waitFor(() => closedTimes.length === 4, 'backfill after a failed one');
+  assert(connections === 2 && fetches === 2 && closedTimes.join() === [10, 11, 12, 13].map((i) => hourly(i).time).join(),
+    'BinanceStream: a failed backfill reconnects and fills the gap instead of resuming past it');
+  stream.stop();
+  server.close();
+})());
+
+pending.push((async () => {
+  const fakeStream = new EventEmitter();
+  fakeStream.start = async () => {};
+  fakeStream.stop = () => {};
+  const evaluated = [];
+  const buyFirst = {
+    name: 'Buy First',
+    evaluate: (w) => {
+      evaluated.push(w[w.length - 1]);
+      return { signal: evaluated.length === 1 ? 'BUY' : 'HOLD', confidence: 100, reason: 'test' };
+    },
+  };
+  const engine = new LiveTradingEngine({ ...config, paperTrading: true, marketData: 'stream' }, buyFirst, new Logger('error'), { stream: fakeStream });
+  engine.candles = Array.from({ length: 60 }, (_, i) => hourly(i)); // 59 still forming
+  const running = engine._runStream();
+
+  fakeStream.emit('kline', { ...hourly(59), close: 170 }, false);
+  fakeStream.emit('price', { bid: 169, ask: 171 });
+  await waitFor(() => engine.candles[59].close === 170, 'forming candle update');
+  assert(evaluated.length === 0 && fakeStream.lastClosed === Date.parse(hourly(58).time), 'LiveTradingEngine: price updates do not evaluate the strategy');
+
+  fakeStream.emit('candle', hourly(59));
+  await waitFor(() => engine.portfolio.positions.length === 1, 'position on candle close');
+  assert(evaluated.length === 1 && evaluated[0].time === hourly(59).time && evaluated[0].close === 159,
+    'LiveTradingEngine: evaluates the strategy on the closed candle');
+
+  const stopLoss = engine.portfolio.positions[0].stopLoss;
+  fakeStream.emit('price', { bid: stopLoss + 1, ask: stopLoss - 1 });
+  fakeStream.emit('price', { bid: stopLoss - 1, ask: stopLoss + 1 });
+  await waitFor(() => engine.portfolio.positions.length === 0, 'stop-loss exit');
+  assert(engine.portfolio.tradeHistory.length === 1 && evaluated.length === 1, 'LiveTradingEngine: exits on the price update that crosses the stop');
+
+  engine.stop();
+  await running;
+})());
+
+// ── Binance Client Tests ─────────────────────────────────────────
+
+console.log('\n=== Binance Client Tests ===\n');
+
+assert(hasError({ ...config, exchange: { ...config.exchange, baseUrl: 'ws://127.0.0.1:1' } }, 'BINANCE_API_URL') &&
+  hasError({ ...config, exchange: { ...config.exchange, streamUrl: 'http://127.0.0.1:1' } }, 'BINANCE_STREAM_URL') &&
+  validateConfig({ ...config, exchange: { ...config.exchange, baseUrl: 'http://127.0.0.1:1', streamUrl: 'ws://127.0.0.1:2' } }).length === 0,
+  'Config: API and stream URL overrides must be http(s) and ws(s)');
+
+const rejection = (promise) => promise.then(() => null, (err) => err);
+
+pending.push((async () => {
+  const mock = new MockBinanceServer({
+    balances: { USDT: 1000 },
+    symbols: {
+      BTCUSDT: {
+        baseAsset: 'BTC', quoteAsset: 'USDT', price: 50000, tickSize: '0.01', minPrice: '0.01', maxPrice: '1000000.00',
+        stepSize: '0.00001', minQty: '0.00001', maxQty: '9000.00000', minNotional: '5.00',
+      },
+      SOLUSDT: {
+        baseAsset: 'SOL', quoteAsset: 'USDT', price: 150, tickSize: '0.01', minPrice: '0.01', maxPrice: '10000.00',
+        stepSize: '0.001', minQty: '0.001', maxQty: '90000.000', minNotional: '5.00',
+      },
+    },
+    candles: { BTCUSDT: { '1h': Array.from({ length: 30 }, (_, i) => hourly(i)) } },
+  });
+  const url = await mock.start();
+  const quietLog = new Logger('error');
+  const client = new BinanceClient({ apiKey: mock.apiKey, apiSecret: mock.apiSecret, baseUrl: url }, quietLog);
+  const liveFeedUrl = CryptoDataFeed.baseUrl;
+  try {
+    const latest = await client.getCandles('BTCUSDT', '1h', 5);
+    const fromStart = await client.getCandles('BTCUSDT', '1h', 3, Date.parse(hourly(10).time));
+    assert(latest.length === 5 && latest[4].time === hourly(29).time && latest[4].close === 129 && fromStart.map((c) => c.close).join() === '110,111,112',
+      'BinanceClient: klines are the latest, or the first from startTime');
+    CryptoDataFeed.baseUrl = url;
+    const fed = await CryptoDataFeed.fetch('BTCUSDT', '1h', 2);
+    assert(fed.length === 2 && fed[1].time === hourly(29).time, 'CryptoDataFeed: reads klines from its base URL');
+    CryptoDataFeed.baseUrl = liveFeedUrl;
+    const synced = await new CandleStore(storeDir, { baseUrl: url }).fetch('BTCUSDT', '1h', 2);
+    assert(synced.length === 2 && synced[1].time === hourly(29).time && CryptoDataFeed.baseUrl === liveFeedUrl,
+      'CandleStore: fetches from the configured base URL');
+    assert(await client.getPrice('SOLUSDT') === 150, 'BinanceClient: ticker price');
+    const sol = await client.getSymbolInfo('SOLUSDT');
+    assert(sol.baseAsset === 'SOL' && sol.stepSize === 0.001 && sol.tickSize === 0.01 && sol.minQty === 0.001 && sol.minNotional === 5,
+      'BinanceClient: parses symbol filters from exchangeInfo');
+
+    const bought = await client.marketOrder('BTCUSDT', 'BUY', 0.01);
+    const balances = await client.getBalance();
+    assert(bought.status === 'FILLED' && Number(bought.executedQty) === 0.01 && Number(bought.fills[0].price) === 50000,
+      'BinanceClient: signed market order fills');
+    assert(balances.USDT.free === 500 && balances.BTC.free === 0.00999, 'Mock: fills move balances and charge commission');
+    assert(mock.requests.filter((r) => r.path === '/api/v3/order').every((r) => r.apiKey === mock.apiKey && r.params.signature),
+      'BinanceClient: orders carry the API key and a signature');
+
+    const broke = await rejection(client.marketOrder('BTCUSDT', 'BUY', 0.02));
+    assert(broke && broke.code === -2010 && broke.status === 400, 'BinanceClient: insufficient balance rejects with -2010');
+    const forger = new BinanceClient({ apiKey: mock.apiKey, apiSecret: 'wrong-secret', baseUrl: url }, quietLog);
+    const forged = await rejection(forger.getBalance());
+    assert(forged && forged.code === -1022, 'Mock: rejects requests with a bad signature');
+
+    mock.failNext('timestamp');
+    const stale = await rejection(client.getBalance());
+    assert(stale && stale.code === -1021 && stale.message.includes('recvWindow'), 'Mock: injects a -1021 timestamp error');
+    mock.failNext('rate_limit', { path: '/api/v3/klines' });
+    assert((await client.getPrice('BTCUSDT')) === 50000, 'Mock: path-specific errors leave other endpoints alone');
+    const limited = await rejection(client.getCandles('BTCUSDT', '1h', 5));
+    assert(limited && limited.status === 429 && limited.code === -1003 && limited.retryAfter === 30, 'BinanceClient: 429 carries the code and Retry-After');
+    mock.failNext({ status: 418, code: -1003, msg: 'IP banned', retryAfter: 120 });
+    const banned = await rejection(client.getPrice('BTCUSDT'));
+    assert(banned && banned.status === 418 && banned.retryAfter === 120, 'BinanceClient: 418 ban surfaces its status');
+
+    const resting = await client.limitOrder('BTCUSDT', 'BUY', 0.001, 40000);
+    const openOrders = await client.getOpenOrders('BTCUSDT');
+    assert(resting.status === 'NEW' && openOrders.length === 1 && mock.balances.USDT.locked === 40, 'BinanceClient: limit order rests and locks funds');
+    await client.cancelOrder('BTCUSDT', resting.orderId);
+    const cancelledAgain = await rejection(client.cancelOrder('BTCUSDT', resting.orderId));
+    assert((await client.getOpenOrders('BTCUSDT')).length === 0 && mock.balances.USDT.locked === 0 && cancelledAgain.code === -2011,
+      'BinanceClient: cancel releases the order once');
+
+    mock.fillRatio = 0.5;
+    mock.latencyMs = 50;
+    const started = Date.now();
+    const partial = await client.marketOrder('BTCUSDT', 'SELL', 0.008);
+    assert(partial.status === 'EXPIRED' && Number(partial.executedQty) === 0.004, 'Mock: fills part of a market order');
+    assert(Date.now() - started >= 45, 'Mock: delays responses by latencyMs');
+  } finally {
+    CryptoDataFeed.baseUrl = liveFeedUrl;
+    await mock.stop();
+  }
+})());
+
+// ── Exchange Filter Tests ────────────────────────────────────────
+
+console.log('\n=== Exchange Filter Tests ===\n');
+
+const solFilters = { minQty: 0.001, maxQty: 9000, stepSize: 0.001, tickSize: 0.01, minNotional: 5 };
+assert(stepDecimals(0.001) === 3 && stepDecimals(1) === 0 && stepDecimals(1e-8) === 8, 'Filters: step decimals');
+assert(floorToStep(0.3, 0.1) === 0.3 && floorToStep(0.12399, 0.001) === 0.123 && floorToStep(1234567.9, 1) === 1234567,
+  'Filters: quantities round down to the step');
+assert(roundToStep(150.126, 0.01) === 150.13 && roundToStep(0.000012345, 1e-8) === 0.00001235, 'Filters: prices round to the tick');
+const fittedSol = fitOrder({ quantity: 0.12399, price: 150.126 }, solFilters);
+assert(fittedSol.quantity === 0.123 && fittedSol.price === 150.13 && fittedSol.resized && fittedSol.error === null,
+  'Filters: order fitted to LOT_SIZE and PRICE_FILTER');
+assert(fitOrder({ quantity: 12000, referencePrice: 150 }, solFilters).quantity === 9000, 'Filters: quantity capped at maxQty');
+assert(fitOrder({ quantity: 0.0009, referencePrice: 150 }, solFilters).error.includes('LOT_SIZE'), 'Filters: below minQty is refused');
+assert(fitOrder({ quantity: 0.03, referencePrice: 150 }, solFilters).error.includes('MIN_NOTIONAL'), 'Filters: below minNotional is refused');
+
+pending.push((async () => {
+  const mock = new MockBinanceServer({
+    balances: { USDT: 1000, SHIB: 2000000 },
+    symbols: {
+      SOLUSDT: {
+        baseAsset: 'SOL', quoteAsset: 'USDT', price: 150, tickSize: '0.01', minPrice: '0.01', maxPrice: '10000.00',
+        stepSize: '0.001', minQty: '0.001', maxQty: '9000.000', minNotional: '5.00',
+      },
+      SHIBUSDT: {
+        baseAsset: 'SHIB', quoteAsset: 'USDT', price: 0.00001234, tickSize: '0.00000001', minPrice: '0.00000001', maxPrice: '1.00000000',
+        stepSize: '1.00', minQty: '1.00', maxQty: '92141578.00', minNotional: '5.00',
+      },
+    },
+  });
+  const url = await mock.start();
+  const quietLog = new Logger('error');
+  const client = new BinanceClient({ apiKey: mock.apiKey, apiSecret: mock.apiSecret, baseUrl: url }, quietLog);
+  const orderParams = () => mock.requests.filter((r) => r.path === '/api/v3/order').map((r) => r.params);
+  try {
+    const sol = await client.marketOrder('SOLUSDT', 'BUY', 0.12399, 150);
+    assert(sol.status === 'FILLED' && orderParams()[0].quantity === '0.123', 'BinanceClient: market quantity rounded down to stepSize');
+    const shib = await client.limitOrder('SHIBUSDT', 'SELL', 1000000.7, 0.000012345);
+    assert(shib.status === 'NEW' && orderParams()[1].quantity === '1000000' && orderParams()[1].price === '0.00001235',
+      'BinanceClient: limit order uses the symbol\'s step and tick precision');
+    await client.stopLossOrder('SOLUSDT', 'SELL', 0.1, 140.004, 139.996);
+    assert(orderParams()[2].stopPrice === '140.00' && orderParams()[2].price === '140.00', 'BinanceClient: stop prices rounded to tickSize');
+
+    const tooSmall = await rejection(client.marketOrder('SOLUSDT', 'BUY', 0.02, 150));
+    assert(tooSmall && tooSmall.message.includes('MIN_NOTIONAL') && orderParams().length === 3, 'BinanceClient: refuses orders below minNotional without sending them');
+    assert(mock.requests.filter((r) => r.path === '/api/v3/exchangeInfo').length === 2, 'BinanceClient: caches symbol filters');
+
+    const engineErrors = [];
+    const engineLog = new Logger('error');
+    engineLog.error = (msg) => engineErrors.push(msg);
+    const engine = new LiveTradingEngine({ ...config, symbol: 'SOL/USDT', paperTrading: false, exchange: { ...config.exchange, baseUrl: url } }, buyOnce, engineLog);
+    engine.client = client;
+    const pos = await engine._openPosition('BUY', 150, 0.5678, 140, 160, 'test');
+    assert(pos && pos.quantity === 0.566433 && pos.entryPrice === 150, 'LiveTradingEngine: position records the filled size net of commission');
+    assert(await engine._openPosition('BUY', 150, 0.01, 140, 160, 'test') === null && engine.portfolio.positions.length === 1 &&
+      engineErrors[0].includes('MIN_NOTIONAL'),
+      'LiveTradingEngine: an order refused by the filters opens nothing');
+
+    mock.setPrice('SOLUSDT', 160);
+    const balanceBefore = engine.portfolio.balance;
+    await engine._closePosition(pos, 160, 'test');
+    const [closedPart] = engine.portfolio.tradeHistory;
+    assert(engine.portfolio.tradeHistory.length === 1 && closedPart.quantity === 0.566 && Math.abs(closedPart.exitPrice - 160) < 1e-9 &&
+      orderParams().pop().quantity === '0.566', 'LiveTradingEngine: close books the quantity the exchange sold');
+    assertClose(engine.portfolio.balance - balanceBefore, 0.566 * 160, 1e-9, 'LiveTradingEngine: close credits only the sold quantity');
+    assert(engine.portfolio.positions.length === 1 && engine.portfolio.positions[0].id === pos.id, 'LiveTradingEngine: the unsold remainder stays open');
+    assertClose(pos.quantity, 0.000433, 1e-12, 'LiveTradingEngine: remainder is the quantity below the lot step');
+    await engine._closePosition(pos, 160, 'test');
+    assert(engine.portfolio.positions.length === 1 && engine.portfolio.tradeHistory.length === 1 && engineErrors[1].includes('LOT_SIZE'),
+      'LiveTradingEngine: a close refused by the filters keeps the position open');
+  } finally {
+    await mock.stop();
+  }
+})());
+
+// ── Optimizer Tests ──────────────────────────────────────────────
+
+console.log('\n=== Optimizer Tests ===\n');
+
+const grid = expandGrid({ a: { min: 0.1, max: 0.3, step: 0.1 }, b: [1, 2] });
+assert(grid.length === 6, 'Optimizer: grid is the cartesian product of ranges');
+assert(grid.map((g) => g.a).join(',') === '0.1,0.1,0.2,0.2,0.3,0.3', 'Optimizer: float steps include max without drift');
+
+let seq = 0;
+const stepRandom = () => (seq++ % 10) / 10;
+const sampled = sampleRandom({ a: { min: 1, max: 5, step: 1 }, b: { min: 0, max: 1 } }, 4, stepRandom);
+assert(sampled.length === 4 && new Set(sampled.map((c) => JSON.stringify(c))).size === 4, 'Optimizer: random search draws distinct candidates');
+assert(sampled.every((c) => Number.isInteger(c.a) && c.b >= 0 && c.b <= 1), 'Optimizer: random samples stay within ranges');
+
+const nested = toOverrides({ 'risk.stopLossPct': 2, 'strategies.rsi.period': 10 });
+assert(nested.risk.stopLossPct === 2 && nested.strategies.rsi.period === 10, 'Optimizer: dotted paths become nested overrides');
+
+const scored = scoreBacktest({
+  summary: { profitFactor: 3, winRate: 66.7, totalTrades: 3, totalFees: 1.5 },
+  metrics: { totalReturn: 6, maxDrawdown: 2, sharpe: 1.4 },
+  trades: [{ pnlPct: 4 }, { pnlPct: -2 }, { pnlPct: 4 }],
+});
+assert(scored.sharpe === 1.4, 'Optimizer: Sharpe comes from the equity curve');
+assert(scored.returnDrawdown === 3 && scored.profitFactor === 3, 'Optimizer: return/drawdown and profit factor');
+
+const optimizer = new Optimizer(config, {
+  strategy: 'ema_crossover',
+  ranges: { fastPeriod: [5, 9, 30], slowPeriod: [21] },
+  objective: 'return_drawdown',
+  workers: 2,
+  minTrades: 0,
+}, new Logger('error'));
+const { valid: optValid, skipped: optSkipped } = optimizer.buildCandidates();
+assert(optValid.length === 2 && optSkipped.length === 1, 'Optimizer: skips candidates that fail validation');
+assert(optSkipped[0].errors[0].includes('fastPeriod (30) must be less than slowPeriod'), 'Optimizer: records why a candidate was skipped');
+
+pending.push(optimizer.run(btCandles).then((report) => {
+  assert(report.results.length === 2, 'Optimizer: backtests every valid candidate in workers');
+  const direct = scoreBacktest(new Backtester(
+    { ...config, strategies: { ...config.strategies, ema_crossover: { ...config.strategies.ema_crossover, fastPeriod: 5 } } },
+    new EmaCrossoverStrategy({ ...config.strategies.ema_crossover, fastPeriod: 5 }),
+    logger
+  ).run(btCandles));
+  const fromWorker = report.results.find((r) => r.params['strategies.ema_crossover.fastPeriod'] === 5);
+  assert(fromWorker.metrics.totalReturn === direct.totalReturn, 'Optimizer: worker result matches an in-process backtest');
+  const scores = report.results.map((r) => r.score ?? -Infinity);
+  assert(scores[0] >= scores[1] && report.results[0].rank === 1, 'Optimizer: results ranked by objective');
+  const csv = Optimizer.toCsv(report).trim().split('\n');
+  assert(csv.length === 3 && csv[0].startsWith('rank,score,strategies.ema_crossover.fastPeriod'), 'Optimizer: CSV leaderboard');
+  assert(JSON.parse(Optimizer.toJson(report)).results.length === 2, 'Optimizer: JSON leaderboard');
+}));
+
+const tiedOptimizer = new Optimizer(config, { strategy: 'ema_crossover', ranges: { fastPeriod: [5, 7, 9] }, objective: 'profit_factor' }, new Logger('error'));
+tiedOptimizer._runAll = async () => [1.5, Infinity, Infinity].map((profitFactor) => ({ profitFactor, totalTrades: 3 }));
+pending.push(tiedOptimizer.run(btCandles).then((report) => {
+  assert(report.results.map((r) => r.score).join() === 'Infinity,Infinity,1.5' && report.results[0].params['strategies.ema_crossover.fastPeriod'] === 7,
+    'Optimizer: tied Infinity scores keep a stable order');
+}));
+
+const exitingPluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-plugin-'));
+fs.writeFileSync(path.join(exitingPluginDir, 'exits.js'), "if (!require('worker_threads').isMainThread) process.exit(3);\n");
+const exitingOptimizer = new Optimizer({ ...config, strategyPlugins: [exitingPluginDir] }, {
+  strategy: 'ema_crossover', ranges: { fastPeriod: [5, 7] }, workers: 1, minTrades: 0,
+}, new Logger('error'));
+pending.push(exitingOptimizer.run(btCandles).then(
+  () => assert(false, 'Optimizer: a worker exiting without a result rejects the run'),
+  (err) => assert(err.message.includes('exited with code 3'), 'Optimizer: a worker exiting without a result rejects the run'),
+).finally(() => fs.rmSync(exitingPluginDir, { recursive: true, force: true })));
+
+// ── Walk-Forward Tests ───────────────────────────────────────────
+
+console.log('\n=== Walk-Forward Tests ===\n');
+
+const rolling = buildWindows(1000, { trainSize: 400, testSize: 200, mode: 'rolling' });
+assert(rolling.length === 3 && rolling[1].trainStart === 200 && rolling[1].testStart === 600, 'WalkForward: rolling windows slide by the test size');
+const anchored = buildWindows(1000, { trainSize: 400, testSize: 200, mode: 'anchored' });
+assert(anchored.every((w) => w.trainStart === 0) && anchored[2].trainEnd === 800, 'WalkForward: anchored windows grow from the first candle');
+assert(buildWindows(1050, { trainSize: 400, testSize: 200 }).length === 3, 'WalkForward: partial test windows are dropped');
+
+const stable = parameterStability([{ params: { p: 10 } }, { params: { p: 10 } }, { params: { p: 16 } }]);
+assert(stable.p.mean === 12 && stable.p.distinct === 2, 'WalkForward: parameter stability mean and distinct count');
+assertClose(stable.p.cv, Math.sqrt(8) / 12, 1e-9, 'WalkForward: parameter stability coefficient of variation');
+assert(overfittingRatio(0.02, 0.01) === 2 && overfittingRatio(0.02, 1e-9) === 10 && overfittingRatio(0.02, -0.01) === 10,
+  'WalkForward: overfitting ratio is capped, including out-of-sample losses');
+assert(overfittingRatio(-0.01, 0.01) === null && overfittingRatio(null, 0.01) === null, 'WalkForward: no overfitting ratio without in-sample profit');
+
+// Deterministic uptrending wave so every train slice has trades to rank
+const wfCandles = Array.from({ length: 500 }, (_, i) => {
+  const price = 100 + 5 * Math.sin(i / 8) + i * 0.2;
+  return { time: new Date(Date.UTC(2025, 0, 1, i)).toISOString(), open: price, high: price * 1.004, low: price * 0.996, close: price, volume: 1 };
+});
+const walkForward = new WalkForward(config, {
+  strategy: 'ema_crossover',
+  ranges: { fastPeriod: [5, 9] },
+  objective: 'return_drawdown',
+  trainSize: 200,
+  testSize: 100,
+  workers: 1,
+  minTrades: 0,
+}, new Logger('error'));
+pending.push(walkForward.run(wfCandles).then((wf) => {
+  assert(wf.windows.length === 3, 'WalkForward: one result per window');
+  assert(wf.trades.length > 0 && wf.trades.every((t) => t.openTime >= wf.windows[t.window].test.start && t.exitTime <= wf.windows[t.window].test.end),
+    'WalkForward: trades stay inside their test window');
+  const chained = wf.windows.reduce((eq, w) => eq * (1 + w.outOfSample.totalReturn / 100), config.initialBalance);
+  assertClose(wf.summary.finalEquity, chained, 1, 'WalkForward: stitched equity compounds window returns');
+  assert(wf.equityCurve[wf.equityCurve.length - 1].equity === wf.summary.finalEquity, 'WalkForward: equity curve ends at final equity');
+  assert(wf.stability['strategies.ema_crossover.fastPeriod'].values.length === 3, 'WalkForward: reports stability of optimized params');
+}));
+
+// ── Monte Carlo Tests ────────────────────────────────────────────
+
+console.log('\n=== Monte Carlo Tests ===\n');
+
+assert(percentile([1, 2, 3, 4], 50) === 2.5 && percentile([1, 2, 3, 4], 100) === 4, 'MonteCarlo: interpolated percentiles');
+
+const mcTrade = (pnl, day) => ({ pnl, value: 1000, exitTime: new Date(Date.UTC(2025, 0, day, 12)).toISOString() });
+const mcConfig = { ...config, initialBalance: 10000, risk: { ...config.risk, maxDailyLossPct: 6, maxDrawdownPct: 10 } };
+const swingTrades = [-400, 400, -400, 400, -400, 400, -400, 400].map((pnl) => mcTrade(pnl, 1));
+
+const shuffled = new MonteCarlo(mcConfig, { runs: 500 }).run(swingTrades);
+assertClose(shuffled.finalEquity.p5, shuffled.finalEquity.p95, 1e-6, 'MonteCarlo: shuffling keeps final equity (returns compound in any order)');
+assertClose(shuffled.finalEquity.p50, 10000, 1e-6, 'MonteCarlo: shuffled final equity matches the backtest');
+assert(shuffled.probDailyLossHalt > 0 && shuffled.probDailyLossHalt < 1, 'MonteCarlo: same-day loss clusters trigger the daily halt in some orders');
+assert(shuffled.maxDrawdown.p95 > shuffled.maxDrawdown.p5, 'MonteCarlo: drawdown varies with trade order');
+
+const spreadOut = new MonteCarlo(mcConfig, { runs: 200 }).run(swingTrades.map((t, i) => mcTrade(t.pnl, i + 1)));
+assert(spreadOut.probDailyLossHalt === 0, 'MonteCarlo: one trade per day never breaches the daily limit');
+
+const losingTrades = Array.from({ length: 6 }, (_, i) => mcTrade(-300, i + 1));
+assert(new MonteCarlo(mcConfig, { runs: 50 }).run(losingTrades).probMaxDrawdownHit === 1, 'MonteCarlo: drawdown beyond the limit counts as a halt');
+
+const bootstrapped = new MonteCarlo(mcConfig, { runs: 500, method: 'bootstrap' }).run(swingTrades);
+assert(bootstrapped.finalEquity.p95 > bootstrapped.finalEquity.p5, 'MonteCarlo: bootstrap spreads final equity');
+
+const jittered = new MonteCarlo(mcConfig, { runs: 200, slippageJitterPct: 0.5 }).run(swingTrades);
+assert(jittered.finalEquity.p95 < shuffled.finalEquity.p50, 'MonteCarlo: slippage jitter only costs money');
+const badRuns = [0, -5, 2.5, NaN].map((runs) => {
+  try { new MonteCarlo(mcConfig, { runs }); } catch (e) { return e.message; }
+  return null;
+});
+assert(badRuns.every((msg) => msg && msg.includes('positive integer')), 'MonteCarlo: rejects runs that are not a positive integer');
+
 // ── Summary ──────────────────────────────────────────────────────
 
-console.log(`\n${'='.repeat(40)}`);
-console.log(`  Tests: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
-console.log(`${'='.repeat(40)}\n`);
+Promise.all(pending)
+  .catch((err) => assert(false, `Async test threw: ${err.message}`))
+  .then(() => {
+    console.log(`\n${'='.repeat(40)}`);
+    console.log(`  Tests: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+    console.log(`${'='.repeat(40)}\n`);
 
-process.exit(failed > 0 ? 1 : 0);
+    process.exit(failed > 0 ? 1 : 0);
+  });